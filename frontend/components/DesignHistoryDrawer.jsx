@@ -0,0 +1,181 @@
+import { useCallback, useEffect, useState } from 'react';
+import useModalFocusTrap from '../hooks/useModalFocusTrap.js';
+
+const REASON_LABELS = {
+  baseline: 'Earlier version',
+  create: 'Created',
+  update: 'Saved',
+  price: 'Price changed',
+  archive: 'Archived',
+  restore: 'Restored',
+};
+
+function formatTimestamp(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+function describeVersion(version) {
+  const label = REASON_LABELS[version.reason] || 'Saved';
+  return version.reason === 'restore' && version.restoredFrom
+    ? `${label} from version ${version.restoredFrom}`
+    : label;
+}
+
+// One line per change so owners can see what a restore would undo.
+function summarizeDiff(diff) {
+  if (!diff) return [];
+  const lines = diff.fields.map(({ field }) => `${field} changed`);
+  const { added, removed, moved, changed } = diff.slides;
+  if (added.length) lines.push(`${added.length} slide${added.length === 1 ? '' : 's'} added`);
+  if (removed.length) lines.push(`${removed.length} slide${removed.length === 1 ? '' : 's'} removed`);
+  if (moved.length) lines.push(`${moved.length} slide${moved.length === 1 ? '' : 's'} reordered`);
+  for (const slide of changed) {
+    lines.push(`Slide ${slide.index + 1}: ${slide.changes.map((change) => change.path || 'content').join(', ')}`);
+  }
+  return lines;
+}
+
+export default function DesignHistoryDrawer({ isOpen, designId, api, onRestore, onClose }) {
+  const drawerRef = useModalFocusTrap(isOpen, onClose);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadVersions = useCallback(async () => {
+    if (!api || !designId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await api.listDesignVersions(designId);
+      setVersions(Array.isArray(response?.versions) ? [...response.versions].reverse() : []);
+    } catch (err) {
+      setError('We could not load the history for this design.');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, designId]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setSelected(null);
+      setDiff(null);
+      return;
+    }
+    loadVersions();
+  }, [isOpen, loadVersions]);
+
+  useEffect(() => {
+    if (!selected || selected.version <= 1 || !api) {
+      setDiff(null);
+      return undefined;
+    }
+    let cancelled = false;
+    api
+      .diffDesignVersions(designId, selected.version)
+      .then((result) => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch(() => {
+        if (!cancelled) setDiff(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, designId, selected]);
+
+  if (!isOpen) return null;
+
+  const latestVersion = versions[0]?.version;
+
+  const handleRestore = async () => {
+    if (!selected || restoring) return;
+    setRestoring(true);
+    setError(null);
+    try {
+      const result = await api.restoreDesignVersion(designId, selected.version);
+      onRestore?.(result);
+      setSelected(null);
+      await loadVersions();
+    } catch (err) {
+      setError('We could not restore that version. Please try again.');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const diffLines = summarizeDiff(diff);
+
+  return (
+    <aside
+      id="designHistoryDrawer"
+      className="history-drawer"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="designHistoryTitle"
+      ref={drawerRef}
+    >
+      <div className="panel-header">
+        <h3 id="designHistoryTitle">Version history</h3>
+        <button type="button" className="iconbtn" onClick={onClose} aria-label="Close history">
+          ✕
+        </button>
+      </div>
+
+      <div className="panel-body">
+        {error && (
+          <p className="history-error" role="alert">
+            {error}
+          </p>
+        )}
+        {loading && <p aria-live="polite">Loading history…</p>}
+        {!loading && !error && versions.length === 0 && <p>No saved versions yet.</p>}
+
+        <ol className="history-list">
+          {versions.map((version) => (
+            <li key={version.version}>
+              <button
+                type="button"
+                className={`history-item${selected?.version === version.version ? ' selected' : ''}`}
+                aria-pressed={selected?.version === version.version}
+                onClick={() => setSelected(version)}
+              >
+                <strong>Version {version.version}</strong>
+                {version.version === latestVersion && <span className="pill">Current</span>}
+                <span>{describeVersion(version)}</span>
+                <span>{version.title}</span>
+                <time dateTime={version.createdAt}>{formatTimestamp(version.createdAt)}</time>
+              </button>
+            </li>
+          ))}
+        </ol>
+
+        {selected && (
+          <section className="history-details" aria-label={`Version ${selected.version} details`}>
+            {diffLines.length > 0 && (
+              <>
+                <h4>Changes from version {diff.from}</h4>
+                <ul className="history-diff">
+                  {diffLines.map((line) => (
+                    <li key={line}>{line}</li>
+                  ))}
+                </ul>
+              </>
+            )}
+            <button
+              type="button"
+              className="btn primary"
+              onClick={handleRestore}
+              disabled={restoring || selected.version === latestVersion}
+            >
+              {restoring ? 'Restoring…' : `Restore version ${selected.version}`}
+            </button>
+          </section>
+        )}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,191 @@
+import { useEffect, useMemo, useState } from 'react';
+import { isConflictError } from '../services/api-client.js';
+
+const EMPTY_EVENT = { title: '', start: '', end: '', timezone: '', venue: '', address: '', notes: '' };
+
+function defaultTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (err) {
+    return 'UTC';
+  }
+}
+
+function listTimeZones() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+function toFormState(event) {
+  if (!event) return { ...EMPTY_EVENT, timezone: defaultTimeZone() };
+  return Object.fromEntries(Object.keys(EMPTY_EVENT).map((field) => [field, event[field] ?? '']));
+}
+
+function mapUrl(location) {
+  return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(location)}`;
+}
+
+function describeSaveError(err) {
+  if (isConflictError(err)) {
+    return ['This design was changed elsewhere. Reload it before editing the event.'];
+  }
+  const details = err?.payload?.error?.details;
+  if (Array.isArray(details) && details.length > 0) {
+    return details.map((detail) => detail.message);
+  }
+  return ['We could not save the event details. Please try again.'];
+}
+
+/**
+ * The Event group of the side panel: when and where the event happens.
+ * With a `designId` and `api` the details are loaded from and saved to the
+ * design, and guests can add them to their calendar from the share page.
+ */
+export default function EventDetailsForm({ designId, api, readOnly = false, editLockTitle }) {
+  const [form, setForm] = useState(() => toFormState(null));
+  const [saved, setSaved] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const timeZones = useMemo(listTimeZones, []);
+
+  const canSave = Boolean(designId && api) && !readOnly;
+  const location = [form.venue, form.address].map((value) => value.trim()).filter(Boolean).join(', ');
+
+  useEffect(() => {
+    if (!designId || !api) return undefined;
+    let cancelled = false;
+    api
+      .getDesign(designId)
+      .then((design) => {
+        if (cancelled) return;
+        setSaved(design?.event ?? null);
+        setForm(toFormState(design?.event ?? null));
+      })
+      .catch(() => {
+        if (!cancelled) setErrors(['We could not load the event details.']);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, designId]);
+
+  const update = (field) => (event) => {
+    const { value } = event.target;
+    setForm((current) => ({ ...current, [field]: value }));
+    setNotice(null);
+  };
+
+  const persist = async (event, message) => {
+    setBusy(true);
+    setErrors([]);
+    setNotice(null);
+    try {
+      const design = await api.saveDesign(designId, { event }, { partial: true });
+      setSaved(design?.event ?? null);
+      setForm(toFormState(design?.event ?? null));
+      setNotice(message);
+    } catch (err) {
+      setErrors(describeSaveError(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (submitEvent) => {
+    submitEvent.preventDefault();
+    persist({ ...form, end: form.end || null }, 'Event details saved.');
+  };
+
+  const fieldProps = (field) => ({
+    value: form[field],
+    onChange: update(field),
+    disabled: readOnly,
+    title: editLockTitle,
+  });
+
+  return (
+    <form className="event-details" onSubmit={handleSave} aria-label="Event details">
+      <div className="row">
+        <label htmlFor="eventTitle">Event Name</label>
+        <input id="eventTitle" type="text" maxLength={200} placeholder="Defaults to the design title" {...fieldProps('title')} />
+      </div>
+      <div className="row">
+        <label htmlFor="eventStart">Starts</label>
+        <input id="eventStart" type="datetime-local" required={canSave} {...fieldProps('start')} />
+      </div>
+      <div className="row">
+        <label htmlFor="eventEnd">Ends</label>
+        <input id="eventEnd" type="datetime-local" min={form.start || undefined} {...fieldProps('end')} />
+      </div>
+      <div className="row">
+        <label htmlFor="eventTimezone">Time Zone</label>
+        <input id="eventTimezone" type="text" list="eventTimezones" required={canSave} {...fieldProps('timezone')} />
+        <datalist id="eventTimezones">
+          {timeZones.map((zone) => (
+            <option key={zone} value={zone} />
+          ))}
+        </datalist>
+      </div>
+      <div className="row">
+        <label htmlFor="eventVenue">Venue</label>
+        <input id="eventVenue" type="text" maxLength={200} placeholder="e.g., Riverside Hall" {...fieldProps('venue')} />
+      </div>
+      <div className="row">
+        <label htmlFor="mapInput">Address</label>
+        <div>
+          <input id="mapInput" type="text" maxLength={500} placeholder="e.g., 123 Main St, Toronto" {...fieldProps('address')} />
+          <div>
+            <button
+              type="button"
+              id="mapOpenBtn"
+              className="btn"
+              onClick={() => window.open(mapUrl(location), '_blank', 'noopener')}
+              disabled={readOnly || !location}
+              title={editLockTitle}
+            >
+              Open
+            </button>
+            <button
+              type="button"
+              id="mapCopyBtn"
+              className="btn"
+              onClick={() => navigator.clipboard?.writeText(mapUrl(location))}
+              disabled={readOnly || !location}
+              title={editLockTitle}
+            >
+              Copy Link
+            </button>
+          </div>
+        </div>
+      </div>
+      <div className="row">
+        <label htmlFor="eventNotes">Notes</label>
+        <textarea id="eventNotes" rows={3} maxLength={2000} placeholder="Parking, dress code, gifts…" {...fieldProps('notes')} />
+      </div>
+      {canSave ? (
+        <div className="event-actions">
+          <button type="submit" className="btn primary" disabled={busy}>
+            {busy ? 'Saving…' : 'Save event'}
+          </button>
+          {saved && (
+            <button type="button" className="btn" onClick={() => persist(null, 'Event details removed.')} disabled={busy}>
+              Remove event
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="hint" style={{ margin: '8px 0 0', color: '#94a3b8', fontSize: 12 }}>
+          Open a design you own to save its event details.
+        </p>
+      )}
+      {notice && <p role="status">{notice}</p>}
+      {errors.length > 0 && (
+        <ul className="share-error" role="alert">
+          {errors.map((message, index) => (
+            <li key={`${index}-${message}`}>{message}</li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+}
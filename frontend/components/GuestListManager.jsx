@@ -0,0 +1,262 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const MAPPED_FIELDS = [
+  { field: 'name', label: 'Name column' },
+  { field: 'email', label: 'Email column' },
+  { field: 'phone', label: 'Phone column' },
+  { field: 'household', label: 'Household column' },
+];
+
+const RSVP_LABELS = { yes: 'Attending', no: 'Declined', maybe: 'Maybe' };
+const DELIVERY_LABELS = { queued: 'Sending…', sent: 'Invitation sent', failed: 'Send failed' };
+
+function inviteUrl(token) {
+  const origin = typeof window !== 'undefined' && window.location?.origin ? window.location.origin : '';
+  return `${origin}/share/${encodeURIComponent(token)}`;
+}
+
+// Column names for the mapping pickers; the server does the real parsing.
+function readHeaderRow(csv) {
+  const [firstLine = ''] = csv.replace(/^﻿/, '').split(/\r?\n/);
+  return firstLine
+    .split(',')
+    .map((header) => header.trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"'))
+    .filter(Boolean);
+}
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result ?? ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+function describeRequestError(err, fallback) {
+  const details = err?.payload?.error?.details;
+  if (Array.isArray(details) && details.length > 0) {
+    return details.map((detail) => (detail.row ? `Row ${detail.row}: ${detail.message}` : detail.message));
+  }
+  return [fallback];
+}
+
+function downloadCsv(csv, filename) {
+  if (typeof URL?.createObjectURL !== 'function') return;
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+  URL.revokeObjectURL(url);
+}
+
+// Deliveries arrive newest first; keep each guest's latest.
+function latestDeliveryByGuest(deliveries = []) {
+  const latest = {};
+  for (const delivery of deliveries) {
+    if (delivery.guestId && !latest[delivery.guestId]) latest[delivery.guestId] = delivery;
+  }
+  return latest;
+}
+
+/**
+ * The host's guest list for a design: CSV import with column mapping,
+ * export, a personal invitation link per guest and emailed invitations.
+ */
+export default function GuestListManager({ designId, api }) {
+  const [guests, setGuests] = useState([]);
+  const [csv, setCsv] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState('');
+  const [deliveries, setDeliveries] = useState({});
+
+  const refresh = useCallback(async () => {
+    try {
+      const [guestList, deliveryList] = await Promise.all([api.listGuests(designId), api.listDeliveries(designId)]);
+      setGuests(guestList?.guests ?? []);
+      setDeliveries(latestDeliveryByGuest(deliveryList?.deliveries));
+    } catch (err) {
+      setErrors(['We could not load the guest list.']);
+    }
+  }, [api, designId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    setErrors([]);
+    setNotice(null);
+    if (!file) return;
+    let text;
+    try {
+      text = await readFileText(file);
+    } catch (err) {
+      setErrors(['We could not read this file.']);
+      return;
+    }
+    setCsv(text);
+    setHeaders(readHeaderRow(text));
+    setMapping({});
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setErrors([]);
+    setNotice(null);
+    try {
+      const chosen = Object.fromEntries(Object.entries(mapping).filter(([, header]) => header));
+      const result = await api.importGuests(designId, csv, Object.keys(chosen).length ? chosen : undefined);
+      setNotice(`Imported ${result?.imported ?? 0} guests.`);
+      setCsv('');
+      setHeaders([]);
+      await refresh();
+    } catch (err) {
+      setErrors(describeRequestError(err, 'We could not import this file. Please try again.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      downloadCsv(await api.exportGuests(designId), `guests-${designId}.csv`);
+    } catch (err) {
+      setErrors(['We could not export the guest list.']);
+    }
+  };
+
+  const toggleSelected = (guestId) => {
+    setSelected((current) =>
+      current.includes(guestId) ? current.filter((id) => id !== guestId) : [...current, guestId],
+    );
+  };
+
+  const handleSend = async () => {
+    setBusy(true);
+    setErrors([]);
+    setNotice(null);
+    try {
+      const result = await api.sendInvitations(designId, selected, { message: message.trim() });
+      const queued = result?.deliveries?.length ?? 0;
+      setNotice(`Sending ${queued} ${queued === 1 ? 'invitation' : 'invitations'}.`);
+      setSelected([]);
+      await refresh();
+    } catch (err) {
+      setErrors(describeRequestError(err, 'We could not send these invitations. Please try again.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (guest) => {
+    try {
+      await api.deleteGuest(designId, guest.id);
+      setGuests((current) => current.filter((entry) => entry.id !== guest.id));
+    } catch (err) {
+      setErrors([`We could not remove ${guest.name}.`]);
+    }
+  };
+
+  return (
+    <section className="guest-list" aria-label="Guest list">
+      <h3>Guest list</h3>
+      <div className="guest-import">
+        <label>
+          Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} />
+        </label>
+        {headers.length > 0 &&
+          MAPPED_FIELDS.map(({ field, label }) => (
+            <label key={field}>
+              {label}
+              <select
+                value={mapping[field] ?? ''}
+                onChange={(event) => setMapping((current) => ({ ...current, [field]: event.target.value }))}
+              >
+                <option value="">Detect automatically</option>
+                {headers.map((header) => (
+                  <option key={header} value={header}>
+                    {header}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        <div className="guest-actions">
+          <button type="button" className="btn primary" onClick={handleImport} disabled={!csv || busy}>
+            {busy ? 'Importing…' : 'Import guests'}
+          </button>
+          <button type="button" className="btn" onClick={handleExport} disabled={!guests.length}>
+            Export CSV
+          </button>
+        </div>
+      </div>
+      {notice && <p role="status">{notice}</p>}
+      {errors.length > 0 && (
+        <ul className="share-error" role="alert">
+          {errors.map((message, index) => (
+            <li key={`${index}-${message}`}>{message}</li>
+          ))}
+        </ul>
+      )}
+      {guests.length > 0 && (
+        <div className="guest-send">
+          <label>
+            Message for your guests
+            <textarea value={message} onChange={(event) => setMessage(event.target.value)} maxLength={1000} rows={2} />
+          </label>
+          <button type="button" className="btn primary" onClick={handleSend} disabled={!selected.length || busy}>
+            {`Email invitations (${selected.length})`}
+          </button>
+        </div>
+      )}
+      {guests.length > 0 && (
+        <ul className="guest-entries">
+          {guests.map((guest) => (
+            <li key={guest.id}>
+              <input
+                type="checkbox"
+                checked={selected.includes(guest.id)}
+                onChange={() => toggleSelected(guest.id)}
+                disabled={!guest.email}
+                aria-label={`Select ${guest.name}`}
+              />
+              <span className="guest-name">{guest.name}</span>
+              {guest.household && <span className="guest-household">{guest.household}</span>}
+              {deliveries[guest.id] && (
+                <span className="guest-delivery" title={deliveries[guest.id].error ?? undefined}>
+                  {DELIVERY_LABELS[deliveries[guest.id].status]}
+                </span>
+              )}
+              <span className="guest-rsvp">{guest.rsvp ? RSVP_LABELS[guest.rsvp.attending] : 'No reply'}</span>
+              <button
+                type="button"
+                className="btn"
+                onClick={() => navigator.clipboard?.writeText(inviteUrl(guest.token))}
+                aria-label={`Copy invitation link for ${guest.name}`}
+              >
+                Copy link
+              </button>
+              <button
+                type="button"
+                className="btn"
+                onClick={() => handleRemove(guest)}
+                aria-label={`Remove ${guest.name}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react';
+import Image from 'next/image';
+
+const DEFAULT_WORK_SIZE = { w: 800, h: 450 };
+const DEFAULT_DURATION_MS = 3000;
+
+// Layer positions and font sizes are stored in work-area pixels; they are
+// scaled with the stage so the invitation looks the same at any width.
+function layerStyle(layer, workSize) {
+  const scale = (value) => `${(Number(value) / workSize.w) * 100}cqw`;
+  return {
+    position: 'absolute',
+    left: `${(Number(layer.left) / workSize.w) * 100}%`,
+    top: `${(Number(layer.top) / workSize.h) * 100}%`,
+    fontSize: scale(layer.fontSize ?? 24),
+    fontFamily: layer.fontFamily,
+    color: layer.color,
+    whiteSpace: 'pre-wrap',
+  };
+}
+
+/**
+ * Read-only slideshow for an invitation's slides, as shown to guests.
+ */
+export default function InvitationPlayer({ slides = [], autoPlay = true }) {
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(autoPlay);
+
+  const count = slides.length;
+  const slide = slides[Math.min(index, count - 1)];
+
+  useEffect(() => {
+    if (!playing || count < 2) return undefined;
+    const timer = setTimeout(() => {
+      setIndex((current) => (current + 1) % count);
+    }, Number(slide?.durationMs) || DEFAULT_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [playing, count, index, slide]);
+
+  if (!slide) {
+    return <p className="invitation-empty">This invitation has no slides yet.</p>;
+  }
+
+  const workSize = slide.workSize?.w && slide.workSize?.h ? slide.workSize : DEFAULT_WORK_SIZE;
+  const goTo = (next) => setIndex((next + count) % count);
+
+  return (
+    <div className="invitation-player">
+      <div
+        className="invitation-stage"
+        style={{ aspectRatio: `${workSize.w} / ${workSize.h}` }}
+        aria-label={`Slide ${index + 1} of ${count}`}
+        role="img"
+      >
+        {slide.image?.src && <Image src={slide.image.src} alt="" fill sizes="100vw" className="invitation-image" />}
+        {(slide.layers ?? []).map((layer, layerIndex) => (
+          <div key={layerIndex} className="invitation-text" style={layerStyle(layer, workSize)}>
+            {layer.text}
+          </div>
+        ))}
+      </div>
+      {count > 1 && (
+        <div className="playback-controls">
+          <button type="button" className="btn" onClick={() => goTo(index - 1)}>Prev</button>
+          <button type="button" className="btn" aria-pressed={playing} onClick={() => setPlaying(!playing)}>
+            {playing ? 'Pause' : 'Play'}
+          </button>
+          <button type="button" className="btn" onClick={() => goTo(index + 1)}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,10 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import AdminMarketplaceAnalytics from './admin/AdminMarketplaceAnalytics.jsx';
 import AdminMarketplaceCardExtras from './admin/AdminMarketplaceCardExtras.jsx';
+import AdminUserManager from './admin/AdminUserManager.jsx';
 import BulkDesignManager from './admin/BulkDesignManager.jsx';
 import FeatureErrorBoundary from './FeatureErrorBoundary.jsx';
+import MarketplaceFilterChips, { EMPTY_FACET_FILTERS } from './MarketplaceFilterChips.jsx';
 import useAuth from '../hooks/useAuth.js';
 
 const BASE_CATEGORY_OPTIONS = [
@@ -11,10 +13,21 @@ const BASE_CATEGORY_OPTIONS = [
   { id: 'recent', label: 'Recently Added' },
   { id: 'favorites', label: 'Favorites' },
   { id: 'recently-viewed', label: 'Recently Viewed' },
-  { id: 'Birthday', label: 'Birthday' },
-  { id: 'Wedding', label: 'Wedding' },
 ];
 
+// Categories come from /api/categories in display order, with subcategories
+// directly after their parent.
+function toCategoryOptions(categories) {
+  if (!Array.isArray(categories)) return [];
+  const names = new Map(categories.map((category) => [category.id, category.name]));
+  return categories.map((category) => ({
+    id: category.id,
+    label: category.parentId && names.has(category.parentId)
+      ? `${names.get(category.parentId)} › ${category.name}`
+      : category.name,
+  }));
+}
+
 function toOwnershipSegment(value) {
   if (value === undefined || value === null) return '';
   const normalized = String(value).trim().toLowerCase();
@@ -43,8 +56,14 @@ function normalizeRole(role) {
   return MARKETPLACE_ROLE_ALIASES.get(normalized) || normalized;
 }
 
-function createCacheKey(role, category, search) {
-  return [role || 'consumer', category || '', search || ''].join('::');
+function createCacheKey(role, category, search, facetFilters = EMPTY_FACET_FILTERS) {
+  const facetKey = [
+    [...facetFilters.tags].sort().join(','),
+    [...facetFilters.badges].sort().join(','),
+    [...facetFilters.priceRanges].sort().join(','),
+    facetFilters.premium === undefined ? '' : String(facetFilters.premium),
+  ].join('|');
+  return [role || 'consumer', category || '', search || '', facetKey].join('::');
 }
 
 function toDesignerName(listing) {
@@ -102,6 +121,10 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
   const [loadingByKey, setLoadingByKey] = useState({});
   const [errorsByKey, setErrorsByKey] = useState({});
   const [showBulkManager, setShowBulkManager] = useState(false);
+  const [showUserManager, setShowUserManager] = useState(false);
+  const [marketplaceCategories, setMarketplaceCategories] = useState([]);
+  const [facetFilters, setFacetFilters] = useState(EMPTY_FACET_FILTERS);
+  const [displayedFacets, setDisplayedFacets] = useState(null);
   const tabRefs = useRef([]);
   const isMountedRef = useRef(true);
   const abortControllersRef = useRef(new Map());
@@ -127,12 +150,29 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
   const isAuthenticated = Boolean(auth?.isAuthenticated);
   const normalizedRole = normalizeRole(user?.role);
   const isAdmin = normalizedRole === 'admin';
+
+  useEffect(() => {
+    if (!isOpen || typeof api?.getCategories !== 'function') return undefined;
+    let cancelled = false;
+    api
+      .getCategories()
+      .then((categories) => {
+        if (!cancelled) setMarketplaceCategories(toCategoryOptions(categories));
+      })
+      .catch(() => {
+        // Without categories the built-in views still work.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, isOpen]);
+
   const adminOwnershipCategoryId = useMemo(
     () => getAdminOwnershipCategoryId(user || {}),
     [user]
   );
   const categoryOptions = useMemo(() => {
-    const options = [...BASE_CATEGORY_OPTIONS];
+    const options = [...BASE_CATEGORY_OPTIONS, ...marketplaceCategories];
 
     if (isAdmin) {
       // Add admin-specific categories
@@ -145,14 +185,14 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
     }
 
     return options;
-  }, [adminOwnershipCategoryId, isAdmin]);
+  }, [adminOwnershipCategoryId, isAdmin, marketplaceCategories]);
   const trimmedSearch = searchTerm.trim();
   const searchKey = trimmedSearch.toLowerCase();
   const rawCategory = typeof activeCategory === 'string' ? activeCategory.trim() : '';
   const categoryKey = rawCategory.toLowerCase();
   const isOwnershipCategoryActive = isAdmin && rawCategory === adminOwnershipCategoryId;
   const isAdminCategoryActive = isAdmin && ['all-admin', 'pending-review', 'draft'].includes(rawCategory);
-  const cacheKey = createCacheKey(normalizedRole, categoryKey, searchKey);
+  const cacheKey = createCacheKey(normalizedRole, categoryKey, searchKey, facetFilters);
 
   useEffect(() => {
     if (categoryOptions.length === 0) {
@@ -166,7 +206,17 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
 
   const currentResult = listingsByKey[cacheKey];
   const isRequestPending = Boolean(loadingByKey[cacheKey]);
-  const listings = Array.isArray(currentResult?.data) ? currentResult.data : [];
+  const listings = useMemo(
+    () => (Array.isArray(currentResult?.data) ? currentResult.data : []),
+    [currentResult]
+  );
+
+  // Keep showing the last facet counts while the next selection loads.
+  useEffect(() => {
+    if (currentResult?.facets) {
+      setDisplayedFacets(currentResult.facets);
+    }
+  }, [currentResult]);
   const isLoading = isRequestPending;
   const currentError = errorsByKey[cacheKey] ?? null;
   const displayRole = isAuthenticated
@@ -257,6 +307,12 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
           search: requestSearch,
         };
 
+        // Add facet filters
+        if (facetFilters.tags.length > 0) requestPayload.tags = facetFilters.tags;
+        if (facetFilters.badges.length > 0) requestPayload.badges = facetFilters.badges;
+        if (facetFilters.priceRanges.length > 0) requestPayload.priceRanges = facetFilters.priceRanges;
+        if (facetFilters.premium !== undefined) requestPayload.premium = facetFilters.premium;
+
         // Add ownership filter
         if (isOwnershipCategoryActive) {
           if (requestOwnerId) {
@@ -283,6 +339,7 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
         const normalizedResponse = {
           role: typeof response?.role === 'string' ? response.role : normalizedRole,
           data: Array.isArray(response?.data) ? response.data : [],
+          facets: response?.facets && typeof response.facets === 'object' ? response.facets : null,
         };
 
         setListingsByKey((prev) => ({
@@ -332,6 +389,7 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
     cacheKey,
     categoryKey,
     currentResult,
+    facetFilters,
     isAuthenticated,
     isOpen,
     isOwnershipCategoryActive,
@@ -343,6 +401,19 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
     rawCategory,
   ]);
 
+  // Every listing shown counts as an impression, the first funnel stage. The
+  // server counts repeats within a session once; admin browsing is left out.
+  useEffect(() => {
+    if (!isOpen || isAdmin || typeof api?.trackEvent !== 'function') {
+      return;
+    }
+    listings.forEach((listing) => {
+      if (listing?.id !== undefined && listing?.id !== null) {
+        api.trackEvent('listing_impression', String(listing.id));
+      }
+    });
+  }, [api, isAdmin, isOpen, listings]);
+
   useEffect(() => {
     if (isAuthenticated) {
       return;
@@ -522,6 +593,16 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
             ⚙️ Bulk Manage
           </button>
         )}
+        {isAdmin && (
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setShowUserManager(true)}
+            style={{ marginLeft: '12px' }}
+          >
+            👥 Manage Users
+          </button>
+        )}
       </div>
       <div className="marketplace-layout">
         <aside className="category-sidebar">
@@ -564,11 +645,13 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
           <div className="marketplace-role-summary" aria-live="polite">
             Viewing as <strong>{displayRole}</strong>
           </div>
+          <MarketplaceFilterChips facets={displayedFacets} filters={facetFilters} onChange={setFacetFilters} />
           {isAdmin && (
             <AdminMarketplaceAnalytics
               listings={listings}
               isLoading={isLoading}
               errorMessage={adminErrorMessage}
+              api={api}
             />
           )}
           {isLoading && (
@@ -717,6 +800,15 @@ export default function Marketplace({ isOpen, onSkipToEditor }) {
         onBulkAction={handleBulkAction}
         userRole={normalizedRole}
       />
+
+      {isAdmin && (
+        <AdminUserManager
+          isOpen={showUserManager}
+          onClose={() => setShowUserManager(false)}
+          api={api}
+          currentUserId={userId}
+        />
+      )}
       </div>
     </FeatureErrorBoundary>
   );
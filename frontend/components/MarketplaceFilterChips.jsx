@@ -0,0 +1,92 @@
+const PRICE_LABELS = {
+  free: 'Free',
+  'under-10': 'Under $10',
+  '10-25': '$10–$25',
+  '25-plus': '$25+',
+};
+
+const PREMIUM_LABELS = {
+  true: 'Premium',
+  false: 'Standard',
+};
+
+// Facet groups shown as chips, keyed by the facet name the server returns and
+// the filter field the chips toggle.
+const FACET_GROUPS = [
+  { facet: 'tag', filter: 'tags', label: 'Tags' },
+  { facet: 'badge', filter: 'badges', label: 'Badges' },
+  { facet: 'price', filter: 'priceRanges', label: 'Price', labels: PRICE_LABELS },
+  { facet: 'premium', filter: 'premium', label: 'Type', labels: PREMIUM_LABELS },
+];
+
+export const EMPTY_FACET_FILTERS = { tags: [], badges: [], priceRanges: [], premium: undefined };
+
+export function hasFacetFilters(filters) {
+  return Boolean(
+    filters &&
+      (filters.tags.length > 0 ||
+        filters.badges.length > 0 ||
+        filters.priceRanges.length > 0 ||
+        filters.premium !== undefined)
+  );
+}
+
+/**
+ * Returns `filters` with one facet value switched on or off. Tags, badges and
+ * price ranges allow several values; premium holds at most one.
+ */
+export function toggleFacetFilter(filters, filter, value) {
+  if (filter === 'premium') {
+    const premium = value === 'true';
+    return { ...filters, premium: filters.premium === premium ? undefined : premium };
+  }
+  const current = filters[filter] || [];
+  return {
+    ...filters,
+    [filter]: current.includes(value) ? current.filter((entry) => entry !== value) : [...current, value],
+  };
+}
+
+/**
+ * Marketplace facet filters rendered as toggle chips with result counts. A
+ * chip whose value would return nothing is disabled unless it is selected.
+ */
+export default function MarketplaceFilterChips({ facets, filters = EMPTY_FACET_FILTERS, onChange }) {
+  if (!facets || typeof facets !== 'object') return null;
+
+  const groups = FACET_GROUPS.map((group) => ({
+    ...group,
+    entries: Array.isArray(facets[group.facet]) ? facets[group.facet] : [],
+  })).filter((group) => group.entries.length > 0);
+  if (groups.length === 0) return null;
+
+  return (
+    <div className="marketplace-filter-chips" aria-label="Filters" role="group">
+      {groups.map((group) => (
+        <div key={group.facet} className="marketplace-filter-group" role="group" aria-label={group.label}>
+          <span className="marketplace-filter-label">{group.label}</span>
+          {group.entries.map((entry) => {
+            const label = group.labels?.[entry.value] ?? entry.value;
+            return (
+              <button
+                key={entry.value}
+                type="button"
+                className={`marketplace-filter-chip${entry.selected ? ' selected' : ''}`}
+                aria-pressed={Boolean(entry.selected)}
+                disabled={!entry.selected && entry.count === 0}
+                onClick={() => onChange(toggleFacetFilter(filters, group.filter, entry.value))}
+              >
+                {label} <span className="marketplace-filter-count">({entry.count})</span>
+              </button>
+            );
+          })}
+        </div>
+      ))}
+      {hasFacetFilters(filters) && (
+        <button type="button" className="marketplace-filter-clear" onClick={() => onChange(EMPTY_FACET_FILTERS)}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useEffect, useMemo } from 'react';
 import AdminPreviewActions from './admin/AdminPreviewActions.jsx';
 import { useAppState } from '../context/AppStateContext.jsx';
+import useAnalytics from '../hooks/useAnalytics.js';
 import useDesignOwnership from '../hooks/useDesignOwnership.js';
 import useModalFocusTrap from '../hooks/useModalFocusTrap.js';
 
@@ -11,9 +12,10 @@ function normalizeRole(value) {
   return value.trim().toLowerCase();
 }
 
-export default function PreviewModal({ isOpen, designId, onClose, onUseDesign }) {
+export default function PreviewModal({ isOpen, designId, onClose, onUseDesign, children }) {
   const modalRef = useModalFocusTrap(isOpen, onClose);
   const { userRole } = useAppState();
+  const { trackEvent } = useAnalytics();
   const {
     currentDesignId,
     setCurrentDesignId,
@@ -42,6 +44,12 @@ export default function PreviewModal({ isOpen, designId, onClose, onUseDesign })
     }
   }, [ensureOwnership, isOpen, resolvedDesignId, setCurrentDesignId]);
 
+  useEffect(() => {
+    if (isOpen && resolvedDesignId) {
+      trackEvent('preview_opened', resolvedDesignId);
+    }
+  }, [isOpen, resolvedDesignId, trackEvent]);
+
   if (!isOpen) return null;
 
   const owned = resolvedDesignId ? isDesignOwned(resolvedDesignId) : false;
@@ -85,6 +93,7 @@ export default function PreviewModal({ isOpen, designId, onClose, onUseDesign })
         {isAdmin && (
           <AdminPreviewActions designId={resolvedDesignId} isOwned={owned} />
         )}
+        {children}
       </div>
     </div>
   );
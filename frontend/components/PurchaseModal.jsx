@@ -1,18 +1,21 @@
 import { useEffect, useMemo, useState } from 'react';
+import useAnalytics from '../hooks/useAnalytics.js';
 import useDesignOwnership from '../hooks/useDesignOwnership.js';
 import useModalFocusTrap from '../hooks/useModalFocusTrap.js';
 
 export default function PurchaseModal({ isOpen, designId, onConfirm, onCancel }) {
   const modalRef = useModalFocusTrap(isOpen, onCancel);
+  const { trackEvent } = useAnalytics();
   const {
     currentDesignId,
     setCurrentDesignId,
     isDesignOwned,
-    markDesignOwned,
+    purchaseDesign,
     loading,
     error,
   } = useDesignOwnership();
   const [confirming, setConfirming] = useState(false);
+  const [purchaseError, setPurchaseError] = useState(null);
 
   const resolvedDesignId = useMemo(() => {
     const rawId = designId !== undefined ? designId : currentDesignId;
@@ -25,31 +28,48 @@ export default function PurchaseModal({ isOpen, designId, onConfirm, onCancel })
   useEffect(() => {
     if (!isOpen) {
       setConfirming(false);
+      setPurchaseError(null);
     }
   }, [isOpen]);
 
+  // Opening the modal for a design the user does not own starts a purchase;
+  // the server records its completion.
+  const owned = resolvedDesignId ? isDesignOwned(resolvedDesignId) : false;
+  useEffect(() => {
+    if (isOpen && resolvedDesignId && !owned) {
+      trackEvent('purchase_started', resolvedDesignId);
+    }
+  }, [isOpen, owned, resolvedDesignId, trackEvent]);
+
   if (!isOpen) return null;
 
-  const owned = resolvedDesignId ? isDesignOwned(resolvedDesignId) : false;
   const baseMessage = owned
     ? 'You already own this design. Start editing when you are ready.'
     : 'You need tokens to edit this design.';
-  const statusMessage = error && !owned
-    ? 'We were unable to verify your ownership status. Please try again later.'
-    : baseMessage;
+  let statusMessage = baseMessage;
+  if (purchaseError) {
+    statusMessage = purchaseError.status === 402
+      ? 'You do not have enough tokens for this design.'
+      : 'We could not complete your purchase. Please try again.';
+  } else if (error && !owned) {
+    statusMessage = 'We were unable to verify your ownership status. Please try again later.';
+  }
   const confirmLabel = owned ? 'Start Editing' : 'Confirm Purchase';
 
   const handleConfirm = async () => {
     if (confirming) return;
     setConfirming(true);
+    setPurchaseError(null);
 
     try {
       let nextOwned = owned;
       if (!nextOwned && resolvedDesignId) {
-        markDesignOwned(resolvedDesignId, { owned: true, purchasedAt: new Date().toISOString() });
+        await purchaseDesign(resolvedDesignId);
         nextOwned = true;
       }
       onConfirm?.({ designId: resolvedDesignId, owned: nextOwned });
+    } catch (err) {
+      setPurchaseError(err);
     } finally {
       setConfirming(false);
     }
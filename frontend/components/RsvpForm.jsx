@@ -0,0 +1,117 @@
+import { useState } from 'react';
+
+const RESPONSES = [
+  { value: 'yes', label: 'Attending' },
+  { value: 'maybe', label: 'Maybe' },
+  { value: 'no', label: 'Can’t make it' },
+];
+
+function describeError(err) {
+  if (err?.status === 409) {
+    return 'You have already responded to this invitation. Contact the host to change your answer.';
+  }
+  const details = err?.payload?.error?.details;
+  if (Array.isArray(details) && details.length > 0) {
+    return details.map((detail) => detail.message).join('. ');
+  }
+  return 'We could not send your RSVP. Please try again.';
+}
+
+// Guest RSVP form on the shared invitation page. Personal guest links pass
+// the invited `guest` to pre-fill their details and any `rsvp` they already
+// sent, which is shown instead of the form.
+export default function RsvpForm({ token, api, guest = null, rsvp = null }) {
+  const [form, setForm] = useState({
+    name: guest?.name ?? '',
+    email: guest?.email ?? '',
+    attending: 'yes',
+    partySize: 1,
+    message: '',
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [submitted, setSubmitted] = useState(rsvp);
+
+  const update = (field) => (event) => setForm((current) => ({ ...current, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const payload = {
+        name: form.name,
+        email: form.email,
+        attending: form.attending,
+        message: form.message,
+      };
+      if (form.attending !== 'no') {
+        payload.partySize = Number(form.partySize);
+      }
+      const response = await api.submitRsvp(token, payload);
+      setSubmitted(response?.rsvp ?? payload);
+    } catch (err) {
+      setError(describeError(err));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (submitted) {
+    return (
+      <p className="rsvp-confirmation" role="status">
+        {submitted.attending === 'no'
+          ? 'Thanks for letting the host know.'
+          : 'Thanks! Your RSVP has been sent to the host.'}
+      </p>
+    );
+  }
+
+  return (
+    <form className="rsvp-form" onSubmit={handleSubmit} aria-label="RSVP">
+      {guest?.name && <p className="rsvp-greeting">Hi {guest.name}, you’re invited!</p>}
+      <fieldset className="rsvp-responses">
+        <legend>Will you attend?</legend>
+        {RESPONSES.map((response) => (
+          <label key={response.value}>
+            <input
+              type="radio"
+              name="attending"
+              value={response.value}
+              checked={form.attending === response.value}
+              onChange={update('attending')}
+            />
+            {response.label}
+          </label>
+        ))}
+      </fieldset>
+      <label>
+        Name
+        <input type="text" value={form.name} onChange={update('name')} required maxLength={120} />
+      </label>
+      <label>
+        Email
+        <input type="email" value={form.email} onChange={update('email')} required />
+      </label>
+      {form.attending !== 'no' && (
+        <label>
+          Party size
+          <input type="number" min={1} max={20} value={form.partySize} onChange={update('partySize')} />
+        </label>
+      )}
+      <label>
+        Message for the host
+        <textarea value={form.message} onChange={update('message')} maxLength={1000} rows={3} />
+      </label>
+      {error && (
+        <p className="share-error" role="alert">
+          {error}
+        </p>
+      )}
+      <button type="submit" className="btn primary" disabled={submitting}>
+        {submitting ? 'Sending…' : 'Send RSVP'}
+      </button>
+    </form>
+  );
+}
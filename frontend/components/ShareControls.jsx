@@ -1,13 +1,81 @@
 import { useState } from 'react';
 
-export default function ShareControls() {
+function buildShareUrl(token) {
+  const origin = typeof window !== 'undefined' && window.location?.origin ? window.location.origin : '';
+  return `${origin}/share/${encodeURIComponent(token)}`;
+}
+
+// With a `designId` and `api` the owner can mint a signed guest link and
+// revoke it again; without them this is a plain copyable text field.
+export default function ShareControls({ designId, api }) {
   const [link, setLink] = useState('');
+  const [shareLink, setShareLink] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canManage = Boolean(api && designId);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const created = await api.createShareLink(designId);
+      api.trackEvent?.('first_share', designId);
+      setShareLink(created);
+      setLink(buildShareUrl(created.token));
+    } catch (err) {
+      setError('We could not create a share link. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!shareLink) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await api.revokeShareLink(designId, shareLink.id);
+      setShareLink(null);
+      setLink('');
+    } catch (err) {
+      setError('We could not revoke this link. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
 
   return (
-    <div className="share-controls" style={{ display: 'flex', gap: 8 }}>
-      <input value={link} onChange={(e) => setLink(e.target.value)} placeholder="Share link" style={{ flex: 1 }} />
-      <button className="btn" onClick={() => navigator.clipboard?.writeText(link)}>Copy</button>
+    <div className="share-controls">
+      <div style={{ display: 'flex', gap: 8 }}>
+        <input
+          value={link}
+          onChange={(e) => setLink(e.target.value)}
+          placeholder="Share link"
+          aria-label="Share link"
+          readOnly={Boolean(shareLink)}
+          style={{ flex: 1 }}
+        />
+        <button className="btn" onClick={() => navigator.clipboard?.writeText(link)} disabled={!link}>Copy</button>
+      </div>
+      {canManage && (
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          {shareLink ? (
+            <button type="button" className="btn" onClick={handleRevoke} disabled={busy}>
+              Revoke link
+            </button>
+          ) : (
+            <button type="button" className="btn primary" onClick={handleCreate} disabled={busy}>
+              {busy ? 'Creating…' : 'Create guest link'}
+            </button>
+          )}
+        </div>
+      )}
+      {error && (
+        <p className="share-error" role="alert">
+          {error}
+        </p>
+      )}
     </div>
   );
 }
-
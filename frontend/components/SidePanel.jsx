@@ -1,6 +1,7 @@
 import { useMemo, useState } from 'react';
 import { useAppState } from '../context/AppStateContext.jsx';
 import { resolveCapabilities, resolveRole } from '../utils/roleCapabilities.js';
+import EventDetailsForm from './EventDetailsForm.jsx';
 
 function PanelGroup({ name, label, collapsed, onToggle, children, sectionProps = {} }) {
   const isCollapsed = !!collapsed;
@@ -54,7 +55,7 @@ function PanelGroup({ name, label, collapsed, onToggle, children, sectionProps =
   );
 }
 
-export default function SidePanel({ roleCapabilities }) {
+export default function SidePanel({ roleCapabilities, designId = null, api = null }) {
   const { userRole } = useAppState();
   const { role: resolvedRole, canEdit } = useMemo(() => {
     const fallbackRole = resolveRole(userRole);
@@ -468,39 +469,7 @@ export default function SidePanel({ roleCapabilities }) {
           onToggle={toggleGroup}
           sectionProps={{ id: 'mapGroup' }}
         >
-          <div className="row">
-            <label htmlFor="mapInput">Venue / Map</label>
-            <div>
-              <input
-                id="mapInput"
-                type="text"
-                placeholder="e.g., 123 Main St, Toronto"
-                disabled={readOnly}
-                title={editLockTitle}
-              />
-              <div>
-                <button
-                  id="mapOpenBtn"
-                  className="btn"
-                  disabled={readOnly}
-                  title={editLockTitle}
-                >
-                  Open
-                </button>
-                <button
-                  id="mapCopyBtn"
-                  className="btn"
-                  disabled={readOnly}
-                  title={editLockTitle}
-                >
-                  Copy Link
-                </button>
-              </div>
-            </div>
-          </div>
-          <p className="hint" style={{ margin: '8px 0 0', color: '#94a3b8', fontSize: 12 }}>
-            Set the place guests should see when they tap &quot;View Map&quot;.
-          </p>
+          <EventDetailsForm designId={designId} api={api} readOnly={readOnly} editLockTitle={editLockTitle} />
         </PanelGroup>
       </div>
     </aside>
@@ -9,6 +9,7 @@ export default function Topbar({
   onShareClick,
   onTogglePanel,
   onSaveToMarketplace,
+  onHistoryClick,
   panelOpen,
   currentRole,
   roleCapabilities,
@@ -147,6 +148,18 @@ export default function Topbar({
       >
         Panel
       </button>
+      {onHistoryClick && (
+        <button
+          id="historyBtn"
+          type="button"
+          className="iconbtn edit-only mb-hide-when-collapsed"
+          onClick={onHistoryClick}
+          disabled={readOnly}
+          title={editLockTitle ?? 'Version history'}
+        >
+          History
+        </button>
+      )}
 
       {readOnly && (
         <span
@@ -0,0 +1,60 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AdminMarketplaceAnalytics from '../admin/AdminMarketplaceAnalytics.jsx';
+
+const FUNNEL = {
+  from: '2024-06-01',
+  to: '2024-06-30',
+  conversionRate: 0.25,
+  stages: [
+    { stage: 'listing_impression', count: 8, rate: null, dropOff: null },
+    { stage: 'preview_opened', count: 4, rate: 0.5, dropOff: 4 },
+    { stage: 'purchase_started', count: 2, rate: 0.5, dropOff: 2 },
+    { stage: 'purchase_completed', count: 2, rate: 1, dropOff: 0 },
+    { stage: 'first_edit', count: 1, rate: 0.5, dropOff: 1 },
+    { stage: 'first_share', count: 0, rate: 0, dropOff: 1 },
+  ],
+};
+
+const LISTINGS = [{ id: '3', title: 'Gala', category: 'corporate', conversionRate: 0.5 }];
+
+describe('AdminMarketplaceAnalytics', () => {
+  it('shows the conversion funnel and narrows it by design, category and dates', async () => {
+    const user = userEvent.setup();
+    const api = { getMarketplaceFunnel: jest.fn().mockResolvedValue(FUNNEL) };
+    render(<AdminMarketplaceAnalytics listings={LISTINGS} api={api} />);
+
+    const previews = await screen.findByRole('row', { name: /Previews opened/ });
+    expect(within(previews).getAllByRole('cell').map((cell) => cell.textContent)).toEqual(['4', '50%', '4']);
+    expect(screen.getByRole('row', { name: /Listing impressions/ })).toHaveTextContent('8——');
+    expect(screen.getByText('2024-06-01 to 2024-06-30: 25% of impressions led to a purchase.')).toBeInTheDocument();
+    expect(api.getMarketplaceFunnel).toHaveBeenLastCalledWith({ from: undefined, to: undefined });
+
+    await user.selectOptions(screen.getByLabelText('Scope'), 'Design: Gala');
+    await waitFor(() =>
+      expect(api.getMarketplaceFunnel).toHaveBeenLastCalledWith({ from: undefined, to: undefined, designId: '3' }),
+    );
+    await user.selectOptions(screen.getByLabelText('Scope'), 'Category: corporate');
+    await waitFor(() =>
+      expect(api.getMarketplaceFunnel).toHaveBeenLastCalledWith({ from: undefined, to: undefined, category: 'corporate' }),
+    );
+
+    await user.type(screen.getByLabelText('From'), '2024-06-01');
+    await waitFor(() =>
+      expect(api.getMarketplaceFunnel).toHaveBeenLastCalledWith({ from: '2024-06-01', to: undefined, category: 'corporate' }),
+    );
+  });
+
+  it('reports funnel validation errors and hides the funnel without an API', async () => {
+    const error = Object.assign(new Error('Validation failed'), {
+      payload: { error: { details: [{ field: 'from', message: 'from must not be after to' }] } },
+    });
+    const api = { getMarketplaceFunnel: jest.fn().mockRejectedValue(error) };
+    const { rerender } = render(<AdminMarketplaceAnalytics listings={LISTINGS} api={api} />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('from must not be after to');
+
+    rerender(<AdminMarketplaceAnalytics listings={LISTINGS} />);
+    expect(screen.queryByText('Conversion Funnel')).not.toBeInTheDocument();
+  });
+});
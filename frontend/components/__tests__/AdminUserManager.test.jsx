@@ -0,0 +1,66 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AdminUserManager from '../admin/AdminUserManager.jsx';
+
+const USERS = [
+  { id: 'usr_root', email: 'root@example.com', role: 'admin', status: 'active' },
+  { id: 'usr_ada', email: 'ada@example.com', role: 'user', status: 'active' },
+];
+
+function createApi(overrides = {}) {
+  return {
+    listAdminUsers: jest.fn().mockResolvedValue({ data: USERS, pagination: { page: 1, pageSize: 20, total: 2 } }),
+    updateAdminUserRole: jest.fn(async (id, role) => ({ ...USERS[1], role })),
+    setAdminUserSuspended: jest.fn(async (id, suspended) => ({ ...USERS[1], status: suspended ? 'suspended' : 'active' })),
+    ...overrides,
+  };
+}
+
+describe('AdminUserManager', () => {
+  it('searches users and changes roles and suspension, except for the current admin', async () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+    const api = createApi();
+    const user = userEvent.setup();
+    render(<AdminUserManager isOpen onClose={jest.fn()} api={api} currentUserId="usr_root" />);
+
+    const ada = await screen.findByRole('row', { name: /ada@example.com/ });
+    const self = screen.getByRole('row', { name: /root@example.com/ });
+    expect(within(self).getByRole('combobox')).toBeDisabled();
+    expect(within(self).getByRole('button', { name: 'Suspend' })).toBeDisabled();
+
+    await user.selectOptions(within(ada).getByLabelText('Role for ada@example.com'), 'creator');
+    expect(api.updateAdminUserRole).toHaveBeenCalledWith('usr_ada', 'creator');
+    await waitFor(() => expect(within(ada).getByRole('combobox')).toHaveValue('creator'));
+
+    await user.click(within(ada).getByRole('button', { name: 'Suspend' }));
+    expect(confirm).toHaveBeenCalled();
+    expect(api.setAdminUserSuspended).toHaveBeenCalledWith('usr_ada', true);
+    expect(await within(ada).findByRole('button', { name: 'Reactivate' })).toBeInTheDocument();
+    expect(within(ada).getByText('Suspended')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Search users'), 'ada');
+    await user.click(screen.getByRole('button', { name: 'Search' }));
+    expect(api.listAdminUsers).toHaveBeenLastCalledWith({ search: 'ada', page: 1, pageSize: 20 });
+    confirm.mockRestore();
+  });
+
+  it('pages through results and shows server errors', async () => {
+    const error = Object.assign(new Error('Validation failed'), {
+      status: 422,
+      payload: { error: { details: [{ field: 'role', message: 'You cannot change your own role' }] } },
+    });
+    const api = createApi({
+      listAdminUsers: jest.fn().mockResolvedValue({ data: USERS, pagination: { page: 1, pageSize: 20, total: 45 } }),
+      updateAdminUserRole: jest.fn().mockRejectedValue(error),
+    });
+    const user = userEvent.setup();
+    render(<AdminUserManager isOpen onClose={jest.fn()} api={api} />);
+
+    expect(await screen.findByText('Page 1 of 3')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    expect(api.listAdminUsers).toHaveBeenLastCalledWith({ search: undefined, page: 2, pageSize: 20 });
+
+    await user.selectOptions(screen.getByLabelText('Role for root@example.com'), 'user');
+    expect(await screen.findByRole('alert')).toHaveTextContent('You cannot change your own role');
+  });
+});
@@ -0,0 +1,83 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DesignHistoryDrawer from '../DesignHistoryDrawer.jsx';
+
+jest.mock('../../hooks/useModalFocusTrap.js', () => ({
+  __esModule: true,
+  default: jest.fn(() => ({ current: null })),
+}));
+
+const VERSIONS = [
+  { version: 1, reason: 'create', title: 'Party', createdAt: '2024-10-01T10:00:00Z', slideCount: 1 },
+  { version: 2, reason: 'update', title: 'Garden Party', createdAt: '2024-10-02T10:00:00Z', slideCount: 2 },
+];
+
+const createApi = (overrides = {}) => ({
+  listDesignVersions: jest.fn().mockResolvedValue({ designId: '42', versions: VERSIONS }),
+  diffDesignVersions: jest.fn().mockResolvedValue({
+    from: 1,
+    to: 2,
+    fields: [{ field: 'title', from: 'Party', to: 'Garden Party' }],
+    slides: { added: [{ id: 'b', index: 1 }], removed: [], moved: [], changed: [] },
+  }),
+  restoreDesignVersion: jest.fn().mockResolvedValue({
+    design: { id: '42', slides: [{ id: 'a' }] },
+    version: { version: 3, reason: 'restore', restoredFrom: 1 },
+  }),
+  ...overrides,
+});
+
+describe('DesignHistoryDrawer', () => {
+  it('does not render or load history while closed', () => {
+    const api = createApi();
+    const { container } = render(<DesignHistoryDrawer isOpen={false} designId="42" api={api} />);
+
+    expect(container).toBeEmptyDOMElement();
+    expect(api.listDesignVersions).not.toHaveBeenCalled();
+  });
+
+  it('lists versions newest first and marks the current one', async () => {
+    const api = createApi();
+    render(<DesignHistoryDrawer isOpen designId="42" api={api} />);
+
+    const items = await screen.findAllByRole('button', { name: /Version \d/ });
+    expect(items[0]).toHaveTextContent('Version 2');
+    expect(items[0]).toHaveTextContent('Current');
+    expect(items[1]).toHaveTextContent('Version 1');
+    expect(api.listDesignVersions).toHaveBeenCalledWith('42');
+  });
+
+  it('shows what changed in a version', async () => {
+    const api = createApi();
+    render(<DesignHistoryDrawer isOpen designId="42" api={api} />);
+
+    await userEvent.click(await screen.findByRole('button', { name: /Version 2/ }));
+
+    expect(await screen.findByText('title changed')).toBeInTheDocument();
+    expect(screen.getByText('1 slide added')).toBeInTheDocument();
+    expect(api.diffDesignVersions).toHaveBeenCalledWith('42', 2);
+    expect(screen.getByRole('button', { name: 'Restore version 2' })).toBeDisabled();
+  });
+
+  it('restores an earlier version and reloads the history', async () => {
+    const api = createApi();
+    const onRestore = jest.fn();
+    render(<DesignHistoryDrawer isOpen designId="42" api={api} onRestore={onRestore} />);
+
+    await userEvent.click(await screen.findByRole('button', { name: /Version 1/ }));
+    await userEvent.click(screen.getByRole('button', { name: 'Restore version 1' }));
+
+    await waitFor(() => expect(onRestore).toHaveBeenCalledWith(expect.objectContaining({
+      design: { id: '42', slides: [{ id: 'a' }] },
+    })));
+    expect(api.restoreDesignVersion).toHaveBeenCalledWith('42', 1);
+    expect(api.listDesignVersions).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports load failures', async () => {
+    const api = createApi({ listDesignVersions: jest.fn().mockRejectedValue(new Error('nope')) });
+    render(<DesignHistoryDrawer isOpen designId="42" api={api} />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('We could not load the history for this design.');
+  });
+});
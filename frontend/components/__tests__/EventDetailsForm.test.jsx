@@ -0,0 +1,72 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EventDetailsForm from '../EventDetailsForm.jsx';
+
+const EVENT = {
+  title: 'Garden Party',
+  start: '2024-07-06T18:30',
+  end: null,
+  timezone: 'America/Toronto',
+  venue: 'Riverside Hall',
+  address: '12 King St',
+  notes: '',
+};
+
+function createApi(overrides = {}) {
+  return {
+    getDesign: jest.fn().mockResolvedValue({ id: '7', event: EVENT }),
+    saveDesign: jest.fn(async (designId, { event }) => ({ id: designId, event })),
+    ...overrides,
+  };
+}
+
+describe('EventDetailsForm', () => {
+  it('loads the design event and saves edits as a partial update', async () => {
+    const api = createApi();
+    const user = userEvent.setup();
+    render(<EventDetailsForm designId="7" api={api} />);
+
+    expect(await screen.findByDisplayValue('Riverside Hall')).toBeInTheDocument();
+    expect(screen.getByLabelText('Starts')).toHaveValue('2024-07-06T18:30');
+
+    await user.clear(screen.getByLabelText('Venue'));
+    await user.type(screen.getByLabelText('Venue'), 'Town Hall');
+    await user.click(screen.getByRole('button', { name: 'Save event' }));
+
+    expect(api.saveDesign).toHaveBeenCalledWith('7', { event: { ...EVENT, venue: 'Town Hall', notes: '' } }, { partial: true });
+    expect(await screen.findByRole('status')).toHaveTextContent('Event details saved.');
+
+    await user.click(screen.getByRole('button', { name: 'Remove event' }));
+    expect(api.saveDesign).toHaveBeenLastCalledWith('7', { event: null }, { partial: true });
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Remove event' })).not.toBeInTheDocument());
+  });
+
+  it('shows the validation messages returned by the server', async () => {
+    const error = Object.assign(new Error('Validation failed'), {
+      status: 422,
+      payload: { error: { details: [{ field: 'event.end', message: 'end must be after start' }] } },
+    });
+    const api = createApi({ saveDesign: jest.fn().mockRejectedValue(error) });
+    const user = userEvent.setup();
+    render(<EventDetailsForm designId="7" api={api} />);
+
+    await screen.findByDisplayValue('Riverside Hall');
+    await user.click(screen.getByRole('button', { name: 'Save event' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('end must be after start');
+  });
+
+  it('opens the venue on a map and stays read-only without a design', async () => {
+    const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+    const user = userEvent.setup();
+    render(<EventDetailsForm />);
+
+    expect(screen.queryByRole('button', { name: 'Save event' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Open' })).toBeDisabled();
+
+    await user.type(screen.getByLabelText('Address'), '12 King St');
+    await user.click(screen.getByRole('button', { name: 'Open' }));
+    expect(open).toHaveBeenCalledWith('https://www.google.com/maps/search/?api=1&query=12%20King%20St', '_blank', 'noopener');
+    open.mockRestore();
+  });
+});
@@ -0,0 +1,86 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import GuestListManager from '../GuestListManager.jsx';
+
+const guests = [
+  {
+    id: 'gst_1',
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    household: 'Lovelace',
+    token: 'gst_1.sig',
+    rsvp: { id: '1', attending: 'yes' },
+  },
+  { id: 'gst_2', name: 'Grace Hopper', email: 'grace@example.com', household: null, token: 'gst_2.sig', rsvp: null },
+  { id: 'gst_3', name: 'Linus', email: null, household: null, token: 'gst_3.sig', rsvp: null },
+];
+
+function createApi(overrides = {}) {
+  return {
+    listGuests: jest.fn().mockResolvedValue({ guests }),
+    listDeliveries: jest.fn().mockResolvedValue({ deliveries: [] }),
+    sendInvitations: jest.fn().mockResolvedValue({ deliveries: [{ id: 'dlv_1' }], skipped: [] }),
+    importGuests: jest.fn().mockResolvedValue({ imported: 2 }),
+    exportGuests: jest.fn().mockResolvedValue('name\r\n'),
+    deleteGuest: jest.fn().mockResolvedValue(null),
+    ...overrides,
+  };
+}
+
+describe('GuestListManager', () => {
+  it('lists guests with their replies and removes them', async () => {
+    const api = createApi();
+    const user = userEvent.setup();
+    render(<GuestListManager designId="7" api={api} />);
+
+    expect(await screen.findByText('Ada Lovelace')).toBeInTheDocument();
+    expect(screen.getByText('Attending')).toBeInTheDocument();
+    expect(screen.getAllByText('No reply')).toHaveLength(2);
+
+    await user.click(screen.getByRole('button', { name: 'Remove Grace Hopper' }));
+    expect(api.deleteGuest).toHaveBeenCalledWith('7', 'gst_2');
+    await waitFor(() => expect(screen.queryByText('Grace Hopper')).not.toBeInTheDocument());
+  });
+
+  it('imports a CSV with the chosen column mapping and reports bad rows', async () => {
+    const error = Object.assign(new Error('Validation failed'), {
+      status: 422,
+      payload: { error: { details: [{ row: 3, field: 'email', message: 'Email must be a valid address' }] } },
+    });
+    const api = createApi({ importGuests: jest.fn().mockRejectedValueOnce(error).mockResolvedValue({ imported: 2 }) });
+    const user = userEvent.setup();
+    render(<GuestListManager designId="7" api={api} />);
+
+    const csv = 'Guest,Mail\nAda,ada@example.com\nGrace,grace@\n';
+    await user.upload(screen.getByLabelText('Import CSV'), new File([csv], 'guests.csv', { type: 'text/csv' }));
+    await user.selectOptions(await screen.findByLabelText('Name column'), 'Guest');
+    await user.selectOptions(screen.getByLabelText('Email column'), 'Mail');
+    await user.click(screen.getByRole('button', { name: 'Import guests' }));
+
+    expect(api.importGuests).toHaveBeenCalledWith('7', csv, { name: 'Guest', email: 'Mail' });
+    expect(await screen.findByRole('alert')).toHaveTextContent('Row 3: Email must be a valid address');
+
+    await user.click(screen.getByRole('button', { name: 'Import guests' }));
+    expect(await screen.findByRole('status')).toHaveTextContent('Imported 2 guests.');
+    expect(api.listGuests).toHaveBeenCalledTimes(2);
+  });
+
+  it('emails invitations to the selected guests and shows their delivery status', async () => {
+    const api = createApi();
+    api.listDeliveries
+      .mockResolvedValueOnce({ deliveries: [] })
+      .mockResolvedValue({ deliveries: [{ id: 'dlv_1', guestId: 'gst_2', status: 'sent' }] });
+    const user = userEvent.setup();
+    render(<GuestListManager designId="7" api={api} />);
+
+    expect(await screen.findByLabelText('Select Linus')).toBeDisabled();
+    await user.click(screen.getByLabelText('Select Grace Hopper'));
+    await user.type(screen.getByLabelText('Message for your guests'), 'Dinner at eight');
+    await user.click(screen.getByRole('button', { name: 'Email invitations (1)' }));
+
+    expect(api.sendInvitations).toHaveBeenCalledWith('7', ['gst_2'], { message: 'Dinner at eight' });
+    expect(await screen.findByRole('status')).toHaveTextContent('Sending 1 invitation.');
+    expect(await screen.findByText('Invitation sent')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Email invitations (0)' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,50 @@
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import InvitationPlayer from '../InvitationPlayer.jsx';
+
+const SLIDES = [
+  { image: { src: 'https://cdn.example.com/one.png' }, layers: [{ text: 'You are invited', left: 80, top: 45, fontSize: 40 }], workSize: { w: 800, h: 450 }, durationMs: 2000 },
+  { image: null, layers: [{ text: 'Saturday at noon', left: 16, top: 16 }], durationMs: 2000 },
+];
+
+describe('InvitationPlayer', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('renders text layers positioned relative to the work area', () => {
+    render(<InvitationPlayer slides={SLIDES} autoPlay={false} />);
+
+    const text = screen.getByText('You are invited');
+    expect(text).toHaveStyle({ left: '10%', top: '10%' });
+    expect(screen.getByRole('img', { name: 'Slide 1 of 2' })).toBeInTheDocument();
+  });
+
+  it('advances through slides on their durations while playing', () => {
+    jest.useFakeTimers();
+    render(<InvitationPlayer slides={SLIDES} />);
+
+    act(() => {
+      jest.advanceTimersByTime(2000);
+    });
+
+    expect(screen.getByText('Saturday at noon')).toBeInTheDocument();
+  });
+
+  it('lets guests step through slides manually', async () => {
+    const user = userEvent.setup();
+    render(<InvitationPlayer slides={SLIDES} autoPlay={false} />);
+
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText('Saturday at noon')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    expect(screen.getByText('You are invited')).toBeInTheDocument();
+  });
+
+  it('shows a placeholder when there are no slides', () => {
+    render(<InvitationPlayer slides={[]} />);
+
+    expect(screen.getByText('This invitation has no slides yet.')).toBeInTheDocument();
+  });
+});
@@ -151,14 +151,20 @@ describe('Marketplace', () => {
 
   it('requests category-specific listings when a new category is selected', async () => {
     const listMarketplace = jest.fn().mockResolvedValue({ role: 'consumer', data: [] });
-    mockAuth({ role: 'consumer', implementation: listMarketplace });
+    const getCategories = jest.fn().mockResolvedValue([
+      { id: 'birthday', name: 'Birthday', parentId: null, sortOrder: 0 },
+      { id: 'wedding', name: 'Wedding', parentId: null, sortOrder: 1 },
+      { id: 'save-the-date', name: 'Save the Date', parentId: 'wedding', sortOrder: 0 },
+    ]);
+    mockAuth({ role: 'consumer', implementation: listMarketplace, apiOverrides: { getCategories } });
     const user = userEvent.setup();
 
     render(<Marketplace isOpen onSkipToEditor={jest.fn()} />);
 
     await waitFor(() => expect(listMarketplace).toHaveBeenCalledTimes(1));
 
-    const weddingTab = screen.getByRole('tab', { name: /wedding/i });
+    expect(await screen.findByRole('tab', { name: 'Wedding › Save the Date' })).toBeInTheDocument();
+    const weddingTab = screen.getByRole('tab', { name: 'Wedding' });
     await user.click(weddingTab);
 
     await waitFor(() => expect(listMarketplace).toHaveBeenCalledTimes(2));
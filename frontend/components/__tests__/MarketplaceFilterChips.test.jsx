@@ -0,0 +1,50 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MarketplaceFilterChips, { EMPTY_FACET_FILTERS } from '../MarketplaceFilterChips.jsx';
+
+const FACETS = {
+  category: [{ value: 'wedding', count: 2, selected: false }],
+  tag: [
+    { value: 'rustic', count: 2, selected: true },
+    { value: 'floral', count: 1, selected: false },
+  ],
+  badge: [],
+  price: [
+    { value: 'free', count: 1, selected: false },
+    { value: 'under-10', count: 0, selected: false },
+    { value: '10-25', count: 1, selected: false },
+    { value: '25-plus', count: 0, selected: false },
+  ],
+  premium: [{ value: 'false', count: 2, selected: false }],
+};
+
+describe('MarketplaceFilterChips', () => {
+  it('renders facet counts as chips and toggles filters', async () => {
+    const onChange = jest.fn();
+    const filters = { ...EMPTY_FACET_FILTERS, tags: ['rustic'] };
+    const user = userEvent.setup();
+    render(<MarketplaceFilterChips facets={FACETS} filters={filters} onChange={onChange} />);
+
+    const tags = screen.getByRole('group', { name: 'Tags' });
+    expect(within(tags).getByRole('button', { name: 'rustic (2)' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.queryByRole('group', { name: 'Badges' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Under $10 (0)' })).toBeDisabled();
+
+    await user.click(within(tags).getByRole('button', { name: 'floral (1)' }));
+    expect(onChange).toHaveBeenLastCalledWith({ ...filters, tags: ['rustic', 'floral'] });
+
+    await user.click(within(tags).getByRole('button', { name: 'rustic (2)' }));
+    expect(onChange).toHaveBeenLastCalledWith({ ...filters, tags: [] });
+
+    await user.click(screen.getByRole('button', { name: 'Standard (2)' }));
+    expect(onChange).toHaveBeenLastCalledWith({ ...filters, premium: false });
+
+    await user.click(screen.getByRole('button', { name: 'Clear filters' }));
+    expect(onChange).toHaveBeenLastCalledWith(EMPTY_FACET_FILTERS);
+  });
+
+  it('renders nothing without facets', () => {
+    const { container } = render(<MarketplaceFilterChips facets={null} onChange={jest.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -4,6 +4,7 @@ import PreviewModal from '../PreviewModal.jsx';
 import { useAppState } from '../../context/AppStateContext.jsx';
 import useModalFocusTrap from '../../hooks/useModalFocusTrap.js';
 import useDesignOwnership from '../../hooks/useDesignOwnership.js';
+import AuthContext from '../../context/AuthContext.jsx';
 
 jest.mock('../../hooks/useModalFocusTrap.js', () => ({
   __esModule: true,
@@ -115,4 +116,16 @@ describe('PreviewModal', () => {
 
     expect(screen.queryByTestId('admin-preview-actions')).not.toBeInTheDocument();
   });
+
+  it('records that the preview was opened', () => {
+    const api = { trackEvent: jest.fn() };
+
+    render(
+      <AuthContext.Provider value={{ api }}>
+        <PreviewModal isOpen designId="123" onClose={() => {}} onUseDesign={() => {}} />
+      </AuthContext.Provider>
+    );
+
+    expect(api.trackEvent).toHaveBeenCalledWith('preview_opened', '123');
+  });
 });
@@ -1,8 +1,9 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import PurchaseModal from '../PurchaseModal.jsx';
 import useModalFocusTrap from '../../hooks/useModalFocusTrap.js';
 import useDesignOwnership from '../../hooks/useDesignOwnership.js';
+import AuthContext from '../../context/AuthContext.jsx';
 
 jest.mock('../../hooks/useModalFocusTrap.js', () => ({
   __esModule: true,
@@ -18,7 +19,7 @@ const createOwnershipValue = (overrides = {}) => ({
   currentDesignId: 'purchase-design',
   setCurrentDesignId: jest.fn(),
   isDesignOwned: jest.fn().mockReturnValue(false),
-  markDesignOwned: jest.fn(),
+  purchaseDesign: jest.fn().mockResolvedValue({ owned: true }),
   loading: false,
   error: null,
   ...overrides,
@@ -64,7 +65,7 @@ describe('PurchaseModal', () => {
     expect(screen.getByRole('button', { name: /cancel/i })).toBeInTheDocument();
   });
 
-  it('calls the provided callbacks when action buttons are clicked', async () => {
+  it('purchases the design on the server before confirming', async () => {
     const user = userEvent.setup();
     const onConfirm = jest.fn();
     const onCancel = jest.fn();
@@ -72,8 +73,8 @@ describe('PurchaseModal', () => {
     render(<PurchaseModal isOpen onConfirm={onConfirm} onCancel={onCancel} />);
 
     await user.click(screen.getByRole('button', { name: /confirm purchase/i }));
+    expect(designOwnership.purchaseDesign).toHaveBeenCalledWith('purchase-design');
     expect(onConfirm).toHaveBeenCalledWith({ designId: 'purchase-design', owned: true });
-    expect(designOwnership.markDesignOwned).toHaveBeenCalledWith('purchase-design', expect.objectContaining({ owned: true }));
 
     await user.click(screen.getByRole('button', { name: /cancel/i }));
     expect(onCancel).toHaveBeenCalledTimes(1);
@@ -91,4 +92,39 @@ describe('PurchaseModal', () => {
     expect(screen.getByText(/you already own this design/i)).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /start editing/i })).toBeInTheDocument();
   });
+
+  it('keeps the modal open and explains when tokens are insufficient', async () => {
+    const user = userEvent.setup();
+    const onConfirm = jest.fn();
+    designOwnership.purchaseDesign.mockRejectedValueOnce(
+      Object.assign(new Error('Not enough tokens to purchase this design'), { status: 402 })
+    );
+
+    render(<PurchaseModal isOpen onConfirm={onConfirm} onCancel={() => {}} />);
+
+    await user.click(screen.getByRole('button', { name: /confirm purchase/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('You do not have enough tokens for this design.')).toBeInTheDocument();
+    });
+    expect(onConfirm).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: /confirm purchase/i })).toBeEnabled();
+  });
+
+  it('records a started purchase only for designs the user does not own', () => {
+    const api = { trackEvent: jest.fn() };
+    designOwnership.isDesignOwned.mockImplementation((designId) => designId === 'owned');
+    const renderModal = (designId) =>
+      render(
+        <AuthContext.Provider value={{ api }}>
+          <PurchaseModal isOpen designId={designId} onConfirm={() => {}} onCancel={() => {}} />
+        </AuthContext.Provider>
+      );
+
+    renderModal('owned').unmount();
+    expect(api.trackEvent).not.toHaveBeenCalled();
+
+    renderModal('for-sale');
+    expect(api.trackEvent).toHaveBeenCalledWith('purchase_started', 'for-sale');
+  });
 });
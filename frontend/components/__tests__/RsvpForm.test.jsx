@@ -0,0 +1,78 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RsvpForm from '../RsvpForm.jsx';
+
+async function fillIn(user, { name = 'Ada', email = 'ada@example.com' } = {}) {
+  await user.type(screen.getByLabelText('Name'), name);
+  await user.type(screen.getByLabelText('Email'), email);
+}
+
+describe('RsvpForm', () => {
+  it('sends the guest response through the share token', async () => {
+    const api = { submitRsvp: jest.fn().mockResolvedValue({ rsvp: { id: '1', attending: 'yes', partySize: 2 } }) };
+    const user = userEvent.setup();
+    render(<RsvpForm token="shr_1.sig" api={api} />);
+
+    await fillIn(user);
+    const partySize = screen.getByLabelText('Party size');
+    await user.clear(partySize);
+    await user.type(partySize, '2');
+    await user.type(screen.getByLabelText('Message for the host'), 'Can’t wait');
+    await user.click(screen.getByRole('button', { name: 'Send RSVP' }));
+
+    expect(api.submitRsvp).toHaveBeenCalledWith('shr_1.sig', {
+      name: 'Ada',
+      email: 'ada@example.com',
+      attending: 'yes',
+      partySize: 2,
+      message: 'Can’t wait',
+    });
+    expect(await screen.findByRole('status')).toHaveTextContent('Your RSVP has been sent to the host.');
+  });
+
+  it('does not ask guests who decline for a party size', async () => {
+    const api = { submitRsvp: jest.fn().mockResolvedValue({ rsvp: { id: '1', attending: 'no' } }) };
+    const user = userEvent.setup();
+    render(<RsvpForm token="shr_1.sig" api={api} />);
+
+    await user.click(screen.getByLabelText('Can’t make it'));
+    expect(screen.queryByLabelText('Party size')).not.toBeInTheDocument();
+
+    await fillIn(user);
+    await user.click(screen.getByRole('button', { name: 'Send RSVP' }));
+
+    expect(api.submitRsvp.mock.calls[0][1]).not.toHaveProperty('partySize');
+    expect(await screen.findByRole('status')).toHaveTextContent('Thanks for letting the host know.');
+  });
+
+  it('explains when this guest has already responded', async () => {
+    const error = Object.assign(new Error('duplicate'), { status: 409 });
+    const api = { submitRsvp: jest.fn().mockRejectedValue(error) };
+    const user = userEvent.setup();
+    render(<RsvpForm token="shr_1.sig" api={api} />);
+
+    await fillIn(user);
+    await user.click(screen.getByRole('button', { name: 'Send RSVP' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('You have already responded to this invitation.');
+  });
+
+  it('pre-fills invited guests and shows an answer they already sent', async () => {
+    const api = { submitRsvp: jest.fn().mockResolvedValue({ rsvp: { id: '2', attending: 'maybe' } }) };
+    const user = userEvent.setup();
+    const guest = { name: 'Ada Lovelace', email: 'ada@example.com', household: 'Lovelace' };
+    const { unmount } = render(<RsvpForm token="gst_1.sig" api={api} guest={guest} />);
+
+    expect(screen.getByText('Hi Ada Lovelace, you’re invited!')).toBeInTheDocument();
+    expect(screen.getByLabelText('Name')).toHaveValue('Ada Lovelace');
+    expect(screen.getByLabelText('Email')).toHaveValue('ada@example.com');
+    await user.click(screen.getByLabelText('Maybe'));
+    await user.click(screen.getByRole('button', { name: 'Send RSVP' }));
+    expect(api.submitRsvp.mock.calls[0][1]).toMatchObject({ name: 'Ada Lovelace', email: 'ada@example.com', attending: 'maybe' });
+    unmount();
+
+    render(<RsvpForm token="gst_1.sig" api={api} guest={guest} rsvp={{ id: '2', attending: 'yes' }} />);
+    expect(screen.getByRole('status')).toHaveTextContent('Your RSVP has been sent to the host.');
+    expect(screen.queryByRole('button', { name: 'Send RSVP' })).not.toBeInTheDocument();
+  });
+});
@@ -50,4 +50,37 @@ describe('ShareControls', () => {
 
     expect(writeTextMock).toHaveBeenCalledWith(typedValue);
   });
+
+  it('creates a guest link for a design and revokes it again', async () => {
+    const api = {
+      createShareLink: jest.fn().mockResolvedValue({ id: 'shr_1', token: 'shr_1.sig' }),
+      revokeShareLink: jest.fn().mockResolvedValue({ id: 'shr_1', active: false }),
+      trackEvent: jest.fn(),
+    };
+    const user = userEvent.setup();
+    render(<ShareControls designId="42" api={api} />);
+
+    await user.click(screen.getByRole('button', { name: 'Create guest link' }));
+
+    const input = screen.getByPlaceholderText(/share link/i);
+    expect(input).toHaveValue(`${window.location.origin}/share/shr_1.sig`);
+    expect(api.createShareLink).toHaveBeenCalledWith('42');
+    expect(api.trackEvent).toHaveBeenCalledWith('first_share', '42');
+
+    await user.click(screen.getByRole('button', { name: 'Revoke link' }));
+
+    expect(api.revokeShareLink).toHaveBeenCalledWith('42', 'shr_1');
+    expect(input).toHaveValue('');
+    expect(screen.getByRole('button', { name: 'Create guest link' })).toBeInTheDocument();
+  });
+
+  it('reports when a link cannot be created', async () => {
+    const api = { createShareLink: jest.fn().mockRejectedValue(new Error('nope')), revokeShareLink: jest.fn() };
+    const user = userEvent.setup();
+    render(<ShareControls designId="42" api={api} />);
+
+    await user.click(screen.getByRole('button', { name: 'Create guest link' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('We could not create a share link.');
+  });
 });
@@ -1,4 +1,13 @@
-import { useMemo } from 'react';
+import { useEffect, useMemo, useState } from 'react';
+
+const FUNNEL_STAGE_LABELS = {
+  listing_impression: 'Listing impressions',
+  preview_opened: 'Previews opened',
+  purchase_started: 'Purchases started',
+  purchase_completed: 'Purchases completed',
+  first_edit: 'First edits',
+  first_share: 'First shares',
+};
 
 function hasActiveFlag(flags) {
   if (!flags || typeof flags !== 'object') {
@@ -51,7 +60,124 @@ function getDesignerName(listing) {
   return trimmed;
 }
 
-export default function AdminMarketplaceAnalytics({ listings, isLoading = false, errorMessage = '' }) {
+function parseFunnelScope(scope) {
+  const [kind, ...rest] = scope.split(':');
+  const id = rest.join(':');
+  if (kind === 'design') return { designId: id };
+  if (kind === 'category') return { category: id };
+  return {};
+}
+
+// Stage-by-stage drop-off of the marketplace funnel, for every design or one
+// listing or category, over an optional date range (the server defaults to
+// the last 30 days).
+function MarketplaceFunnel({ api, listings }) {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [scope, setScope] = useState('');
+  const [funnel, setFunnel] = useState(null);
+  const [error, setError] = useState('');
+
+  const { designs, categories } = useMemo(() => {
+    const items = Array.isArray(listings) ? listings : [];
+    const designOptions = items
+      .map((listing, index) => ({ id: listing?.id, title: getListingTitle(listing, index) }))
+      .filter((option) => option.id !== null && option.id !== undefined);
+    const categoryOptions = Array.from(
+      new Set(items.map((listing) => (typeof listing?.category === 'string' ? listing.category.trim() : '')).filter(Boolean))
+    ).sort();
+    return { designs: designOptions, categories: categoryOptions };
+  }, [listings]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    api
+      .getMarketplaceFunnel({ from: from || undefined, to: to || undefined, ...parseFunnelScope(scope) })
+      .then((result) => {
+        if (!cancelled) setFunnel(result);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        const details = err?.payload?.error?.details;
+        setError(Array.isArray(details) && details.length > 0 ? details[0].message : 'Unable to load the conversion funnel.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, from, scope, to]);
+
+  const stages = Array.isArray(funnel?.stages) ? funnel.stages : [];
+  const overall = formatPercent(funnel?.conversionRate);
+
+  return (
+    <div className="admin-marketplace-funnel">
+      <h4>Conversion Funnel</h4>
+      <div className="admin-marketplace-funnel-filters">
+        <label>
+          From
+          <input type="date" value={from} onChange={(event) => setFrom(event.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={to} onChange={(event) => setTo(event.target.value)} />
+        </label>
+        <label>
+          Scope
+          <select value={scope} onChange={(event) => setScope(event.target.value)}>
+            <option value="">All designs</option>
+            {categories.map((category) => (
+              <option key={`category:${category}`} value={`category:${category}`}>
+                {`Category: ${category}`}
+              </option>
+            ))}
+            {designs.map((design) => (
+              <option key={`design:${design.id}`} value={`design:${design.id}`}>
+                {`Design: ${design.title}`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {error ? (
+        <p className="admin-marketplace-error" role="alert">
+          {error}
+        </p>
+      ) : (
+        <>
+          <table className="admin-marketplace-funnel-table">
+            <thead>
+              <tr>
+                <th scope="col">Stage</th>
+                <th scope="col">Count</th>
+                <th scope="col">From previous</th>
+                <th scope="col">Drop-off</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stages.map(({ stage, count, rate, dropOff }) => (
+                <tr key={stage}>
+                  <th scope="row">{FUNNEL_STAGE_LABELS[stage] ?? stage}</th>
+                  <td>{count}</td>
+                  <td>{rate === null ? '—' : formatPercent(rate)}</td>
+                  <td>{dropOff === null ? '—' : dropOff}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {funnel && (
+            <p className="admin-marketplace-funnel-summary">
+              {`${funnel.from} to ${funnel.to}: `}
+              {overall ? `${overall} of impressions led to a purchase.` : 'No listing impressions yet.'}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function AdminMarketplaceAnalytics({ listings, isLoading = false, errorMessage = '', api = null }) {
   const metrics = useMemo(() => {
     const items = Array.isArray(listings) ? listings : [];
 
@@ -144,6 +270,7 @@ export default function AdminMarketplaceAnalytics({ listings, isLoading = false,
         >
           Open listing controls
         </button>
+        {typeof api?.getMarketplaceFunnel === 'function' && <MarketplaceFunnel api={api} listings={listings} />}
       </>
     );
   }
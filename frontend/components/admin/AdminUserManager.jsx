@@ -0,0 +1,213 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const ASSIGNABLE_ROLES = [
+  { id: 'user', label: 'User' },
+  { id: 'creator', label: 'Creator' },
+  { id: 'admin', label: 'Admin' },
+];
+
+const PAGE_SIZE = 20;
+
+function describeError(err, fallback) {
+  const details = err?.payload?.error?.details;
+  if (Array.isArray(details) && details.length > 0) {
+    return details[0].message;
+  }
+  return err?.payload?.error?.message || fallback;
+}
+
+/**
+ * Admin screen for accounts: search, change roles, and suspend or reactivate
+ * users. Admins cannot change their own role or suspend themselves.
+ */
+export default function AdminUserManager({ isOpen, onClose, api, currentUserId = null }) {
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyUserId, setBusyUserId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || typeof api?.listAdminUsers !== 'function') return undefined;
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    api
+      .listAdminUsers({ search: search || undefined, page, pageSize: PAGE_SIZE })
+      .then((response) => {
+        if (!cancelled) setResult(response);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(describeError(err, 'Unable to load users.'));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, isOpen, page, search]);
+
+  const replaceUser = useCallback((updated) => {
+    setResult((current) =>
+      current
+        ? { ...current, data: current.data.map((user) => (user.id === updated.id ? updated : user)) }
+        : current
+    );
+  }, []);
+
+  const runUserAction = useCallback(
+    async (userId, action) => {
+      setBusyUserId(userId);
+      setError('');
+      try {
+        replaceUser(await action());
+      } catch (err) {
+        setError(describeError(err, 'Unable to update the user.'));
+      } finally {
+        setBusyUserId(null);
+      }
+    },
+    [replaceUser]
+  );
+
+  const handleRoleChange = (user, role) => {
+    runUserAction(user.id, () => api.updateAdminUserRole(user.id, role));
+  };
+
+  const handleSuspension = (user) => {
+    const suspend = user.status !== 'suspended';
+    if (suspend && !window.confirm(`Suspend ${user.email}? They will be signed out everywhere.`)) return;
+    runUserAction(user.id, () => api.setAdminUserSuspended(user.id, suspend));
+  };
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  if (!isOpen) return null;
+
+  const users = Array.isArray(result?.data) ? result.data : [];
+  const total = result?.pagination?.total ?? 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="admin-user-manager-backdrop" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="admin-user-manager" role="dialog" aria-labelledby="admin-user-manager-title">
+        <header className="admin-user-manager-header">
+          <h2 id="admin-user-manager-title">User Management</h2>
+          <button type="button" className="close-btn" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </header>
+
+        <form className="admin-user-manager-search" onSubmit={handleSearch} role="search">
+          <input
+            type="search"
+            placeholder="Search by email or id"
+            aria-label="Search users"
+            value={searchInput}
+            onChange={(event) => setSearchInput(event.target.value)}
+          />
+          <button type="submit" className="btn btn-secondary">
+            Search
+          </button>
+        </form>
+
+        {error && (
+          <p className="admin-marketplace-error" role="alert">
+            {error}
+          </p>
+        )}
+
+        {isLoading && !result ? (
+          <p>Loading users…</p>
+        ) : users.length === 0 ? (
+          <p>No users found.</p>
+        ) : (
+          <table className="admin-user-manager-table">
+            <thead>
+              <tr>
+                <th scope="col">Email</th>
+                <th scope="col">Role</th>
+                <th scope="col">Status</th>
+                <th scope="col">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => {
+                const isSelf = user.id === currentUserId;
+                const isBusy = busyUserId === user.id;
+                const isSuspended = user.status === 'suspended';
+                return (
+                  <tr key={user.id}>
+                    <th scope="row">{user.email}</th>
+                    <td>
+                      <select
+                        aria-label={`Role for ${user.email}`}
+                        value={user.role}
+                        onChange={(event) => handleRoleChange(user, event.target.value)}
+                        disabled={isSelf || isBusy}
+                      >
+                        {!ASSIGNABLE_ROLES.some((role) => role.id === user.role) && (
+                          <option value={user.role}>{user.role}</option>
+                        )}
+                        {ASSIGNABLE_ROLES.map((role) => (
+                          <option key={role.id} value={role.id}>
+                            {role.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      <span className={`status-badge ${user.status}`}>{isSuspended ? 'Suspended' : 'Active'}</span>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className={`btn ${isSuspended ? 'btn-secondary' : 'btn-danger'}`}
+                        onClick={() => handleSuspension(user)}
+                        disabled={isSelf || isBusy}
+                      >
+                        {isSuspended ? 'Reactivate' : 'Suspend'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <footer className="admin-user-manager-footer">
+          <span>Total: {total} users</span>
+          <div className="admin-user-manager-pages">
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setPage((current) => current - 1)}
+              disabled={page <= 1 || isLoading}
+            >
+              Previous
+            </button>
+            <span>
+              Page {page} of {pageCount}
+            </span>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setPage((current) => current + 1)}
+              disabled={page >= pageCount || isLoading}
+            >
+              Next
+            </button>
+          </div>
+        </footer>
+      </div>
+    </div>
+  );
+}
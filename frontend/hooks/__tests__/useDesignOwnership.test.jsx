@@ -18,11 +18,11 @@ describe('useDesignOwnership', () => {
   });
 
   it('loads owned designs for authenticated users and reports ownership', async () => {
-    const getUserDesigns = jest.fn().mockResolvedValue({ designs: [{ id: 'design-1' }, { id: 'design-2', owned: false }] });
+    const getOwnedDesigns = jest.fn().mockResolvedValue({ designs: [{ id: 'design-1' }, { id: 'design-2', owned: false }] });
     useAuth.mockReturnValue({
       isAuthenticated: true,
       isInitialized: true,
-      api: { getUserDesigns },
+      api: { getOwnedDesigns },
     });
 
     const { result } = renderHook(() => useDesignOwnership(), { wrapper });
@@ -37,18 +37,18 @@ describe('useDesignOwnership', () => {
 
   it('exposes manual refresh helpers and surfaces errors', async () => {
     const error = new Error('network');
-    const getUserDesigns = jest.fn().mockRejectedValue(error);
+    const getOwnedDesigns = jest.fn().mockRejectedValue(error);
     useAuth.mockReturnValue({
       isAuthenticated: true,
       isInitialized: true,
-      api: { getUserDesigns },
+      api: { getOwnedDesigns },
     });
 
     const { result } = renderHook(() => useDesignOwnership(), { wrapper });
 
     await waitFor(() => {
       expect(result.current.error).toBeInstanceOf(Error);
-      expect(getUserDesigns).toHaveBeenCalled();
+      expect(getOwnedDesigns).toHaveBeenCalled();
     });
     expect(result.current.error?.message).toBe('network');
     expect(result.current.isDesignOwned('unknown')).toBe(false);
@@ -58,7 +58,7 @@ describe('useDesignOwnership', () => {
     });
 
     const recoveryResponse = { designs: [{ id: 'restored', owned: true }] };
-    getUserDesigns.mockResolvedValueOnce(recoveryResponse);
+    getOwnedDesigns.mockResolvedValueOnce(recoveryResponse);
 
     await act(async () => {
       await result.current.refreshOwnership();
@@ -68,17 +68,17 @@ describe('useDesignOwnership', () => {
   });
 
   it('allows manually marking and clearing ownership entries', async () => {
-    const getUserDesigns = jest.fn().mockResolvedValue({ designs: [] });
+    const getOwnedDesigns = jest.fn().mockResolvedValue({ designs: [] });
     useAuth.mockReturnValue({
       isAuthenticated: true,
       isInitialized: true,
-      api: { getUserDesigns },
+      api: { getOwnedDesigns },
     });
 
     const { result } = renderHook(() => useDesignOwnership(), { wrapper });
 
     await waitFor(() => {
-      expect(getUserDesigns).toHaveBeenCalledTimes(1);
+      expect(getOwnedDesigns).toHaveBeenCalledTimes(1);
       expect(result.current.loading).toBe(false);
     });
 
@@ -96,4 +96,72 @@ describe('useDesignOwnership', () => {
 
     expect(result.current.isDesignOwned('manual')).toBe(false);
   });
+
+  it('purchases designs through the API and records the server grant', async () => {
+    const getOwnedDesigns = jest.fn().mockResolvedValue({ designs: [] });
+    const purchaseDesign = jest.fn().mockResolvedValue({
+      designId: 'premium',
+      owned: true,
+      price: 25,
+      purchasedAt: '2024-05-01T00:00:00.000Z',
+      tokens: 5,
+    });
+    useAuth.mockReturnValue({
+      isAuthenticated: true,
+      isInitialized: true,
+      api: { getOwnedDesigns, purchaseDesign },
+    });
+
+    const { result } = renderHook(() => useDesignOwnership(), { wrapper });
+
+    await waitFor(() => {
+      expect(getOwnedDesigns).toHaveBeenCalledTimes(1);
+      expect(result.current.loading).toBe(false);
+    });
+
+    await act(async () => {
+      await result.current.purchaseDesign('premium');
+    });
+
+    expect(purchaseDesign).toHaveBeenCalledWith('premium');
+    expect(result.current.isDesignOwned('premium')).toBe(true);
+    expect(result.current.getOwnershipEntry('premium')).toEqual(
+      expect.objectContaining({ source: 'purchase', price: 25 })
+    );
+  });
+
+  it('resyncs ownership when the server reports the design is already owned', async () => {
+    const conflict = Object.assign(new Error('Design already owned'), { status: 409 });
+    const getOwnedDesigns = jest.fn().mockResolvedValue({ designs: [] });
+    const purchaseDesign = jest.fn().mockRejectedValue(conflict);
+    useAuth.mockReturnValue({
+      isAuthenticated: true,
+      isInitialized: true,
+      api: { getOwnedDesigns, purchaseDesign },
+    });
+
+    const { result } = renderHook(() => useDesignOwnership(), { wrapper });
+
+    await waitFor(() => {
+      expect(result.current.loading).toBe(false);
+    });
+
+    getOwnedDesigns.mockResolvedValueOnce({ designs: [{ id: 'bought-elsewhere', source: 'purchase' }] });
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.purchaseDesign('bought-elsewhere');
+    });
+
+    expect(outcome).toEqual({ designId: 'bought-elsewhere', owned: true, alreadyOwned: true });
+    expect(result.current.isDesignOwned('bought-elsewhere')).toBe(true);
+
+    const insufficient = Object.assign(new Error('Not enough tokens'), { status: 402 });
+    purchaseDesign.mockRejectedValueOnce(insufficient);
+
+    await act(async () => {
+      await expect(result.current.purchaseDesign('too-expensive')).rejects.toBe(insufficient);
+    });
+    expect(result.current.isDesignOwned('too-expensive')).toBe(false);
+  });
 });
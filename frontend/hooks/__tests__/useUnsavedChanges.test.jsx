@@ -0,0 +1,74 @@
+import { act, renderHook } from '@testing-library/react';
+import { AppStateProvider } from '../../context/AppStateContext.jsx';
+import { useUnsavedChanges } from '../useUnsavedChanges.js';
+
+const wrapper = ({ children }) => (
+  <AppStateProvider>{children}</AppStateProvider>
+);
+
+function conflictError() {
+  const error = new Error('Design was modified by another request');
+  error.status = 412;
+  error.payload = {
+    etag: '"server"',
+    version: 4,
+    design: { id: 'dsgn_1', slides: [{ id: 'theirs' }] },
+  };
+  return error;
+}
+
+describe('useUnsavedChanges save conflicts', () => {
+  it('keeps local edits and exposes the server design when a save conflicts', async () => {
+    const { result } = renderHook(() => useUnsavedChanges(), { wrapper });
+    act(() => result.current.forceUnsaved());
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.saveChanges(jest.fn().mockRejectedValue(conflictError()));
+    });
+
+    expect(outcome).toEqual(expect.objectContaining({ success: false, conflict: true }));
+    expect(result.current.hasUnsavedChanges).toBe(true);
+    expect(result.current.conflict).toEqual(expect.objectContaining({ etag: '"server"', version: 4 }));
+  });
+
+  it('overwrites by repeating the last save without the version check', async () => {
+    const save = jest
+      .fn()
+      .mockRejectedValueOnce(conflictError())
+      .mockResolvedValueOnce({ success: true });
+    const { result } = renderHook(() => useUnsavedChanges(), { wrapper });
+    act(() => result.current.forceUnsaved());
+
+    await act(async () => {
+      await result.current.saveChanges(save);
+    });
+    await act(async () => {
+      await result.current.resolveConflict('overwrite');
+    });
+
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(save.mock.calls[0][0].overwrite).toBe(false);
+    expect(save.mock.calls[1][0].overwrite).toBe(true);
+    expect(result.current.conflict).toBeNull();
+    expect(result.current.hasUnsavedChanges).toBe(false);
+  });
+
+  it('reloads by handing back the server design and clearing local changes', async () => {
+    const { result } = renderHook(() => useUnsavedChanges(), { wrapper });
+    act(() => result.current.forceUnsaved());
+
+    await act(async () => {
+      await result.current.saveChanges(async () => ({ success: false, error: conflictError() }));
+    });
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.resolveConflict('reload');
+    });
+
+    expect(outcome.design.slides).toEqual([{ id: 'theirs' }]);
+    expect(result.current.conflict).toBeNull();
+    expect(result.current.hasUnsavedChanges).toBe(false);
+  });
+});
@@ -0,0 +1,21 @@
+import { useCallback, useContext } from 'react';
+import AuthContext from '../context/AuthContext.jsx';
+
+// Reports analytics events through the signed-in user's API client, which
+// buffers and batches them. Outside an AuthProvider events are dropped, so
+// components can track without requiring authentication.
+export default function useAnalytics() {
+  const api = useContext(AuthContext)?.api;
+
+  const trackEvent = useCallback(
+    (type, designId) => {
+      if (typeof api?.trackEvent !== 'function') {
+        return false;
+      }
+      return api.trackEvent(type, designId);
+    },
+    [api]
+  );
+
+  return { trackEvent };
+}
@@ -98,7 +98,7 @@ export default function useDesignOwnership() {
 
   const refreshOwnership = useCallback(async () => {
     attemptedInitialLoadRef.current = true;
-    if (!api || typeof api.getUserDesigns !== 'function') {
+    if (!api || typeof api.getOwnedDesigns !== 'function') {
       setDesignOwnershipEntries([], { replace: true });
       return [];
     }
@@ -106,7 +106,7 @@ export default function useDesignOwnership() {
     setDesignOwnershipError(null);
 
     try {
-      const response = await api.getUserDesigns();
+      const response = await api.getOwnedDesigns();
       const designs = normalizeDesignList(response);
       const entries = designs.map(normalizeOwnershipEntry).filter(Boolean);
       setDesignOwnershipEntries(entries, { replace: true });
@@ -154,6 +154,44 @@ export default function useDesignOwnership() {
     [currentDesignId, setDesignOwnershipEntries]
   );
 
+  // Buys the design server-side (the server debits tokens and grants
+  // ownership atomically) and records the grant locally once it succeeds.
+  const purchaseDesign = useCallback(
+    async (designId) => {
+      const targetId = designId ?? currentDesignId;
+      if (targetId === null || targetId === undefined) {
+        throw new Error('designId is required');
+      }
+      if (!api || typeof api.purchaseDesign !== 'function') {
+        throw new Error('You need to sign in to purchase designs.');
+      }
+      const id = typeof targetId === 'string' ? targetId : String(targetId);
+      try {
+        const result = await api.purchaseDesign(id);
+        const entry = normalizeOwnershipEntry({
+          id,
+          owned: true,
+          source: 'purchase',
+          price: result?.price,
+          purchasedAt: result?.purchasedAt,
+        });
+        setDesignOwnershipEntries([entry], { replace: false });
+        return result;
+      } catch (err) {
+        // 409 also covers designs bought elsewhere (another tab or device);
+        // resync and treat those as a completed purchase.
+        if (err?.status === 409) {
+          const entries = await refreshOwnership().catch(() => []);
+          if (entries.some((entry) => entry.id === id && entry.owned)) {
+            return { designId: id, owned: true, alreadyOwned: true };
+          }
+        }
+        throw err;
+      }
+    },
+    [api, currentDesignId, refreshOwnership, setDesignOwnershipEntries]
+  );
+
   const clearDesignOwnership = useCallback(
     (designId) => {
       const targetId = designId ?? currentDesignId;
@@ -231,6 +269,7 @@ export default function useDesignOwnership() {
       refreshOwnership,
       ensureOwnership,
       markDesignOwned,
+      purchaseDesign,
       clearDesignOwnership,
       resetDesignOwnership,
     }),
@@ -243,6 +282,7 @@ export default function useDesignOwnership() {
       loading,
       markDesignOwned,
       ownershipByDesignId,
+      purchaseDesign,
       refreshOwnership,
       resetDesignOwnership,
       setCurrentDesignId,
@@ -1,5 +1,6 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
 import { useAppState } from '../context/AppStateContext.jsx';
+import { isConflictError } from '../services/api-client.js';
 
 // Hook for detecting and managing unsaved changes
 export function useUnsavedChanges(options = {}) {
@@ -15,11 +16,15 @@ export function useUnsavedChanges(options = {}) {
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  // Set when a save was rejected because the design changed elsewhere:
+  // { design, etag, version, error }. Local edits are kept until resolved.
+  const [conflict, setConflict] = useState(null);
 
   // Track original state for comparison
   const originalStateRef = useRef(null);
   const changeTimeoutRef = useRef(null);
   const autoSaveIntervalRef = useRef(null);
+  const lastSaveFunctionRef = useRef(null);
 
   // Initialize original state
   useEffect(() => {
@@ -110,12 +115,10 @@ export function useUnsavedChanges(options = {}) {
     };
   }, [autoSave, hasUnsavedChanges, autoSaveInterval, slides, imgState, isSaving]);
 
-  // Manual save function
-  const saveChanges = useCallback(async (saveFunction) => {
-    if (isSaving || !hasUnsavedChanges) return { success: true };
-
+  const runSave = useCallback(async (saveFunction, { overwrite = false } = {}) => {
     try {
       setIsSaving(true);
+      lastSaveFunctionRef.current = saveFunction;
 
       let result = { success: true };
       if (typeof saveFunction === 'function') {
@@ -123,10 +126,17 @@ export function useUnsavedChanges(options = {}) {
           slides,
           imgState,
           hasChanges: hasUnsavedChanges,
+          overwrite,
         });
       }
 
+      if (result.success === false && isConflictError(result.error)) {
+        setConflict({ ...result.error.payload, error: result.error });
+        return { ...result, conflict: true };
+      }
+
       if (result.success !== false) {
+        setConflict(null);
         // Update original state after successful save
         originalStateRef.current = {
           slides: JSON.parse(JSON.stringify(slides)),
@@ -140,12 +150,43 @@ export function useUnsavedChanges(options = {}) {
 
       return result;
     } catch (error) {
+      if (isConflictError(error)) {
+        setConflict({ ...error.payload, error });
+        return { success: false, conflict: true, error };
+      }
       console.error('Save failed:', error);
       return { success: false, error };
     } finally {
       setIsSaving(false);
     }
-  }, [slides, imgState, hasUnsavedChanges, isSaving]);
+  }, [slides, imgState, hasUnsavedChanges]);
+
+  // Manual save function
+  const saveChanges = useCallback(async (saveFunction) => {
+    if (isSaving || !hasUnsavedChanges) return { success: true };
+    return runSave(saveFunction);
+  }, [runSave, hasUnsavedChanges, isSaving]);
+
+  // Settle a save conflict. 'overwrite' repeats the last save without the
+  // version check; 'reload' drops local edits and returns the server's design
+  // for the caller to load into the editor.
+  const resolveConflict = useCallback(async (strategy) => {
+    if (!conflict) return { success: true };
+
+    if (strategy === 'overwrite') {
+      return runSave(lastSaveFunctionRef.current, { overwrite: true });
+    }
+
+    const design = conflict.design ?? null;
+    originalStateRef.current = {
+      slides: JSON.parse(JSON.stringify(design?.slides ?? slides)),
+      imgState: { ...imgState },
+      timestamp: Date.now(),
+    };
+    setConflict(null);
+    setHasUnsavedChanges(false);
+    return { success: true, design };
+  }, [conflict, runSave, slides, imgState]);
 
   // Discard changes - reset to original state
   const discardChanges = useCallback(() => {
@@ -191,7 +232,9 @@ export function useUnsavedChanges(options = {}) {
     hasUnsavedChanges,
     isSaving,
     lastSaved,
+    conflict,
     saveChanges,
+    resolveConflict,
     discardChanges,
     markAsSaved,
     forceUnsaved,
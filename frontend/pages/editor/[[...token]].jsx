@@ -7,8 +7,11 @@ import SidePanel from '../../components/SidePanel.jsx';
 import FullscreenOverlay from '../../components/FullscreenOverlay.jsx';
 import RotateOverlay from '../../components/RotateOverlay.jsx';
 import PreviewModal from '../../components/PreviewModal.jsx';
+import ShareControls from '../../components/ShareControls.jsx';
+import GuestListManager from '../../components/GuestListManager.jsx';
 import PurchaseModal from '../../components/PurchaseModal.jsx';
 import DesignPublishModal from '../../components/DesignPublishModal.jsx';
+import DesignHistoryDrawer from '../../components/DesignHistoryDrawer.jsx';
 import SlidesPanel from '../../components/SlidesPanel.jsx';
 import DragHandler from '../../components/DragHandler.jsx';
 import CollapsibleGroup from '../../components/CollapsibleGroup.jsx';
@@ -20,6 +23,7 @@ import UploadMusicButton from '../../components/UploadMusicButton.jsx';
 import { useResponsive } from '../../hooks/useResponsive.js';
 import { useAppState } from '../../context/AppStateContext.jsx';
 import { EditorProvider, useEditorState } from '../../context/EditorContext.jsx';
+import useAnalytics from '../../hooks/useAnalytics.js';
 import useAuth from '../../hooks/useAuth.js';
 import useDesignOwnership from '../../hooks/useDesignOwnership.js';
 import { resolveCapabilities } from '../../utils/roleCapabilities.js';
@@ -42,12 +46,14 @@ function EditorContent() {
   const editorState = useEditorState();
   const editorReady = Boolean(editorState);
   const auth = useAuth();
+  const { trackEvent } = useAnalytics();
   const [showAuth, setShowAuth] = useState(false);
   const [panelOpen, setPanelOpen] = useState(true);
   const [isTopbarVisible, setIsTopbarVisible] = useState(true);
   const [showPreview, setShowPreview] = useState(false);
   const [showPurchase, setShowPurchase] = useState(false);
   const [showPublishModal, setShowPublishModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [activeDesignId, setActiveDesignId] = useState(null);
   useResponsive();
   const navigation = usePageNavigation();
@@ -201,6 +207,13 @@ function EditorContent() {
 
   const designIsOwned = activeDesignId ? isDesignOwned(activeDesignId) : true;
   const editingDisabled = Boolean(activeDesignId) && !designIsOwned;
+
+  // The server keeps only the first edit of each design per user.
+  useEffect(() => {
+    if (unsavedChanges.hasUnsavedChanges && activeDesignId && designIsOwned) {
+      trackEvent('first_edit', activeDesignId);
+    }
+  }, [activeDesignId, designIsOwned, trackEvent, unsavedChanges.hasUnsavedChanges]);
   const ownershipStatusMessage = (() => {
     if (!activeDesignId) return 'Editing a custom design.';
     if (ownershipLoading) return 'Checking access for this design…';
@@ -286,43 +299,46 @@ function EditorContent() {
     setShowPublishModal(true);
   }, [userRole]);
 
+  // Saves through the design API with the ETag from the last read or write. A
+  // 412 leaves the edits in place and raises the conflict banner; "Keep my
+  // changes" repeats this save with `overwrite`, which sends `If-Match: *`.
   const handlePublishModalSave = useCallback(async (publishData) => {
-    try {
-      // Save using the unsaved changes hook
-      const result = await unsavedChanges.saveChanges(async (data) => {
-        if (auth?.api?.saveDesignToMarketplace) {
-          return await auth.api.saveDesignToMarketplace({
-            designId: activeDesignId,
-            designData: data,
-            ...publishData,
-          });
-        }
-
-        // Mock save for development
-        // Debug info removed for production
-        return {
-          success: true,
-          designId: activeDesignId || `design-${Date.now()}`,
-          message: `Design "${publishData.title}" saved as ${publishData.status}`,
-        };
-      });
-
-      if (result.success) {
-        // Update the design ID if a new one was created
-        if (result.designId && result.designId !== activeDesignId) {
-          syncDesignSelection(result.designId);
-        }
+    const api = auth?.api;
+    const result = await unsavedChanges.saveChanges(async ({ slides: currentSlides, imgState, overwrite }) => {
+      const payload = {
+        title: publishData.title,
+        slides: currentSlides,
+        thumbnailUrl: imgState?.backendThumbnailUrl || '',
+        tags: Array.isArray(publishData.tags) ? publishData.tags : [],
+        category: publishData.category || '',
+      };
+      const design =
+        activeDesignId && activeDesignId !== DEFAULT_EDITOR_DESIGN_ID
+          ? await api.saveDesign(activeDesignId, payload, { overwrite })
+          : await api.createDesign(payload);
+      return { success: true, designId: String(design.id), design };
+    });
+
+    if (result.success && result.designId && result.designId !== activeDesignId) {
+      syncDesignSelection(result.designId);
+    }
+    return result;
+  }, [unsavedChanges, auth?.api, activeDesignId, syncDesignSelection]);
 
-        // Show success feedback (you might want to use a toast instead of alert)
-        // Debug info removed for production
+  const handleVersionRestored = useCallback(
+    ({ design }) => {
+      if (Array.isArray(design?.slides) && design.slides.length > 0) {
+        setSlides(design.slides);
+        setActiveIndex(0);
       }
+    },
+    [setSlides, setActiveIndex]
+  );
 
-      return result;
-    } catch (error) {
-      console.error('Error saving to marketplace:', error);
-      return { success: false, error };
-    }
-  }, [unsavedChanges, auth?.api, activeDesignId, syncDesignSelection]);
+  const handleConflictReload = useCallback(async () => {
+    const { design } = await unsavedChanges.resolveConflict('reload');
+    handleVersionRestored({ design });
+  }, [unsavedChanges, handleVersionRestored]);
 
   const togglePanel = useCallback(() => {
     setPanelOpen((prev) => !prev);
@@ -354,12 +370,30 @@ function EditorContent() {
         onShareClick={handleShareClick}
         onTogglePanel={togglePanel}
         onSaveToMarketplace={handleSaveToMarketplace}
+        onHistoryClick={isUserAuthenticated && activeDesignId && designIsOwned ? () => setShowHistory(true) : undefined}
         panelOpen={panelOpen}
         roleCapabilities={roleCapabilities}
         showBackToMarketplace={true}
         hasUnsavedChanges={unsavedChanges.hasUnsavedChanges}
       />
 
+      {unsavedChanges.conflict && (
+        <div className="save-conflict" role="alert">
+          <span>This design was changed in another tab or by someone else since you opened it.</span>
+          <button type="button" className="btn" onClick={handleConflictReload}>
+            Reload their version
+          </button>
+          <button
+            type="button"
+            className="btn primary"
+            onClick={() => unsavedChanges.resolveConflict('overwrite')}
+            disabled={unsavedChanges.isSaving}
+          >
+            Keep my changes
+          </button>
+        </div>
+      )}
+
       <div style={{ padding: 8 }}>
         <button className="btn" onClick={() => setShowAuth(true)}>Sign In</button>
       </div>
@@ -380,7 +414,11 @@ function EditorContent() {
 
       <div className="backdrop" id="backdrop"></div>
 
-      <SidePanel roleCapabilities={roleCapabilities} />
+      <SidePanel
+        roleCapabilities={roleCapabilities}
+        designId={isUserAuthenticated && designIsOwned ? activeDesignId : null}
+        api={auth?.api}
+      />
 
       <main className="stage">
         <div className="wrap">
@@ -478,7 +516,14 @@ function EditorContent() {
             setShowPurchase(true);
           }
         }}
-      />
+      >
+        {isUserAuthenticated && activeDesignId && designIsOwned && (
+          <>
+            <ShareControls designId={activeDesignId} api={auth?.api} />
+            <GuestListManager designId={activeDesignId} api={auth?.api} />
+          </>
+        )}
+      </PreviewModal>
       <PurchaseModal
         isOpen={showPurchase}
         designId={activeDesignId}
@@ -492,6 +537,14 @@ function EditorContent() {
         onCancel={() => setShowPurchase(false)}
       />
 
+      <DesignHistoryDrawer
+        isOpen={showHistory}
+        designId={activeDesignId}
+        api={auth.api}
+        onRestore={handleVersionRestored}
+        onClose={() => setShowHistory(false)}
+      />
+
       <DesignPublishModal
         isOpen={showPublishModal}
         onClose={() => setShowPublishModal(false)}
@@ -0,0 +1,91 @@
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import InvitationPlayer from '../../components/InvitationPlayer.jsx';
+import RsvpForm from '../../components/RsvpForm.jsx';
+import useAuth from '../../hooks/useAuth.js';
+
+// Event times are wall-clock times in the event's own zone, so they are
+// formatted as UTC to show them unshifted, followed by the zone name.
+function formatEventTime(localDateTime, timeZone) {
+  const date = new Date(`${localDateTime}Z`);
+  if (Number.isNaN(date.getTime())) return localDateTime;
+  const formatted = new Intl.DateTimeFormat(undefined, { dateStyle: 'full', timeStyle: 'short', timeZone: 'UTC' }).format(date);
+  return `${formatted} (${timeZone})`;
+}
+
+function EventSummary({ event, calendarUrl }) {
+  const location = [event.venue, event.address].filter(Boolean).join(', ');
+  return (
+    <section className="share-event" aria-label="Event details">
+      <p>{formatEventTime(event.start, event.timezone)}</p>
+      {location && <p>{location}</p>}
+      {event.notes && <p className="share-event-notes">{event.notes}</p>}
+      {calendarUrl && (
+        <a className="btn" href={calendarUrl} download="event.ics">
+          Add to calendar
+        </a>
+      )}
+    </section>
+  );
+}
+
+// Public, read-only viewer for share links (`/share/<token>`). Guests do not
+// need an account; the token alone grants access until it is revoked. A
+// personal guest token also greets the guest and pre-fills their RSVP.
+export default function SharedInvitationPage() {
+  const router = useRouter();
+  const auth = useAuth();
+  const api = auth?.api;
+  const rawToken = router.query?.token;
+  const token = Array.isArray(rawToken) ? rawToken[0] : rawToken;
+  const [state, setState] = useState({ status: 'loading', design: null, guest: null, rsvp: null });
+
+  useEffect(() => {
+    if (!router.isReady) return undefined;
+    if (!token || !api) {
+      setState({ status: 'missing', design: null, guest: null, rsvp: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState({ status: 'loading', design: null, guest: null, rsvp: null });
+    api
+      .getSharedDesign(token)
+      .then((response) => {
+        if (cancelled) return;
+        setState({
+          status: 'ready',
+          design: response?.design ?? null,
+          guest: response?.guest ?? null,
+          rsvp: response?.rsvp ?? null,
+        });
+      })
+      .catch(() => {
+        if (!cancelled) setState({ status: 'missing', design: null, guest: null, rsvp: null });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [router.isReady, token, api]);
+
+  return (
+    <main id="sharePage" className="page share-page">
+      {state.status === 'loading' && <p aria-live="polite">Loading invitation…</p>}
+      {state.status === 'missing' && (
+        <p className="share-error" role="alert">
+          This invitation link is invalid or has been turned off by its owner.
+        </p>
+      )}
+      {state.status === 'ready' && state.design && (
+        <>
+          <h1 className="share-title">{state.design.title}</h1>
+          <InvitationPlayer slides={state.design.slides} />
+          {state.design.event && (
+            <EventSummary event={state.design.event} calendarUrl={api.getSharedEventCalendarUrl?.(token)} />
+          )}
+          <RsvpForm token={token} api={api} guest={state.guest} rsvp={state.rsvp} />
+        </>
+      )}
+    </main>
+  );
+}
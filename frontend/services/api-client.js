@@ -4,6 +4,8 @@ const SESSION_STORAGE_KEY = 'app_auth_session';
 const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
 const PERSISTENT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
 const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+const ANALYTICS_FLUSH_INTERVAL = 5000;
+const ANALYTICS_BATCH_SIZE = 50; // the most events the server accepts per request
 const ALLOWED_IMAGE_TYPES = new Set([
   'image/jpeg',
   'image/jpg',
@@ -12,6 +14,32 @@ const ALLOWED_IMAGE_TYPES = new Set([
   'image/webp',
 ]);
 
+function generateIdempotencyKey() {
+  const cryptoApi = getGlobal('crypto');
+  if (cryptoApi && typeof cryptoApi.randomUUID === 'function') {
+    return cryptoApi.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * True when a write was rejected because the design changed since it was
+ * loaded (HTTP 412), or because the client had no ETag to send (HTTP 428).
+ * `error.payload` carries the current `design`, its `etag` and latest
+ * `version`.
+ */
+function isConflictError(error) {
+  return error?.status === 412 || error?.status === 428;
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  return headers[name.toLowerCase()] ?? headers[name] ?? null;
+}
+
 function hasWindow() {
   return typeof window !== 'undefined' && window?.location;
 }
@@ -272,7 +300,12 @@ class APIClient {
     this.user = null;
     this.sessionInfo = { lastActivity: 0 };
     this.isRetrying = false;
+    this._refreshPromise = null;
     this._debug = false;
+    this._designETags = new Map();
+    this._analyticsQueue = [];
+    this._analyticsTimer = null;
+    this._pageHideListening = false;
 
     this.setBaseURL(baseURL);
 
@@ -496,7 +529,7 @@ class APIClient {
     return true;
   }
 
-  refreshSession() {
+  touchSession() {
     if (!this.token || !this.storage) {
       return;
     }
@@ -522,6 +555,49 @@ class APIClient {
     }
   }
 
+  /**
+   * Exchange the refresh token (sent as an HttpOnly cookie) for a new access
+   * token. Concurrent callers share a single in-flight refresh.
+   * @returns {Promise<boolean>} whether a new access token was stored
+   */
+  async refreshSession() {
+    if (!this.token) {
+      return false;
+    }
+    if (this._refreshPromise) {
+      return this._refreshPromise;
+    }
+
+    this._refreshPromise = (async () => {
+      try {
+        const response = await this.request('/auth/refresh', {
+          method: 'POST',
+          credentials: 'include',
+          skipAuth: true,
+          skipAuthRetry: true,
+          skipSessionRefresh: true,
+          maxRetries: 1,
+        });
+        const token = response?.access_token || response?.token;
+        if (!token) {
+          return false;
+        }
+        this.saveToken(token);
+        if (response?.user) {
+          this.saveUser(response.user);
+        }
+        return this.token === token;
+      } catch (error) {
+        logWarning(error, 'Session refresh failed');
+        return false;
+      } finally {
+        this._refreshPromise = null;
+      }
+    })();
+
+    return this._refreshPromise;
+  }
+
   isAuthenticated() {
     return Boolean(this.token && this.isSessionValid());
   }
@@ -615,14 +691,30 @@ class APIClient {
     return { url, fetchOptions };
   }
 
-  async request(endpoint, options = {}) {
-    if (!options.skipSessionRefresh) {
-      this.refreshSession();
+  // POSTs that may be retried send one Idempotency-Key on every attempt so the
+  // server replays the first response instead of repeating the write.
+  _withIdempotencyKey(options, maxRetries) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method !== 'POST' || maxRetries <= 1 || options.idempotencyKey === false) {
+      return options;
     }
+    const headers = { ...(options.headers || {}) };
+    const hasKey = Object.keys(headers).some((name) => name.toLowerCase() === 'idempotency-key');
+    if (!hasKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey || generateIdempotencyKey();
+    }
+    return { ...options, headers };
+  }
 
+  async request(endpoint, requestOptions = {}) {
+    if (!requestOptions.skipSessionRefresh) {
+      this.touchSession();
+    }
+
+    const maxRetries = requestOptions.maxRetries ?? 3;
+    const options = this._withIdempotencyKey(requestOptions, maxRetries);
     const { url, fetchOptions } = this._prepareRequestOptions(endpoint, options);
     const parsePreference = options.parse;
-    const maxRetries = options.maxRetries ?? 3;
     const retryDelay = options.retryDelay ?? 1000;
     let lastError = null;
 
@@ -631,6 +723,7 @@ class APIClient {
       
       try {
         const response = await this.fetch(url, fetchOptions);
+        options.onResponse?.(response);
         
         // Update last activity on successful authenticated requests
         if (this.token && response.ok) {
@@ -644,16 +737,19 @@ class APIClient {
         lastError = error;
         const status = error?.status ?? 0;
         
-        // Clear token on 401 and retry without auth if possible
+        // Refresh the access token on 401, otherwise clear it and retry without auth
         if (status === 401 && this.token && !options.skipAuthRetry) {
-          this.clearToken();
+          if (!(await this.refreshSession())) {
+            this.clearToken();
+          }
           const { url: retryUrl, fetchOptions: retryOptions } = this._prepareRequestOptions(endpoint, {
             ...options,
             skipAuthRetry: true
           });
-          return this.fetch(retryUrl, retryOptions).then(response => 
-            this._handleResponse(response, { parse: parsePreference, url: retryUrl })
-          );
+          return this.fetch(retryUrl, retryOptions).then(response => {
+            options.onResponse?.(response);
+            return this._handleResponse(response, { parse: parsePreference, url: retryUrl });
+          });
         }
         
         throw error;
@@ -799,7 +895,7 @@ class APIClient {
   async register(userData) {
     this.isRetrying = true;
     try {
-      const response = await this.post('/auth/register', userData);
+      const response = await this.post('/auth/register', userData, { credentials: 'include' });
       if (response?.token) {
         this.saveToken(response.token);
       }
@@ -818,6 +914,7 @@ class APIClient {
       const response = await this.request('/auth/login', {
         method: 'POST',
         body: loginData,
+        credentials: 'include',
         skipAuth: true,
       });
 
@@ -843,7 +940,7 @@ class APIClient {
     try {
       if (this.isAuthenticated()) {
         try {
-          await this.request('/auth/logout', { method: 'POST' });
+          await this.request('/auth/logout', { method: 'POST', credentials: 'include' });
         } catch (error) {
           logWarning(error, 'Logout endpoint failed');
         }
@@ -873,8 +970,43 @@ class APIClient {
     return this.post('/purchase', { tokens: amount, ...extra });
   }
 
-  async purchaseTokens(amount, extra = {}) {
-    return this.updateTokens(amount, extra);
+  async getTokenPacks() {
+    return this.get('/payments/packs');
+  }
+
+  /**
+   * Start a checkout for a token pack. Tokens are credited once the payment
+   * provider confirms the payment; redirect the user to `checkoutUrl` and
+   * poll `getCheckoutSession` for the outcome.
+   */
+  async createCheckoutSession(packId, { successUrl, cancelUrl } = {}) {
+    if (!packId) {
+      throw new Error('packId is required');
+    }
+    return this.post('/payments/checkout', { packId, successUrl, cancelUrl });
+  }
+
+  async getCheckoutSession(checkoutId) {
+    return this.get(`/payments/checkout/${encodeURIComponent(checkoutId)}`);
+  }
+
+  async purchaseTokens(packId, options = {}) {
+    return this.createCheckoutSession(packId, options);
+  }
+
+  async getTokenLedger() {
+    return this.get('/user/tokens/ledger');
+  }
+
+  async getOwnedDesigns() {
+    return this.get('/user/owned-designs');
+  }
+
+  async purchaseDesign(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.post(`/designs/${encodeURIComponent(designId)}/purchase`);
   }
 
   async getNavigationState() {
@@ -888,9 +1020,11 @@ class APIClient {
     });
   }
 
+  // `tags`, `badges` and `priceRanges` narrow the results to designs matching
+  // any of the given values; the response carries facet counts in `facets`.
   async listMarketplace(filters = {}) {
     const params = new URLSearchParams();
-    const { role, category, search, ownerId, mine } = filters || {};
+    const { role, category, search, ownerId, mine, tags, badges, priceRanges, premium } = filters || {};
 
     if (typeof role === 'string' && role.trim()) params.set('role', role.trim());
     if (typeof category === 'string' && category.trim()) params.set('category', category.trim());
@@ -906,6 +1040,13 @@ class APIClient {
       : Boolean(mine);
     if (mineNormalized) params.set('mine', 'true');
 
+    const facetParams = [['tag', tags], ['badge', badges], ['price', priceRanges]];
+    for (const [name, values] of facetParams) {
+      if (!Array.isArray(values)) continue;
+      values.filter((value) => typeof value === 'string' && value.trim()).forEach((value) => params.append(name, value.trim()));
+    }
+    if (typeof premium === 'boolean') params.set('premium', String(premium));
+
     const query = params.toString();
     // Remove the /api prefix since it's already handled by the base URL
     const endpoint = query ? `/marketplace?${query}` : '/marketplace';
@@ -913,11 +1054,69 @@ class APIClient {
     return this.request(endpoint, { method: 'GET' });
   }
 
-  async recordView(designId) {
-    if (!designId) {
-      return { ok: false };
+  // Analytics events ('view' or a funnel stage such as 'preview_opened') are
+  // buffered and sent in batches every few seconds, and when the page is
+  // hidden. Only signed-in viewers are counted.
+  trackEvent(type, designId) {
+    if (!type || designId === undefined || designId === null || designId === '') {
+      return false;
+    }
+    if (!this.isAuthenticated()) {
+      return false;
+    }
+
+    this._analyticsQueue.push({ type, designId: String(designId), occurredAt: new Date().toISOString() });
+    this._listenForPageHide();
+    if (this._analyticsQueue.length >= ANALYTICS_BATCH_SIZE) {
+      this.flushEvents();
+    } else if (!this._analyticsTimer) {
+      this._analyticsTimer = setTimeout(() => this.flushEvents(), ANALYTICS_FLUSH_INTERVAL);
     }
-    return this.post('/analytics/view', { designId });
+    return true;
+  }
+
+  // Sends every buffered event. `keepalive` lets the last batch outlive the
+  // page; it is sent once, without retries. Failed batches are dropped.
+  async flushEvents({ keepalive = false } = {}) {
+    if (this._analyticsTimer) {
+      clearTimeout(this._analyticsTimer);
+      this._analyticsTimer = null;
+    }
+
+    const batches = [];
+    while (this._analyticsQueue.length > 0) {
+      batches.push(this._analyticsQueue.splice(0, ANALYTICS_BATCH_SIZE));
+    }
+
+    return Promise.all(
+      batches.map((events) =>
+        this.request('/analytics/events', {
+          method: 'POST',
+          body: { events },
+          keepalive,
+          maxRetries: keepalive ? 1 : 3,
+        }).catch((error) => {
+          this._log('Dropped analytics events', error);
+          return null;
+        }),
+      ),
+    );
+  }
+
+  _listenForPageHide() {
+    if (this._pageHideListening || !hasWindow()) return;
+    this._pageHideListening = true;
+    const flushOnHide = () => {
+      if (this._analyticsQueue.length > 0) this.flushEvents({ keepalive: true });
+    };
+    window.addEventListener('pagehide', flushOnHide);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushOnHide();
+    });
+  }
+
+  async recordView(designId) {
+    return { ok: this.trackEvent('view', designId) };
   }
 
   async recordConversion(designId) {
@@ -935,6 +1134,27 @@ class APIClient {
     return this.get('/analytics/conversions');
   }
 
+  // Views and conversions bucketed by `interval` ('day', 'week' or 'month')
+  // between the inclusive `from` and `to` dates (YYYY-MM-DD), with totals for
+  // the period just before for comparison.
+  async getDesignTimeseries(designId, { from, to, interval } = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/analytics/designs/${encodeURIComponent(designId)}/timeseries`, { from, to, interval });
+  }
+
+  // Marketplace funnel stages with drop-off between the inclusive `from` and
+  // `to` dates, for all designs or one `designId` or `category`.
+  async getMarketplaceFunnel({ from, to, designId, category } = {}) {
+    return this.get('/admin/analytics/funnel', { from, to, designId, category });
+  }
+
+  // Public category list in display order, subcategories after their parent.
+  async getCategories() {
+    return this.get('/categories');
+  }
+
   async getAdminCategories() {
     return this.get('/admin/categories');
   }
@@ -943,11 +1163,19 @@ class APIClient {
     return this.post('/admin/categories', payload);
   }
 
-  async deleteAdminCategory(id) {
+  async updateAdminCategory(id, fields = {}) {
+    if (!id) {
+      throw new Error('Category id is required');
+    }
+    return this.patch(`/admin/categories/${encodeURIComponent(id)}`, fields);
+  }
+
+  // Categories still used by designs can only be deleted with `reassignTo`.
+  async deleteAdminCategory(id, { reassignTo } = {}) {
     if (!id) {
       throw new Error('Category id is required');
     }
-    return this.delete(`/admin/categories/${encodeURIComponent(id)}`);
+    return this.delete(appendQuery(`/admin/categories/${encodeURIComponent(id)}`, { reassignTo }));
   }
 
   async listAdminDesigns(params = {}) {
@@ -1034,7 +1262,7 @@ class APIClient {
           }));
       case 'analytics':
       case 'viewanalytics':
-        return this.get(`/analytics/design/${encodeURIComponent(listingId)}`);
+        return this.getDesignTimeseries(listingId, payload || {});
       case 'delete':
       case 'archive':
         return this.deleteMarketplaceListing(listingId, options || {});
@@ -1079,6 +1307,33 @@ class APIClient {
     return this.put(`/admin/designs/${encodeURIComponent(id)}/price`, { price });
   }
 
+  // Admin audit log, newest first. Accepts actorId, action, targetType,
+  // targetId, from, to, page and pageSize.
+  async listAdminAuditLog(params = {}) {
+    return this.get('/admin/audit', params);
+  }
+
+  // Accounts for admins. Accepts search, role, status, page and pageSize.
+  async listAdminUsers(params = {}) {
+    return this.get('/admin/users', params);
+  }
+
+  async updateAdminUserRole(id, role) {
+    if (!id) {
+      throw new Error('User id is required');
+    }
+    return this.patch(`/admin/users/${encodeURIComponent(id)}`, { role });
+  }
+
+  // Suspending blocks login and signs the user out everywhere.
+  async setAdminUserSuspended(id, suspended) {
+    if (!id) {
+      throw new Error('User id is required');
+    }
+    const action = suspended ? 'suspend' : 'reactivate';
+    return this.post(`/admin/users/${encodeURIComponent(id)}/${action}`, {});
+  }
+
   async getUserDesigns(params = {}) {
     return this.get('/designs', params);
   }
@@ -1087,11 +1342,240 @@ class APIClient {
     return this.get('/designs', params);
   }
 
+  // Remembers the ETag of each design this client has read or written so the
+  // next write can send it as If-Match. Tags from failed responses (notably a
+  // 412) are ignored, otherwise a plain retry would overwrite the other edit.
+  // `overwrite` sends `If-Match: *`, which the server accepts for any version.
+  _designRequestOptions(designId, { overwrite = false } = {}) {
+    const key = String(designId);
+    const headers = {};
+    const etag = this._designETags.get(key);
+    if (overwrite) {
+      headers['If-Match'] = '*';
+    } else if (etag) {
+      headers['If-Match'] = etag;
+    }
+    return {
+      headers,
+      onResponse: (response) => {
+        if (!response?.ok) return;
+        const next = readHeader(response.headers, 'ETag');
+        if (next) {
+          this._designETags.set(key, next);
+        } else if (response?.status === 204) {
+          this._designETags.delete(key);
+        }
+      },
+    };
+  }
+
+  getDesignETag(designId) {
+    return this._designETags.get(String(designId)) ?? null;
+  }
+
   async getDesign(designId) {
     if (designId === undefined || designId === null) {
       throw new Error('designId is required');
     }
-    return this.get(`/designs/${encodeURIComponent(designId)}`);
+    return this.get(`/designs/${encodeURIComponent(designId)}`, {}, this._designRequestOptions(designId));
+  }
+
+  async createDesign(payload = {}) {
+    let etag = null;
+    const design = await this.post('/designs', payload, {
+      onResponse: (response) => {
+        if (response?.ok) etag = readHeader(response.headers, 'ETag');
+      },
+    });
+    if (etag && design?.id !== undefined && design?.id !== null) {
+      this._designETags.set(String(design.id), etag);
+    }
+    return design;
+  }
+
+  // Sends If-Match when the design's ETag is known; a 412 means another tab or
+  // user saved first, a 428 that no ETag was known (see isConflictError).
+  // `overwrite: true` skips the check.
+  async saveDesign(designId, payload = {}, { partial = false, overwrite = false } = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    const endpoint = `/designs/${encodeURIComponent(designId)}`;
+    const options = this._designRequestOptions(designId, { overwrite });
+    return partial ? this.patch(endpoint, payload, options) : this.put(endpoint, payload, options);
+  }
+
+  async deleteDesign(designId, { overwrite = false } = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.delete(`/designs/${encodeURIComponent(designId)}`, this._designRequestOptions(designId, { overwrite }));
+  }
+
+  async listDesignVersions(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/versions`);
+  }
+
+  async getDesignVersion(designId, version) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/versions/${encodeURIComponent(version)}`);
+  }
+
+  // Compares `from` (default: the previous version) with `version`.
+  async diffDesignVersions(designId, version, from) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    const params = from === undefined || from === null ? {} : { from };
+    return this.get(`/designs/${encodeURIComponent(designId)}/versions/${encodeURIComponent(version)}/diff`, params);
+  }
+
+  async restoreDesignVersion(designId, version, { overwrite = false } = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.post(
+      `/designs/${encodeURIComponent(designId)}/versions/${encodeURIComponent(version)}/restore`,
+      {},
+      this._designRequestOptions(designId, { overwrite }),
+    );
+  }
+
+  async listShareLinks(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/share`);
+  }
+
+  async createShareLink(designId, { expiresInDays } = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    const payload = expiresInDays ? { expiresInDays } : {};
+    return this.post(`/designs/${encodeURIComponent(designId)}/share`, payload);
+  }
+
+  async revokeShareLink(designId, linkId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.delete(`/designs/${encodeURIComponent(designId)}/share/${encodeURIComponent(linkId)}`);
+  }
+
+  // Public: guests open share links without a session.
+  async getSharedDesign(token) {
+    if (!token) {
+      throw new Error('token is required');
+    }
+    return this.get(`/share/${encodeURIComponent(token)}`, {}, { skipAuth: true, skipSessionRefresh: true, maxRetries: 1 });
+  }
+
+  // Public: a plain URL for an <a href> so the browser downloads the .ics
+  // file itself; 404 when the design has no event details.
+  getSharedEventCalendarUrl(token) {
+    if (!token) {
+      throw new Error('token is required');
+    }
+    return this._buildRequestUrl(`/share/${encodeURIComponent(token)}/event.ics`);
+  }
+
+  // Public: a guest's answer to a shared invitation. Retries reuse one
+  // Idempotency-Key, so a flaky connection never records the answer twice.
+  async submitRsvp(token, payload = {}) {
+    if (!token) {
+      throw new Error('token is required');
+    }
+    return this.post(`/share/${encodeURIComponent(token)}/rsvp`, payload, { skipAuth: true, skipSessionRefresh: true });
+  }
+
+  async listRsvps(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/rsvps`);
+  }
+
+  async updateRsvp(designId, rsvpId, changes = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.patch(`/designs/${encodeURIComponent(designId)}/rsvps/${encodeURIComponent(rsvpId)}`, changes);
+  }
+
+  async deleteRsvp(designId, rsvpId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.delete(`/designs/${encodeURIComponent(designId)}/rsvps/${encodeURIComponent(rsvpId)}`);
+  }
+
+  async listGuests(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/guests`);
+  }
+
+  async addGuest(designId, guest = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.post(`/designs/${encodeURIComponent(designId)}/guests`, guest);
+  }
+
+  async updateGuest(designId, guestId, changes = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.patch(`/designs/${encodeURIComponent(designId)}/guests/${encodeURIComponent(guestId)}`, changes);
+  }
+
+  async deleteGuest(designId, guestId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.delete(`/designs/${encodeURIComponent(designId)}/guests/${encodeURIComponent(guestId)}`);
+  }
+
+  // `mapping` names the CSV header for each guest field that does not use a
+  // default header, e.g. `{ name: 'Full Name' }`.
+  async importGuests(designId, csv, mapping) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    const payload = mapping ? { csv, mapping } : { csv };
+    return this.post(`/designs/${encodeURIComponent(designId)}/guests/import`, payload);
+  }
+
+  // Resolves to the CSV text.
+  async exportGuests(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/guests/export`);
+  }
+
+  // Queues invitation emails; each guest's status is then reported by
+  // listDeliveries. Retries reuse one Idempotency-Key.
+  async sendInvitations(designId, guestIds, { message } = {}) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    const payload = message ? { guestIds, message } : { guestIds };
+    return this.post(`/designs/${encodeURIComponent(designId)}/send`, payload);
+  }
+
+  async listDeliveries(designId) {
+    if (designId === undefined || designId === null) {
+      throw new Error('designId is required');
+    }
+    return this.get(`/designs/${encodeURIComponent(designId)}/deliveries`);
   }
 
   async getDesignsByCategory(category, params = {}) {
@@ -1274,6 +1758,6 @@ if (typeof window !== 'undefined') {
   window.apiClient = apiClient;
 }
 
-export { APIClient };
+export { APIClient, isConflictError };
 export { apiClient };
 export default apiClient;
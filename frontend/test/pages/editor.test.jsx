@@ -0,0 +1,137 @@
+import { useEffect } from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Editor from '../../pages/editor/[[...token]].jsx';
+import { AppStateProvider, useAppState } from '../../context/AppStateContext.jsx';
+import useAuth from '../../hooks/useAuth.js';
+import { createMockRouter } from '../utils/createMockRouter.js';
+
+const mockRouter = createMockRouter({ query: { token: ['7'] }, asPath: '/editor/7' });
+
+jest.mock('next/router', () => ({ useRouter: () => mockRouter }));
+jest.mock('../../hooks/useAuth.js', () => ({ __esModule: true, default: jest.fn() }));
+jest.mock('../../hooks/useAnalytics.js', () => ({ __esModule: true, default: () => ({ trackEvent: jest.fn() }) }));
+jest.mock('../../hooks/useResponsive.js', () => ({ useResponsive: jest.fn() }));
+jest.mock('../../utils/navigationManager.js', () => ({ usePageNavigation: () => ({}) }));
+jest.mock('../../hooks/useDesignOwnership.js', () => ({
+  __esModule: true,
+  default: () => ({
+    setCurrentDesignId: jest.fn(),
+    isDesignOwned: () => true,
+    ensureOwnership: jest.fn().mockResolvedValue(true),
+    loading: false,
+    error: null,
+    currentDesignId: null,
+  }),
+}));
+
+// The save flow only needs the top bar and the publish modal; the canvas and
+// panels are stubbed out.
+jest.mock('../../components/Topbar.jsx', () => ({
+  __esModule: true,
+  default: ({ onSaveToMarketplace, hasUnsavedChanges }) => (
+    <div>
+      <span>{hasUnsavedChanges ? 'Unsaved changes' : 'All changes saved'}</span>
+      <button type="button" onClick={onSaveToMarketplace}>
+        Save to Marketplace
+      </button>
+    </div>
+  ),
+}));
+jest.mock('../../components/DesignPublishModal.jsx', () => ({
+  __esModule: true,
+  default: ({ isOpen, onSave }) =>
+    isOpen ? (
+      <button type="button" onClick={() => onSave({ title: 'Party', category: 'birthday', tags: ['fun'], status: 'draft' })}>
+        Publish
+      </button>
+    ) : null,
+}));
+jest.mock('../../components/AuthModal.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/Breadcrumbs.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/SidePanel.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/FullscreenOverlay.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/RotateOverlay.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/PreviewModal.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/ShareControls.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/GuestListManager.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/PurchaseModal.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/DesignHistoryDrawer.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/SlidesPanel.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/DragHandler.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/CollapsibleGroup.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/ImageCanvas.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/TextControls.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/PlaybackControls.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/UploadBackgroundButton.jsx', () => ({ __esModule: true, default: () => null }));
+jest.mock('../../components/UploadMusicButton.jsx', () => ({ __esModule: true, default: () => null }));
+
+function AdminRole() {
+  const { setUserRole } = useAppState();
+  useEffect(() => {
+    setUserRole('admin');
+  }, [setUserRole]);
+  return null;
+}
+
+function renderEditor(api) {
+  useAuth.mockReturnValue({ isAuthenticated: true, isInitialized: true, api });
+  return render(
+    <AppStateProvider>
+      <AdminRole />
+      <Editor />
+    </AppStateProvider>
+  );
+}
+
+function createConflict() {
+  return Object.assign(new Error('Precondition failed'), {
+    status: 412,
+    payload: { design: { id: '7', slides: [{ id: 9, layers: [] }] }, etag: '"7-3"', version: 3 },
+  });
+}
+
+describe('Editor save conflicts', () => {
+  it('shows the conflict banner on a 412 and overwrites on request', async () => {
+    const api = {
+      saveDesign: jest.fn().mockRejectedValueOnce(createConflict()).mockResolvedValueOnce({ id: '7' }),
+      createDesign: jest.fn(),
+    };
+    const user = userEvent.setup();
+    renderEditor(api);
+
+    expect(await screen.findByText('Unsaved changes')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Save to Marketplace' }));
+    await user.click(screen.getByRole('button', { name: 'Publish' }));
+
+    expect(await screen.findByText(/This design was changed in another tab/)).toBeInTheDocument();
+    expect(api.saveDesign).toHaveBeenCalledWith(
+      '7',
+      expect.objectContaining({ title: 'Party', category: 'birthday', tags: ['fun'], slides: expect.any(Array) }),
+      { overwrite: false }
+    );
+    expect(screen.getByText('Unsaved changes')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Keep my changes' }));
+
+    await waitFor(() => expect(screen.queryByText(/This design was changed in another tab/)).not.toBeInTheDocument());
+    expect(api.saveDesign).toHaveBeenLastCalledWith('7', expect.any(Object), { overwrite: true });
+    expect(screen.getByText('All changes saved')).toBeInTheDocument();
+    expect(api.createDesign).not.toHaveBeenCalled();
+  });
+
+  it('drops local edits when the other version is reloaded', async () => {
+    const api = { saveDesign: jest.fn().mockRejectedValue(createConflict()), createDesign: jest.fn() };
+    const user = userEvent.setup();
+    renderEditor(api);
+
+    expect(await screen.findByText('Unsaved changes')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Save to Marketplace' }));
+    await user.click(screen.getByRole('button', { name: 'Publish' }));
+    await user.click(await screen.findByRole('button', { name: 'Reload their version' }));
+
+    await waitFor(() => expect(screen.queryByText(/This design was changed in another tab/)).not.toBeInTheDocument());
+    expect(screen.getByText('All changes saved')).toBeInTheDocument();
+    expect(api.saveDesign).toHaveBeenCalledTimes(1);
+  });
+});
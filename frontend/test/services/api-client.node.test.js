@@ -2,7 +2,7 @@
  * @jest-environment node
  */
 
-import { APIClient } from '../../services/api-client.js';
+import { APIClient, isConflictError } from '../../services/api-client.js';
 
 const noopFetch = () => Promise.resolve({ ok: true, json: () => Promise.resolve({}) });
 
@@ -67,6 +67,17 @@ describe('APIClient marketplace endpoint resolution', () => {
       method: 'GET'
     }));
   });
+
+  test('facet filters become repeated query parameters', async () => {
+    const fetchSpy = createFetchSpy();
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.listMarketplace({ category: 'wedding', tags: ['rustic', 'floral'], priceRanges: ['free'], premium: false });
+
+    expect(fetchSpy.mock.calls[0][0]).toBe(
+      'https://example.com/api/marketplace?category=wedding&tag=rustic&tag=floral&price=free&premium=false'
+    );
+  });
 });
 
 describe('APIClient auth and health endpoint resolution', () => {
@@ -152,3 +163,522 @@ describe('APIClient auth and health endpoint resolution', () => {
     );
   });
 });
+
+describe('APIClient owner design helpers', () => {
+  const createFetchSpy = (payload = {}) =>
+    jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: async () => payload,
+      text: async () => JSON.stringify(payload),
+    });
+
+  test('createDesign posts to the designs collection', async () => {
+    const fetchSpy = createFetchSpy({ id: 'dsgn_1' });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.createDesign({ title: 'Party', slides: [] });
+
+    expect(fetchSpy).toHaveBeenCalledWith(
+      'https://example.com/api/designs',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ title: 'Party', slides: [] }) }),
+    );
+  });
+
+  test.each([
+    ['replaces with PUT by default', {}, 'PUT'],
+    ['uses PATCH for partial saves', { partial: true }, 'PATCH'],
+  ])('saveDesign %s', async (_label, options, method) => {
+    const fetchSpy = createFetchSpy({ id: 'dsgn_1' });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.saveDesign('dsgn_1', { title: 'Party' }, options);
+
+    expect(fetchSpy).toHaveBeenCalledWith(
+      'https://example.com/api/designs/dsgn_1',
+      expect.objectContaining({ method }),
+    );
+  });
+
+  test('design writes send the last seen ETag as If-Match', async () => {
+    const fetchSpy = jest.fn().mockImplementation(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: (name) => (name.toLowerCase() === 'etag' ? `"v${fetchSpy.mock.calls.length}"` : 'application/json') },
+      json: async () => ({ id: 'dsgn_1' }),
+      text: async () => '',
+    }));
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.getDesign('dsgn_1');
+    await client.saveDesign('dsgn_1', { title: 'Party' }, { partial: true });
+    await client.saveDesign('dsgn_1', { title: 'Party' }, { overwrite: true });
+
+    expect(fetchSpy.mock.calls[0][1].headers['If-Match']).toBeUndefined();
+    expect(fetchSpy.mock.calls[1][1].headers['If-Match']).toBe('"v1"');
+    expect(fetchSpy.mock.calls[2][1].headers['If-Match']).toBe('*');
+    expect(client.getDesignETag('dsgn_1')).toBe('"v3"');
+  });
+
+  test('a 412 is reported as a conflict and does not replace the known ETag', async () => {
+    const current = { id: 'dsgn_1', title: 'Other tab' };
+    const fetchSpy = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 412,
+      statusText: 'Precondition Failed',
+      headers: { get: (name) => (name.toLowerCase() === 'etag' ? '"server"' : 'application/json') },
+      json: async () => ({ error: { type: 'precondition_failed', message: 'Design was modified by another request' }, etag: '"server"', version: 3, design: current }),
+      text: async () => '',
+    });
+    const client = new APIClient('https://example.com', fetchSpy);
+    client._designETags.set('dsgn_1', '"mine"');
+
+    const error = await client.saveDesign('dsgn_1', { title: 'This tab' }).catch((err) => err);
+
+    expect(isConflictError(error)).toBe(true);
+    expect(error.payload.design).toEqual(current);
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(client.getDesignETag('dsgn_1')).toBe('"mine"');
+  });
+
+  test('a 428 for a write without a known ETag is also reported as a conflict', async () => {
+    const fetchSpy = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 428,
+      statusText: 'Precondition Required',
+      headers: { get: (name) => (name.toLowerCase() === 'etag' ? '"server"' : 'application/json') },
+      json: async () => ({ error: { type: 'precondition_required', message: 'Send If-Match' }, etag: '"server"', version: 1, design: { id: 'dsgn_1' } }),
+      text: async () => '',
+    });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    const error = await client.deleteDesign('dsgn_1').catch((err) => err);
+
+    expect(fetchSpy.mock.calls[0][1].headers['If-Match']).toBeUndefined();
+    expect(isConflictError(error)).toBe(true);
+    expect(error.payload.etag).toBe('"server"');
+  });
+
+  test('deleteDesign requires an id', async () => {
+    const client = new APIClient('https://example.com', createFetchSpy());
+
+    await expect(client.deleteDesign()).rejects.toThrow('designId is required');
+  });
+
+  test('purchaseDesign posts to the design purchase route', async () => {
+    const fetchSpy = createFetchSpy({ designId: '3', owned: true, tokens: 5 });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await expect(client.purchaseDesign('3')).resolves.toEqual({ designId: '3', owned: true, tokens: 5 });
+
+    expect(fetchSpy).toHaveBeenCalledWith(
+      'https://example.com/api/designs/3/purchase',
+      expect.objectContaining({ method: 'POST' }),
+    );
+  });
+
+  test('getOwnedDesigns reads ownership from the server', async () => {
+    const fetchSpy = createFetchSpy({ designs: [] });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.getOwnedDesigns();
+
+    expect(fetchSpy).toHaveBeenCalledWith(
+      'https://example.com/api/user/owned-designs',
+      expect.objectContaining({ method: 'GET' }),
+    );
+  });
+
+  test('design version helpers call the version history routes', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.listDesignVersions('7');
+    await client.diffDesignVersions('7', 3, 1);
+    await client.restoreDesignVersion('7', 2);
+
+    expect(fetchSpy.mock.calls.map(([url, options]) => [options.method, url])).toEqual([
+      ['GET', 'https://example.com/api/designs/7/versions'],
+      ['GET', 'https://example.com/api/designs/7/versions/3/diff?from=1'],
+      ['POST', 'https://example.com/api/designs/7/versions/2/restore'],
+    ]);
+  });
+
+  test('share link helpers call the share routes and read shared designs without auth', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+    client.token = 'owner-token';
+    client.isSessionValid = () => true;
+
+    await client.createShareLink('7', { expiresInDays: 7 });
+    await client.revokeShareLink('7', 'shr_1');
+    await client.getSharedDesign('shr_1.sig');
+
+    expect(fetchSpy.mock.calls.map(([url, options]) => [options.method, url])).toEqual([
+      ['POST', 'https://example.com/api/designs/7/share'],
+      ['DELETE', 'https://example.com/api/designs/7/share/shr_1'],
+      ['GET', 'https://example.com/api/share/shr_1.sig'],
+    ]);
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({ expiresInDays: 7 });
+    expect(fetchSpy.mock.calls[2][1].headers.Authorization).toBeUndefined();
+    expect(client.getSharedEventCalendarUrl('shr_1.sig')).toBe('https://example.com/api/share/shr_1.sig/event.ics');
+  });
+
+  test('design time series pass only the range and interval that were given', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.getDesignTimeseries('7', { from: '2024-07-01', to: '2024-07-31', interval: 'week' });
+    await client.getDesignTimeseries('7');
+
+    expect(fetchSpy.mock.calls.map(([url]) => url)).toEqual([
+      'https://example.com/api/analytics/designs/7/timeseries?from=2024-07-01&to=2024-07-31&interval=week',
+      'https://example.com/api/analytics/designs/7/timeseries',
+    ]);
+  });
+
+  test('the marketplace funnel is read from the admin analytics route', async () => {
+    const fetchSpy = createFetchSpy({ stages: [] });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.getMarketplaceFunnel({ from: '2024-07-01', category: 'wedding' });
+
+    expect(fetchSpy.mock.calls[0][0]).toBe('https://example.com/api/admin/analytics/funnel?from=2024-07-01&category=wedding');
+  });
+
+  test('the admin audit log passes its filters as query parameters', async () => {
+    const fetchSpy = createFetchSpy({ data: [], pagination: { page: 2, pageSize: 20, total: 0 } });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.listAdminAuditLog({ targetType: 'design', targetId: '7', page: 2 });
+
+    expect(fetchSpy.mock.calls[0][0]).toBe('https://example.com/api/admin/audit?targetType=design&targetId=7&page=2');
+  });
+
+  test('admin user management targets the user routes', async () => {
+    const fetchSpy = createFetchSpy({ id: 'usr_1', role: 'creator', status: 'active' });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.listAdminUsers({ search: 'ada', page: 2 });
+    await client.updateAdminUserRole('usr_1', 'creator');
+    await client.setAdminUserSuspended('usr_1', true);
+    await client.setAdminUserSuspended('usr_1', false);
+
+    expect(fetchSpy.mock.calls.map(([url, init]) => [init?.method ?? 'GET', url])).toEqual([
+      ['GET', 'https://example.com/api/admin/users?search=ada&page=2'],
+      ['PATCH', 'https://example.com/api/admin/users/usr_1'],
+      ['POST', 'https://example.com/api/admin/users/usr_1/suspend'],
+      ['POST', 'https://example.com/api/admin/users/usr_1/reactivate'],
+    ]);
+    expect(JSON.parse(fetchSpy.mock.calls[1][1].body)).toEqual({ role: 'creator' });
+  });
+
+  test('category helpers call the public list and admin category routes', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.getCategories();
+    await client.updateAdminCategory('save-the-date', { parentId: 'wedding', sortOrder: 2 });
+    await client.deleteAdminCategory('birthday', { reassignTo: 'wedding' });
+    await client.deleteAdminCategory('gala');
+
+    expect(fetchSpy.mock.calls.map(([url, init]) => [init?.method ?? 'GET', url])).toEqual([
+      ['GET', 'https://example.com/api/categories'],
+      ['PATCH', 'https://example.com/api/admin/categories/save-the-date'],
+      ['DELETE', 'https://example.com/api/admin/categories/birthday?reassignTo=wedding'],
+      ['DELETE', 'https://example.com/api/admin/categories/gala'],
+    ]);
+    expect(JSON.parse(fetchSpy.mock.calls[1][1].body)).toEqual({ parentId: 'wedding', sortOrder: 2 });
+  });
+
+  test('RSVP helpers call the guest and host RSVP routes', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.submitRsvp('shr_1.sig', { name: 'Ada', email: 'ada@example.com', attending: 'yes' });
+    await client.listRsvps('7');
+    await client.updateRsvp('7', '3', { attending: 'no' });
+    await client.deleteRsvp('7', '3');
+
+    expect(fetchSpy.mock.calls.map(([url, options]) => [options.method, url])).toEqual([
+      ['POST', 'https://example.com/api/share/shr_1.sig/rsvp'],
+      ['GET', 'https://example.com/api/designs/7/rsvps'],
+      ['PATCH', 'https://example.com/api/designs/7/rsvps/3'],
+      ['DELETE', 'https://example.com/api/designs/7/rsvps/3'],
+    ]);
+    expect(fetchSpy.mock.calls[0][1].headers['Idempotency-Key']).toEqual(expect.any(String));
+  });
+
+  test('guest list helpers import with a column mapping and export CSV', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.importGuests('7', 'Full Name\nAda', { name: 'Full Name' });
+    await client.importGuests('7', 'name\nGrace');
+    await client.updateGuest('7', 'gst_1', { household: 'Lovelace' });
+    await client.deleteGuest('7', 'gst_1');
+    await client.exportGuests('7');
+
+    expect(fetchSpy.mock.calls.map(([url, options]) => [options.method, url])).toEqual([
+      ['POST', 'https://example.com/api/designs/7/guests/import'],
+      ['POST', 'https://example.com/api/designs/7/guests/import'],
+      ['PATCH', 'https://example.com/api/designs/7/guests/gst_1'],
+      ['DELETE', 'https://example.com/api/designs/7/guests/gst_1'],
+      ['GET', 'https://example.com/api/designs/7/guests/export'],
+    ]);
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({ csv: 'Full Name\nAda', mapping: { name: 'Full Name' } });
+    expect(JSON.parse(fetchSpy.mock.calls[1][1].body)).toEqual({ csv: 'name\nGrace' });
+  });
+
+  test('invitation helpers queue sends and read delivery status', async () => {
+    const fetchSpy = createFetchSpy({});
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.sendInvitations('7', ['gst_1', 'gst_2'], { message: 'See you!' });
+    await client.listDeliveries('7');
+
+    expect(fetchSpy.mock.calls.map(([url, options]) => [options.method, url])).toEqual([
+      ['POST', 'https://example.com/api/designs/7/send'],
+      ['GET', 'https://example.com/api/designs/7/deliveries'],
+    ]);
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body)).toEqual({ guestIds: ['gst_1', 'gst_2'], message: 'See you!' });
+    expect(fetchSpy.mock.calls[0][1].headers['Idempotency-Key']).toEqual(expect.any(String));
+  });
+
+  test('createCheckoutSession starts a token pack checkout', async () => {
+    const fetchSpy = createFetchSpy({ id: 'cs_1', status: 'pending', checkoutUrl: 'https://pay.example.com/cs_1' });
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await expect(client.createCheckoutSession('standard')).resolves.toEqual(
+      expect.objectContaining({ id: 'cs_1', status: 'pending' }),
+    );
+
+    const [url, options] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://example.com/api/payments/checkout');
+    expect(JSON.parse(options.body)).toEqual({ packId: 'standard' });
+    await expect(client.createCheckoutSession()).rejects.toThrow('packId is required');
+  });
+});
+
+describe('APIClient session refresh', () => {
+  const createMemoryStorage = () => {
+    const store = {};
+    return {
+      getItem: (key) => (key in store ? store[key] : null),
+      setItem: (key, value) => {
+        store[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete store[key];
+      },
+    };
+  };
+
+  const jsonResponse = (status, payload) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 401 ? 'Unauthorized' : 'OK',
+    headers: { get: () => 'application/json' },
+    json: async () => payload,
+    text: async () => JSON.stringify(payload),
+  });
+
+  const createSignedInClient = (fetchSpy) => {
+    const client = new APIClient('https://example.com', fetchSpy);
+    const storage = createMemoryStorage();
+    client._storages.session = storage;
+    client.storage = storage;
+    client._storage = storage;
+    client.saveToken('expired-token');
+    return client;
+  };
+
+  test('refreshes the access token and retries once after a 401', async () => {
+    const fetchSpy = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Authentication required' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { token: 'fresh-token', user: { id: 'usr_1' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { tokens: 3 }));
+    const client = createSignedInClient(fetchSpy);
+
+    await expect(client.getUserTokens()).resolves.toEqual({ tokens: 3 });
+
+    expect(fetchSpy).toHaveBeenNthCalledWith(
+      2,
+      'https://example.com/api/auth/refresh',
+      expect.objectContaining({ method: 'POST', credentials: 'include' }),
+    );
+    expect(fetchSpy.mock.calls[1][1].headers.Authorization).toBeUndefined();
+    expect(fetchSpy.mock.calls[2][1].headers.Authorization).toBe('Bearer fresh-token');
+    expect(client.token).toBe('fresh-token');
+    expect(client.getUser()).toEqual({ id: 'usr_1' });
+  });
+
+  test('clears the session when the refresh token is rejected', async () => {
+    const fetchSpy = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Authentication required' } }))
+      .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Invalid refresh token' } }))
+      .mockResolvedValueOnce(jsonResponse(401, { error: { message: 'Authentication required' } }));
+    const client = createSignedInClient(fetchSpy);
+
+    await expect(client.getUserTokens()).rejects.toThrow('Authentication required');
+
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+    expect(fetchSpy.mock.calls[2][1].headers.Authorization).toBeUndefined();
+    expect(client.token).toBeNull();
+  });
+
+  test('shares a single refresh request between concurrent callers', async () => {
+    const fetchSpy = jest.fn().mockResolvedValue(jsonResponse(200, { token: 'fresh-token' }));
+    const client = createSignedInClient(fetchSpy);
+
+    const results = await Promise.all([client.refreshSession(), client.refreshSession()]);
+
+    expect(results).toEqual([true, true]);
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('APIClient idempotency keys', () => {
+  const jsonResponse = (status, payload) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status >= 500 ? 'Service Unavailable' : 'OK',
+    headers: { get: () => 'application/json' },
+    json: async () => payload,
+    text: async () => JSON.stringify(payload),
+  });
+
+  test('reuses one generated key across retries of a POST', async () => {
+    const fetchSpy = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(503, { error: { message: 'Try again' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { tokens: 10 }));
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await expect(client.request('/purchase', { method: 'POST', body: { tokens: 10 }, retryDelay: 0 }))
+      .resolves.toEqual({ tokens: 10 });
+
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    const firstKey = fetchSpy.mock.calls[0][1].headers['Idempotency-Key'];
+    expect(firstKey).toEqual(expect.any(String));
+    expect(fetchSpy.mock.calls[1][1].headers['Idempotency-Key']).toBe(firstKey);
+  });
+
+  test('generates a new key for each logical request', async () => {
+    const fetchSpy = jest.fn().mockResolvedValue(jsonResponse(200, { tokens: 10 }));
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.createCheckoutSession('starter');
+    await client.createCheckoutSession('starter');
+
+    const [first, second] = fetchSpy.mock.calls.map(([, options]) => options.headers['Idempotency-Key']);
+    expect(first).not.toBe(second);
+  });
+
+  test('leaves GETs, single-attempt POSTs and caller-supplied keys alone', async () => {
+    const fetchSpy = jest.fn().mockResolvedValue(jsonResponse(200, {}));
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    await client.get('/user/tokens');
+    await client.request('/analytics/view', { method: 'POST', body: {}, maxRetries: 1 });
+    await client.request('/webm', { method: 'POST', body: {}, headers: { 'idempotency-key': 'mine' } });
+
+    expect(fetchSpy.mock.calls[0][1].headers['Idempotency-Key']).toBeUndefined();
+    expect(fetchSpy.mock.calls[1][1].headers['Idempotency-Key']).toBeUndefined();
+    expect(fetchSpy.mock.calls[2][1].headers).toEqual(
+      expect.not.objectContaining({ 'Idempotency-Key': expect.anything() }),
+    );
+    expect(fetchSpy.mock.calls[2][1].headers['idempotency-key']).toBe('mine');
+  });
+});
+
+describe('APIClient analytics events', () => {
+  const createMemoryStorage = () => {
+    const store = {};
+    return {
+      getItem: (key) => (key in store ? store[key] : null),
+      setItem: (key, value) => {
+        store[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete store[key];
+      },
+    };
+  };
+
+  const accepted = () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'application/json' },
+    json: async () => ({ accepted: 1 }),
+    text: async () => '',
+  });
+
+  const createSignedInClient = (fetchSpy) => {
+    const client = new APIClient('https://example.com', fetchSpy);
+    const storage = createMemoryStorage();
+    client._storages.session = storage;
+    client.storage = storage;
+    client._storage = storage;
+    client.saveToken('token-123');
+    return client;
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('buffers events and sends them in one batch when the timer fires', async () => {
+    jest.useFakeTimers();
+    const fetchSpy = jest.fn().mockResolvedValue(accepted());
+    const client = createSignedInClient(fetchSpy);
+
+    expect(client.trackEvent('view', 7)).toBe(true);
+    await client.recordView('8');
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(5000);
+    await Promise.resolve();
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    const [url, options] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://example.com/api/analytics/events');
+    const body = JSON.parse(options.body);
+    expect(body).not.toHaveProperty('sessionId');
+    expect(body.events.map(({ type, designId }) => [type, designId])).toEqual([
+      ['view', '7'],
+      ['view', '8'],
+    ]);
+    expect(options.headers.Authorization).toBe('Bearer token-123');
+  });
+
+  test('flushes full batches right away', async () => {
+    const fetchSpy = jest.fn().mockResolvedValue(accepted());
+    const client = createSignedInClient(fetchSpy);
+
+    for (let index = 0; index < 50; index += 1) client.trackEvent('view', index);
+    await Promise.resolve();
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body).events).toHaveLength(50);
+
+    client.trackEvent('view', 'last');
+    await client.flushEvents({ keepalive: true });
+    const [, options] = fetchSpy.mock.calls[1];
+    expect(options.keepalive).toBe(true);
+    expect(options.headers['Idempotency-Key']).toBeUndefined();
+  });
+
+  test('does not buffer events for signed-out viewers or without a design', async () => {
+    const fetchSpy = jest.fn().mockResolvedValue(accepted());
+    const client = new APIClient('https://example.com', fetchSpy);
+
+    expect(client.trackEvent('view', '7')).toBe(false);
+    expect(createSignedInClient(fetchSpy).trackEvent('view', '')).toBe(false);
+    await expect(client.recordView('7')).resolves.toEqual({ ok: false });
+    await client.flushEvents();
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,3 @@
+-- Reverts: drop the rsvps.customer_id foreign key
+ALTER TABLE rsvps
+DROP CONSTRAINT IF EXISTS rsvps_customer_id_fkey;
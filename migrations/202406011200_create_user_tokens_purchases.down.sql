@@ -0,0 +1,3 @@
+-- Reverts: drop token balance and purchase history tables
+DROP TABLE IF EXISTS user_purchases;
+DROP TABLE IF EXISTS user_tokens;
@@ -0,0 +1,4 @@
+-- Reverts: drop designs and categories tables
+-- user_tokens and user_purchases are owned by 202406011200 and left in place.
+DROP TABLE IF EXISTS designs;
+DROP TABLE IF EXISTS categories;
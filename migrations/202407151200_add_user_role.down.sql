@@ -0,0 +1,5 @@
+-- Reverts: remove role support from the users table
+DROP INDEX IF EXISTS idx_users_role;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS role;
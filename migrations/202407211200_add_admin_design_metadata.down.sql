@@ -0,0 +1,12 @@
+-- Reverts: remove admin metadata columns and the manager trigger from designs
+DROP TRIGGER IF EXISTS trg_designs_admin_manager ON designs;
+DROP FUNCTION IF EXISTS ensure_design_manager_is_admin();
+
+ALTER TABLE designs
+  DROP CONSTRAINT IF EXISTS chk_designs_admin_requires_manager,
+  DROP CONSTRAINT IF EXISTS fk_designs_managed_by_admin;
+
+ALTER TABLE designs
+  DROP COLUMN IF EXISTS is_admin_template,
+  DROP COLUMN IF EXISTS admin_notes,
+  DROP COLUMN IF EXISTS managed_by_admin_id;
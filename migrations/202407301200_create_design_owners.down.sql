@@ -0,0 +1,12 @@
+-- Reverts: move ownership back onto designs.user_id and drop design_owners
+ALTER TABLE designs
+  ADD COLUMN IF NOT EXISTS user_id TEXT;
+
+UPDATE designs d
+SET user_id = o.user_id
+FROM design_owners o
+WHERE o.design_id = d.id;
+
+DROP TRIGGER IF EXISTS trg_design_owners_updated_at ON design_owners;
+DROP FUNCTION IF EXISTS set_design_owners_updated_at();
+DROP TABLE IF EXISTS design_owners;
@@ -0,0 +1,4 @@
+-- Reverts: drop WebM asset metadata
+DROP TRIGGER IF EXISTS trg_webm_files_updated_at ON webm_files;
+DROP FUNCTION IF EXISTS set_webm_files_updated_at();
+DROP TABLE IF EXISTS webm_files;
@@ -0,0 +1,18 @@
+-- Reverts: drop design content columns and state tables used by the SQL repository
+DROP TABLE IF EXISTS design_analytics;
+DROP TABLE IF EXISTS navigation_states;
+
+DROP INDEX IF EXISTS idx_designs_status;
+
+ALTER TABLE designs
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS slides,
+  DROP COLUMN IF EXISTS tags,
+  DROP COLUMN IF EXISTS notes,
+  DROP COLUMN IF EXISTS price,
+  DROP COLUMN IF EXISTS premium,
+  DROP COLUMN IF EXISTS visibility,
+  DROP COLUMN IF EXISTS badges,
+  DROP COLUMN IF EXISTS archived_at,
+  DROP COLUMN IF EXISTS archived_by_admin_id,
+  DROP COLUMN IF EXISTS created_at;
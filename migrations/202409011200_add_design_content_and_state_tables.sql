@@ -0,0 +1,29 @@
+-- Adds the design content columns and state tables used by the SQL repository
+ALTER TABLE designs
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'draft',
+  ADD COLUMN IF NOT EXISTS slides JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS notes TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS premium BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS visibility JSONB NOT NULL DEFAULT '{"creator": false, "consumer": false, "admin": true}'::jsonb,
+  ADD COLUMN IF NOT EXISTS badges TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS archived_by_admin_id TEXT,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_designs_status ON designs(status);
+
+-- Persisted navigation UI state, one document per user
+CREATE TABLE IF NOT EXISTS navigation_states (
+  user_id TEXT PRIMARY KEY,
+  state JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Lifetime view and conversion counters per design
+CREATE TABLE IF NOT EXISTS design_analytics (
+  design_id TEXT PRIMARY KEY,
+  views INTEGER NOT NULL DEFAULT 0,
+  conversions INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1,7 @@
+-- Reverts: remove credential columns from users
+DROP INDEX IF EXISTS idx_users_email_lower;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS password_hash,
+  DROP COLUMN IF EXISTS created_at,
+  DROP COLUMN IF EXISTS updated_at;
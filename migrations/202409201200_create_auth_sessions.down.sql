@@ -0,0 +1,2 @@
+-- Reverts: drop refresh sessions
+DROP TABLE IF EXISTS auth_sessions;
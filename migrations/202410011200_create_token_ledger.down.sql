@@ -0,0 +1,3 @@
+-- Reverts: drop the token ledger and design purchase grants
+DROP TABLE IF EXISTS design_purchases;
+DROP TABLE IF EXISTS token_ledger;
@@ -0,0 +1,27 @@
+-- Records every token credit and debit, and the designs users have bought
+CREATE TABLE IF NOT EXISTS token_ledger (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('credit', 'debit')),
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+  reason TEXT NOT NULL,
+  design_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_ledger_user_id ON token_ledger(user_id, id);
+
+CREATE TABLE IF NOT EXISTS design_purchases (
+  user_id TEXT NOT NULL,
+  design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+  price INTEGER NOT NULL DEFAULT 0,
+  purchased_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, design_id)
+);
+
+-- Existing balances become the opening entry of each user's ledger.
+INSERT INTO token_ledger (user_id, entry_type, amount, balance_after, reason)
+SELECT user_id, 'credit', tokens, tokens, 'opening_balance'
+FROM user_tokens
+WHERE tokens > 0;
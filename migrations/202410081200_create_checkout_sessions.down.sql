@@ -0,0 +1,2 @@
+-- Reverts: drop token pack checkout sessions
+DROP TABLE IF EXISTS checkout_sessions;
@@ -0,0 +1,18 @@
+-- Token pack checkouts handed to the payment provider; tokens are credited
+-- when the provider's webhook confirms the payment
+CREATE TABLE IF NOT EXISTS checkout_sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  pack_id TEXT NOT NULL,
+  tokens INTEGER NOT NULL CHECK (tokens > 0),
+  amount_cents INTEGER NOT NULL CHECK (amount_cents >= 0),
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'refunded')),
+  provider TEXT NOT NULL,
+  provider_session_id TEXT UNIQUE,
+  checkout_url TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkout_sessions_user_id ON checkout_sessions(user_id);
@@ -0,0 +1,2 @@
+-- Reverts: drop design version history
+DROP TABLE IF EXISTS design_versions;
@@ -0,0 +1,11 @@
+-- Immutable snapshots of a design's slides and metadata, one per save
+CREATE TABLE IF NOT EXISTS design_versions (
+  design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version > 0),
+  snapshot JSONB NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('baseline', 'create', 'update', 'restore')),
+  author_id TEXT,
+  restored_from INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (design_id, version)
+);
@@ -0,0 +1,2 @@
+-- Reverts: drop design share links
+DROP TABLE IF EXISTS share_links;
@@ -0,0 +1,9 @@
+-- Reverts: drop the RSVP response columns and indexes (the pre-existing
+-- rsvps and customers tables are kept)
+DROP INDEX IF EXISTS idx_rsvps_design_customer;
+ALTER TABLE rsvps DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE rsvps DROP COLUMN IF EXISTS message;
+ALTER TABLE rsvps DROP COLUMN IF EXISTS party_size;
+ALTER TABLE rsvps DROP COLUMN IF EXISTS attending;
+ALTER TABLE rsvps DROP COLUMN IF EXISTS design_id;
+DROP INDEX IF EXISTS idx_customers_email;
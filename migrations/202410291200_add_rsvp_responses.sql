@@ -0,0 +1,29 @@
+-- Guest RSVPs for shared designs. rsvps and customers predate the migration
+-- history (see 202405241200_add_rsvps_customer_fk), so each is created only
+-- when missing and then given the columns the RSVP API reads and writes.
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY
+);
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Emails are stored lower-cased; one customer per address.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
+
+CREATE TABLE IF NOT EXISTS rsvps (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER NOT NULL REFERENCES customers(id)
+);
+
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS design_id INTEGER REFERENCES designs(id) ON DELETE CASCADE;
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS attending TEXT NOT NULL DEFAULT 'yes'
+  CHECK (attending IN ('yes', 'no', 'maybe'));
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS party_size INTEGER NOT NULL DEFAULT 1 CHECK (party_size >= 0);
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS message TEXT NOT NULL DEFAULT '';
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- A guest answers each invitation once; later changes are edits.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rsvps_design_customer ON rsvps(design_id, customer_id);
@@ -0,0 +1,4 @@
+-- Reverts: drop guest lists and the RSVP guest reference
+DROP INDEX IF EXISTS idx_rsvps_design_guest;
+ALTER TABLE rsvps DROP COLUMN IF EXISTS guest_id;
+DROP TABLE IF EXISTS guests;
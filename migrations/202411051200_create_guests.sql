@@ -0,0 +1,22 @@
+-- Guest lists for designs. Each guest gets a personal share token (signed,
+-- not stored) and RSVPs sent through it record the guest.
+CREATE TABLE IF NOT EXISTS guests (
+  id TEXT PRIMARY KEY,
+  design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  email TEXT,
+  phone TEXT,
+  household TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guests_design_id ON guests(design_id);
+
+-- Emails are stored lower-cased; an address appears once per guest list.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_guests_design_email ON guests(design_id, email);
+
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS guest_id TEXT REFERENCES guests(id) ON DELETE SET NULL;
+
+-- A listed guest answers each invitation once.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rsvps_design_guest ON rsvps(design_id, guest_id);
@@ -0,0 +1,2 @@
+-- Reverts: drop invitation delivery tracking
+DROP TABLE IF EXISTS invitation_deliveries;
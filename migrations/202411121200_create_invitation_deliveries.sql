@@ -0,0 +1,15 @@
+-- Per-recipient status of invitation emails sent to guests
+CREATE TABLE IF NOT EXISTS invitation_deliveries (
+  id TEXT PRIMARY KEY,
+  design_id INTEGER NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+  guest_id TEXT REFERENCES guests(id) ON DELETE SET NULL,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed')),
+  error TEXT,
+  message_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitation_deliveries_design_id ON invitation_deliveries(design_id);
@@ -0,0 +1,2 @@
+-- Reverts: drop event details from designs
+ALTER TABLE designs DROP COLUMN IF EXISTS event;
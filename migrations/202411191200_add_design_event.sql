@@ -0,0 +1,4 @@
+-- Structured event details (title, start, end, IANA time zone, venue,
+-- address, notes) shown to guests and exported as an iCalendar file.
+-- NULL means the design has no event yet.
+ALTER TABLE designs ADD COLUMN IF NOT EXISTS event JSONB;
@@ -0,0 +1,3 @@
+-- Reverts: drop timestamped analytics events and daily rollups
+DROP TABLE IF EXISTS analytics_daily_rollups;
+DROP TABLE IF EXISTS analytics_events;
@@ -0,0 +1,25 @@
+-- Timestamped analytics events and their daily rollups. design_analytics keeps
+-- the lifetime counters; it has no dates, so events from before this
+-- migration are not backfilled.
+CREATE TABLE IF NOT EXISTS analytics_events (
+  id TEXT PRIMARY KEY,
+  design_id TEXT NOT NULL,
+  event_type TEXT NOT NULL CHECK (event_type IN ('view', 'conversion')),
+  occurred_at TIMESTAMPTZ NOT NULL,
+  -- Category and designer as they were when the event happened.
+  category_id TEXT,
+  designer_id TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_events_design_occurred ON analytics_events(design_id, occurred_at);
+
+-- One row per design, category or designer and UTC day. The day is stored as
+-- YYYY-MM-DD text so drivers never shift it into the server's time zone.
+CREATE TABLE IF NOT EXISTS analytics_daily_rollups (
+  dimension TEXT NOT NULL CHECK (dimension IN ('design', 'category', 'designer')),
+  dimension_id TEXT NOT NULL,
+  day TEXT NOT NULL CHECK (day ~ '^\d{4}-\d{2}-\d{2}$'),
+  views INTEGER NOT NULL DEFAULT 0,
+  conversions INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (dimension, dimension_id, day)
+);
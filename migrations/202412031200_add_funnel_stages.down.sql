@@ -0,0 +1,5 @@
+-- Reverts: drop funnel stage rollups and events
+DROP TABLE IF EXISTS analytics_stage_rollups;
+DELETE FROM analytics_events WHERE event_type NOT IN ('view', 'conversion');
+ALTER TABLE analytics_events DROP CONSTRAINT IF EXISTS analytics_events_event_type_check;
+ALTER TABLE analytics_events ADD CONSTRAINT analytics_events_event_type_check CHECK (event_type IN ('view', 'conversion'));
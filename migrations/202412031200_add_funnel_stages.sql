@@ -0,0 +1,17 @@
+-- Marketplace funnel stages are stored as analytics events next to views and
+-- conversions, and rolled up per stage rather than into the daily counters.
+ALTER TABLE analytics_events DROP CONSTRAINT IF EXISTS analytics_events_event_type_check;
+ALTER TABLE analytics_events ADD CONSTRAINT analytics_events_event_type_check CHECK (event_type IN (
+  'view', 'conversion', 'listing_impression', 'preview_opened', 'purchase_started', 'purchase_completed', 'first_edit', 'first_share'
+));
+
+CREATE TABLE IF NOT EXISTS analytics_stage_rollups (
+  dimension TEXT NOT NULL CHECK (dimension IN ('design', 'category', 'designer')),
+  dimension_id TEXT NOT NULL,
+  day TEXT NOT NULL CHECK (day ~ '^\d{4}-\d{2}-\d{2}$'),
+  stage TEXT NOT NULL,
+  events INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (dimension, dimension_id, day, stage)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_stage_rollups_range ON analytics_stage_rollups(dimension, day);
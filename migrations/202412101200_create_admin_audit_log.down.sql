@@ -0,0 +1,4 @@
+-- Reverts: drop the admin audit log
+DROP TRIGGER IF EXISTS trg_admin_audit_log_append_only ON admin_audit_log;
+DROP FUNCTION IF EXISTS reject_admin_audit_log_change();
+DROP TABLE IF EXISTS admin_audit_log;
@@ -0,0 +1,4 @@
+-- Reverts: drop account suspension. User audit entries are kept, so the
+-- target type check is not narrowed again.
+ALTER TABLE users
+  DROP COLUMN IF EXISTS suspended_at;
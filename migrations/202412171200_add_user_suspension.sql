@@ -0,0 +1,9 @@
+-- Lets admins suspend accounts and records their user changes in the audit log
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+
+ALTER TABLE admin_audit_log
+  DROP CONSTRAINT IF EXISTS admin_audit_log_target_type_check;
+
+ALTER TABLE admin_audit_log
+  ADD CONSTRAINT admin_audit_log_target_type_check CHECK (target_type IN ('design', 'category', 'user'));
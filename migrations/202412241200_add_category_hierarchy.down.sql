@@ -0,0 +1,6 @@
+-- Reverts: drop category ordering and parents.
+DROP INDEX IF EXISTS idx_categories_parent_id;
+
+ALTER TABLE categories
+  DROP COLUMN IF EXISTS parent_id,
+  DROP COLUMN IF EXISTS sort_order;
@@ -0,0 +1,6 @@
+-- Adds an explicit display order and optional parent categories
+ALTER TABLE categories
+  ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS parent_id TEXT REFERENCES categories(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
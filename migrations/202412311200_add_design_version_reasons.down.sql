@@ -0,0 +1,6 @@
+-- Reverts: price and archive versions are kept as plain updates
+UPDATE design_versions SET reason = 'update' WHERE reason IN ('price', 'archive');
+ALTER TABLE design_versions DROP CONSTRAINT IF EXISTS design_versions_reason_check;
+ALTER TABLE design_versions ADD CONSTRAINT design_versions_reason_check CHECK (
+  reason IN ('baseline', 'create', 'update', 'restore')
+);
@@ -0,0 +1,5 @@
+-- Admin price changes and archiving also record design versions
+ALTER TABLE design_versions DROP CONSTRAINT IF EXISTS design_versions_reason_check;
+ALTER TABLE design_versions ADD CONSTRAINT design_versions_reason_check CHECK (
+  reason IN ('baseline', 'create', 'update', 'price', 'archive', 'restore')
+);
@@ -0,0 +1,60 @@
+import 'dotenv/config';
+import { Client } from 'pg';
+import { createMigrationRunner } from '../server/migration-runner.js';
+
+const USAGE = 'Usage: npm run migrate -- <up|down|status> [--to <version>] [--steps <n>]';
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`${name} requires a value`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    const runner = createMigrationRunner({ client });
+
+    if (command === 'up') {
+      const applied = await runner.up({ to: readOption(args, '--to') });
+      console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'No pending migrations.');
+    } else if (command === 'down') {
+      const steps = Number.parseInt(readOption(args, '--steps') ?? '1', 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const reverted = await runner.down({ steps });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s).` : 'No applied migrations.');
+    } else {
+      const report = await runner.status();
+      console.table(
+        report.map((entry) => ({
+          version: entry.version,
+          name: entry.name,
+          status: entry.applied ? (entry.modified ? 'applied (modified)' : 'applied') : 'pending',
+          appliedAt: entry.appliedAt ?? '',
+          reversible: entry.reversible ? 'yes' : 'no'
+        }))
+      );
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err.message || err);
+  process.exit(1);
+});
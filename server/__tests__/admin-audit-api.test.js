@@ -0,0 +1,169 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { adminAuditLog, categories, designs, designOwners, designVersions } from '../database.js';
+import { acquireTestServer, storeAdminUser } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+const initialCategories = new Map(Array.from(categories, ([id, category]) => [id, structuredClone(category)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'admin') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, userId, payload, headers = {}) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(userId), ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+function audit(params = {}, userId = 'auditor') {
+  return request(`/api/admin/audit?${new URLSearchParams(params)}`, { headers: buildAuthHeaders(userId) });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+  await storeAdminUser('admin-a');
+  await storeAdminUser('admin-b');
+  await storeAdminUser('auditor');
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+      designVersions.delete(id);
+    }
+  }
+  categories.clear();
+  for (const [id, category] of initialCategories) {
+    categories.set(id, structuredClone(category));
+  }
+  adminAuditLog.clear();
+});
+
+test('admin design and price changes are audited with before and after values', async () => {
+  const created = await sendJson('/api/admin/designs', 'POST', 'admin-a', { title: 'Audited', status: 'draft', tags: [] });
+  assert.equal(created.response.status, 201);
+  const designId = created.body.id;
+
+  await sendJson(`/api/admin/designs/${designId}`, 'PATCH', 'admin-a', { status: 'published' }, { 'X-Request-Id': 'req-patch-1' });
+  await sendJson(`/api/admin/designs/${designId}/price`, 'PUT', 'admin-b', { price: 12 });
+  const archived = await request(`/api/admin/designs/${designId}`, { method: 'DELETE', headers: buildAuthHeaders('admin-b') });
+  assert.equal(archived.response.status, 204);
+
+  const { response, body } = await audit({ targetType: 'design', targetId: designId });
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    body.data.map((entry) => [entry.action, entry.actorId]),
+    [
+      ['design.archive', 'admin-b'],
+      ['design.price', 'admin-b'],
+      ['design.update', 'admin-a'],
+      ['design.create', 'admin-a']
+    ]
+  );
+  assert.deepEqual(body.pagination, { page: 1, pageSize: 50, total: 4 });
+
+  const [archive, price, update, create] = body.data;
+  assert.equal(create.before, null);
+  assert.equal(create.after.title, 'Audited');
+  assert.equal(update.before.status, 'draft');
+  assert.equal(update.after.status, 'published');
+  assert.equal(update.requestId, 'req-patch-1');
+  assert.deepEqual(price.before, { price: 0, premium: false });
+  assert.deepEqual(price.after, { price: 12, premium: true });
+  assert.equal(archive.after.status, 'archived');
+  assert.ok(archive.requestId);
+  assert.ok(!Number.isNaN(Date.parse(archive.createdAt)));
+
+  // Rejected changes leave no entry.
+  await sendJson(`/api/admin/designs/${designId}`, 'PATCH', 'admin-a', { status: 'bogus' });
+  assert.equal((await audit({ targetId: designId })).body.pagination.total, 4);
+});
+
+test('category changes are audited and the log can be filtered and paged', async () => {
+  await sendJson('/api/admin/categories', 'POST', 'admin-a', { id: 'gala', name: 'Gala' });
+  await sendJson('/api/admin/categories', 'POST', 'admin-b', { id: 'gala', name: 'Gala Night' });
+  await request('/api/admin/categories/gala', { method: 'DELETE', headers: buildAuthHeaders('admin-b') });
+  await request('/api/admin/categories/missing', { method: 'DELETE', headers: buildAuthHeaders('admin-b') });
+
+  const all = await audit({ targetType: 'category' });
+  assert.deepEqual(
+    all.body.data.map((entry) => [entry.action, entry.before?.name ?? null, entry.after?.name ?? null]),
+    [
+      ['category.delete', 'Gala Night', null],
+      ['category.update', 'Gala', 'Gala Night'],
+      ['category.create', null, 'Gala']
+    ]
+  );
+
+  const byActor = await audit({ actorId: 'admin-b', action: 'category.update' });
+  assert.equal(byActor.body.data.length, 1);
+
+  const paged = await audit({ targetType: 'category', page: '2', pageSize: '2' });
+  assert.deepEqual(paged.body.pagination, { page: 2, pageSize: 2, total: 3 });
+  assert.deepEqual(paged.body.data.map((entry) => entry.action), ['category.create']);
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.equal((await audit({ from: today, to: today })).body.pagination.total, 3);
+  assert.equal((await audit({ to: '2000-01-01' })).body.pagination.total, 0);
+});
+
+test('the audit log validates its filters and is limited to admins', async () => {
+  const invalid = await audit({ action: 'design.delete', from: '2024-13-01', pageSize: '500' });
+  assert.equal(invalid.response.status, 422);
+  assert.deepEqual(
+    invalid.body.error.details.map((detail) => detail.field),
+    ['action', 'from', 'pageSize']
+  );
+
+  const reversed = await audit({ from: '2024-07-10', to: '2024-07-01' });
+  assert.deepEqual(reversed.body.error.details, [{ field: 'from', message: 'from must not be after to' }]);
+
+  const forbidden = await request('/api/admin/audit', { headers: buildAuthHeaders('shopper', 'user') });
+  assert.equal(forbidden.response.status, 403);
+});
@@ -0,0 +1,193 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { adminAuditLog, categories, designs, designOwners, designVersions } from '../database.js';
+import { acquireTestServer, storeAdminUser } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+const initialCategories = new Map(Array.from(categories, ([id, category]) => [id, structuredClone(category)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId = 'admin-a', role = 'admin') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, payload, headers = buildAuthHeaders()) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+  await storeAdminUser('admin-a');
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const [id, design] of initialDesigns) {
+    designs.set(id, structuredClone(design));
+  }
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+      designVersions.delete(id);
+    }
+  }
+  categories.clear();
+  for (const [id, category] of initialCategories) {
+    categories.set(id, structuredClone(category));
+  }
+  adminAuditLog.clear();
+});
+
+test('categories are listed publicly in order with subcategories under their parent', async () => {
+  const child = await sendJson('/api/admin/categories', 'POST', { id: 'save-the-date', name: 'Save the Date', parentId: 'wedding' });
+  assert.equal(child.response.status, 201);
+  assert.deepEqual(child.body, { id: 'save-the-date', name: 'Save the Date', parentId: 'wedding', sortOrder: 0 });
+  await sendJson('/api/admin/categories', 'POST', { id: 'gala', name: 'Gala' });
+
+  const { response, body } = await request('/api/categories');
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    body.map(({ id, parentId, sortOrder }) => [id, parentId, sortOrder]),
+    [
+      ['birthday', null, 0],
+      ['wedding', null, 1],
+      ['save-the-date', 'wedding', 0],
+      ['corporate', null, 2],
+      ['gala', null, 3]
+    ]
+  );
+
+  const invalid = await sendJson('/api/admin/categories', 'POST', { id: 'bad id', name: '', parentId: 'missing' });
+  assert.equal(invalid.response.status, 422);
+  assert.deepEqual(invalid.body.error.details.map((detail) => detail.field), ['id', 'name', 'parentId']);
+  const nested = await sendJson('/api/admin/categories', 'POST', { id: 'deeper', name: 'Deeper', parentId: 'save-the-date' });
+  assert.equal(nested.body.error.details[0].message, 'Subcategories cannot have subcategories of their own');
+});
+
+test('admins rename, reorder and move categories with PATCH', async () => {
+  const renamed = await sendJson('/api/admin/categories/corporate', 'PATCH', { name: 'Business', sortOrder: 0 });
+  assert.equal(renamed.response.status, 200);
+  assert.deepEqual(renamed.body, { id: 'corporate', name: 'Business', parentId: null, sortOrder: 0 });
+
+  const { body: list } = await request('/api/categories');
+  assert.deepEqual(list.map((category) => category.id), ['birthday', 'corporate', 'wedding']);
+
+  const moved = await sendJson('/api/admin/categories/birthday', 'PATCH', { parentId: 'corporate' });
+  assert.equal(moved.body.parentId, 'corporate');
+  const cycle = await sendJson('/api/admin/categories/corporate', 'PATCH', { parentId: 'birthday' });
+  assert.equal(cycle.response.status, 422);
+
+  const unknown = await sendJson('/api/admin/categories/corporate', 'PATCH', { id: 'other' });
+  assert.deepEqual(unknown.body.error.details, [{ field: 'id', message: 'Only name, parentId and sortOrder can be changed' }]);
+  const missing = await sendJson('/api/admin/categories/missing', 'PATCH', { name: 'Missing' });
+  assert.equal(missing.response.status, 404);
+  const forbidden = await sendJson('/api/admin/categories/corporate', 'PATCH', { name: 'Nope' }, buildAuthHeaders('shopper', 'user'));
+  assert.equal(forbidden.response.status, 403);
+  const notStoredAdmin = await sendJson('/api/admin/categories/corporate', 'PATCH', { name: 'Nope' }, buildAuthHeaders('shopper'));
+  assert.equal(notStoredAdmin.response.status, 403);
+
+  const audit = await request('/api/admin/audit?action=category.update', { headers: buildAuthHeaders() });
+  assert.deepEqual(
+    audit.body.data.map((entry) => [entry.targetId, entry.before.name, entry.after.name]),
+    [
+      ['birthday', 'Birthday', 'Birthday'],
+      ['corporate', 'Corporate', 'Business']
+    ]
+  );
+});
+
+test('categories in use are only deleted when their designs are reassigned', async () => {
+  const blocked = await request('/api/admin/categories/birthday', { method: 'DELETE', headers: buildAuthHeaders() });
+  assert.equal(blocked.response.status, 409);
+  assert.equal(blocked.body.error.type, 'conflict_error');
+  assert.equal(blocked.body.error.details[0].field, 'reassignTo');
+  assert.ok(categories.has('birthday'));
+
+  const badTarget = await request('/api/admin/categories/birthday?reassignTo=birthday', {
+    method: 'DELETE',
+    headers: buildAuthHeaders()
+  });
+  assert.equal(badTarget.response.status, 422);
+
+  const deleted = await request('/api/admin/categories/birthday?reassignTo=wedding', {
+    method: 'DELETE',
+    headers: buildAuthHeaders()
+  });
+  assert.equal(deleted.response.status, 204);
+  assert.ok(!categories.has('birthday'));
+  assert.ok(Array.from(designs.values()).every((design) => design.category !== 'birthday'));
+
+  await sendJson('/api/admin/categories', 'POST', { id: 'save-the-date', name: 'Save the Date', parentId: 'wedding' });
+  const parent = await request('/api/admin/categories/wedding?reassignTo=corporate', {
+    method: 'DELETE',
+    headers: buildAuthHeaders()
+  });
+  assert.equal(parent.response.status, 409);
+  assert.equal(parent.body.error.message, 'Move or delete its subcategories first');
+
+  const audit = await request('/api/admin/audit?action=category.delete', { headers: buildAuthHeaders() });
+  assert.equal(audit.body.data.length, 1);
+  assert.equal(audit.body.data[0].before.name, 'Birthday');
+  assert.equal(audit.body.data[0].after.reassignedTo, 'wedding');
+  assert.ok(audit.body.data[0].after.reassigned >= 1);
+});
+
+test('the marketplace category filter includes subcategories', async () => {
+  await sendJson('/api/admin/categories', 'POST', { id: 'save-the-date', name: 'Save the Date', parentId: 'wedding' });
+  const created = await sendJson('/api/admin/designs', 'POST', {
+    title: 'Save our date',
+    status: 'published',
+    category: 'save-the-date',
+    tags: []
+  });
+  assert.equal(created.response.status, 201);
+
+  const { body } = await request('/api/marketplace?category=wedding', { headers: buildAuthHeaders() });
+  const categoriesShown = new Set(body.data.map((design) => design.category));
+  assert.ok(body.data.some((design) => design.id === created.body.id));
+  assert.deepEqual([...categoriesShown].sort(), ['save-the-date', 'wedding']);
+});
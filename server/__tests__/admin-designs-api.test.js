@@ -3,7 +3,7 @@ import assert from 'node:assert/strict';
 import { createHmac } from 'node:crypto';
 
 import { designs, designOwners } from '../database.js';
-import { acquireTestServer } from './test-server.js';
+import { acquireTestServer, storeAdminUser } from './test-server.js';
 
 process.env.JWT_SECRET ??= 'test-secret';
 process.env.NODE_ENV = 'test';
@@ -101,6 +101,7 @@ async function createDesign(overrides = {}) {
 test.before(async () => {
   serverHandle = await acquireTestServer(server);
   baseUrl = serverHandle.baseUrl;
+  await storeAdminUser('admin-user');
 });
 
 test.after(async () => {
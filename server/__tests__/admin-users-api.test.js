@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { adminAuditLog, authSessions, users, userTokens } from '../database.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server, rateLimiter } = await import('../index.js');
+const { seedAdminUser } = await import('../users-store.js');
+
+let baseUrl;
+let serverHandle;
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, payload, token) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function register(email) {
+  const { body } = await sendJson('/api/auth/register', 'POST', { email, password: 'password123' });
+  return body;
+}
+
+async function loginAdmin() {
+  const admin = await seedAdminUser({ ADMIN_EMAIL: 'root@example.com', ADMIN_PASSWORD: 'admin-password' });
+  const { body } = await sendJson('/api/auth/login', 'POST', { email: 'root@example.com', password: 'admin-password' });
+  return { admin, token: body.token };
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(async () => {
+  await rateLimiter.store.reset();
+  for (const id of Array.from(users.keys())) {
+    users.delete(id);
+    userTokens.delete(id);
+  }
+  authSessions.clear();
+  adminAuditLog.clear();
+});
+
+test('admins list users with search, filters and paging', async () => {
+  const { token } = await loginAdmin();
+  await register('ada@example.com');
+  await register('grace@example.com');
+  await register('adam@example.org');
+
+  const { response, body } = await request('/api/admin/users?search=ada', { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    body.data.map((user) => user.email),
+    ['ada@example.com', 'adam@example.org']
+  );
+  assert.equal(body.data[0].status, 'active');
+  assert.equal(body.data[0].passwordHash, undefined);
+
+  const paged = await request('/api/admin/users?role=user&page=2&pageSize=2', { headers: { Authorization: `Bearer ${token}` } });
+  assert.deepEqual(paged.body.pagination, { page: 2, pageSize: 2, total: 3 });
+  assert.deepEqual(paged.body.data.map((user) => user.email), ['adam@example.org']);
+
+  const invalid = await request('/api/admin/users?status=banned&pageSize=0', { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(invalid.response.status, 422);
+  assert.deepEqual(invalid.body.error.details.map((detail) => detail.field), ['status', 'pageSize']);
+
+  const shopper = await register('shopper@example.com');
+  const forbidden = await request('/api/admin/users', { headers: { Authorization: `Bearer ${shopper.token}` } });
+  assert.equal(forbidden.response.status, 403);
+});
+
+test('role changes by admins revoke the user sessions and are audited', async () => {
+  const { admin, token } = await loginAdmin();
+  const creator = await register('maker@example.com');
+
+  const updated = await sendJson(`/api/admin/users/${creator.user.id}`, 'PATCH', { role: 'creator' }, token);
+  assert.equal(updated.response.status, 200);
+  assert.equal(updated.body.role, 'creator');
+
+  assert.equal((await request('/api/user/tokens', { headers: { Authorization: `Bearer ${creator.token}` } })).response.status, 401);
+  const refreshed = await sendJson('/api/auth/refresh', 'POST', { refreshToken: creator.refreshToken });
+  assert.equal(refreshed.response.status, 401);
+  const login = await sendJson('/api/auth/login', 'POST', { email: 'maker@example.com', password: 'password123' });
+  assert.equal(login.body.user.role, 'creator');
+
+  const invalid = await sendJson(`/api/admin/users/${creator.user.id}`, 'PATCH', { role: 'consumer' }, token);
+  assert.equal(invalid.response.status, 422);
+  const extra = await sendJson(`/api/admin/users/${creator.user.id}`, 'PATCH', { role: 'user', email: 'x@example.com' }, token);
+  assert.deepEqual(extra.body.error.details, [{ field: 'email', message: 'Only role can be changed' }]);
+  const self = await sendJson(`/api/admin/users/${admin.id}`, 'PATCH', { role: 'user' }, token);
+  assert.deepEqual(self.body.error.details, [{ field: 'role', message: 'You cannot change your own role' }]);
+  const missing = await sendJson('/api/admin/users/usr_missing', 'PATCH', { role: 'user' }, token);
+  assert.equal(missing.response.status, 404);
+
+  const audit = await request('/api/admin/audit?targetType=user', { headers: { Authorization: `Bearer ${token}` } });
+  assert.deepEqual(
+    audit.body.data.map(({ action, actorId, targetId, before, after }) => ({ action, actorId, targetId, before, after })),
+    [{ action: 'user.role', actorId: admin.id, targetId: creator.user.id, before: { role: 'user' }, after: { role: 'creator' } }]
+  );
+});
+
+test('suspended users cannot log in and lose their sessions until reactivated', async () => {
+  const { admin, token } = await loginAdmin();
+  const member = await register('member@example.com');
+  const memberHeaders = { Authorization: `Bearer ${member.token}` };
+  assert.equal((await request('/api/user/tokens', { headers: memberHeaders })).response.status, 200);
+
+  const suspended = await sendJson(`/api/admin/users/${member.user.id}/suspend`, 'POST', {}, token);
+  assert.equal(suspended.response.status, 200);
+  assert.equal(suspended.body.status, 'suspended');
+  assert.ok(suspended.body.suspendedAt);
+
+  assert.equal((await request('/api/user/tokens', { headers: memberHeaders })).response.status, 401);
+  const refresh = await sendJson('/api/auth/refresh', 'POST', { refreshToken: member.refreshToken });
+  assert.equal(refresh.response.status, 401);
+  const login = await sendJson('/api/auth/login', 'POST', { email: 'member@example.com', password: 'password123' });
+  assert.equal(login.response.status, 403);
+  assert.equal(login.body.error.message, 'Account suspended');
+
+  const self = await sendJson(`/api/admin/users/${admin.id}/suspend`, 'POST', {}, token);
+  assert.equal(self.response.status, 422);
+
+  const reactivated = await sendJson(`/api/admin/users/${member.user.id}/reactivate`, 'POST', {}, token);
+  assert.equal(reactivated.body.status, 'active');
+  const again = await sendJson('/api/auth/login', 'POST', { email: 'member@example.com', password: 'password123' });
+  assert.equal(again.response.status, 200);
+
+  const audit = await request(`/api/admin/audit?targetId=${member.user.id}`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.deepEqual(
+    audit.body.data.map((entry) => [entry.action, entry.before.status, entry.after.status]),
+    [
+      ['user.reactivate', 'suspended', 'active'],
+      ['user.suspend', 'active', 'suspended']
+    ]
+  );
+});
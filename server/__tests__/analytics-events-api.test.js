@@ -0,0 +1,261 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import {
+  analyticsEvents,
+  analyticsRollups,
+  authSessions,
+  designAnalytics,
+  designs,
+  designOwners,
+  designVersions,
+  users,
+  userTokens
+} from '../database.js';
+import { isBotUserAgent, validateEventBatch } from '../analytics-store.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15';
+const GOOGLEBOT = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendEvents(userId, payload, userAgent = BROWSER) {
+  return request('/api/analytics/events', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': userAgent, ...(userId ? buildAuthHeaders(userId) : {}) },
+    body: JSON.stringify(payload)
+  });
+}
+
+function sendEventsWithToken(token, payload) {
+  return request('/api/analytics/events', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': BROWSER, Authorization: `Bearer ${token}` },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function signIn(path, email) {
+  const { body } = await request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: 'password123' })
+  });
+  return body.token;
+}
+
+// Owner designs start as drafts; only designs consumers can see count events.
+async function createDesign(userId, { published = true } = {}) {
+  const { body } = await request('/api/designs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(userId) },
+    body: JSON.stringify({ title: 'Popular', category: 'birthday' })
+  });
+  if (published) {
+    const stored = designs.get(body.id);
+    designs.set(body.id, { ...stored, status: 'published', visibility: { ...stored.visibility, consumer: true } });
+  }
+  return body;
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+      designVersions.delete(id);
+    }
+  }
+  analyticsEvents.clear();
+  analyticsRollups.clear();
+  designAnalytics.clear();
+  for (const id of Array.from(users.keys())) {
+    users.delete(id);
+    userTokens.delete(id);
+  }
+  authSessions.clear();
+});
+
+test('event batches require a signed-in viewer and valid events', async () => {
+  const design = await createDesign('events-owner');
+
+  const anonymous = await sendEvents(null, { events: [{ type: 'view', designId: design.id }] });
+  assert.equal(anonymous.response.status, 401);
+
+  const invalid = await sendEvents('viewer', {
+    events: [{ type: 'view', designId: design.id }, { type: 'conversion', designId: design.id }, { type: 'view', occurredAt: 'yesterday' }, 'view']
+  });
+  assert.equal(invalid.response.status, 422);
+  assert.deepEqual(
+    invalid.body.error.details.map((detail) => detail.field),
+    ['events[1].type', 'events[2].designId', 'events[2].occurredAt', 'events[3]']
+  );
+
+  const empty = await sendEvents('viewer', { events: [] });
+  assert.equal(empty.response.status, 422);
+  const tooMany = await sendEvents('viewer', { events: Array.from({ length: 51 }, () => ({ type: 'view', designId: design.id })) });
+  assert.deepEqual(tooMany.body.error.details, [{ field: 'events', message: 'A batch can contain at most 50 events' }]);
+  assert.equal(designAnalytics.get(design.id), undefined);
+});
+
+test('views count once per viewer and session within the dedup window', async () => {
+  const design = await createDesign('events-owner');
+  const view = { type: 'view', designId: design.id };
+
+  const first = await sendEvents('viewer', { events: [view, view, { type: 'view', designId: 'missing-design' }] });
+  assert.equal(first.response.status, 200);
+  assert.deepEqual(first.body, { received: 3, accepted: 1, duplicates: 1, filtered: 1 });
+
+  const repeat = await sendEvents('viewer', { events: [view] });
+  assert.deepEqual(repeat.body, { received: 1, accepted: 0, duplicates: 1, filtered: 0 });
+
+  // The session comes from the access token, so a made-up id in the body
+  // does not count the view again.
+  const spoofed = await sendEvents('viewer', { sessionId: 'fresh-tab', events: [view] });
+  assert.deepEqual(spoofed.body, { received: 1, accepted: 0, duplicates: 1, filtered: 0 });
+  const otherViewer = await sendEvents('someone-else', { events: [view] });
+  assert.equal(otherViewer.body.accepted, 1);
+
+  const bot = await sendEvents('crawler', { events: [view, view] }, GOOGLEBOT);
+  assert.deepEqual(bot.body, { received: 2, accepted: 0, duplicates: 0, filtered: 2 });
+
+  assert.deepEqual(designAnalytics.get(design.id), { views: 2, conversions: 0 });
+  assert.equal(designs.get(design.id).views, 2);
+  assert.equal(analyticsRollups.get(`design:${design.id}:${new Date().toISOString().slice(0, 10)}`).views, 2);
+});
+
+test('events for designs consumers cannot see are filtered', async () => {
+  const draft = await createDesign('events-owner', { published: false });
+
+  const { body } = await sendEvents('viewer', {
+    events: [
+      { type: 'view', designId: draft.id },
+      { type: 'listing_impression', designId: draft.id }
+    ]
+  });
+  assert.deepEqual(body, { received: 2, accepted: 0, duplicates: 0, filtered: 2 });
+  assert.equal(designAnalytics.get(draft.id), undefined);
+  assert.equal(designs.get(draft.id).views, 0);
+});
+
+test('each login session of a viewer counts its own view', async () => {
+  const design = await createDesign('events-owner');
+  const view = { type: 'view', designId: design.id };
+  const firstSession = await signIn('/api/auth/register', 'viewer@example.com');
+  const secondSession = await signIn('/api/auth/login', 'viewer@example.com');
+
+  assert.equal((await sendEventsWithToken(firstSession, { events: [view] })).body.accepted, 1);
+  assert.equal((await sendEventsWithToken(firstSession, { events: [view] })).body.duplicates, 1);
+  assert.equal((await sendEventsWithToken(secondSession, { events: [view] })).body.accepted, 1);
+  assert.equal(designs.get(design.id).views, 2);
+});
+
+test('the legacy view route requires sign-in and shares the deduplication', async () => {
+  const design = await createDesign('events-owner');
+  const post = (headers) =>
+    request('/api/analytics/view', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': BROWSER, ...headers },
+      body: JSON.stringify({ designId: design.id })
+    });
+
+  assert.equal((await post({})).response.status, 401);
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const { response, body } = await post(buildAuthHeaders('looper'));
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, { ok: true });
+  }
+  assert.deepEqual(designAnalytics.get(design.id), { views: 1, conversions: 0 });
+  assert.equal(designs.get(design.id).views, 1);
+});
+
+test('the legacy convert route no longer records conversions', async () => {
+  const design = await createDesign('events-owner');
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const { response, body } = await request('/api/analytics/convert', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...buildAuthHeaders('buyer') },
+      body: JSON.stringify({ designId: design.id })
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, { ok: true });
+  }
+  assert.equal(designAnalytics.get(design.id), undefined);
+});
+
+test('event timestamps outside the accepted range fall back to the receive time', () => {
+  const now = new Date('2024-07-01T12:00:00Z');
+  const { errors, normalized } = validateEventBatch(
+    {
+      events: [
+        { type: 'view', designId: 7, occurredAt: '2024-07-01T11:58:00Z' },
+        { type: 'view', designId: '7', occurredAt: '2024-06-20T12:00:00Z' },
+        { type: 'view', designId: '7', occurredAt: '2024-07-02T12:00:00Z' },
+        { type: 'view', designId: '7', occurredAt: '2024-07-01T12:03:00Z' }
+      ]
+    },
+    { now }
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    normalized.events.map((event) => [event.designId, event.occurredAt]),
+    [
+      ['7', '2024-07-01T11:58:00.000Z'],
+      ['7', '2024-07-01T12:00:00.000Z'],
+      ['7', '2024-07-01T12:00:00.000Z'],
+      ['7', '2024-07-01T12:00:00.000Z']
+    ]
+  );
+
+  assert.equal(isBotUserAgent(GOOGLEBOT), true);
+  assert.equal(isBotUserAgent('curl/8.4.0'), true);
+  assert.equal(isBotUserAgent(''), true);
+  assert.equal(isBotUserAgent(BROWSER), false);
+});
@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import {
+  analyticsEvents,
+  analyticsRollups,
+  analyticsStageRollups,
+  designAnalytics,
+  designPurchases,
+  designs,
+  tokenLedger,
+  userPurchases,
+  userTokens
+} from '../database.js';
+import { acquireTestServer, storeAdminUser, storeUser } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0';
+// Design 3 is the published corporate template priced at 25 tokens.
+const PREMIUM_DESIGN_ID = '3';
+
+let baseUrl;
+let serverHandle;
+const initialViews = designs.get(PREMIUM_DESIGN_ID).views;
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendEvents(userId, types, designId = PREMIUM_DESIGN_ID) {
+  return request('/api/analytics/events', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': BROWSER, ...buildAuthHeaders(userId) },
+    body: JSON.stringify({ events: types.map((type) => ({ type, designId })) })
+  });
+}
+
+async function buyDesign(userId) {
+  await storeUser(userId);
+  await request('/api/purchase', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('funnel-admin', 'admin'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokens: 25, userId })
+  });
+  return request(`/api/designs/${PREMIUM_DESIGN_ID}/purchase`, { method: 'POST', headers: buildAuthHeaders(userId) });
+}
+
+function funnel(params = {}, userId = 'funnel-admin', role = 'admin') {
+  return request(`/api/admin/analytics/funnel?${new URLSearchParams(params)}`, { headers: buildAuthHeaders(userId, role) });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+  await storeAdminUser('funnel-admin');
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  analyticsEvents.clear();
+  analyticsRollups.clear();
+  analyticsStageRollups.clear();
+  designAnalytics.clear();
+  userTokens.clear();
+  userPurchases.clear();
+  tokenLedger.clear();
+  designPurchases.clear();
+  designs.get(PREMIUM_DESIGN_ID).views = initialViews;
+});
+
+test('the funnel counts each stage and the drop-off from the one before', async () => {
+  await sendEvents('browser-1', ['listing_impression']);
+  await sendEvents('browser-2', ['listing_impression', 'preview_opened']);
+  await sendEvents('buyer', ['listing_impression', 'listing_impression', 'preview_opened', 'purchase_started']);
+  assert.equal((await buyDesign('buyer')).response.status, 201);
+  const firsts = await sendEvents('buyer', ['first_edit', 'first_edit', 'first_share']);
+  assert.deepEqual(firsts.body, { received: 3, accepted: 2, duplicates: 1, filtered: 0 });
+  // A later session does not make another first edit.
+  const later = await request('/api/analytics/events', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': BROWSER, ...buildAuthHeaders('buyer') },
+    body: JSON.stringify({ events: [{ type: 'first_edit', designId: PREMIUM_DESIGN_ID }] })
+  });
+  assert.equal(later.body.duplicates, 1);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { response, body } = await funnel({ from: today, to: today });
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.stages, [
+    { stage: 'listing_impression', count: 3, rate: null, dropOff: null },
+    { stage: 'preview_opened', count: 2, rate: 2 / 3, dropOff: 1 },
+    { stage: 'purchase_started', count: 1, rate: 0.5, dropOff: 1 },
+    { stage: 'purchase_completed', count: 1, rate: 1, dropOff: 0 },
+    { stage: 'first_edit', count: 1, rate: 1, dropOff: 0 },
+    { stage: 'first_share', count: 1, rate: 1, dropOff: 0 }
+  ]);
+  assert.equal(body.conversionRate, 1 / 3);
+  assert.equal(body.designId, null);
+
+  // Funnel stages are not views.
+  assert.equal(designAnalytics.get(PREMIUM_DESIGN_ID).views, 0);
+  assert.equal(designs.get(PREMIUM_DESIGN_ID).views, initialViews);
+});
+
+test('the funnel narrows to one design or category and is admin-only', async () => {
+  await sendEvents('viewer', ['listing_impression', 'preview_opened']);
+  await sendEvents('viewer', ['listing_impression'], '1');
+
+  const byDesign = await funnel({ designId: PREMIUM_DESIGN_ID });
+  assert.deepEqual(byDesign.body.stages.slice(0, 2).map(({ count }) => count), [1, 1]);
+  assert.equal(byDesign.body.designId, PREMIUM_DESIGN_ID);
+  const byCategory = await funnel({ category: 'corporate' });
+  assert.equal(byCategory.body.stages[0].count, 1);
+  assert.equal((await funnel()).body.stages[0].count, 2);
+  assert.equal((await funnel({ category: 'wedding-none' })).body.conversionRate, null);
+
+  const both = await funnel({ designId: PREMIUM_DESIGN_ID, category: 'corporate' });
+  assert.equal(both.response.status, 422);
+  assert.deepEqual(both.body.error.details, [{ field: 'category', message: 'Filter by designId or category, not both' }]);
+  assert.equal((await funnel({ from: '2024-13-01' })).response.status, 422);
+  assert.equal((await funnel({}, 'viewer', 'user')).response.status, 403);
+
+  const fromClient = await sendEvents('viewer', ['purchase_completed']);
+  assert.deepEqual(
+    fromClient.body.error.details.map((detail) => detail.field),
+    ['events[0].type']
+  );
+});
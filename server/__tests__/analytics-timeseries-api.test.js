@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { analyticsEvents, analyticsRollups, designAnalytics, designs, designOwners, designVersions } from '../database.js';
+import { getTimeseries, recordConversion, recordView } from '../analytics-store.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+async function createTrackedDesign(userId) {
+  const { body: design } = await request('/api/designs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(userId) },
+    body: JSON.stringify({ title: 'Tracked', category: 'birthday' })
+  });
+  await recordView(design.id, { at: '2024-06-25T12:00:00Z' });
+  await recordView(design.id, { at: '2024-07-01T08:00:00Z' });
+  await recordView(design.id, { at: '2024-07-01T23:59:59Z' });
+  await recordView(design.id, { at: '2024-07-03T00:00:00Z' });
+  await recordConversion(design.id, { at: '2024-07-03T09:30:00Z' });
+  await recordView(design.id, { at: '2024-07-09T10:00:00Z' });
+  return design;
+}
+
+function timeseries(designId, params, userId) {
+  return request(`/api/analytics/designs/${designId}/timeseries?${new URLSearchParams(params)}`, {
+    headers: buildAuthHeaders(userId)
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+      designVersions.delete(id);
+    }
+  }
+  analyticsEvents.clear();
+  analyticsRollups.clear();
+  designAnalytics.clear();
+});
+
+test('daily time series count events per UTC day and compare with the previous period', async () => {
+  const design = await createTrackedDesign('series-owner');
+
+  const { response, body } = await timeseries(design.id, { from: '2024-07-01', to: '2024-07-07' }, 'series-owner');
+  assert.equal(response.status, 200);
+  assert.equal(body.designId, design.id);
+  assert.equal(body.interval, 'day');
+  assert.equal(body.points.length, 7);
+  assert.deepEqual(body.points[0], { start: '2024-07-01', end: '2024-07-01', views: 2, conversions: 0, conversionRate: 0 });
+  assert.deepEqual(body.points[2], { start: '2024-07-03', end: '2024-07-03', views: 1, conversions: 1, conversionRate: 1 });
+  assert.deepEqual(body.totals, { views: 3, conversions: 1, conversionRate: 1 / 3 });
+  assert.deepEqual(body.previous, {
+    from: '2024-06-24',
+    to: '2024-06-30',
+    totals: { views: 1, conversions: 0, conversionRate: 0 }
+  });
+  assert.deepEqual(body.change, { views: 2, conversions: null, conversionRate: 1 / 3 });
+
+  // Lifetime counters still include every event.
+  assert.deepEqual(designAnalytics.get(design.id), { views: 5, conversions: 1 });
+});
+
+test('weekly and monthly buckets follow ISO weeks and calendar months, clipped to the range', async () => {
+  const design = await createTrackedDesign('bucket-owner');
+
+  const weekly = await timeseries(design.id, { from: '2024-06-26', to: '2024-07-10', interval: 'week' }, 'bucket-owner');
+  assert.deepEqual(
+    weekly.body.points.map(({ start, end, views }) => [start, end, views]),
+    [
+      ['2024-06-26', '2024-06-30', 0],
+      ['2024-07-01', '2024-07-07', 3],
+      ['2024-07-08', '2024-07-10', 1]
+    ]
+  );
+
+  const monthly = await timeseries(design.id, { from: '2024-06-15', to: '2024-07-10', interval: 'month' }, 'bucket-owner');
+  assert.deepEqual(
+    monthly.body.points.map(({ start, end, views }) => [start, end, views]),
+    [
+      ['2024-06-15', '2024-06-30', 1],
+      ['2024-07-01', '2024-07-10', 4]
+    ]
+  );
+
+  const byCategory = await getTimeseries('category', 'birthday', { from: '2024-07-01', to: '2024-07-31', interval: 'month' });
+  assert.deepEqual(byCategory.totals, { views: 4, conversions: 1, conversionRate: 0.25 });
+  const byDesigner = await getTimeseries('designer', 'bucket-owner', { from: '2024-06-01', to: '2024-07-31' });
+  assert.equal(byDesigner.totals.views, 5);
+});
+
+test('time series validate their range and are limited to owners and admins', async () => {
+  const design = await createTrackedDesign('guarded-owner');
+
+  const reversed = await timeseries(design.id, { from: '2024-07-10', to: '2024-07-01' }, 'guarded-owner');
+  assert.equal(reversed.response.status, 422);
+  assert.deepEqual(reversed.body.error.details, [{ field: 'from', message: 'from must not be after to' }]);
+
+  const invalid = await timeseries(design.id, { from: '2024-02-30', interval: 'hour' }, 'guarded-owner');
+  assert.deepEqual(
+    invalid.body.error.details.map((detail) => detail.field),
+    ['from', 'interval']
+  );
+
+  const tooLong = await timeseries(design.id, { from: '2023-01-01', to: '2024-07-01' }, 'guarded-owner');
+  assert.equal(tooLong.response.status, 422);
+
+  const defaults = await timeseries(design.id, {}, 'guarded-owner');
+  assert.equal(defaults.body.points.length, 30);
+  assert.equal(defaults.body.to, new Date().toISOString().slice(0, 10));
+
+  assert.equal((await timeseries(design.id, {}, 'someone-else')).response.status, 403);
+  const admin = await request(`/api/analytics/designs/${design.id}/timeseries`, { headers: buildAuthHeaders('root', 'admin') });
+  assert.equal(admin.response.status, 200);
+  assert.equal((await timeseries('missing-design', {}, 'guarded-owner')).response.status, 404);
+});
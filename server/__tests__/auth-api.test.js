@@ -0,0 +1,258 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { authSessions, users, userTokens } from '../database.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server, rateLimiter } = await import('../index.js');
+const { seedAdminUser, verifyPassword } = await import('../users-store.js');
+
+let baseUrl;
+let serverHandle;
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+function postJson(path, payload, headers = {}) {
+  return request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(async () => {
+  await rateLimiter.store.reset();
+  for (const id of Array.from(users.keys())) {
+    users.delete(id);
+    userTokens.delete(id);
+  }
+  authSessions.clear();
+});
+
+test('POST /api/auth/register creates an account with a hashed password', async () => {
+  const { response, body } = await postJson('/api/auth/register', {
+    email: 'Planner@Example.com',
+    password: 'correct horse'
+  });
+
+  assert.equal(response.status, 201);
+  assert.ok(body.token, 'Expected a session token');
+  assert.equal(body.user.email, 'planner@example.com');
+  assert.equal(body.user.role, 'user');
+  assert.equal(body.user.passwordHash, undefined);
+  assert.match(response.headers.get('set-cookie'), /session=/);
+
+  const stored = users.get(body.user.id);
+  assert.notEqual(stored.passwordHash, 'correct horse');
+  assert.match(stored.passwordHash, /^scrypt:/);
+  assert.equal(await verifyPassword('correct horse', stored.passwordHash), true);
+  assert.equal(userTokens.get(body.user.id), 5);
+});
+
+test('POST /api/auth/register rejects duplicate emails regardless of case', async () => {
+  await postJson('/api/auth/register', { email: 'dup@example.com', password: 'password123' });
+  const { response, body } = await postJson('/api/auth/register', {
+    email: 'DUP@example.com',
+    password: 'another-password'
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal(body.error.type, 'conflict_error');
+  assert.equal(body.error.message, 'User already exists');
+});
+
+test('POST /api/auth/register validates email, password and role', async () => {
+  const invalid = await postJson('/api/auth/register', { email: 'not-an-email', password: 'short' });
+  assert.equal(invalid.response.status, 422);
+  assert.equal(invalid.body.error.type, 'validation_error');
+  const fields = invalid.body.error.details.map((detail) => detail.field).sort();
+  assert.deepEqual(fields, ['email', 'password']);
+
+  const privileged = await postJson('/api/auth/register', {
+    email: 'sneaky@example.com',
+    password: 'password123',
+    role: 'admin'
+  });
+  assert.equal(privileged.response.status, 403);
+  assert.equal(privileged.body.error.type, 'authorization_error');
+  assert.equal(users.size, 0);
+});
+
+test('POST /api/auth/login verifies the password', async () => {
+  await postJson('/api/auth/register', { email: 'login@example.com', password: 'password123' });
+
+  const wrongPassword = await postJson('/api/auth/login', {
+    email: 'login@example.com',
+    password: 'password124'
+  });
+  assert.equal(wrongPassword.response.status, 401);
+  assert.equal(wrongPassword.body.error.type, 'authentication_error');
+  assert.equal(wrongPassword.body.error.message, 'Invalid credentials');
+
+  const unknownEmail = await postJson('/api/auth/login', {
+    email: 'nobody@example.com',
+    password: 'password123'
+  });
+  assert.equal(unknownEmail.response.status, 401);
+  assert.equal(unknownEmail.body.error.message, 'Invalid credentials');
+  assert.equal(users.size, 1, 'Login must not create accounts');
+
+  const { response, body } = await postJson('/api/auth/login', {
+    email: 'LOGIN@example.com',
+    password: 'password123'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(body.user.email, 'login@example.com');
+
+  const me = await request('/api/auth/me', {
+    headers: { Authorization: `Bearer ${body.token}` }
+  });
+  assert.equal(me.response.status, 200);
+  assert.deepEqual(me.body.user, body.user);
+});
+
+test('seeded admin can log in with the configured credentials', async () => {
+  const admin = await seedAdminUser({ ADMIN_EMAIL: 'Owner@Example.com', ADMIN_PASSWORD: 'admin-password' });
+  assert.equal(admin.role, 'admin');
+
+  const again = await seedAdminUser({ ADMIN_EMAIL: 'owner@example.com', ADMIN_PASSWORD: 'admin-password' });
+  assert.equal(again.id, admin.id);
+  assert.equal(users.size, 1);
+
+  const { response, body } = await postJson('/api/auth/login', {
+    email: 'owner@example.com',
+    password: 'admin-password'
+  });
+  assert.equal(response.status, 200);
+  assert.equal(body.user.role, 'admin');
+
+  assert.equal(await seedAdminUser({}), null);
+});
+
+async function registerAndLogin(email = 'session@example.com') {
+  await postJson('/api/auth/register', { email, password: 'password123' });
+  const { body } = await postJson('/api/auth/login', { email, password: 'password123' });
+  return body;
+}
+
+function bearer(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+test('login issues a short-lived access token and a refresh cookie', async () => {
+  await postJson('/api/auth/register', { email: 'cookies@example.com', password: 'password123' });
+  const { response, body } = await postJson('/api/auth/login', {
+    email: 'cookies@example.com',
+    password: 'password123'
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(body.expiresIn, 15 * 60);
+  assert.match(body.refreshToken, /^ses_[\w-]+\.[\w-]+$/);
+  const cookies = response.headers.getSetCookie();
+  assert.ok(cookies.some((cookie) => cookie.startsWith('session=')));
+  assert.ok(cookies.some((cookie) => cookie.startsWith(`refresh_token=${body.refreshToken};`)));
+
+  const [session] = Array.from(authSessions.values());
+  assert.notEqual(session.refreshTokenHash, body.refreshToken.split('.')[1]);
+});
+
+test('POST /api/auth/refresh rotates the refresh token', async () => {
+  const login = await registerAndLogin();
+
+  const { response, body } = await postJson('/api/auth/refresh', { refreshToken: login.refreshToken });
+  assert.equal(response.status, 200);
+  assert.ok(body.token);
+  assert.notEqual(body.refreshToken, login.refreshToken);
+  assert.equal(body.user.email, 'session@example.com');
+
+  const viaCookie = await request('/api/auth/refresh', {
+    method: 'POST',
+    headers: { Cookie: `refresh_token=${body.refreshToken}` }
+  });
+  assert.equal(viaCookie.response.status, 200);
+
+  const me = await request('/api/auth/me', { headers: bearer(viaCookie.body.token) });
+  assert.equal(me.response.status, 200);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const login = await registerAndLogin();
+  const rotated = await postJson('/api/auth/refresh', { refreshToken: login.refreshToken });
+  assert.equal(rotated.response.status, 200);
+
+  const replay = await postJson('/api/auth/refresh', { refreshToken: login.refreshToken });
+  assert.equal(replay.response.status, 401);
+  assert.equal(replay.body.error.type, 'authentication_error');
+
+  const afterReplay = await postJson('/api/auth/refresh', { refreshToken: rotated.body.refreshToken });
+  assert.equal(afterReplay.response.status, 401);
+
+  const me = await request('/api/auth/me', { headers: bearer(rotated.body.token) });
+  assert.equal(me.response.status, 401);
+});
+
+test('logout revokes the access and refresh tokens server-side', async () => {
+  const login = await registerAndLogin();
+
+  const logout = await request('/api/auth/logout', { method: 'POST', headers: bearer(login.token) });
+  assert.equal(logout.response.status, 204);
+  assert.ok(logout.response.headers.getSetCookie().some((cookie) => cookie.startsWith('refresh_token=;')));
+
+  const me = await request('/api/auth/me', { headers: bearer(login.token) });
+  assert.equal(me.response.status, 401);
+
+  const refresh = await postJson('/api/auth/refresh', { refreshToken: login.refreshToken });
+  assert.equal(refresh.response.status, 401);
+});
+
+test('access tokens stop working once their session is revoked in the store', async () => {
+  const login = await registerAndLogin();
+  assert.equal((await request('/api/user/tokens', { headers: bearer(login.token) })).response.status, 200);
+
+  // As if another server instance had revoked the session.
+  const [sessionId] = login.refreshToken.split('.');
+  authSessions.set(sessionId, { ...authSessions.get(sessionId), revokedAt: new Date().toISOString() });
+
+  assert.equal((await request('/api/user/tokens', { headers: bearer(login.token) })).response.status, 401);
+  assert.equal((await request('/api/auth/me', { headers: bearer(login.token) })).response.status, 401);
+});
+
+test('logout with only the refresh cookie still revokes the session', async () => {
+  const login = await registerAndLogin();
+
+  const logout = await request('/api/auth/logout', {
+    method: 'POST',
+    headers: { Cookie: `refresh_token=${login.refreshToken}` }
+  });
+  assert.equal(logout.response.status, 204);
+
+  const refresh = await postJson('/api/auth/refresh', { refreshToken: login.refreshToken });
+  assert.equal(refresh.response.status, 401);
+});
@@ -0,0 +1,218 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, designVersions } from '../database.js';
+import { acquireTestServer, storeAdminUser } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, userId, payload, { role, headers = {} } = {}) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(userId, role), ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function createDesign(userId) {
+  const { response, body } = await sendJson('/api/designs', 'POST', userId, {
+    title: 'Party',
+    slides: [{ id: 'a', name: 'Welcome', layers: [] }]
+  });
+  return { design: body, etag: response.headers.get('etag') };
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+  await storeAdminUser('root');
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+  for (const [id, design] of initialDesigns) {
+    designs.set(id, structuredClone(design));
+  }
+  designVersions.clear();
+});
+
+test('design reads and writes return a strong ETag that changes with the content', async () => {
+  const { design, etag } = await createDesign('etag-owner');
+  assert.match(etag, /^"[\w-]+"$/);
+
+  const read = await request(`/api/designs/${design.id}`, { headers: buildAuthHeaders('etag-owner') });
+  assert.equal(read.response.headers.get('etag'), etag);
+
+  const updated = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'etag-owner', { title: 'Garden Party' }, {
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(updated.response.status, 200);
+  const nextEtag = updated.response.headers.get('etag');
+  assert.ok(nextEtag);
+  assert.notEqual(nextEtag, etag);
+
+  const reread = await request(`/api/designs/${design.id}`, { headers: buildAuthHeaders('etag-owner') });
+  assert.equal(reread.response.headers.get('etag'), nextEtag);
+});
+
+test('a stale If-Match is rejected with 412 and the current design', async () => {
+  const { design, etag } = await createDesign('stale-owner');
+  // Two saves inside the same second are still told apart.
+  await sendJson(`/api/designs/${design.id}`, 'PATCH', 'stale-owner', { title: 'Other tab' }, {
+    headers: { 'If-Match': etag }
+  });
+
+  const { response, body } = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'stale-owner', { title: 'This tab' }, {
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(response.status, 412);
+  assert.equal(body.error.type, 'precondition_failed');
+  assert.equal(body.design.title, 'Other tab');
+  assert.equal(body.version, 2);
+  assert.equal(body.etag, response.headers.get('etag'));
+  assert.equal(designs.get(design.id).title, 'Other tab');
+
+  const retried = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'stale-owner', { title: 'This tab' }, {
+    headers: { 'If-Match': body.etag }
+  });
+  assert.equal(retried.response.status, 200);
+});
+
+test('If-Match accepts "*" and tag lists but never weak tags', async () => {
+  const { design, etag } = await createDesign('match-owner');
+
+  const weak = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'match-owner', { title: 'Weak' }, {
+    headers: { 'If-Match': `W/${etag}` }
+  });
+  assert.equal(weak.response.status, 412);
+
+  const listed = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'match-owner', { title: 'Listed' }, {
+    headers: { 'If-Match': `"other", ${etag}` }
+  });
+  assert.equal(listed.response.status, 200);
+
+  const any = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'match-owner', { title: 'Any' }, {
+    headers: { 'If-Match': '*' }
+  });
+  assert.equal(any.response.status, 200);
+});
+
+test('deletes and restores honour If-Match', async () => {
+  const { design, etag } = await createDesign('delete-owner');
+  await sendJson(`/api/designs/${design.id}`, 'PATCH', 'delete-owner', { title: 'Changed' }, {
+    headers: { 'If-Match': etag }
+  });
+
+  const restore = await request(`/api/designs/${design.id}/versions/1/restore`, {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('delete-owner'), 'If-Match': etag }
+  });
+  assert.equal(restore.response.status, 412);
+
+  const staleDelete = await request(`/api/designs/${design.id}`, {
+    method: 'DELETE',
+    headers: { ...buildAuthHeaders('delete-owner'), 'If-Match': etag }
+  });
+  assert.equal(staleDelete.response.status, 412);
+  assert.ok(designs.has(design.id));
+
+  const deleted = await request(`/api/designs/${design.id}`, {
+    method: 'DELETE',
+    headers: { ...buildAuthHeaders('delete-owner'), 'If-Match': restore.body.etag }
+  });
+  assert.equal(deleted.response.status, 204);
+});
+
+test('owner writes without a precondition get 428 and the current design', async () => {
+  const { design, etag } = await createDesign('careless-owner');
+
+  const patched = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'careless-owner', { title: 'Blind write' });
+  assert.equal(patched.response.status, 428);
+  assert.equal(patched.body.error.type, 'precondition_required');
+  assert.equal(patched.body.etag, etag);
+  assert.equal(patched.body.design.title, 'Party');
+  assert.equal(designs.get(design.id).title, 'Party');
+
+  const deleted = await request(`/api/designs/${design.id}`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('careless-owner')
+  });
+  assert.equal(deleted.response.status, 428);
+  assert.ok(designs.has(design.id));
+
+  const legacy = await sendJson(`/api/designs/${design.id}`, 'PUT', 'careless-owner', { title: 'Legacy', slides: [] }, {
+    headers: { 'If-Unmodified-Since': new Date(Date.now() + 60_000).toUTCString() }
+  });
+  assert.equal(legacy.response.status, 200);
+});
+
+test('admin writes use the same ETags as owner reads', async () => {
+  const { design, etag } = await createDesign('admin-target');
+
+  const stale = await sendJson(`/api/admin/designs/${design.id}`, 'PATCH', 'root', { title: 'Admin' }, {
+    role: 'admin',
+    headers: { 'If-Match': '"stale"' }
+  });
+  assert.equal(stale.response.status, 412);
+
+  const patched = await sendJson(`/api/admin/designs/${design.id}`, 'PATCH', 'root', { title: 'Admin' }, {
+    role: 'admin',
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(patched.response.status, 200);
+
+  const read = await request(`/api/designs/${design.id}`, { headers: buildAuthHeaders('admin-target') });
+  assert.equal(read.response.headers.get('etag'), patched.response.headers.get('etag'));
+
+  const price = await sendJson(`/api/admin/designs/${design.id}/price`, 'PUT', 'root', { price: 5 }, {
+    role: 'admin',
+    headers: { 'If-Match': etag }
+  });
+  assert.equal(price.response.status, 412);
+});
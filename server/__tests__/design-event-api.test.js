@@ -0,0 +1,192 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, designVersions, shareLinks } from '../database.js';
+import { buildEventCalendar, zonedTimeToUtc } from '../design-event.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+process.env.APP_BASE_URL = 'https://invites.example.com';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+const EVENT = {
+  title: 'Garden Party',
+  start: '2024-07-06T18:30',
+  end: '2024-07-06T22:00',
+  timezone: 'America/Toronto',
+  venue: 'Riverside Hall',
+  address: '12 King St, Toronto',
+  notes: 'Bring a dish; dress for the weather'
+};
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+// Writes skip the ETag check with `If-Match: *`; design-etag-api covers it.
+function sendJson(path, method, userId, payload) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'If-Match': '*', ...buildAuthHeaders(userId) },
+    body: JSON.stringify(payload)
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+      designVersions.delete(id);
+    }
+  }
+  shareLinks.clear();
+});
+
+test('owners store, validate and clear event details on a design', async () => {
+  const { body: design } = await sendJson('/api/designs', 'POST', 'event-owner', { title: 'Party' });
+  assert.equal(design.event, null);
+
+  const invalid = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'event-owner', {
+    event: { ...EVENT, timezone: 'Mars/Olympus_Mons', end: '2024-07-06T17:00' }
+  });
+  assert.equal(invalid.response.status, 422);
+  assert.deepEqual(
+    invalid.body.error.details.map((detail) => detail.field),
+    ['event.timezone']
+  );
+  const impossibleDate = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'event-owner', {
+    event: { ...EVENT, start: '2024-02-30T10:00', end: '2024-07-06T17:00' }
+  });
+  assert.deepEqual(
+    impossibleDate.body.error.details.map((detail) => detail.field),
+    ['event.start']
+  );
+  const beforeStart = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'event-owner', {
+    event: { ...EVENT, end: '2024-07-06T17:00' }
+  });
+  assert.deepEqual(beforeStart.body.error.details, [{ field: 'event.end', message: 'end must be after start' }]);
+
+  const saved = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'event-owner', {
+    event: { ...EVENT, timezone: 'america/toronto', venue: '  Riverside Hall  ' }
+  });
+  assert.equal(saved.response.status, 200);
+  assert.deepEqual(saved.body.event, EVENT);
+
+  const kept = await sendJson(`/api/designs/${design.id}`, 'PUT', 'event-owner', { title: 'Renamed', slides: [] });
+  assert.equal(kept.response.status, 200);
+  assert.deepEqual(kept.body.event, EVENT);
+
+  const cleared = await sendJson(`/api/designs/${design.id}`, 'PATCH', 'event-owner', { event: null });
+  assert.equal(cleared.body.event, null);
+
+  const versions = await request(`/api/designs/${design.id}/versions/3`, { headers: buildAuthHeaders('event-owner') });
+  assert.deepEqual(versions.body.snapshot.event, EVENT);
+});
+
+test('guests see the event and can download it as an iCalendar file', async () => {
+  const { body: design } = await sendJson('/api/designs', 'POST', 'ics-owner', { title: 'Party', event: EVENT });
+  const { body: link } = await sendJson(`/api/designs/${design.id}/share`, 'POST', 'ics-owner', {});
+
+  const shared = await request(`/api/share/${link.token}`);
+  assert.deepEqual(shared.body.design.event, EVENT);
+
+  // Links come from APP_BASE_URL; a malformed Origin header is ignored.
+  const response = await fetch(`${baseUrl}/api/share/${link.token}/event.ics`, {
+    headers: { Origin: 'http://' }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/calendar; charset=utf-8');
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="event.ics"');
+  const calendar = (await response.text()).replace(/\r\n /g, '');
+  assert.match(calendar, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+  assert.match(calendar, new RegExp(`\\r\\nUID:design-${design.id}@invites\\.example\\.com\\r\\n`));
+  assert.match(calendar, /\r\nDTSTART:20240706T223000Z\r\nDTEND:20240707T020000Z\r\n/);
+  assert.match(calendar, /\r\nSUMMARY:Garden Party\r\n/);
+  assert.match(calendar, /\r\nLOCATION:Riverside Hall\\, 12 King St\\, Toronto\r\n/);
+  assert.match(
+    calendar,
+    new RegExp(`\\r\\nDESCRIPTION:Bring a dish\\\\; dress for the weather\\\\n\\\\nInvitation: https://invites\\.example\\.com/share/${link.token}\\r\\n`)
+  );
+  assert.match(calendar, /END:VCALENDAR\r\n$/);
+
+  const revoked = await request(`/api/designs/${design.id}/share/${link.id}`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('ics-owner')
+  });
+  assert.equal(revoked.response.status, 200);
+  assert.equal((await request(`/api/share/${link.token}/event.ics`)).response.status, 404);
+
+  const { body: bare } = await sendJson('/api/designs', 'POST', 'ics-owner', { title: 'No date yet' });
+  const { body: bareLink } = await sendJson(`/api/designs/${bare.id}/share`, 'POST', 'ics-owner', {});
+  const missing = await request(`/api/share/${bareLink.token}/event.ics`);
+  assert.equal(missing.response.status, 404);
+  assert.equal(missing.body.error.message, 'This invitation has no event details');
+});
+
+test('event times follow the zone through daylight saving changes', () => {
+  assert.equal(zonedTimeToUtc('2024-01-15T09:00', 'America/Toronto').toISOString(), '2024-01-15T14:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2024-07-15T09:00', 'Asia/Kolkata').toISOString(), '2024-07-15T03:30:00.000Z');
+  // 02:30 does not exist on the spring-forward night; 01:30 happens twice in the autumn.
+  assert.equal(zonedTimeToUtc('2024-03-10T02:30', 'America/Toronto').toISOString(), '2024-03-10T07:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2024-11-03T01:30', 'America/Toronto').toISOString(), '2024-11-03T05:30:00.000Z');
+});
+
+test('calendar lines are escaped and folded at 75 octets', () => {
+  const calendar = buildEventCalendar(
+    {
+      id: '7',
+      title: 'Fallback',
+      event: { start: '2024-07-06T18:30', end: null, timezone: 'UTC', title: '', venue: '', address: '', notes: 'é'.repeat(60) }
+    },
+    { now: new Date('2024-06-01T00:00:00Z') }
+  );
+  const lines = calendar.split('\r\n');
+  assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.includes('SUMMARY:Fallback'));
+  assert.ok(lines.includes('DTSTAMP:20240601T000000Z'));
+  assert.ok(!lines.some((line) => line.startsWith('DTEND') || line.startsWith('LOCATION')));
+  const unfolded = calendar.replace(/\r\n /g, '');
+  assert.match(unfolded, new RegExp(`\\r\\nDESCRIPTION:${'é'.repeat(60)}\\r\\n`));
+});
@@ -0,0 +1,257 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { adminAuditLog, designAnalytics, designPurchases, tokenLedger, userPurchases, userTokens } from '../database.js';
+import { acquireTestServer, storeUser } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+// Design 3 is the published premium template priced at 24.99 USD (25 tokens).
+const PREMIUM_DESIGN_ID = '3';
+const PREMIUM_TOKEN_COST = 25;
+
+let baseUrl;
+let serverHandle;
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+async function grantTokens(userId, tokens) {
+  await storeUser(userId);
+  return request('/api/purchase', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('admin-granter', 'admin'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokens, userId })
+  });
+}
+
+function spendTokens(userId, tokens) {
+  return request('/api/purchase', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders(userId), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokens: -tokens })
+  });
+}
+
+function buyDesign(userId, designId = PREMIUM_DESIGN_ID) {
+  return request(`/api/designs/${designId}/purchase`, {
+    method: 'POST',
+    headers: buildAuthHeaders(userId)
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  userTokens.clear();
+  userPurchases.clear();
+  tokenLedger.clear();
+  designPurchases.clear();
+  designAnalytics.clear();
+  adminAuditLog.clear();
+});
+
+test('token grants and spends are recorded as ledger entries', async () => {
+  assert.equal((await grantTokens('ledger-user', 30)).body.tokens, 30);
+  assert.equal((await spendTokens('ledger-user', 10)).body.tokens, 20);
+
+  const overdraw = await spendTokens('ledger-user', 50);
+  assert.equal(overdraw.response.status, 400);
+
+  const selfCredit = await request('/api/purchase', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('ledger-user'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokens: 100 })
+  });
+  assert.equal(selfCredit.response.status, 403);
+
+  const { response, body } = await request('/api/user/tokens/ledger', {
+    headers: buildAuthHeaders('ledger-user')
+  });
+  assert.equal(response.status, 200);
+  assert.equal(body.tokens, 20);
+  assert.deepEqual(
+    body.entries.map(({ type, amount, balanceAfter, reason }) => ({ type, amount, balanceAfter, reason })),
+    [
+      { type: 'credit', amount: 30, balanceAfter: 30, reason: 'admin_grant' },
+      { type: 'debit', amount: 10, balanceAfter: 20, reason: 'spend' }
+    ]
+  );
+
+  // Spending is not a design purchase, so naming a design records nothing.
+  const spendOnDesign = await request('/api/purchase', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('ledger-user'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokens: -1, designId: PREMIUM_DESIGN_ID })
+  });
+  assert.equal(spendOnDesign.body.tokens, 19);
+  assert.equal(designAnalytics.get(PREMIUM_DESIGN_ID), undefined);
+});
+
+test('admin grants need an existing user and are audited', async () => {
+  const typo = await request('/api/purchase', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('admin-granter', 'admin'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tokens: 10, userId: 'no-such-user' })
+  });
+  assert.equal(typo.response.status, 404);
+  assert.equal(typo.body.error.type, 'not_found');
+  assert.equal(userTokens.has('no-such-user'), false);
+  assert.equal(tokenLedger.has('no-such-user'), false);
+
+  await grantTokens('audited-user', 15);
+  await grantTokens('audited-user', 5);
+  const entries = Array.from(adminAuditLog.values());
+  assert.deepEqual(
+    entries.map(({ action, targetType, targetId, before, after }) => [action, targetType, targetId, before.tokens, after.tokens]),
+    [
+      ['user.tokens', 'user', 'audited-user', 0, 15],
+      ['user.tokens', 'user', 'audited-user', 15, 20]
+    ]
+  );
+  assert.ok(entries.every((entry) => entry.actorId === 'admin-granter'));
+});
+
+test('POST /api/designs/:id/purchase debits the price and grants ownership', async () => {
+  await grantTokens('buyer', 40);
+
+  const { response, body } = await buyDesign('buyer');
+  assert.equal(response.status, 201);
+  assert.equal(body.designId, PREMIUM_DESIGN_ID);
+  assert.equal(body.owned, true);
+  assert.equal(body.price, PREMIUM_TOKEN_COST);
+  assert.equal(body.tokens, 40 - PREMIUM_TOKEN_COST);
+  assert.equal(body.ledgerEntry.type, 'debit');
+  assert.equal(body.ledgerEntry.reason, 'design_purchase');
+  assert.equal(body.ledgerEntry.designId, PREMIUM_DESIGN_ID);
+  assert.equal(designAnalytics.get(PREMIUM_DESIGN_ID).conversions, 1);
+
+  const owned = await request('/api/user/owned-designs', { headers: buildAuthHeaders('buyer') });
+  assert.equal(owned.response.status, 200);
+  assert.deepEqual(owned.body.designs, [
+    {
+      id: PREMIUM_DESIGN_ID,
+      owned: true,
+      source: 'purchase',
+      price: PREMIUM_TOKEN_COST,
+      purchasedAt: body.purchasedAt
+    }
+  ]);
+
+  const again = await buyDesign('buyer');
+  assert.equal(again.response.status, 409);
+  assert.equal(again.body.error.type, 'conflict_error');
+  assert.equal(userTokens.get('buyer'), 40 - PREMIUM_TOKEN_COST);
+});
+
+test('purchases without enough tokens change nothing', async () => {
+  await grantTokens('short-buyer', 10);
+
+  const { response, body } = await buyDesign('short-buyer');
+  assert.equal(response.status, 402);
+  assert.equal(body.error.type, 'insufficient_tokens');
+  assert.equal(body.price, PREMIUM_TOKEN_COST);
+  assert.equal(body.tokens, 10);
+
+  assert.equal(userTokens.get('short-buyer'), 10);
+  assert.equal(tokenLedger.get('short-buyer').length, 1);
+  assert.equal(designPurchases.has('short-buyer'), false);
+});
+
+test('concurrent purchases of the same design charge once', async () => {
+  await grantTokens('racer', 100);
+
+  const results = await Promise.all([buyDesign('racer'), buyDesign('racer'), buyDesign('racer')]);
+  const statuses = results.map(({ response }) => response.status).sort();
+  assert.deepEqual(statuses, [201, 409, 409]);
+  assert.equal(userTokens.get('racer'), 100 - PREMIUM_TOKEN_COST);
+  assert.equal(designPurchases.get('racer').length, 1);
+});
+
+test('designs that are unpublished, missing or already created by the caller cannot be bought', async () => {
+  await grantTokens('demo', 50);
+
+  const draft = await buyDesign('demo', '2');
+  assert.equal(draft.response.status, 409);
+  assert.equal(draft.body.error.message, 'Design is not available for purchase');
+
+  const own = await buyDesign('demo', '1');
+  assert.equal(own.response.status, 409);
+  assert.equal(own.body.error.message, 'Design already owned');
+
+  const missing = await buyDesign('demo', 'no-such-design');
+  assert.equal(missing.response.status, 404);
+
+  const anonymous = await request(`/api/designs/${PREMIUM_DESIGN_ID}/purchase`, { method: 'POST' });
+  assert.equal(anonymous.response.status, 401);
+
+  const owned = await request('/api/user/owned-designs', { headers: buildAuthHeaders('demo') });
+  assert.deepEqual(
+    owned.body.designs.map(({ id, source }) => ({ id, source })),
+    [
+      { id: '1', source: 'creator' },
+      { id: '2', source: 'creator' }
+    ]
+  );
+});
+
+test('buyers can open the designs they bought but not delete them', async () => {
+  await grantTokens('reader', 30);
+
+  const before = await request(`/api/designs/${PREMIUM_DESIGN_ID}`, { headers: buildAuthHeaders('reader') });
+  assert.equal(before.response.status, 404);
+
+  await buyDesign('reader');
+
+  const { response, body } = await request(`/api/designs/${PREMIUM_DESIGN_ID}`, { headers: buildAuthHeaders('reader') });
+  assert.equal(response.status, 200);
+  assert.equal(body.id, PREMIUM_DESIGN_ID);
+
+  const files = await request(`/api/designs/${PREMIUM_DESIGN_ID}/webm`, { headers: buildAuthHeaders('reader') });
+  assert.equal(files.response.status, 200);
+
+  const removed = await request(`/api/designs/${PREMIUM_DESIGN_ID}`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('reader')
+  });
+  assert.equal(removed.response.status, 403);
+});
@@ -0,0 +1,245 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, designVersions } from '../database.js';
+import { diffDesignSnapshots } from '../design-versions-store.js';
+import { acquireTestServer, storeAdminUser } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, userId, payload, role, headers = {}) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(userId, role), ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+const SLIDE_A = { id: 'a', name: 'Welcome', layers: [{ text: 'Hello', left: 16 }] };
+const SLIDE_B = { id: 'b', name: 'Details', layers: [] };
+
+async function createDesignWithHistory(userId) {
+  const created = await sendJson('/api/designs', 'POST', userId, { title: 'Party', slides: [SLIDE_A] });
+  const edited = await sendJson(
+    `/api/designs/${created.body.id}`,
+    'PATCH',
+    userId,
+    { slides: [SLIDE_B, { ...SLIDE_A, layers: [{ text: 'Hello there', left: 16 }] }] },
+    undefined,
+    { 'If-Match': created.response.headers.get('etag') }
+  );
+  await sendJson(`/api/designs/${created.body.id}`, 'PATCH', userId, { title: 'Garden Party' }, undefined, {
+    'If-Match': edited.response.headers.get('etag')
+  });
+  return created.body;
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+  await storeAdminUser('admin-editor');
+  await storeAdminUser('root');
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+  for (const [id, design] of initialDesigns) {
+    designs.set(id, structuredClone(design));
+  }
+  designVersions.clear();
+});
+
+test('every save appends a version that can be listed and read back', async () => {
+  const created = await createDesignWithHistory('history-owner');
+
+  const { response, body } = await request(`/api/designs/${created.id}/versions`, {
+    headers: buildAuthHeaders('history-owner')
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    body.versions.map(({ version, reason, title, slideCount, authorId }) => ({
+      version,
+      reason,
+      title,
+      slideCount,
+      authorId
+    })),
+    [
+      { version: 1, reason: 'create', title: 'Party', slideCount: 1, authorId: 'history-owner' },
+      { version: 2, reason: 'update', title: 'Party', slideCount: 2, authorId: 'history-owner' },
+      { version: 3, reason: 'update', title: 'Garden Party', slideCount: 2, authorId: 'history-owner' }
+    ]
+  );
+
+  const first = await request(`/api/designs/${created.id}/versions/1`, { headers: buildAuthHeaders('history-owner') });
+  assert.equal(first.response.status, 200);
+  assert.deepEqual(first.body.snapshot.slides, [SLIDE_A]);
+
+  const missing = await request(`/api/designs/${created.id}/versions/9`, { headers: buildAuthHeaders('history-owner') });
+  assert.equal(missing.response.status, 404);
+});
+
+test('the diff endpoint reports metadata and slide changes between versions', async () => {
+  const created = await createDesignWithHistory('diff-owner');
+
+  const { response, body } = await request(`/api/designs/${created.id}/versions/3/diff?from=1`, {
+    headers: buildAuthHeaders('diff-owner')
+  });
+  assert.equal(response.status, 200);
+  assert.equal(body.from, 1);
+  assert.equal(body.to, 3);
+  assert.deepEqual(body.fields, [{ field: 'title', from: 'Party', to: 'Garden Party' }]);
+  assert.deepEqual(body.slides.added, [{ id: 'b', index: 0 }]);
+  assert.deepEqual(body.slides.moved, [{ id: 'a', from: 0, to: 1 }]);
+  assert.deepEqual(body.slides.changed, [
+    { id: 'a', index: 1, changes: [{ path: 'layers[0].text', type: 'changed', from: 'Hello', to: 'Hello there' }] }
+  ]);
+
+  const previous = await request(`/api/designs/${created.id}/versions/3/diff`, {
+    headers: buildAuthHeaders('diff-owner')
+  });
+  assert.equal(previous.body.from, 2);
+  assert.deepEqual(previous.body.slides.changed, []);
+
+  const first = await request(`/api/designs/${created.id}/versions/1/diff`, { headers: buildAuthHeaders('diff-owner') });
+  assert.equal(first.response.status, 404);
+});
+
+test('restoring a version copies its content back and records a new version', async () => {
+  const created = await createDesignWithHistory('restore-owner');
+
+  const { response, body } = await request(`/api/designs/${created.id}/versions/1/restore`, {
+    method: 'POST',
+    headers: buildAuthHeaders('restore-owner')
+  });
+  assert.equal(response.status, 200);
+  assert.equal(body.design.title, 'Party');
+  assert.deepEqual(body.design.slides, [SLIDE_A]);
+  assert.equal(body.version.version, 4);
+  assert.equal(body.version.reason, 'restore');
+  assert.equal(body.version.restoredFrom, 1);
+  assert.equal(designs.get(created.id).title, 'Party');
+
+  // Versions are immutable: the restored-over version is still intact.
+  const third = await request(`/api/designs/${created.id}/versions/3`, { headers: buildAuthHeaders('restore-owner') });
+  assert.equal(third.body.snapshot.title, 'Garden Party');
+});
+
+test('admin edits to designs saved before history existed keep a baseline version', async () => {
+  const original = structuredClone(designs.get('2'));
+
+  const { response } = await sendJson('/api/admin/designs/2', 'PATCH', 'admin-editor', { title: 'Retitled' }, 'admin');
+  assert.equal(response.status, 200);
+
+  const { body } = await request('/api/designs/2/versions', { headers: buildAuthHeaders('admin-editor', 'admin') });
+  assert.deepEqual(
+    body.versions.map(({ version, reason, title }) => ({ version, reason, title })),
+    [
+      { version: 1, reason: 'baseline', title: original.title },
+      { version: 2, reason: 'update', title: 'Retitled' }
+    ]
+  );
+});
+
+test('admin price changes and archiving are recorded as versions', async () => {
+  const created = await createDesignWithHistory('priced-owner');
+
+  const price = await sendJson(`/api/admin/designs/${created.id}/price`, 'PUT', 'admin-editor', { price: 12 }, 'admin');
+  assert.equal(price.response.status, 200);
+  const archived = await request(`/api/admin/designs/${created.id}`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('admin-editor', 'admin')
+  });
+  assert.equal(archived.response.status, 204);
+
+  const { body } = await request(`/api/designs/${created.id}/versions`, { headers: buildAuthHeaders('priced-owner') });
+  assert.deepEqual(
+    body.versions.slice(-2).map(({ reason, authorId, status }) => ({ reason, authorId, status })),
+    [
+      { reason: 'price', authorId: 'admin-editor', status: 'draft' },
+      { reason: 'archive', authorId: 'admin-editor', status: 'archived' }
+    ]
+  );
+  const diff = await request(`/api/designs/${created.id}/versions/${body.versions.length - 1}/diff`, {
+    headers: buildAuthHeaders('priced-owner')
+  });
+  assert.deepEqual(diff.body.fields, [{ field: 'price', from: 0, to: 12 }]);
+});
+
+test('only owners and admins can read or restore history', async () => {
+  const created = await createDesignWithHistory('private-owner');
+
+  const list = await request(`/api/designs/${created.id}/versions`, { headers: buildAuthHeaders('someone-else') });
+  assert.equal(list.response.status, 403);
+
+  const restore = await request(`/api/designs/${created.id}/versions/1/restore`, {
+    method: 'POST',
+    headers: buildAuthHeaders('someone-else')
+  });
+  assert.equal(restore.response.status, 403);
+  assert.equal(designs.get(created.id).title, 'Garden Party');
+
+  const admin = await request(`/api/designs/${created.id}/versions`, { headers: buildAuthHeaders('root', 'admin') });
+  assert.equal(admin.body.versions.length, 3);
+
+  const unknown = await request('/api/designs/no-such-design/versions', { headers: buildAuthHeaders('root', 'admin') });
+  assert.equal(unknown.response.status, 404);
+});
+
+test('slides without ids are compared by position', () => {
+  const diff = diffDesignSnapshots(
+    { title: 'A', tags: [], slides: [{ name: 'One' }, { name: 'Two' }] },
+    { title: 'A', tags: ['new'], slides: [{ name: 'One!' }] }
+  );
+  assert.deepEqual(diff.fields, [{ field: 'tags', from: [], to: ['new'] }]);
+  assert.deepEqual(diff.slides.removed, [{ id: '#1', index: 1 }]);
+  assert.deepEqual(diff.slides.changed, [
+    { id: '#0', index: 0, changes: [{ path: 'name', type: 'changed', from: 'One', to: 'One!' }] }
+  ]);
+});
@@ -0,0 +1,204 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners } from '../database.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesignIds = new Set(designs.keys());
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+async function createOwnedDesign(userId, overrides = {}) {
+  return request('/api/designs', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...buildAuthHeaders(userId)
+    },
+    body: JSON.stringify({
+      title: 'My Party',
+      slides: [{ id: 'slide_1', name: 'Slide 1', elements: [] }],
+      ...overrides
+    })
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesignIds.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+});
+
+test('POST /api/designs creates a draft owned by the caller', async () => {
+  const { response, body } = await createOwnedDesign('owner-create');
+
+  assert.equal(response.status, 201);
+  assert.ok(body?.id);
+  assert.equal(body.title, 'My Party');
+  assert.equal(body.userId, 'owner-create');
+  assert.equal(body.status, 'draft');
+  assert.equal(body.slides.length, 1);
+  assert.equal(designOwners.get(body.id)?.userId, 'owner-create');
+
+  const { response: fetched, body: fetchedBody } = await request(`/api/designs/${body.id}`, {
+    headers: buildAuthHeaders('owner-create')
+  });
+  assert.equal(fetched.status, 200);
+  assert.equal(fetchedBody.id, body.id);
+});
+
+test('POST /api/designs validates the slides payload', async () => {
+  const { response, body } = await createOwnedDesign('owner-invalid', {
+    slides: [{ id: 'slide_1', elements: 'nope' }]
+  });
+
+  assert.equal(response.status, 422);
+  assert.equal(body?.error?.type, 'validation_error');
+  assert.ok(body.error.details.some((detail) => detail.field === 'slides'));
+});
+
+test('POST /api/designs rejects owner-controlled admin fields', async () => {
+  const { response, body } = await createOwnedDesign('owner-admin-fields', { price: 10 });
+
+  assert.equal(response.status, 422);
+  assert.ok(body.error.details.some((detail) => detail.field === 'price'));
+});
+
+test('POST /api/designs requires authentication', async () => {
+  const { response } = await request('/api/designs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Anonymous' })
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test('PUT /api/designs/:id replaces slides for the owner', async () => {
+  const { response: createdResponse, body: created } = await createOwnedDesign('owner-put');
+
+  const { response, body } = await request(`/api/designs/${created.id}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'If-Match': createdResponse.headers.get('etag'),
+      ...buildAuthHeaders('owner-put')
+    },
+    body: JSON.stringify({
+      title: 'Renamed Party',
+      slides: [
+        { id: 'slide_1', elements: [] },
+        { id: 'slide_2', elements: [] }
+      ]
+    })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(body.title, 'Renamed Party');
+  assert.equal(body.slides.length, 2);
+  assert.equal(designs.get(created.id).slides.length, 2);
+});
+
+test('PATCH /api/designs/:id updates only the provided fields', async () => {
+  const { response: createdResponse, body: created } = await createOwnedDesign('owner-patch', { tags: ['kids'] });
+
+  const { response, body } = await request(`/api/designs/${created.id}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'If-Match': createdResponse.headers.get('etag'),
+      ...buildAuthHeaders('owner-patch')
+    },
+    body: JSON.stringify({ title: 'Patched' })
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(body.title, 'Patched');
+  assert.deepEqual(body.tags, ['kids']);
+  assert.equal(body.slides.length, 1);
+});
+
+test('PUT /api/designs/:id forbids non-owners', async () => {
+  const { body: created } = await createOwnedDesign('owner-guarded');
+
+  const { response, body } = await request(`/api/designs/${created.id}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      ...buildAuthHeaders('intruder')
+    },
+    body: JSON.stringify({ title: 'Hijacked' })
+  });
+
+  assert.equal(response.status, 403);
+  assert.equal(body?.error?.type, 'authorization_error');
+  assert.equal(designs.get(created.id).title, 'My Party');
+});
+
+test('DELETE /api/designs/:id removes the design and its ownership record', async () => {
+  const { response: createdResponse, body: created } = await createOwnedDesign('owner-delete');
+
+  const { response } = await request(`/api/designs/${created.id}`, {
+    method: 'DELETE',
+    headers: { 'If-Match': createdResponse.headers.get('etag'), ...buildAuthHeaders('owner-delete') }
+  });
+
+  assert.equal(response.status, 204);
+  assert.ok(!designs.has(created.id));
+  assert.ok(!designOwners.has(created.id));
+
+  const { response: missing } = await request(`/api/designs/${created.id}`, {
+    method: 'DELETE',
+    headers: { 'If-Match': '*', ...buildAuthHeaders('owner-delete') }
+  });
+  assert.equal(missing.status, 404);
+});
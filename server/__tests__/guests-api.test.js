@@ -0,0 +1,227 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, customers, rsvps, guests } from '../database.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, payload, headers = {}) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function createInvitation(userId) {
+  const auth = buildAuthHeaders(userId);
+  const { body: design } = await sendJson('/api/designs', 'POST', { title: 'Garden Party' }, auth);
+  return { design, auth };
+}
+
+function importCsv(designId, payload, auth) {
+  return sendJson(`/api/designs/${designId}/guests/import`, 'POST', payload, auth);
+}
+
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+  guests.clear();
+  customers.clear();
+  rsvps.clear();
+});
+
+test('hosts import a CSV guest list with a column mapping', async () => {
+  const { design, auth } = await createInvitation('import-host');
+  const csv = [
+    'Full Name,E-mail,Mobile,Family',
+    'Ada Lovelace,Ada@Example.com,+44 20 7946 0000,Lovelace',
+    '"Hopper, Grace",,,"The ""Hoppers"""',
+    '',
+    'Linus,linus@example.com,,'
+  ].join('\r\n');
+
+  const { response, body } = await importCsv(design.id, { csv, mapping: { household: 'Family' } }, auth);
+  assert.equal(response.status, 201);
+  assert.equal(body.imported, 3);
+  assert.equal(guests.size, 3);
+
+  const listed = await request(`/api/designs/${design.id}/guests`, { headers: auth });
+  assert.equal(listed.response.status, 200);
+  assert.deepEqual(
+    listed.body.guests.map(({ name, email, phone, household, rsvp }) => ({ name, email, phone, household, rsvp })),
+    [
+      { name: 'Ada Lovelace', email: 'ada@example.com', phone: '+44 20 7946 0000', household: 'Lovelace', rsvp: null },
+      { name: 'Hopper, Grace', email: null, phone: null, household: 'The "Hoppers"', rsvp: null },
+      { name: 'Linus', email: 'linus@example.com', phone: null, household: null, rsvp: null }
+    ]
+  );
+  assert.ok(listed.body.guests.every((guest) => guest.token.startsWith('gst_')));
+});
+
+test('invalid imports report every bad row and store nothing', async () => {
+  const { design, auth } = await createInvitation('invalid-import-host');
+  await sendJson(`/api/designs/${design.id}/guests`, 'POST', { name: 'Ada', email: 'ada@example.com' }, auth);
+
+  const csv = [
+    'name,email,phone',
+    'Grace,grace@example.com,',
+    ',nobody@example.com,',
+    'Ada L,ADA@example.com,',
+    'Linus,linus@,call me',
+    'Grace H,grace@example.com,'
+  ].join('\n');
+  const { response, body } = await importCsv(design.id, { csv }, auth);
+  assert.equal(response.status, 422);
+  assert.deepEqual(
+    body.error.details.map(({ row, field }) => ({ row, field })),
+    [
+      { row: 3, field: 'name' },
+      { row: 4, field: 'email' },
+      { row: 5, field: 'email' },
+      { row: 5, field: 'phone' },
+      { row: 6, field: 'email' }
+    ]
+  );
+  assert.match(body.error.details[4].message, /row 2/);
+  assert.equal(guests.size, 1);
+
+  const badMapping = await importCsv(design.id, { csv, mapping: { name: 'Guest', age: 'Age' } }, auth);
+  assert.equal(badMapping.response.status, 422);
+  assert.deepEqual(badMapping.body.error.details.map((detail) => detail.field), ['mapping']);
+
+  const missingColumn = await importCsv(design.id, { csv, mapping: { name: 'Guest' } }, auth);
+  assert.deepEqual(missingColumn.body.error.details, [
+    { row: 1, field: 'name', message: 'Column "Guest" was not found in the header row' }
+  ]);
+
+  const unterminated = await importCsv(design.id, { csv: 'name\n"Ada' }, auth);
+  assert.deepEqual(unterminated.body.error.details.map(({ row, field }) => ({ row, field })), [{ row: 2, field: 'csv' }]);
+
+  const stranger = await importCsv(design.id, { csv: 'name\nEve' }, buildAuthHeaders('someone-else'));
+  assert.equal(stranger.response.status, 403);
+});
+
+test('personal links pre-fill the RSVP and tie it to the guest', async () => {
+  const { design, auth } = await createInvitation('personal-host');
+  const { body: guest } = await sendJson(
+    `/api/designs/${design.id}/guests`,
+    'POST',
+    { name: 'Ada Lovelace', email: 'ada@example.com', household: 'Lovelace' },
+    auth
+  );
+
+  const opened = await request(`/api/share/${guest.token}`);
+  assert.equal(opened.response.status, 200);
+  assert.equal(opened.body.design.title, 'Garden Party');
+  assert.deepEqual(opened.body.guest, { name: 'Ada Lovelace', email: 'ada@example.com', household: 'Lovelace' });
+  assert.equal(opened.body.rsvp, null);
+
+  const answered = await sendJson(`/api/share/${guest.token}/rsvp`, 'POST', { attending: 'yes', partySize: 2 });
+  assert.equal(answered.response.status, 201);
+  const again = await sendJson(`/api/share/${guest.token}/rsvp`, 'POST', {
+    name: 'Ada',
+    email: 'ada.other@example.com',
+    attending: 'no'
+  });
+  assert.equal(again.response.status, 409);
+
+  const reopened = await request(`/api/share/${guest.token}`);
+  assert.equal(reopened.body.rsvp.attending, 'yes');
+
+  const { body: listed } = await request(`/api/designs/${design.id}/guests`, { headers: auth });
+  assert.deepEqual(listed.guests[0].rsvp, { id: answered.body.rsvp.id, attending: 'yes', partySize: 2 });
+  const { body: responses } = await request(`/api/designs/${design.id}/rsvps`, { headers: auth });
+  assert.deepEqual(
+    responses.rsvps.map(({ name, email, guestId }) => ({ name, email, guestId })),
+    [{ name: 'Ada Lovelace', email: 'ada@example.com', guestId: guest.id }]
+  );
+
+  const forged = await request(`/api/share/${guest.id}.forged`);
+  assert.equal(forged.response.status, 404);
+
+  const removed = await request(`/api/designs/${design.id}/guests/${guest.id}`, { method: 'DELETE', headers: auth });
+  assert.equal(removed.response.status, 204);
+  const revoked = await request(`/api/share/${guest.token}`);
+  assert.equal(revoked.response.status, 404);
+  assert.equal(rsvps.size, 1);
+});
+
+test('hosts edit guests and export the list as CSV', async () => {
+  const { design, auth } = await createInvitation('export-host');
+  await importCsv(design.id, { csv: 'name,email,phone\nAda,ada@example.com,\n=cmd,,+1 555 0100' }, auth);
+  const { body: listed } = await request(`/api/designs/${design.id}/guests`, { headers: auth });
+  const [formula, ada] = listed.guests;
+  const path = `/api/designs/${design.id}/guests/${ada.id}`;
+
+  const edited = await sendJson(path, 'PATCH', { household: 'Lovelace', phone: '' }, auth);
+  assert.equal(edited.response.status, 200);
+  assert.equal(edited.body.household, 'Lovelace');
+  assert.equal(edited.body.token, ada.token);
+  const invalid = await sendJson(path, 'PATCH', { email: 'nope' }, auth);
+  assert.equal(invalid.response.status, 422);
+  await sendJson(`/api/share/${ada.token}/rsvp`, 'POST', { attending: 'maybe' });
+
+  const response = await fetch(`${baseUrl}/api/designs/${design.id}/guests/export`, { headers: auth });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="guests-/);
+  const lines = (await response.text()).trim().split('\r\n');
+  assert.deepEqual(lines, [
+    'name,email,phone,household,rsvp,party_size,invite_path',
+    `'=cmd,,+1 555 0100,,,,/share/${encodeURIComponent(formula.token)}`,
+    `Ada,ada@example.com,,Lovelace,maybe,1,/share/${encodeURIComponent(ada.token)}`
+  ]);
+});
@@ -0,0 +1,197 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designOwners, designs, designVersions, tokenLedger, userPurchases, userTokens, webmFiles } from '../database.js';
+import { createMemoryIdempotencyStore } from '../idempotency.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server, idempotency } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialWebmIds = new Set(webmFiles.keys());
+const initialDesignIds = new Set(designs.keys());
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body;
+  if (response.status !== 204) {
+    try {
+      body = await response.json();
+    } catch (err) {
+      body = null;
+    }
+  }
+  return { response, body };
+}
+
+// Positive amounts are admin grants, so callers act as admins granting themselves.
+function changeTokens(userId, tokens, key) {
+  return request('/api/purchase', {
+    method: 'POST',
+    headers: {
+      ...buildAuthHeaders(userId, 'admin'),
+      'Content-Type': 'application/json',
+      ...(key ? { 'Idempotency-Key': key } : {})
+    },
+    body: JSON.stringify({ tokens })
+  });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(async () => {
+  await idempotency.store.reset();
+  userTokens.clear();
+  userPurchases.clear();
+  tokenLedger.clear();
+  for (const id of Array.from(webmFiles.keys())) {
+    if (!initialWebmIds.has(id)) {
+      webmFiles.delete(id);
+    }
+  }
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesignIds.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+      designVersions.delete(id);
+    }
+  }
+});
+
+test('a retried token grant is credited once and replays the first response', async () => {
+  const first = await changeTokens('idem-buyer', 20, 'purchase-1');
+  assert.equal(first.response.status, 200);
+  assert.equal(first.body.tokens, 20);
+  assert.equal(first.response.headers.get('idempotent-replayed'), null);
+
+  const retry = await changeTokens('idem-buyer', 20, 'purchase-1');
+  assert.equal(retry.response.status, 200);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.response.headers.get('idempotent-replayed'), 'true');
+  assert.equal(userTokens.get('idem-buyer'), 20);
+
+  const fresh = await changeTokens('idem-buyer', 20, 'purchase-2');
+  assert.equal(fresh.body.tokens, 40);
+
+  const unkeyed = await changeTokens('idem-buyer', 20);
+  assert.equal(unkeyed.body.tokens, 60);
+});
+
+test('keys are scoped per user', async () => {
+  await changeTokens('idem-a', 10, 'shared-key');
+  const other = await changeTokens('idem-b', 15, 'shared-key');
+  assert.equal(other.response.headers.get('idempotent-replayed'), null);
+  assert.equal(other.body.tokens, 15);
+});
+
+test('reusing a key with a different body is rejected', async () => {
+  await changeTokens('idem-reuse', 10, 'reused-key');
+  const mismatch = await changeTokens('idem-reuse', 99, 'reused-key');
+  assert.equal(mismatch.response.status, 422);
+  assert.equal(mismatch.body.error.type, 'validation_error');
+  assert.equal(userTokens.get('idem-reuse'), 10);
+});
+
+test('malformed keys are rejected before the handler runs', async () => {
+  const { response, body } = await changeTokens('idem-bad', 10, 'x'.repeat(256));
+  assert.equal(response.status, 422);
+  assert.match(body.error.message, /Idempotency-Key/);
+  assert.equal(userTokens.has('idem-bad'), false);
+});
+
+test('client errors are replayed too', async () => {
+  const first = await changeTokens('idem-broke', -5, 'overdraw');
+  assert.equal(first.response.status, 400);
+  const retry = await changeTokens('idem-broke', -5, 'overdraw');
+  assert.equal(retry.response.status, 400);
+  assert.equal(retry.response.headers.get('idempotent-replayed'), 'true');
+});
+
+test('a retried WebM upload creates a single record', async () => {
+  const send = () =>
+    request('/api/webm', {
+      method: 'POST',
+      headers: {
+        ...buildAuthHeaders('demo'),
+        'Content-Type': 'application/json',
+        'Idempotency-Key': 'upload-1'
+      },
+      body: JSON.stringify({ designId: '1', storageUri: 'https://cdn.example.com/designs/1/retry.webm' })
+    });
+
+  const first = await send();
+  const retry = await send();
+  assert.equal(first.response.status, 201);
+  assert.equal(retry.response.status, 201);
+  assert.equal(retry.body.id, first.body.id);
+  const created = Array.from(webmFiles.keys()).filter((id) => !initialWebmIds.has(id));
+  assert.deepEqual(created, [first.body.id]);
+});
+
+test('replays keep the stored response headers but not per-request ones', async () => {
+  const send = () =>
+    request('/api/designs', {
+      method: 'POST',
+      headers: {
+        ...buildAuthHeaders('idem-designer'),
+        'Content-Type': 'application/json',
+        'Idempotency-Key': 'design-1'
+      },
+      body: JSON.stringify({ title: 'Retried' })
+    });
+
+  const first = await send();
+  const retry = await send();
+  assert.equal(retry.response.status, 201);
+  assert.equal(retry.response.headers.get('idempotent-replayed'), 'true');
+  assert.ok(first.response.headers.get('etag'));
+  assert.equal(retry.response.headers.get('etag'), first.response.headers.get('etag'));
+  assert.equal(retry.response.headers.get('content-type'), 'application/json');
+  assert.ok(retry.response.headers.get('x-request-id'));
+  assert.notEqual(retry.response.headers.get('x-request-id'), first.response.headers.get('x-request-id'));
+  assert.equal(retry.body.id, first.body.id);
+});
+
+test('memory store reports in-flight keys and forgets released ones', async () => {
+  const store = createMemoryIdempotencyStore();
+  assert.equal(await store.begin('k', 'fp', 0), null);
+  assert.deepEqual(await store.begin('k', 'fp', 10), { state: 'in_flight', fingerprint: 'fp', response: null });
+
+  await store.release('k');
+  assert.equal(await store.begin('k', 'fp', 20), null);
+
+  const response = { status: 201, headers: {}, body: '{}' };
+  await store.complete('k', response, 60, 30);
+  assert.deepEqual(await store.begin('k', 'fp', 40), { state: 'completed', fingerprint: 'fp', response });
+  assert.equal(await store.begin('k', 'fp', 30 + 60_000), null);
+});
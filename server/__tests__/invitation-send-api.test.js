@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, guests, invitationDeliveries } from '../database.js';
+import { whenDeliveriesSettled } from '../invitation-deliveries-store.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+process.env.APP_BASE_URL = 'https://app.example.com';
+
+const { default: server, mailer } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, payload, headers = {}) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function createGuestList(userId) {
+  const auth = buildAuthHeaders(userId);
+  const { body: design } = await sendJson('/api/designs', 'POST', { title: 'Garden Party' }, auth);
+  await sendJson(
+    `/api/designs/${design.id}/guests/import`,
+    'POST',
+    { csv: 'name,email\nAda,ada@example.com\nGrace,grace@example.com\nLinus,' },
+    auth
+  );
+  const { body } = await request(`/api/designs/${design.id}/guests`, { headers: auth });
+  return { design, auth, guests: Object.fromEntries(body.guests.map((guest) => [guest.name, guest])) };
+}
+
+function send(designId, payload, auth) {
+  return sendJson(`/api/designs/${designId}/send`, 'POST', payload, { Origin: 'https://elsewhere.example.com', ...auth });
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+  guests.clear();
+  invitationDeliveries.clear();
+  mailer.transport.messages.length = 0;
+});
+
+test('hosts send invitations to selected guests with their personal links', async () => {
+  const { design, auth, guests: list } = await createGuestList('send-host');
+
+  const { response, body } = await send(
+    design.id,
+    { guestIds: [list.Ada.id, list.Linus.id], message: 'See you there!' },
+    auth
+  );
+  assert.equal(response.status, 202);
+  assert.deepEqual(
+    body.deliveries.map(({ guestId, email, status }) => ({ guestId, email, status })),
+    [{ guestId: list.Ada.id, email: 'ada@example.com', status: 'queued' }]
+  );
+  assert.deepEqual(body.skipped, [{ guestId: list.Linus.id, reason: 'no_email' }]);
+
+  await whenDeliveriesSettled();
+  assert.equal(mailer.transport.messages.length, 1);
+  const [message] = mailer.transport.messages;
+  assert.deepEqual(message.to, ['ada@example.com']);
+  const text = Buffer.from(/text\/plain[\s\S]*?\r\n\r\n([\s\S]*?)\r\n--/.exec(message.raw)[1].replace(/\r\n/g, ''), 'base64').toString();
+  assert.match(text, /Hi Ada,/);
+  assert.match(text, /See you there!/);
+  assert.ok(text.includes(`https://app.example.com/share/${encodeURIComponent(list.Ada.token)}`));
+
+  const { body: tracked } = await request(`/api/designs/${design.id}/deliveries`, { headers: auth });
+  assert.equal(tracked.deliveries.length, 1);
+  assert.equal(tracked.deliveries[0].status, 'sent');
+  assert.ok(tracked.deliveries[0].sentAt);
+});
+
+test('failed sends are recorded per recipient', async () => {
+  const { design, auth, guests: list } = await createGuestList('failing-host');
+  const originalSend = mailer.transport.send;
+  mailer.transport.send = async (envelope, raw) => {
+    if (envelope.to.includes('grace@example.com')) throw new Error('mailbox unavailable');
+    return originalSend(envelope, raw);
+  };
+  try {
+    await send(design.id, { guestIds: [list.Ada.id, list.Grace.id] }, auth);
+    await whenDeliveriesSettled();
+  } finally {
+    mailer.transport.send = originalSend;
+  }
+
+  const { body } = await request(`/api/designs/${design.id}/deliveries`, { headers: auth });
+  const byEmail = Object.fromEntries(body.deliveries.map((delivery) => [delivery.email, delivery]));
+  assert.equal(byEmail['ada@example.com'].status, 'sent');
+  assert.equal(byEmail['grace@example.com'].status, 'failed');
+  assert.equal(byEmail['grace@example.com'].error, 'mailbox unavailable');
+});
+
+test('sends are validated and limited to the design owner', async () => {
+  const { design, auth, guests: list } = await createGuestList('validating-host');
+  const other = await createGuestList('other-host');
+
+  const empty = await send(design.id, { guestIds: [] }, auth);
+  assert.equal(empty.response.status, 422);
+  const foreign = await send(design.id, { guestIds: [list.Ada.id, other.guests.Ada.id] }, auth);
+  assert.equal(foreign.response.status, 422);
+  assert.deepEqual(foreign.body.error.details.map((detail) => detail.field), ['guestIds']);
+  const stranger = await send(design.id, { guestIds: [list.Ada.id] }, buildAuthHeaders('someone-else'));
+  assert.equal(stranger.response.status, 403);
+
+  await whenDeliveriesSettled();
+  assert.equal(invitationDeliveries.size, 0);
+  assert.equal(mailer.transport.messages.length, 0);
+});
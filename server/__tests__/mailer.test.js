@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+
+import {
+  buildMimeMessage,
+  createFileTransport,
+  createMailer,
+  createMailerFromConfig,
+  createMemoryTransport,
+  createSmtpTransport,
+  MailDeliveryError,
+  renderInvitationEmail
+} from '../mailer.js';
+
+function decodeParts(raw) {
+  return Array.from(raw.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)\r\n--/g), ([, body]) =>
+    Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8')
+  );
+}
+
+// Speaks just enough SMTP to accept one message, recording what it was sent.
+async function startFakeSmtpServer({ rejectRecipient = false } = {}) {
+  const session = { commands: [], data: '' };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 fake.smtp ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-fake.smtp\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH PLAIN')) socket.write('235 ok\r\n');
+        else if (line.startsWith('MAIL FROM')) socket.write('250 ok\r\n');
+        else if (line.startsWith('RCPT TO')) socket.write(rejectRecipient ? '550 no such user\r\n' : '250 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { session, port: server.address().port, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test('invitation emails carry the link, thumbnail and an escaped message', () => {
+  const email = renderInvitationEmail({
+    design: { title: 'Ada & Grace', thumbnailUrl: '/thumbs/1.png' },
+    inviteUrl: 'https://app.example.com/share/gst_1.sig',
+    baseUrl: 'https://app.example.com',
+    guestName: 'Linus',
+    message: 'Bring <snacks>'
+  });
+
+  assert.equal(email.subject, "You're invited: Ada & Grace");
+  assert.match(email.text, /^Hi Linus,/);
+  assert.match(email.text, /View the invitation and RSVP: https:\/\/app\.example\.com\/share\/gst_1\.sig/);
+  assert.match(email.html, /<strong>Ada &amp; Grace<\/strong>/);
+  assert.match(email.html, /<img src="https:\/\/app\.example\.com\/thumbs\/1\.png"/);
+  assert.match(email.html, /Bring &lt;snacks&gt;/);
+
+  const noImage = renderInvitationEmail({
+    design: { title: 'Party', thumbnailUrl: 'javascript:alert(1)' },
+    inviteUrl: 'https://app.example.com/share/x'
+  });
+  assert.doesNotMatch(noImage.html, /<img/);
+});
+
+test('MIME messages hold a text and an HTML part and encode non-ASCII subjects', () => {
+  const raw = buildMimeMessage({
+    from: 'Invitations <no-reply@example.com>',
+    to: 'ada@example.com',
+    subject: 'Fête',
+    text: 'plain',
+    html: '<p>html</p>',
+    messageId: '<1@example.com>'
+  });
+  assert.match(raw, /^Subject: =\?UTF-8\?B\?RsOqdGU=\?=\r$/m);
+  assert.match(raw, /Content-Type: multipart\/alternative; boundary="alt_/);
+  assert.deepEqual(decodeParts(raw), ['plain', '<p>html</p>']);
+});
+
+test('memory and file transports keep a copy of each message', async () => {
+  const memory = createMailer({ transport: createMemoryTransport(), from: 'Hosts <hosts@example.com>' });
+  const { messageId } = await memory.send({ to: 'ada@example.com', subject: 'Hi', text: 'a', html: 'b' });
+  assert.match(messageId, /^<.+@example\.com>$/);
+  assert.deepEqual(memory.transport.messages[0].to, ['ada@example.com']);
+  assert.match(memory.transport.messages[0].raw, new RegExp(`Message-ID: ${messageId}`));
+
+  const directory = await mkdtemp(path.join(os.tmpdir(), 'mailer-test-'));
+  try {
+    const file = createMailer({ transport: createFileTransport({ directory }) });
+    await file.send({ to: 'grace@example.com', subject: 'Hi', text: 'a', html: 'b' });
+    const [name] = await readdir(directory);
+    assert.match(name, /\.eml$/);
+    assert.match(await readFile(path.join(directory, name), 'utf8'), /^To: grace@example\.com\r$/m);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('the SMTP transport refuses to authenticate over a plain connection', async () => {
+  const smtp = await startFakeSmtpServer();
+  try {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: smtp.port, user: 'mailer', pass: 'secret', heloName: 'test' });
+    await assert.rejects(
+      transport.send({ from: 'hosts@example.com', to: ['ada@example.com'] }, 'Subject: x\r\n\r\nbody\r\n'),
+      (err) => err instanceof MailDeliveryError && /STARTTLS/.test(err.message)
+    );
+    assert.deepEqual(smtp.session.commands, ['EHLO test']);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('the SMTP transport authenticates and dot-stuffs the message', async () => {
+  const smtp = await startFakeSmtpServer();
+  try {
+    const transport = createSmtpTransport({
+      host: '127.0.0.1',
+      port: smtp.port,
+      user: 'mailer',
+      pass: 'secret',
+      allowInsecureAuth: true,
+      heloName: 'test'
+    });
+    await transport.send({ from: 'Hosts <hosts@example.com>', to: ['ada@example.com'] }, 'Subject: x\r\n\r\n.hidden\r\nbody\r\n');
+    assert.deepEqual(smtp.session.commands, [
+      'EHLO test',
+      `AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`,
+      'MAIL FROM:<hosts@example.com>',
+      'RCPT TO:<ada@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.equal(smtp.session.data, 'Subject: x\r\n\r\n..hidden\r\nbody\r\n');
+  } finally {
+    await smtp.close();
+  }
+
+  const rejecting = await startFakeSmtpServer({ rejectRecipient: true });
+  try {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: rejecting.port });
+    await assert.rejects(
+      transport.send({ from: 'hosts@example.com', to: ['nobody@example.com'] }, 'Subject: x\r\n\r\nbody\r\n'),
+      (err) => err instanceof MailDeliveryError && err.code === 550
+    );
+  } finally {
+    await rejecting.close();
+  }
+});
+
+test('createMailerFromConfig selects the configured transport', () => {
+  assert.equal(createMailerFromConfig({ NODE_ENV: 'test' }).transport.name, 'memory');
+  assert.equal(createMailerFromConfig({ NODE_ENV: 'production' }), null);
+  assert.equal(createMailerFromConfig({ MAIL_TRANSPORT: 'file', MAIL_FILE_DIR: '/tmp/mail' }).transport.directory, '/tmp/mail');
+  const smtp = createMailerFromConfig({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'smtp.example.com', MAIL_FROM: 'a@example.com' });
+  assert.equal(smtp.transport.name, 'smtp');
+  assert.equal(smtp.from, 'a@example.com');
+  assert.throws(() => createMailerFromConfig({ MAIL_TRANSPORT: 'pigeon' }), /Unsupported MAIL_TRANSPORT/);
+});
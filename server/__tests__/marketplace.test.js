@@ -69,3 +69,30 @@ test('ownership filters restrict marketplace listings to matching designers', as
     ['3']
   );
 });
+
+test('facet filters combine and facet counts ignore their own selection', async () => {
+  const result = await getMarketplaceDesigns({ role: 'admin', tags: ['trending', 'new'], priceRanges: ['free'] });
+  assert.deepEqual(result.data.map((entry) => entry.id), ['1']);
+  assert.deepEqual(result.data[0].tags, ['trending']);
+
+  const counts = (facet) => Object.fromEntries(result.facets[facet].map(({ value, count }) => [value, count]));
+  // Tag counts apply the price filter but not the tag filter.
+  assert.deepEqual(counts('tag'), { 'creator-beta': 1, trending: 1 });
+  // Price counts apply the tag filter but not the price filter.
+  assert.deepEqual(counts('price'), { free: 1, 'under-10': 0, '10-25': 1, '25-plus': 0 });
+  assert.deepEqual(counts('premium'), { false: 1 });
+  assert.deepEqual(
+    result.facets.tag.filter((entry) => entry.selected).map((entry) => entry.value),
+    ['trending']
+  );
+
+  const premium = await getMarketplaceDesigns({ role: 'consumer', premium: true, badges: ['premium'] });
+  assert.deepEqual(premium.data.map((entry) => entry.id), ['3']);
+  assert.deepEqual(
+    premium.facets.category.map(({ value, count }) => [value, count]),
+    [['corporate', 1]]
+  );
+
+  const none = await getMarketplaceDesigns({ role: 'consumer', category: 'wedding', tags: ['trending'] });
+  assert.deepEqual(none.data, []);
+});
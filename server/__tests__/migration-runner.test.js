@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { newDb } from 'pg-mem';
+
+import { createMigrationRunner, loadMigrations } from '../migration-runner.js';
+
+const silentLogger = { log() {} };
+
+let directory;
+
+async function createClient() {
+  const db = newDb();
+  const { Client } = db.adapters.createPg();
+  const client = new Client();
+  await client.connect();
+  return client;
+}
+
+test.before(async () => {
+  directory = await mkdtemp(path.join(tmpdir(), 'migrations-'));
+  await writeFile(path.join(directory, '001_create_widgets.sql'), 'CREATE TABLE widgets (id INTEGER PRIMARY KEY);');
+  await writeFile(path.join(directory, '001_create_widgets.down.sql'), 'DROP TABLE widgets;');
+  await writeFile(path.join(directory, '002_add_widget_name.sql'), 'ALTER TABLE widgets ADD COLUMN name TEXT;');
+  await writeFile(path.join(directory, '002_add_widget_name.down.sql'), 'ALTER TABLE widgets DROP COLUMN name;');
+  await writeFile(path.join(directory, '003_create_gadgets.sql'), 'CREATE TABLE gadgets (id INTEGER PRIMARY KEY);');
+  await writeFile(path.join(directory, 'README.md'), 'ignored');
+});
+
+test.after(async () => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+test('loadMigrations pairs every repository migration with a down file', async () => {
+  const migrations = await loadMigrations();
+  assert.ok(migrations.length > 0);
+  const versions = migrations.map((entry) => entry.version);
+  assert.deepEqual(versions, [...versions].sort());
+  for (const migration of migrations) {
+    assert.ok(migration.downPath, `${migration.version} should have a down migration`);
+  }
+});
+
+test('up applies pending migrations in order and records them', async () => {
+  const client = await createClient();
+  const runner = createMigrationRunner({ client, directory, logger: silentLogger });
+
+  assert.deepEqual(await runner.up({ to: '002' }), ['001', '002']);
+  await client.query("INSERT INTO widgets (id, name) VALUES (1, 'first')");
+
+  let report = await runner.status();
+  assert.deepEqual(
+    report.map(({ version, applied, reversible }) => ({ version, applied, reversible })),
+    [
+      { version: '001', applied: true, reversible: true },
+      { version: '002', applied: true, reversible: true },
+      { version: '003', applied: false, reversible: false }
+    ]
+  );
+
+  assert.deepEqual(await runner.up(), ['003']);
+  assert.deepEqual(await runner.up(), []);
+
+  report = await runner.status();
+  assert.ok(report.every((entry) => entry.applied && !entry.modified));
+});
+
+test('down rolls back using paired files and refuses irreversible migrations', async () => {
+  const client = await createClient();
+  const runner = createMigrationRunner({ client, directory, logger: silentLogger });
+  await runner.up();
+
+  await assert.rejects(() => runner.down(), /003_create_gadgets has no down migration/);
+
+  const irreversible = path.join(directory, '003_create_gadgets.down.sql');
+  await writeFile(irreversible, 'DROP TABLE gadgets;');
+  try {
+    assert.deepEqual(await runner.down({ steps: 2 }), ['003', '002']);
+    const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    assert.deepEqual(rows.map((row) => row.version), ['001']);
+  } finally {
+    await rm(irreversible, { force: true });
+  }
+});
+
+test('failed migrations are not recorded as applied', async () => {
+  const client = await createClient();
+  const brokenDirectory = await mkdtemp(path.join(tmpdir(), 'migrations-broken-'));
+  try {
+    await writeFile(path.join(brokenDirectory, '001_broken.sql'), 'ALTER TABLE missing_table ADD COLUMN x TEXT;');
+    const runner = createMigrationRunner({ client, directory: brokenDirectory, logger: silentLogger });
+
+    await assert.rejects(() => runner.up());
+    const report = await runner.status();
+    assert.equal(report[0].applied, false);
+  } finally {
+    await rm(brokenDirectory, { recursive: true, force: true });
+  }
+});
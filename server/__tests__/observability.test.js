@@ -0,0 +1,216 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { authSessions, checkoutSessions, users, userTokens, webmFiles } from '../database.js';
+import { createMetricsRegistry, metrics } from '../metrics.js';
+import { setLogSink } from '../request-log.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server, rateLimiter, paymentProvider } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+let logLines = [];
+let previousSink;
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId) {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  return { Authorization: `Bearer ${signJwt({ sub: userId, role: 'user', exp })}` };
+}
+
+// The access log line is written on 'finish', which can land just after the
+// client sees the response.
+async function waitForRequestLog(requestId) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const entry = logLines
+      .map((line) => JSON.parse(line))
+      .find((candidate) => candidate.msg === 'request' && candidate.requestId === requestId);
+    if (entry) return entry;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`No access log line for request ${requestId}`);
+}
+
+test.before(async () => {
+  previousSink = setLogSink((line) => logLines.push(line));
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  setLogSink(previousSink);
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(async () => {
+  logLines = [];
+  metrics.reset();
+  delete process.env.METRICS_TOKEN;
+  await rateLimiter.store.reset();
+});
+
+test('request ids are propagated when valid and generated otherwise', async () => {
+  const propagated = await fetch(`${baseUrl}/health`, { headers: { 'X-Request-Id': 'trace-123' } });
+  assert.equal(propagated.headers.get('x-request-id'), 'trace-123');
+
+  const generated = await fetch(`${baseUrl}/health`);
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const rejected = await fetch(`${baseUrl}/health`, { headers: { 'X-Request-Id': 'bad id with spaces' } });
+  assert.notEqual(rejected.headers.get('x-request-id'), 'bad id with spaces');
+});
+
+test('each request writes one JSON access log line', async () => {
+  const response = await fetch(`${baseUrl}/api/user/tokens`, {
+    headers: { ...buildAuthHeaders('log-user'), 'X-Request-Id': 'log-req-1' }
+  });
+  assert.equal(response.status, 200);
+
+  const entry = await waitForRequestLog('log-req-1');
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.method, 'GET');
+  assert.equal(entry.path, '/api/user/tokens');
+  assert.equal(entry.route, '/api/user/tokens');
+  assert.equal(entry.status, 200);
+  assert.equal(entry.userId, 'log-user');
+  assert.equal(typeof entry.durationMs, 'number');
+  assert.ok(entry.time);
+});
+
+test('anonymous and unmatched requests are logged without a user', async () => {
+  const response = await fetch(`${baseUrl}/no/such/route`, { headers: { 'X-Request-Id': 'log-req-2' } });
+  assert.equal(response.status, 404);
+
+  const entry = await waitForRequestLog('log-req-2');
+  assert.equal(entry.route, 'unmatched');
+  assert.equal(entry.status, 404);
+  assert.equal(entry.userId, null);
+});
+
+test('GET /metrics exposes per-route counts and latency histograms', async () => {
+  await fetch(`${baseUrl}/api/designs/missing-design/webm`);
+  await waitForRequestLog(
+    (await fetch(`${baseUrl}/health`, { headers: { 'X-Request-Id': 'metrics-health' } })).headers.get('x-request-id')
+  );
+
+  const response = await fetch(`${baseUrl}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const body = await response.text();
+
+  assert.match(body, /# TYPE http_requests_total counter/);
+  assert.match(body, /http_requests_total\{method="GET",route="\/health",status="200"\} 1/);
+  assert.match(body, /http_requests_total\{method="GET",route="\/api\/designs\/:id\/webm",status="404"\} 1/);
+  assert.match(body, /# TYPE http_request_duration_seconds histogram/);
+  assert.match(body, /http_request_duration_seconds_bucket\{method="GET",route="\/health",le="\+Inf"\} 1/);
+  assert.match(body, /http_request_duration_seconds_count\{method="GET",route="\/health"\} 1/);
+});
+
+test('business counters track registrations, purchases and uploads', async () => {
+  const register = await fetch(`${baseUrl}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'metrics-user@example.com', password: 'correct-horse' })
+  });
+  assert.equal(register.status, 201);
+  const { user } = await register.json();
+
+  const checkout = await fetch(`${baseUrl}/api/payments/checkout`, {
+    method: 'POST',
+    headers: { ...buildAuthHeaders(user.id), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ packId: 'standard' })
+  });
+  assert.equal(checkout.status, 201);
+  const { id: checkoutId } = await checkout.json();
+  const { body: eventBody, headers: eventHeaders } = paymentProvider.simulate(
+    'payment.succeeded',
+    checkoutSessions.get(checkoutId).providerSessionId
+  );
+  const webhook = await fetch(`${baseUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: eventHeaders,
+    body: eventBody
+  });
+  assert.equal(webhook.status, 200);
+
+  const upload = await fetch(`${baseUrl}/api/webm`, {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('demo'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ designId: '1', storageUri: 'https://cdn.example.com/designs/1/metrics.webm' })
+  });
+  assert.equal(upload.status, 201);
+  const { id: webmId } = await upload.json();
+
+  webmFiles.delete(webmId);
+  users.delete(user.id);
+  userTokens.delete(user.id);
+  checkoutSessions.delete(checkoutId);
+  for (const [sessionId, session] of authSessions) {
+    if (session.userId === user.id) authSessions.delete(sessionId);
+  }
+
+  const body = await (await fetch(`${baseUrl}/metrics`)).text();
+  assert.match(body, /^user_registrations_total 1$/m);
+  assert.match(body, /^token_purchases_total 1$/m);
+  assert.match(body, /^tokens_purchased_total 30$/m);
+  assert.match(body, /^webm_uploads_total 1$/m);
+});
+
+test('METRICS_TOKEN protects the metrics endpoint', async () => {
+  process.env.METRICS_TOKEN = 'scrape-secret';
+
+  const anonymous = await fetch(`${baseUrl}/metrics`);
+  assert.equal(anonymous.status, 401);
+
+  const wrong = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer scrape-secrex' } });
+  assert.equal(wrong.status, 401);
+
+  const authorized = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer scrape-secret' } });
+  assert.equal(authorized.status, 200);
+});
+
+test('registries render counters and histograms in exposition format', () => {
+  const registry = createMetricsRegistry();
+  const counter = registry.counter('jobs_total', 'Jobs run.', ['queue']);
+  const histogram = registry.histogram('job_seconds', 'Job duration.', [], [0.1, 1]);
+
+  counter.inc({ queue: 'mail' });
+  counter.inc({ queue: 'mail' }, 2);
+  histogram.observe({}, 0.5);
+
+  assert.equal(counter.get({ queue: 'mail' }), 3);
+  assert.deepEqual(histogram.get(), { count: 1, sum: 0.5 });
+  assert.equal(
+    registry.render(),
+    [
+      '# HELP jobs_total Jobs run.',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="mail"} 3',
+      '# HELP job_seconds Job duration.',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 0',
+      'job_seconds_bucket{le="1"} 1',
+      'job_seconds_bucket{le="+Inf"} 1',
+      'job_seconds_sum 0.5',
+      'job_seconds_count 1',
+      ''
+    ].join('\n')
+  );
+  assert.throws(() => registry.counter('jobs_total', 'Duplicate.'), /already registered/);
+});
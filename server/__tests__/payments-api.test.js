@@ -0,0 +1,200 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { checkoutSessions, tokenLedger, userPurchases, userTokens } from '../database.js';
+import {
+  createPaymentProviderFromConfig,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from '../payments.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server, idempotency, paymentProvider } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+async function startCheckout(userId, packId = 'standard') {
+  const result = await request('/api/payments/checkout', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders(userId), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ packId })
+  });
+  assert.equal(result.response.status, 201);
+  return result.body;
+}
+
+function deliver({ body, headers }) {
+  return request('/api/payments/webhook', { method: 'POST', headers, body });
+}
+
+function simulate(type, checkoutId, options) {
+  return paymentProvider.simulate(type, checkoutSessions.get(checkoutId).providerSessionId, options);
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(async () => {
+  await idempotency.store.reset();
+  checkoutSessions.clear();
+  userTokens.clear();
+  userPurchases.clear();
+  tokenLedger.clear();
+});
+
+test('checkout creates a pending session and credits nothing until payment succeeds', async () => {
+  const packs = await request('/api/payments/packs');
+  assert.deepEqual(
+    packs.body.packs.map(({ id, tokens }) => ({ id, tokens })),
+    [
+      { id: 'starter', tokens: 10 },
+      { id: 'standard', tokens: 30 },
+      { id: 'studio', tokens: 100 }
+    ]
+  );
+
+  const checkout = await startCheckout('payer');
+  assert.equal(checkout.status, 'pending');
+  assert.equal(checkout.packId, 'standard');
+  assert.equal(checkout.amountCents, 1200);
+  assert.match(checkout.checkoutUrl, /fake_cs_/);
+  assert.equal(userTokens.has('payer'), false);
+
+  const webhook = await deliver(simulate('payment.succeeded', checkout.id));
+  assert.equal(webhook.response.status, 200);
+  assert.equal(webhook.body.status, 'applied');
+  assert.equal(userTokens.get('payer'), 30);
+  assert.deepEqual(
+    tokenLedger.get('payer').map(({ type, amount, reason }) => ({ type, amount, reason })),
+    [{ type: 'credit', amount: 30, reason: 'token_pack' }]
+  );
+  assert.equal(userPurchases.get('payer').length, 1);
+
+  const status = await request(`/api/payments/checkout/${checkout.id}`, { headers: buildAuthHeaders('payer') });
+  assert.equal(status.body.status, 'paid');
+
+  const stranger = await request(`/api/payments/checkout/${checkout.id}`, { headers: buildAuthHeaders('someone') });
+  assert.equal(stranger.response.status, 404);
+});
+
+test('redelivered success events credit once', async () => {
+  const checkout = await startCheckout('repeat-payer', 'starter');
+  const event = simulate('payment.succeeded', checkout.id);
+
+  await deliver(event);
+  const again = await deliver(event);
+  assert.equal(again.response.status, 200);
+  assert.equal(again.body.status, 'ignored');
+  assert.equal(userTokens.get('repeat-payer'), 10);
+});
+
+test('failed payments close the session without credit', async () => {
+  const checkout = await startCheckout('declined');
+  await deliver(simulate('payment.failed', checkout.id));
+  assert.equal(checkoutSessions.get(checkout.id).status, 'failed');
+
+  const late = await deliver(simulate('payment.succeeded', checkout.id));
+  assert.equal(late.body.status, 'ignored');
+  assert.equal(userTokens.has('declined'), false);
+});
+
+test('refunds take back the tokens that are left', async () => {
+  const checkout = await startCheckout('refunded');
+  await deliver(simulate('payment.succeeded', checkout.id));
+  userTokens.set('refunded', 12);
+
+  const refund = await deliver(simulate('payment.refunded', checkout.id));
+  assert.equal(refund.body.status, 'applied');
+  assert.equal(checkoutSessions.get(checkout.id).status, 'refunded');
+  assert.equal(userTokens.get('refunded'), 0);
+  assert.equal(tokenLedger.get('refunded').at(-1).reason, 'refund');
+  assert.equal(tokenLedger.get('refunded').at(-1).amount, 12);
+});
+
+test('webhooks with a bad or stale signature are rejected', async () => {
+  const checkout = await startCheckout('forger');
+  const event = simulate('payment.succeeded', checkout.id);
+
+  const tampered = await deliver({ ...event, body: event.body.replace('payment.succeeded', 'payment.refunded') });
+  assert.equal(tampered.response.status, 400);
+  assert.equal(tampered.body.error.type, 'signature_error');
+
+  const stale = await deliver(
+    simulate('payment.succeeded', checkout.id, { timestamp: Math.floor(Date.now() / 1000) - 3600 })
+  );
+  assert.equal(stale.response.status, 400);
+
+  const unsigned = await deliver({ body: event.body, headers: { 'Content-Type': 'application/json' } });
+  assert.equal(unsigned.response.status, 400);
+  assert.equal(userTokens.has('forger'), false);
+});
+
+test('checkout rejects unknown packs and anonymous callers', async () => {
+  const unknown = await request('/api/payments/checkout', {
+    method: 'POST',
+    headers: { ...buildAuthHeaders('payer'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ packId: 'whale' })
+  });
+  assert.equal(unknown.response.status, 422);
+
+  const anonymous = await request('/api/payments/checkout', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ packId: 'starter' })
+  });
+  assert.equal(anonymous.response.status, 401);
+});
+
+test('signatures and provider configuration', () => {
+  const now = Date.UTC(2024, 9, 8);
+  const timestamp = Math.floor(now / 1000);
+  const header = signWebhookPayload('{"ok":true}', 'whsec', timestamp);
+  assert.equal(verifyWebhookSignature('{"ok":true}', header, 'whsec', { now }), true);
+  assert.equal(verifyWebhookSignature('{"ok":true}', header, 'other', { now }), false);
+  assert.equal(verifyWebhookSignature('{"ok":true}', header, 'whsec', { now: now + 10 * 60 * 1000 }), false);
+
+  assert.equal(createPaymentProviderFromConfig({ NODE_ENV: 'development' }).name, 'fake');
+  assert.equal(createPaymentProviderFromConfig({ NODE_ENV: 'production' }), null);
+  assert.throws(() => createPaymentProviderFromConfig({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'fake' }));
+  assert.throws(() => createPaymentProviderFromConfig({ PAYMENT_PROVIDER: 'acme' }), /Unsupported PAYMENT_PROVIDER/);
+});
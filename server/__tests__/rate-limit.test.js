@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import {
+  consumeToken,
+  createMemoryRateLimitStore,
+  createRateLimiter,
+  rateLimitHeaders
+} from '../rate-limit.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server, rateLimiter } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId) {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  return { Authorization: `Bearer ${signJwt({ sub: userId, role: 'user', exp })}` };
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(async () => {
+  await rateLimiter.store.reset();
+});
+
+test('consumeToken drains the bucket and refills over time', () => {
+  const policy = { capacity: 2, refillPerMinute: 60 };
+  let result = consumeToken(null, policy, 0);
+  assert.equal(result.decision.allowed, true);
+  assert.equal(result.decision.remaining, 1);
+
+  result = consumeToken(result.state, policy, 0);
+  assert.equal(result.decision.remaining, 0);
+
+  result = consumeToken(result.state, policy, 0);
+  assert.equal(result.decision.allowed, false);
+  assert.equal(result.decision.retryAfterSeconds, 1);
+  assert.equal(result.decision.resetSeconds, 2);
+
+  result = consumeToken(result.state, policy, 1000);
+  assert.equal(result.decision.allowed, true);
+});
+
+test('limiter keys by user when authenticated and by IP otherwise', async () => {
+  const limiter = createRateLimiter({
+    store: createMemoryRateLimitStore(),
+    groups: [
+      { name: 'login', match: (path) => path === '/login', keyBy: 'ip', capacity: 1, refillPerMinute: 1 },
+      { name: 'default', keyBy: 'user', capacity: 1, refillPerMinute: 1 }
+    ]
+  });
+
+  assert.equal((await limiter.check({ pathname: '/designs', userId: 'a', ip: '1.1.1.1' })).allowed, true);
+  assert.equal((await limiter.check({ pathname: '/designs', userId: 'b', ip: '1.1.1.1' })).allowed, true);
+  assert.equal((await limiter.check({ pathname: '/designs', userId: 'a', ip: '2.2.2.2' })).allowed, false);
+
+  const login = await limiter.check({ pathname: '/login', userId: 'c', ip: '1.1.1.1' });
+  assert.equal(login.group, 'login');
+  assert.equal(login.allowed, true);
+  assert.equal((await limiter.check({ pathname: '/login', userId: 'd', ip: '1.1.1.1' })).allowed, false);
+});
+
+test('limiter accepts a custom store', async () => {
+  const calls = [];
+  const store = {
+    async take(key, policy) {
+      calls.push(key);
+      return { allowed: true, limit: policy.capacity, remaining: 4, resetSeconds: 1, retryAfterSeconds: 0 };
+    }
+  };
+  const limiter = createRateLimiter({ store, groups: [{ name: 'all', capacity: 5, refillPerMinute: 5 }] });
+  const decision = await limiter.check({ pathname: '/anything', ip: '10.0.0.1' });
+
+  assert.deepEqual(calls, ['all:ip:10.0.0.1']);
+  assert.deepEqual(rateLimitHeaders(decision), {
+    'RateLimit-Limit': '5',
+    'RateLimit-Remaining': '4',
+    'RateLimit-Reset': '1'
+  });
+});
+
+test('login attempts are limited per IP with Retry-After', async () => {
+  const attempt = () =>
+    fetch(`${baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'nobody@example.com', password: 'wrong-password' })
+    });
+
+  for (let index = 0; index < 10; index += 1) {
+    const response = await attempt();
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('ratelimit-limit'), '10');
+  }
+
+  const limited = await attempt();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  const body = await limited.json();
+  assert.equal(body.error.type, 'rate_limit_error');
+});
+
+test('other routes are budgeted per authenticated user', async () => {
+  const first = await fetch(`${baseUrl}/api/user/tokens`, { headers: buildAuthHeaders('limited-a') });
+  assert.equal(first.headers.get('ratelimit-limit'), '100');
+  assert.equal(first.headers.get('ratelimit-remaining'), '99');
+
+  const second = await fetch(`${baseUrl}/api/user/tokens`, { headers: buildAuthHeaders('limited-a') });
+  assert.equal(second.headers.get('ratelimit-remaining'), '98');
+
+  const otherUser = await fetch(`${baseUrl}/api/user/tokens`, { headers: buildAuthHeaders('limited-b') });
+  assert.equal(otherUser.headers.get('ratelimit-remaining'), '99');
+});
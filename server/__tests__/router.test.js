@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { createRouter } from '../router.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: appServer } = await import('../index.js');
+
+async function withRouter(router, fn) {
+  const server = http.createServer((req, res) => {
+    router.handle(req, res).catch((err) => {
+      res.writeHead(500);
+      res.end(err.message);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const { port } = server.address();
+  try {
+    await fn(`http://127.0.0.1:${port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('matches :param segments and ignores the query string', async () => {
+  const router = createRouter();
+  router.get('/items/:id/parts/:partId', (req, res, ctx) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ params: ctx.params, q: ctx.query.get('q') }));
+  });
+
+  await withRouter(router, async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/items/a%20b/parts/7?q=hello`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { params: { id: 'a b', partId: '7' }, q: 'hello' });
+  });
+});
+
+test('runs middleware in order and stops when one returns false', async () => {
+  const router = createRouter();
+  const calls = [];
+  const attachUser = (req, res, ctx) => {
+    calls.push('attach');
+    ctx.user = { id: 'u1' };
+  };
+  const guard = (req, res) => {
+    calls.push('guard');
+    if (req.headers['x-block']) {
+      res.writeHead(401);
+      res.end();
+      return false;
+    }
+    return true;
+  };
+  router.post('/guarded', attachUser, guard, (req, res, ctx) => {
+    calls.push('handler');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(ctx.user));
+  });
+
+  await withRouter(router, async (baseUrl) => {
+    const blocked = await fetch(`${baseUrl}/guarded`, { method: 'POST', headers: { 'X-Block': '1' } });
+    assert.equal(blocked.status, 401);
+    assert.deepEqual(calls, ['attach', 'guard']);
+
+    calls.length = 0;
+    const allowed = await fetch(`${baseUrl}/guarded`, { method: 'POST' });
+    assert.deepEqual(await allowed.json(), { id: 'u1' });
+    assert.deepEqual(calls, ['attach', 'guard', 'handler']);
+  });
+});
+
+test('responds 405 with an Allow header when only the method is wrong', async () => {
+  const router = createRouter();
+  const ok = (req, res) => res.end();
+  router.get('/things/:id', ok);
+  router.route(['PUT', 'PATCH'], '/things/:id', ok);
+
+  await withRouter(router, async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/things/1`, { method: 'DELETE' });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'GET, PUT, PATCH');
+    const body = await response.json();
+    assert.equal(body.error.type, 'method_not_allowed');
+  });
+});
+
+test('responds with a JSON 404 for unknown paths', async () => {
+  const router = createRouter();
+  router.get('/known', (req, res) => res.end());
+
+  await withRouter(router, async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/unknown/path`);
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: { type: 'not_found', message: 'Route not found' } });
+  });
+});
+
+test('the API server uses the router for 404 and 405 responses', async () => {
+  const handle = await acquireTestServer(appServer);
+  try {
+    const missing = await fetch(`${handle.baseUrl}/api/does-not-exist`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.type, 'not_found');
+
+    const wrongMethod = await fetch(`${handle.baseUrl}/api/analytics/popular`, { method: 'DELETE' });
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'GET');
+
+    const withQuery = await fetch(`${handle.baseUrl}/api/analytics/popular?limit=5`);
+    assert.equal(withQuery.status, 200);
+  } finally {
+    await handle.release();
+  }
+});
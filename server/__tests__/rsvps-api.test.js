@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, shareLinks, customers, rsvps } from '../database.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, payload, headers = {}) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function createInvitation(userId) {
+  const auth = buildAuthHeaders(userId);
+  const { body: design } = await sendJson('/api/designs', 'POST', { title: 'Garden Party' }, auth);
+  const { body: link } = await sendJson(`/api/designs/${design.id}/share`, 'POST', {}, auth);
+  return { design, token: link.token, auth };
+}
+
+function rsvp(token, payload, headers) {
+  return sendJson(`/api/share/${token}/rsvp`, 'POST', payload, headers);
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+  shareLinks.clear();
+  customers.clear();
+  rsvps.clear();
+});
+
+test('guests RSVP through the share link and hosts see the headcount', async () => {
+  const { design, token, auth } = await createInvitation('rsvp-host');
+
+  const yes = await rsvp(token, { name: 'Ada', email: 'Ada@Example.com', attending: 'yes', partySize: 3, message: ' See you! ' });
+  assert.equal(yes.response.status, 201);
+  assert.deepEqual(
+    { attending: yes.body.rsvp.attending, partySize: yes.body.rsvp.partySize, message: yes.body.rsvp.message },
+    { attending: 'yes', partySize: 3, message: 'See you!' }
+  );
+  assert.equal(yes.body.rsvp.email, undefined);
+
+  await rsvp(token, { name: 'Grace', email: 'grace@example.com', attending: 'no', partySize: 2 });
+  await rsvp(token, { name: 'Linus', email: 'linus@example.com', attending: 'maybe' });
+
+  const { response, body } = await request(`/api/designs/${design.id}/rsvps`, { headers: auth });
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.summary, { total: 3, attending: 1, declined: 1, maybe: 1, guests: 3 });
+  assert.deepEqual(
+    body.rsvps.map(({ name, email, attending, partySize }) => ({ name, email, attending, partySize })),
+    [
+      { name: 'Ada', email: 'ada@example.com', attending: 'yes', partySize: 3 },
+      { name: 'Grace', email: 'grace@example.com', attending: 'no', partySize: 0 },
+      { name: 'Linus', email: 'linus@example.com', attending: 'maybe', partySize: 1 }
+    ]
+  );
+});
+
+test('invalid RSVPs are rejected with field details', async () => {
+  const { token } = await createInvitation('validation-host');
+
+  const { response, body } = await rsvp(token, {
+    name: '',
+    email: 'not-an-email',
+    attending: 'sure',
+    partySize: 50,
+    message: 'x'.repeat(1001)
+  });
+  assert.equal(response.status, 422);
+  assert.deepEqual(body.error.details.map((detail) => detail.field), ['name', 'email', 'attending', 'partySize', 'message']);
+
+  const unknownLink = await rsvp('shr_missing.sig', { name: 'Ada', email: 'ada@example.com', attending: 'yes' });
+  assert.equal(unknownLink.response.status, 404);
+  assert.equal(rsvps.size, 0);
+});
+
+test('duplicate submissions are replayed or rejected, never stored twice', async () => {
+  const { token } = await createInvitation('duplicate-host');
+  const payload = { name: 'Ada', email: 'ada@example.com', attending: 'yes' };
+
+  const first = await rsvp(token, payload, { 'Idempotency-Key': 'rsvp-retry-1' });
+  const retried = await rsvp(token, payload, { 'Idempotency-Key': 'rsvp-retry-1' });
+  assert.equal(retried.response.status, 201);
+  assert.equal(retried.response.headers.get('idempotent-replayed'), 'true');
+  assert.equal(retried.body.rsvp.id, first.body.rsvp.id);
+
+  const again = await rsvp(token, { ...payload, email: ' ADA@example.com ', attending: 'no' });
+  assert.equal(again.response.status, 409);
+  assert.equal(again.body.error.type, 'conflict_error');
+  assert.equal(rsvps.size, 1);
+});
+
+test('hosts edit and delete responses; other users cannot', async () => {
+  const { design, token, auth } = await createInvitation('edit-host');
+  const { body } = await rsvp(token, { name: 'Ada', email: 'ada@example.com', attending: 'no' });
+  const path = `/api/designs/${design.id}/rsvps/${body.rsvp.id}`;
+
+  const stranger = await sendJson(path, 'PATCH', { attending: 'yes' }, buildAuthHeaders('someone-else'));
+  assert.equal(stranger.response.status, 403);
+
+  const edited = await sendJson(path, 'PATCH', { attending: 'yes', message: 'Changed my mind' }, auth);
+  assert.equal(edited.response.status, 200);
+  assert.equal(edited.body.attending, 'yes');
+  assert.equal(edited.body.partySize, 1);
+  assert.equal(edited.body.message, 'Changed my mind');
+
+  const invalid = await sendJson(path, 'PATCH', { partySize: 0 }, auth);
+  assert.equal(invalid.response.status, 422);
+  const empty = await sendJson(path, 'PATCH', {}, auth);
+  assert.equal(empty.response.status, 422);
+
+  const deleted = await request(path, { method: 'DELETE', headers: auth });
+  assert.equal(deleted.response.status, 204);
+  const missing = await request(path, { method: 'DELETE', headers: auth });
+  assert.equal(missing.response.status, 404);
+});
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { designs, designOwners, shareLinks } from '../database.js';
+import { acquireTestServer } from './test-server.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { default: server } = await import('../index.js');
+
+let baseUrl;
+let serverHandle;
+const initialDesigns = new Map(Array.from(designs, ([id, design]) => [id, structuredClone(design)]));
+
+function signJwt(payload) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
+  const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = `${headerB64}.${payloadB64}`;
+  const signature = createHmac('sha256', process.env.JWT_SECRET).update(data).digest('base64url');
+  return `${data}.${signature}`;
+}
+
+function buildAuthHeaders(userId, role = 'user') {
+  const exp = Math.floor(Date.now() / 1000) + 60 * 60;
+  const token = signJwt({ sub: userId, role, exp });
+  return { Authorization: `Bearer ${token}` };
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (err) {
+    body = null;
+  }
+  return { response, body };
+}
+
+function sendJson(path, method, userId, payload) {
+  return request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...buildAuthHeaders(userId) },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function createSharedDesign(userId) {
+  const { body: design } = await sendJson('/api/designs', 'POST', userId, {
+    title: 'Garden Party',
+    notes: 'Remember to invite the neighbours',
+    slides: [{ id: 'a', image: { src: 'https://cdn.example.com/a.png' }, layers: [{ text: 'Hello' }], draftNotes: 'private' }]
+  });
+  const { body: link } = await sendJson(`/api/designs/${design.id}/share`, 'POST', userId, {});
+  return { design, link };
+}
+
+test.before(async () => {
+  serverHandle = await acquireTestServer(server);
+  baseUrl = serverHandle.baseUrl;
+});
+
+test.after(async () => {
+  if (serverHandle) {
+    await serverHandle.release();
+    serverHandle = null;
+  }
+});
+
+test.afterEach(() => {
+  for (const id of Array.from(designs.keys())) {
+    if (!initialDesigns.has(id)) {
+      designs.delete(id);
+      designOwners.delete(id);
+    }
+  }
+  shareLinks.clear();
+});
+
+test('owners mint share links that guests can open without logging in', async () => {
+  const { design, link } = await createSharedDesign('share-owner');
+  assert.match(link.id, /^shr_/);
+  assert.equal(link.active, true);
+  assert.equal(link.expiresAt, null);
+
+  const { response, body } = await request(`/api/share/${link.token}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  assert.deepEqual(body.design, {
+    title: 'Garden Party',
+    category: '',
+    thumbnailUrl: '',
+    updatedAt: design.updatedAt,
+    event: null,
+    slides: [{ id: 'a', image: { src: 'https://cdn.example.com/a.png' }, layers: [{ text: 'Hello' }] }]
+  });
+  assert.equal(body.design.notes, undefined);
+
+  const listed = await request(`/api/designs/${design.id}/share`, { headers: buildAuthHeaders('share-owner') });
+  assert.deepEqual(listed.body.links.map((entry) => entry.token), [link.token]);
+});
+
+test('forged, revoked and expired tokens are all rejected with 404', async () => {
+  const { design, link } = await createSharedDesign('revoke-owner');
+
+  const [linkId] = link.token.split('.');
+  const forged = await request(`/api/share/${linkId}.${'A'.repeat(43)}`);
+  assert.equal(forged.response.status, 404);
+  const malformed = await request('/api/share/not-a-token');
+  assert.equal(malformed.response.status, 404);
+
+  const revoked = await request(`/api/designs/${design.id}/share/${link.id}`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('revoke-owner')
+  });
+  assert.equal(revoked.response.status, 200);
+  assert.equal(revoked.body.active, false);
+  assert.equal((await request(`/api/share/${link.token}`)).response.status, 404);
+
+  const { body: expiring } = await sendJson(`/api/designs/${design.id}/share`, 'POST', 'revoke-owner', { expiresInDays: 7 });
+  assert.equal((await request(`/api/share/${expiring.token}`)).response.status, 200);
+  const stored = shareLinks.get(expiring.id);
+  shareLinks.set(expiring.id, { ...stored, expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.equal((await request(`/api/share/${expiring.token}`)).response.status, 404);
+});
+
+test('only owners and admins manage share links', async () => {
+  const { design, link } = await createSharedDesign('private-owner');
+
+  const create = await sendJson(`/api/designs/${design.id}/share`, 'POST', 'someone-else', {});
+  assert.equal(create.response.status, 403);
+  const revoke = await request(`/api/designs/${design.id}/share/${link.id}`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('someone-else')
+  });
+  assert.equal(revoke.response.status, 403);
+
+  const admin = await request(`/api/designs/${design.id}/share`, { headers: buildAuthHeaders('root', 'admin') });
+  assert.equal(admin.response.status, 200);
+
+  const invalid = await sendJson(`/api/designs/${design.id}/share`, 'POST', 'private-owner', { expiresInDays: 0 });
+  assert.equal(invalid.response.status, 422);
+
+  const unknown = await request(`/api/designs/${design.id}/share/shr_missing`, {
+    method: 'DELETE',
+    headers: buildAuthHeaders('private-owner')
+  });
+  assert.equal(unknown.response.status, 404);
+});
+
+test('deleting a design removes its share links', async () => {
+  const { design, link } = await createSharedDesign('delete-owner');
+
+  await request(`/api/designs/${design.id}`, {
+    method: 'DELETE',
+    headers: { 'If-Match': '*', ...buildAuthHeaders('delete-owner') }
+  });
+
+  assert.equal(shareLinks.size, 0);
+  assert.equal((await request(`/api/share/${link.token}`)).response.status, 404);
+});
@@ -0,0 +1,529 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRepositoryFromConfig, createSqlRepository, setRepository } from '../repositories/index.js';
+import {
+  createDesign,
+  deleteDesign,
+  getDesignById,
+  getDesignsByUser,
+  getMarketplaceDesigns,
+  updateDesign
+} from '../designs-store.js';
+import { addWebmFile, getWebmFilesByDesign, updateWebmFile } from '../webm-store.js';
+import { getNavigationState, saveNavigationState } from '../navigation-state-store.js';
+import {
+  recordConversion,
+  recordView,
+  recordPurchaseCompleted,
+  getConversionRates,
+  getTimeseries,
+  getFunnel,
+  ingestEvents
+} from '../analytics-store.js';
+import {
+  creditTokens,
+  debitTokens,
+  getDesignPurchases,
+  getLedgerEntries,
+  getTokenBalance,
+  initializeTokenAccount,
+  purchaseDesign,
+  recordTokenPurchase,
+  getTokenPurchases
+} from '../tokens-store.js';
+import { listCategories, saveCategory, updateCategory, deleteCategory } from '../categories-store.js';
+import { listAuditEntries, recordAuditEntry } from '../audit-log-store.js';
+import { applyPaymentEvent, createCheckoutSession, getCheckoutSession } from '../checkout-store.js';
+import {
+  getDesignVersion,
+  listDesignVersions,
+  recordDesignVersion,
+  restoreDesignVersion
+} from '../design-versions-store.js';
+import { createFakePaymentProvider, getTokenPack } from '../payments.js';
+import { listDeliveries, queueInvitationSends, whenDeliveriesSettled } from '../invitation-deliveries-store.js';
+import { createMailer, createMemoryTransport } from '../mailer.js';
+import { createShareLink, listShareLinks, resolveShareToken, revokeShareLink, shareTokenFor } from '../share-links-store.js';
+import { createSession, findSessionByRefreshToken, revokeUserSessions } from '../sessions-store.js';
+import { createSqlTestDatabase } from './sql-test-database.js';
+
+process.env.JWT_SECRET ??= 'test-secret';
+
+// These stores load auth.js, which needs JWT_SECRET when it is first imported.
+const { addGuest, deleteGuest, GuestError, importGuestsCsv, listGuests } = await import('../guests-store.js');
+const { deleteRsvp, listRsvps, RsvpError, submitRsvp, updateRsvp } = await import('../rsvps-store.js');
+const { authenticateCredentials, getUserById, listUsers, registerUser, setUserSuspended } = await import('../users-store.js');
+
+let pool;
+let repository;
+
+test.before(async () => {
+  const db = await createSqlTestDatabase();
+  db.public.none(`
+    INSERT INTO users (id, email) VALUES ('sql-owner', 'owner@example.com'), ('sql-other', 'other@example.com');
+    INSERT INTO categories (id, name) VALUES ('birthday', 'Birthday');
+  `);
+  const { Pool } = db.adapters.createPg();
+  pool = new Pool();
+  repository = createSqlRepository(pool);
+  setRepository(repository);
+});
+
+test.after(async () => {
+  await repository.close();
+  setRepository(null);
+});
+
+test('designs round-trip through the SQL repository with ownership', async () => {
+  const created = await createDesign('sql-owner', {
+    title: 'SQL Party',
+    category: 'birthday',
+    slides: [{ id: 'slide_1', elements: [{ id: 'el_1', type: 'text' }] }],
+    tags: ['kids']
+  });
+
+  assert.match(created.id, /^\d+$/);
+  assert.equal(created.userId, 'sql-owner');
+
+  const fetched = await getDesignById('sql-owner', created.id);
+  assert.equal(fetched.title, 'SQL Party');
+  assert.deepEqual(fetched.slides, [{ id: 'slide_1', elements: [{ id: 'el_1', type: 'text' }] }]);
+  assert.deepEqual(fetched.tags, ['kids']);
+  assert.equal(fetched.category, 'birthday');
+  assert.equal(await getDesignById('sql-other', created.id), null);
+
+  const updated = await updateDesign(created.id, { title: 'Renamed SQL Party' });
+  assert.equal(updated.title, 'Renamed SQL Party');
+  assert.equal(updated.event, null);
+
+  const event = { title: 'Party', start: '2024-07-06T18:30', end: null, timezone: 'Europe/Paris', venue: 'Parc', address: '', notes: '' };
+  assert.deepEqual((await updateDesign(created.id, { event })).event, event);
+  assert.deepEqual((await getDesignById('sql-owner', created.id)).event, event);
+  assert.equal((await updateDesign(created.id, { event: null })).event, null);
+
+  const list = await getDesignsByUser('sql-owner');
+  assert.deepEqual(list.map((design) => design.id), [created.id]);
+
+  const marketplace = await getMarketplaceDesigns({ role: 'admin', ownerId: 'sql-owner' });
+  assert.equal(marketplace.data[0].designer.id, 'sql-owner');
+});
+
+test('webm metadata is stored against SQL designs', async () => {
+  const design = await createDesign('sql-owner', { title: 'With Video' });
+  const file = await addWebmFile({
+    designId: design.id,
+    storageUri: 'https://cdn.example.com/sql.webm',
+    durationSeconds: 3.5,
+    sizeBytes: 1024,
+    uploadedBy: 'sql-owner'
+  });
+
+  assert.equal(file.designId, design.id);
+  assert.equal(file.durationSeconds, 3.5);
+  assert.equal(file.sizeBytes, 1024);
+
+  const updated = await updateWebmFile(file.id, { durationSeconds: 4 });
+  assert.equal(updated.durationSeconds, 4);
+
+  const files = await getWebmFilesByDesign(design.id);
+  assert.deepEqual(files.map((entry) => entry.id), [file.id]);
+
+  assert.equal(await deleteDesign(design.id), true);
+  assert.deepEqual(await getWebmFilesByDesign(design.id), []);
+});
+
+test('navigation state, analytics, tokens and categories persist in SQL', async () => {
+  assert.deepEqual(await getNavigationState('sql-owner'), {});
+  await saveNavigationState('sql-owner', { currentStep: 'details' });
+  const merged = await saveNavigationState('sql-owner', { lastVisited: ['/editor'] });
+  assert.deepEqual(merged, { currentStep: 'details', lastVisited: ['/editor'] });
+  assert.deepEqual(await getNavigationState('sql-owner'), merged);
+
+  await recordView('sql-design');
+  await recordView('sql-design');
+  await recordConversion('sql-design');
+  const rate = (await getConversionRates()).find((entry) => entry.designId === 'sql-design');
+  assert.equal(rate.rate, 0.5);
+
+  await initializeTokenAccount('sql-owner');
+  assert.equal(await getTokenBalance('sql-owner'), 5);
+  assert.equal(await getTokenBalance('sql-unknown'), 0);
+  await recordTokenPurchase('sql-owner', 10);
+  const purchases = await getTokenPurchases('sql-owner');
+  assert.equal(purchases[0].amount, 10);
+
+  await saveCategory({ id: 'corporate', name: 'Corporate' });
+  assert.deepEqual((await listCategories()).map((category) => category.id), ['birthday', 'corporate']);
+  assert.equal((await deleteCategory('corporate')).before.id, 'corporate');
+});
+
+test('SQL categories keep their order and parents and move designs on delete', async () => {
+  await saveCategory({ id: 'sql-wedding', name: 'Wedding', sortOrder: 5 });
+  await saveCategory({ id: 'sql-save-the-date', name: 'Save the Date', parentId: 'sql-wedding' });
+  await updateCategory('birthday', { sortOrder: 9 });
+  assert.deepEqual(
+    (await listCategories()).map(({ id, parentId }) => [id, parentId]),
+    [
+      ['sql-wedding', null],
+      ['sql-save-the-date', 'sql-wedding'],
+      ['birthday', null]
+    ]
+  );
+
+  const design = await createDesign('sql-owner', { title: 'Save our date', category: 'sql-save-the-date' });
+  const listed = await getMarketplaceDesigns({ role: 'admin', category: 'sql-wedding' });
+  assert.ok(listed.data.some((entry) => entry.id === design.id));
+
+  await assert.rejects(deleteCategory('sql-save-the-date'), { code: 'category_in_use' });
+  const result = await deleteCategory('sql-save-the-date', { reassignTo: 'sql-wedding' });
+  assert.equal(result.reassigned, 1);
+  assert.equal((await getDesignById('sql-owner', design.id)).category, 'sql-wedding');
+
+  await deleteDesign(design.id);
+  await deleteCategory('sql-wedding');
+  await updateCategory('birthday', { sortOrder: 0 });
+});
+
+test('analytics events roll up per day, design, category and designer in SQL', async () => {
+  const design = await createDesign('sql-owner', { title: 'Tracked in SQL', category: 'birthday' });
+  await recordView(design.id, { at: '2024-07-01T10:00:00Z' });
+  await recordView(design.id, { at: '2024-07-01T22:00:00Z' });
+  await recordConversion(design.id, { at: '2024-07-02T09:00:00Z' });
+  await recordView(design.id, { at: '2024-06-30T09:00:00Z' });
+
+  const range = { from: '2024-07-01', to: '2024-07-02' };
+  const series = await getTimeseries('design', design.id, range);
+  assert.deepEqual(
+    series.points.map(({ start, views, conversions }) => [start, views, conversions]),
+    [
+      ['2024-07-01', 2, 0],
+      ['2024-07-02', 0, 1]
+    ]
+  );
+  assert.equal(series.previous.totals.views, 1);
+  assert.equal((await getTimeseries('category', 'birthday', range)).totals.views, 2);
+  assert.equal((await getTimeseries('designer', 'sql-owner', range)).totals.conversions, 1);
+
+  const occurredAt = new Date().toISOString();
+  const view = { type: 'view', designId: design.id, occurredAt };
+  const context = { viewerId: 'sql-viewer', sessionId: 'tab-1', userAgent: 'Mozilla/5.0' };
+  assert.equal((await ingestEvents([view], context)).filtered, 1);
+  const stored = await repository.designs.get(design.id);
+  await repository.designs.save({ ...stored, status: 'published', visibility: { ...stored.visibility, consumer: true } });
+  assert.deepEqual(await ingestEvents([view, view], context), { received: 2, accepted: 1, duplicates: 1, filtered: 0 });
+  assert.equal((await getDesignById('sql-owner', design.id)).views, 1);
+  assert.equal((await ingestEvents([view], context)).duplicates, 1);
+  const today = occurredAt.slice(0, 10);
+  assert.equal((await getTimeseries('design', design.id, { from: today, to: today })).totals.views, 1);
+
+  const impression = { ...view, type: 'listing_impression' };
+  await ingestEvents([impression, impression], context);
+  await ingestEvents([impression], { ...context, viewerId: 'sql-viewer-2' });
+  assert.equal(await recordPurchaseCompleted(design.id, { viewerId: 'sql-viewer' }), true);
+  assert.equal(await recordPurchaseCompleted(design.id, { viewerId: 'sql-viewer' }), false);
+  const funnel = await getFunnel({ from: today, to: today, category: 'birthday' });
+  assert.deepEqual(
+    funnel.stages.map(({ stage, count }) => [stage, count]).filter(([, count]) => count > 0),
+    [
+      ['listing_impression', 2],
+      ['purchase_completed', 1]
+    ]
+  );
+  assert.equal((await getFunnel({ from: today, to: today, designId: design.id })).conversionRate, 0.5);
+  await deleteDesign(design.id);
+});
+
+test('registered users are stored in SQL with hashed passwords', async () => {
+  const user = await registerUser({ email: 'SQL.Planner@example.com', password: 'password123' });
+  assert.match(user.id, /^usr_/);
+  assert.match(user.passwordHash, /^scrypt:/);
+
+  const stored = await getUserById(user.id);
+  assert.equal(stored.email, 'sql.planner@example.com');
+  assert.equal(stored.role, 'user');
+
+  const authenticated = await authenticateCredentials('sql.planner@EXAMPLE.com', 'password123');
+  assert.equal(authenticated.id, user.id);
+  await assert.rejects(
+    registerUser({ email: 'sql.planner@example.com', password: 'password123' }),
+    { code: 'email_taken' }
+  );
+});
+
+test('suspending a SQL user blocks login and revokes their sessions', async () => {
+  const user = await registerUser({ email: 'sql.suspended@example.com', password: 'password123' });
+  const { refreshToken } = await createSession(user.id);
+
+  const { after } = await setUserSuspended(user.id, true, { actorId: 'sql-admin' });
+  assert.ok(after.suspendedAt);
+  assert.equal(await revokeUserSessions(user.id), 1);
+  assert.equal(await findSessionByRefreshToken(refreshToken), null);
+  await assert.rejects(authenticateCredentials('sql.suspended@example.com', 'password123'), { code: 'account_suspended' });
+
+  const { data } = await listUsers({ status: 'suspended' });
+  assert.deepEqual(data.map((entry) => entry.email), ['sql.suspended@example.com']);
+});
+
+test('createRepositoryFromConfig selects the configured driver', async () => {
+  const memory = await createRepositoryFromConfig({});
+  assert.equal(memory.driver, 'memory');
+
+  await assert.rejects(() => createRepositoryFromConfig({ DATA_STORE: 'postgres' }), /DATABASE_URL/);
+  await assert.rejects(() => createRepositoryFromConfig({ DATA_STORE: 'mongo' }), /Unsupported DATA_STORE/);
+});
+
+test('design purchases debit the ledger and grant ownership in one SQL transaction', async () => {
+  const design = await createDesign('sql-owner', { title: 'For Sale' });
+  design.price = 4.5;
+
+  await creditTokens('sql-buyer', 3, 'token_pack');
+  assert.equal((await purchaseDesign('sql-buyer', design)).status, 'insufficient_tokens');
+  assert.equal(await getTokenBalance('sql-buyer'), 3);
+  assert.deepEqual(await getDesignPurchases('sql-buyer'), []);
+
+  await creditTokens('sql-buyer', 7, 'token_pack');
+  const purchased = await purchaseDesign('sql-buyer', design);
+  assert.equal(purchased.status, 'purchased');
+  assert.equal(purchased.balance, 5);
+  assert.equal(purchased.grant.designId, design.id);
+  assert.equal(purchased.grant.price, 5);
+
+  const repeat = await purchaseDesign('sql-buyer', design);
+  assert.deepEqual(repeat, { status: 'already_owned', balance: 5 });
+
+  assert.equal(await debitTokens('sql-buyer', 6, 'spend'), null);
+  assert.deepEqual(
+    (await getLedgerEntries('sql-buyer')).map(({ type, amount, balanceAfter, reason, designId }) => ({
+      type,
+      amount,
+      balanceAfter,
+      reason,
+      designId
+    })),
+    [
+      { type: 'credit', amount: 3, balanceAfter: 3, reason: 'token_pack', designId: null },
+      { type: 'credit', amount: 7, balanceAfter: 10, reason: 'token_pack', designId: null },
+      { type: 'debit', amount: 5, balanceAfter: 5, reason: 'design_purchase', designId: design.id }
+    ]
+  );
+});
+
+test('checkout sessions credit on payment and debit what is left on refund', async () => {
+  const provider = createFakePaymentProvider({ secret: 'sql-secret' });
+  const session = await createCheckoutSession('sql-payer', getTokenPack('starter'), provider);
+  assert.equal(session.status, 'pending');
+  assert.match(session.providerSessionId, /^fake_cs_/);
+
+  const event = { id: 'evt_1', type: 'payment.succeeded', providerSessionId: session.providerSessionId };
+  const paid = await applyPaymentEvent(event);
+  assert.equal(paid.status, 'applied');
+  assert.equal(paid.balance, 10);
+  assert.equal((await applyPaymentEvent(event)).status, 'ignored');
+  assert.equal(await getTokenBalance('sql-payer'), 10);
+
+  await debitTokens('sql-payer', 4, 'spend');
+  const refunded = await applyPaymentEvent({ ...event, id: 'evt_2', type: 'payment.refunded' });
+  assert.equal(refunded.entry.amount, 6);
+  assert.equal(refunded.balance, 0);
+  assert.equal((await getCheckoutSession(session.id)).status, 'refunded');
+});
+
+test('design versions are numbered per design and survive restores in SQL', async () => {
+  const design = await createDesign('sql-owner', { title: 'Versioned', slides: [{ id: 's1' }] });
+  await recordDesignVersion(design, { authorId: 'sql-owner', reason: 'create' });
+  const updated = await updateDesign(design.id, { title: 'Versioned v2', slides: [{ id: 's1' }, { id: 's2' }] });
+  await recordDesignVersion(updated, { authorId: 'sql-owner' });
+
+  const first = await getDesignVersion(design.id, 1);
+  const { design: restored, version } = await restoreDesignVersion(updated, first, 'sql-owner');
+  assert.equal(restored.title, 'Versioned');
+  assert.deepEqual(restored.slides, [{ id: 's1' }]);
+  assert.equal(version.version, 3);
+
+  assert.deepEqual(
+    (await listDesignVersions(design.id)).map(({ version: number, reason, restoredFrom }) => ({
+      number,
+      reason,
+      restoredFrom
+    })),
+    [
+      { number: 1, reason: 'create', restoredFrom: null },
+      { number: 2, reason: 'update', restoredFrom: null },
+      { number: 3, reason: 'restore', restoredFrom: 1 }
+    ]
+  );
+});
+
+test('share links resolve to their SQL design until revoked', async () => {
+  const design = await createDesign('sql-owner', { title: 'Shared', slides: [{ id: 's1' }] });
+  const link = await createShareLink(design.id, 'sql-owner', { expiresInDays: 30 });
+  const token = shareTokenFor(link);
+
+  const shared = await resolveShareToken(token);
+  assert.equal(shared.design.title, 'Shared');
+  assert.equal(shared.link.designId, design.id);
+  assert.deepEqual((await listShareLinks(design.id)).map((entry) => entry.id), [link.id]);
+
+  const revoked = await revokeShareLink(design.id, link.id);
+  assert.ok(revoked.revokedAt);
+  assert.equal(await resolveShareToken(token), null);
+
+  await deleteDesign(design.id);
+  assert.deepEqual(await listShareLinks(design.id), []);
+});
+
+test('RSVPs are stored against SQL customers once per guest and design', async () => {
+  const design = await createDesign('sql-owner', { title: 'Party', slides: [] });
+  const first = await submitRsvp(design.id, { name: 'Ada', email: 'ada@example.com', attending: 'yes', partySize: 2 });
+  await submitRsvp(design.id, { name: 'Grace', email: 'grace@example.com', attending: 'no' });
+
+  await assert.rejects(
+    submitRsvp(design.id, { name: 'Ada L.', email: 'ADA@example.com', attending: 'maybe' }),
+    (err) => err instanceof RsvpError && err.code === 'duplicate_rsvp'
+  );
+
+  const updated = await updateRsvp(design.id, first.id, { attending: 'maybe', message: 'Running late' });
+  assert.equal(updated.partySize, 2);
+  assert.equal(updated.message, 'Running late');
+
+  assert.deepEqual(
+    (await listRsvps(design.id)).map(({ name, email, attending, partySize }) => ({ name, email, attending, partySize })),
+    [
+      { name: 'Ada L.', email: 'ada@example.com', attending: 'maybe', partySize: 2 },
+      { name: 'Grace', email: 'grace@example.com', attending: 'no', partySize: 0 }
+    ]
+  );
+
+  assert.equal(await deleteRsvp(design.id, first.id), true);
+  await deleteDesign(design.id);
+  assert.deepEqual(await listRsvps(design.id), []);
+});
+
+test('guest lists import into SQL and personal RSVPs link back to the guest', async () => {
+  const design = await createDesign('sql-owner', { title: 'Dinner', slides: [] });
+  const imported = await importGuestsCsv(design.id, { csv: 'name,email\nAda,ada@example.com\nGrace,' });
+  assert.equal(imported.length, 2);
+  await assert.rejects(
+    importGuestsCsv(design.id, { csv: 'name,email\nLinus,linus@example.com\nAda again,ada@example.com' }),
+    (err) => err instanceof GuestError && err.details[0].row === 3
+  );
+  const linus = await addGuest(design.id, { name: 'Linus', phone: '+1 555 0100' });
+
+  const shared = await resolveShareToken(shareTokenFor(linus));
+  assert.equal(shared.guest.id, linus.id);
+  await submitRsvp(design.id, { name: 'Linus', email: 'linus@example.com', attending: 'yes' }, { guest: shared.guest });
+  await assert.rejects(
+    submitRsvp(design.id, { email: 'linus.t@example.com', attending: 'no' }, { guest: shared.guest }),
+    (err) => err instanceof RsvpError && err.code === 'duplicate_rsvp'
+  );
+  await submitRsvp(design.id, { name: 'Walk-in', email: 'walk-in@example.com', attending: 'maybe' });
+
+  assert.deepEqual(
+    (await listGuests(design.id)).map(({ name, phone, rsvp }) => ({ name, phone, attending: rsvp?.attending ?? null })),
+    [
+      { name: 'Ada', phone: null, attending: null },
+      { name: 'Grace', phone: null, attending: null },
+      { name: 'Linus', phone: '+1 555 0100', attending: 'yes' }
+    ]
+  );
+
+  assert.equal(await deleteGuest(design.id, linus.id), true);
+  assert.equal(await resolveShareToken(shareTokenFor(linus)), null);
+  assert.deepEqual((await listRsvps(design.id)).map((rsvp) => rsvp.guestId), [null, null]);
+
+  await deleteDesign(design.id);
+  assert.deepEqual(await listGuests(design.id), []);
+});
+
+test('deleting a SQL design removes its child rows in one transaction', async () => {
+  const design = await createDesign('sql-owner', { title: 'Doomed', slides: [] });
+  await createShareLink(design.id, 'sql-owner');
+  await addGuest(design.id, { name: 'Ada', email: 'ada@example.com' });
+
+  // pg-mem does not undo rolled-back work, so this records what the cascade
+  // sends over its connection when the guest delete fails part-way.
+  const statements = [];
+  const failing = createSqlRepository({
+    query: (text, params) => pool.query(text, params),
+    async connect() {
+      const connection = await pool.connect();
+      return {
+        query(text, params) {
+          statements.push(text.split(' WHERE ')[0]);
+          if (text.startsWith('DELETE FROM guests')) throw new Error('connection lost');
+          return connection.query(text, params);
+        },
+        release: () => connection.release()
+      };
+    }
+  });
+  await assert.rejects(failing.designs.remove(design.id), /connection lost/);
+  assert.deepEqual(statements, [
+    'BEGIN',
+    'DELETE FROM webm_files',
+    'DELETE FROM design_owners',
+    'DELETE FROM design_versions',
+    'DELETE FROM share_links',
+    'DELETE FROM rsvps',
+    'DELETE FROM invitation_deliveries',
+    'DELETE FROM guests',
+    'ROLLBACK'
+  ]);
+
+  assert.equal(await deleteDesign(design.id), true);
+  assert.equal(await repository.designs.get(design.id), null);
+  assert.deepEqual(await listShareLinks(design.id), []);
+  assert.deepEqual(await listGuests(design.id), []);
+});
+
+test('invitation deliveries move from queued to sent in SQL', async () => {
+  const design = await createDesign('sql-owner', { title: 'Brunch', slides: [] });
+  const ada = await addGuest(design.id, { name: 'Ada', email: 'ada@example.com' });
+  const mailer = createMailer({ transport: createMemoryTransport() });
+
+  const { deliveries } = await queueInvitationSends(design, { guestIds: [ada.id] }, { mailer, baseUrl: 'https://app.example.com' });
+  assert.equal(deliveries[0].status, 'queued');
+  await whenDeliveriesSettled();
+
+  const [delivery] = await listDeliveries(design.id);
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.guestId, ada.id);
+  assert.ok(delivery.messageId);
+  assert.equal(mailer.transport.messages.length, 1);
+
+  await deleteDesign(design.id);
+  assert.deepEqual(await listDeliveries(design.id), []);
+});
+
+test('audit entries are appended and filtered in SQL', async () => {
+  await recordAuditEntry({
+    actorId: 'sql-admin',
+    action: 'category.create',
+    targetType: 'category',
+    targetId: 'gala',
+    after: { id: 'gala', name: 'Gala' },
+    requestId: 'req-1',
+    at: '2024-07-01T10:00:00Z'
+  });
+  await recordAuditEntry({
+    actorId: 'sql-admin',
+    action: 'design.price',
+    targetType: 'design',
+    targetId: '7',
+    before: { price: 0, premium: false },
+    after: { price: 5, premium: true },
+    at: '2024-07-02T10:00:00Z'
+  });
+
+  const all = await listAuditEntries({ actorId: 'sql-admin' });
+  assert.equal(all.pagination.total, 2);
+  assert.deepEqual(all.data[0].after, { price: 5, premium: true });
+  assert.equal(all.data[0].createdAt, '2024-07-02T10:00:00.000Z');
+  assert.equal(all.data[1].before, null);
+  assert.equal(all.data[1].requestId, 'req-1');
+
+  const filtered = await listAuditEntries({ targetType: 'category', to: '2024-07-01', pageSize: '1' });
+  assert.deepEqual(filtered.data.map((entry) => entry.targetId), ['gala']);
+  assert.deepEqual(filtered.pagination, { page: 1, pageSize: 1, total: 1 });
+});
@@ -0,0 +1,88 @@
+// Embedded pg-mem database built from the real migrations/ files, applied
+// through the migration runner so the SQL repository is tested against the
+// schema production gets.
+import { DataType, newDb } from 'pg-mem';
+
+import { createMigrationRunner } from '../migration-runner.js';
+
+// rsvps, customers and users predate the migration history (see
+// 202405241200_add_rsvps_customer_fk); these are their original shapes.
+const PRE_MIGRATION_SCHEMA = `
+  CREATE TABLE users (id TEXT PRIMARY KEY);
+  CREATE TABLE customers (id SERIAL PRIMARY KEY);
+  CREATE TABLE rsvps (id SERIAL PRIMARY KEY, customer_id INTEGER NOT NULL);
+`;
+
+const TRIGGER_STATEMENT = /\b(?:CREATE|DROP)\s+TRIGGER\b[^;]*;/gi;
+const CREATE_TABLE = /^\s*CREATE TABLE (?:IF NOT EXISTS )?(\w+)/i;
+const COLUMN_CHECK = /^(\s*)(\w+)(\s+\w.*?)\bCHECK\s*\(/;
+const ADD_COLUMN_CHECK = /(ALTER TABLE (\w+) ADD COLUMN (?:IF NOT EXISTS )?(\w+)\b[^;]*?)\bCHECK\s*\(/gi;
+const TABLE_CONSTRAINT_KEYWORDS = new Set(['CHECK', 'CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN']);
+
+// pg-mem names inline column CHECK constraints differently from Postgres, so
+// migrations that replace one by name (e.g. analytics_events_event_type_check)
+// would leave the old check behind. Name them the way Postgres does.
+function nameColumnChecks(sql) {
+  let table = null;
+  const lines = sql.split('\n').map((line) => {
+    const created = CREATE_TABLE.exec(line);
+    if (created) {
+      table = created[1];
+      return line;
+    }
+    if (/^\s*\);/.test(line)) {
+      table = null;
+      return line;
+    }
+    const check = table && COLUMN_CHECK.exec(line);
+    if (!check || TABLE_CONSTRAINT_KEYWORDS.has(check[2].toUpperCase()) || /\bCONSTRAINT\b/i.test(check[3])) {
+      return line;
+    }
+    return line.replace(COLUMN_CHECK, `$1$2$3CONSTRAINT ${table}_${check[2]}_check CHECK (`);
+  });
+  return lines
+    .join('\n')
+    .replace(ADD_COLUMN_CHECK, (match, head, tableName, column) =>
+      /\bCONSTRAINT\b/i.test(head) ? match : `${head}CONSTRAINT ${tableName}_${column}_check CHECK (`
+    );
+}
+
+/**
+ * Create a pg-mem database with every migration applied.
+ *
+ * pg-mem cannot run plpgsql, so trigger functions are created as no-ops and
+ * CREATE/DROP TRIGGER statements are skipped; the checks those triggers make
+ * are not covered here. pg-mem also lacks the `~` regex operator used by
+ * CHECK constraints, which is registered below, and inline CHECK constraints
+ * are given their Postgres names.
+ * @returns {Promise<import('pg-mem').IMemoryDb>}
+ */
+export async function createSqlTestDatabase() {
+  const db = newDb({ noAstCoverageCheck: true });
+  db.public.registerEquivalentType({ name: 'trigger', equivalentTo: DataType.text, isValid: () => true });
+  db.registerLanguage('plpgsql', () => () => null);
+  db.public.registerOperator({
+    operator: '~',
+    left: DataType.text,
+    right: DataType.text,
+    returns: DataType.bool,
+    implementation: (value, pattern) => new RegExp(pattern).test(value)
+  });
+  db.public.none(PRE_MIGRATION_SCHEMA);
+
+  const { Client } = db.adapters.createPg();
+  const client = new Client();
+  await client.connect();
+  try {
+    const runner = createMigrationRunner({
+      client: {
+        query: (text, params) => client.query(nameColumnChecks(String(text).replace(TRIGGER_STATEMENT, '')), params)
+      },
+      logger: { log() {} }
+    });
+    await runner.up();
+  } finally {
+    await client.end();
+  }
+  return db;
+}
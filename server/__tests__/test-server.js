@@ -1,3 +1,5 @@
+import { getRepository } from '../repositories/index.js';
+
 const state = {
   refCount: 0,
   starting: null
@@ -58,3 +60,32 @@ export async function acquireTestServer(server) {
     throw err;
   }
 }
+
+/**
+ * Store an account under `id` with the given role, unless one exists.
+ * @param {string} id
+ * @param {string} [role]
+ */
+export async function storeUser(id, role = 'user') {
+  const repository = getRepository();
+  const existing = await repository.users.get(id);
+  if (existing) return existing;
+  const now = new Date().toISOString();
+  return repository.users.create({
+    id,
+    email: `${id}@example.com`,
+    passwordHash: '',
+    role,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Store an admin account under `id`. Admin routes check the stored role as
+ * well as the token, so tests that sign admin tokens need a matching account.
+ * @param {string} id
+ */
+export function storeAdminUser(id) {
+  return storeUser(id, 'admin');
+}
@@ -1,39 +1,440 @@
 // server/analytics-store.js
-// Simple in-memory analytics tracking for design views and conversions.
+// Analytics tracking for design views and conversions, persisted through the
+// configured repository. Lifetime counters back the popular and conversion
+// listings; every event is also stored with its timestamp and rolled up into
+// daily (UTC) buckets per design, category and designer for time series.
+// Client events arrive in batches through `ingestEvents`, which drops known
+// bots and counts a viewer's repeat views of a design once per window.
+// Marketplace funnel stages are stored the same way and rolled up per stage.
 
-const analytics = new Map(); // designId -> { views:number, conversions:number }
+import { createHash, randomUUID } from 'node:crypto';
+import { getRepository } from './repositories/index.js';
+import { isDesignVisibleForRole } from '../shared/marketplace.js';
 
-export function recordView(designId) {
-  const rec = analytics.get(String(designId)) || { views: 0, conversions: 0 };
-  rec.views += 1;
-  analytics.set(String(designId), rec);
+export const ROLLUP_DIMENSIONS = ['design', 'category', 'designer'];
+export const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+export const DEFAULT_TIMESERIES_DAYS = 30;
+export const MAX_TIMESERIES_DAYS = 366;
+
+// Marketplace funnel, in order. Completed purchases are recorded by the
+// purchase route; the other stages are reported by clients.
+export const FUNNEL_STAGES = [
+  'listing_impression',
+  'preview_opened',
+  'purchase_started',
+  'purchase_completed',
+  'first_edit',
+  'first_share'
+];
+// Event types clients may send. Conversions and completed purchases are
+// recorded by the purchase flows on the server and are never accepted from
+// clients.
+export const CLIENT_EVENT_TYPES = ['view', ...FUNNEL_STAGES.filter((stage) => stage !== 'purchase_completed')];
+export const MAX_EVENT_BATCH_SIZE = 50;
+export const VIEW_DEDUP_WINDOW_MINUTES = 30;
+
+// "First" stages and completed purchases count once per viewer and design;
+// every other client event once per viewer, session and dedup window.
+const ONCE_PER_VIEWER_EVENTS = new Set(['purchase_completed', 'first_edit', 'first_share']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Buffered events may be delivered late, but never from the future or from
+// days ago; timestamps outside this range are replaced by the receive time.
+const MAX_EVENT_AGE_MS = DAY_MS;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const BOT_USER_AGENT_PATTERN =
+  /bot\b|bot\/|crawler|spider|slurp|facebookexternalhit|bingpreview|headlesschrome|phantomjs|lighthouse|python-requests|curl\/|wget\/|go-http-client|java\//i;
+
+/**
+ * Raised for analytics queries the HTTP layer maps onto error responses.
+ * `code` is always `validation_error`.
+ */
+export class AnalyticsError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * UTC calendar day of a timestamp, `YYYY-MM-DD`.
+ * @param {Date|string|number} value
+ * @returns {string}
+ */
+export function toDay(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function parseDay(value) {
+  if (typeof value !== 'string' || !DAY_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && toDay(date) === value ? date : null;
+}
+
+function addDays(day, count) {
+  return toDay(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Category and designer are captured when the event happens, so later
+// re-categorising or transferring a design does not rewrite its history.
+// Resolves to null when an event with the same id was already recorded.
+async function recordEvent(designId, type, at, { id = `evt_${randomUUID()}`, design } = {}) {
+  const repository = getRepository();
+  const key = String(designId);
+  const [record, ownership] = await Promise.all([
+    design === undefined ? repository.designs.get(key) : design,
+    repository.designOwners.get(key)
+  ]);
+  const occurredAt = new Date(at).toISOString();
+  return repository.analytics.recordEvent({
+    id,
+    designId: key,
+    type,
+    occurredAt,
+    day: toDay(occurredAt),
+    categoryId: record?.category ? String(record.category) : null,
+    designerId: ownership?.userId ? String(ownership.userId) : null
+  });
 }
 
-export function recordConversion(designId) {
-  const rec = analytics.get(String(designId)) || { views: 0, conversions: 0 };
-  rec.conversions += 1;
-  analytics.set(String(designId), rec);
+export async function recordView(designId, { at = new Date() } = {}) {
+  const counters = await getRepository().analytics.increment(String(designId), 'views');
+  await recordEvent(designId, 'view', at);
+  return counters;
 }
 
-export function getPopularDesigns(limit = 10) {
-  return Array.from(analytics.entries())
-    .sort((a, b) => b[1].views - a[1].views)
+export async function recordConversion(designId, { at = new Date() } = {}) {
+  const counters = await getRepository().analytics.increment(String(designId), 'conversions');
+  await recordEvent(designId, 'conversion', at);
+  return counters;
+}
+
+/**
+ * Whether a request comes from a crawler, link previewer or scripted client
+ * rather than a person. Requests without a user agent count as bots.
+ * @param {string|null|undefined} userAgent
+ * @returns {boolean}
+ */
+export function isBotUserAgent(userAgent) {
+  return !userAgent || BOT_USER_AGENT_PATTERN.test(String(userAgent));
+}
+
+/**
+ * Validate a client event batch: `{ events: [{ type, designId, occurredAt? }] }`.
+ * Error fields name the offending entry, e.g. `events[2].type`.
+ * @param {{ events?: unknown }} body
+ * @param {{ now?: Date }} [options]
+ * @returns {{ errors: Array<{field:string, message:string}>, normalized: { events: Array<{type:string, designId:string, occurredAt:string}> } }}
+ */
+export function validateEventBatch({ events } = {}, { now = new Date() } = {}) {
+  const errors = [];
+  const normalized = { events: [] };
+
+  if (!Array.isArray(events) || events.length === 0) {
+    errors.push({ field: 'events', message: 'events must be a non-empty array' });
+    return { errors, normalized };
+  }
+  if (events.length > MAX_EVENT_BATCH_SIZE) {
+    errors.push({ field: 'events', message: `A batch can contain at most ${MAX_EVENT_BATCH_SIZE} events` });
+    return { errors, normalized };
+  }
+
+  events.forEach((event, index) => {
+    const field = `events[${index}]`;
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      errors.push({ field, message: 'Each event must be an object' });
+      return;
+    }
+    const entryErrors = [];
+    if (!CLIENT_EVENT_TYPES.includes(event.type)) {
+      entryErrors.push({ field: `${field}.type`, message: `type must be one of ${CLIENT_EVENT_TYPES.join(', ')}` });
+    }
+    const designId = typeof event.designId === 'number' ? String(event.designId) : event.designId;
+    if (typeof designId !== 'string' || !designId.trim()) {
+      entryErrors.push({ field: `${field}.designId`, message: 'designId is required' });
+    }
+    let occurredAt = now.getTime();
+    if (event.occurredAt != null) {
+      const parsed = typeof event.occurredAt === 'string' ? Date.parse(event.occurredAt) : Number.NaN;
+      if (Number.isNaN(parsed)) {
+        entryErrors.push({ field: `${field}.occurredAt`, message: 'occurredAt must be an ISO 8601 timestamp' });
+      } else if (parsed <= occurredAt + MAX_CLOCK_SKEW_MS && parsed >= occurredAt - MAX_EVENT_AGE_MS) {
+        occurredAt = Math.min(parsed, occurredAt);
+      }
+    }
+    if (entryErrors.length) {
+      errors.push(...entryErrors);
+      return;
+    }
+    normalized.events.push({ type: event.type, designId: designId.trim(), occurredAt: new Date(occurredAt).toISOString() });
+  });
+
+  return { errors, normalized };
+}
+
+// Deduplicated events get an id derived from what makes them unique, so a
+// repeat maps onto an event id that is already stored.
+function dedupEventId(type, viewerId, sessionId, designId, occurredAt) {
+  const parts = ONCE_PER_VIEWER_EVENTS.has(type)
+    ? [type, viewerId, designId]
+    : [type, viewerId, sessionId ?? '', designId, Math.floor(Date.parse(occurredAt) / (VIEW_DEDUP_WINDOW_MINUTES * 60 * 1000))];
+  const digest = createHash('sha256').update(parts.join('\n')).digest('hex');
+  return `evt_${type}_${digest.slice(0, 32)}`;
+}
+
+/**
+ * Record a validated batch of client events for one viewer. Bot traffic and
+ * events for unknown designs or designs consumers cannot see (such as drafts)
+ * are dropped, and repeats are counted as duplicates (see
+ * ONCE_PER_VIEWER_EVENTS). Each accepted view also increments the design's
+ * lifetime and `views` counters, atomically in the repository.
+ * @param {Array<{type:string, designId:string, occurredAt:string}>} events
+ * @param {{ viewerId: string, sessionId?: string|null, userAgent?: string|null }} context
+ * @returns {Promise<{ received: number, accepted: number, duplicates: number, filtered: number }>}
+ */
+export async function ingestEvents(events, { viewerId, sessionId = null, userAgent = null }) {
+  const summary = { received: events.length, accepted: 0, duplicates: 0, filtered: 0 };
+  if (isBotUserAgent(userAgent)) {
+    summary.filtered = events.length;
+    return summary;
+  }
+
+  const repository = getRepository();
+  for (const event of events) {
+    const design = await repository.designs.get(event.designId);
+    if (!design || !isDesignVisibleForRole(design, 'consumer')) {
+      summary.filtered += 1;
+      continue;
+    }
+    const id = dedupEventId(event.type, String(viewerId), sessionId, event.designId, event.occurredAt);
+    const recorded = await recordEvent(event.designId, event.type, event.occurredAt, { id, design });
+    if (!recorded) {
+      summary.duplicates += 1;
+      continue;
+    }
+    if (event.type === 'view') {
+      await repository.analytics.increment(event.designId, 'views');
+      await repository.designs.incrementViews(event.designId);
+    }
+    summary.accepted += 1;
+  }
+  return summary;
+}
+
+/**
+ * Record that a viewer completed the purchase of a design. Repeats for the
+ * same viewer and design are ignored.
+ * @param {string} designId
+ * @param {{ viewerId: string, at?: Date|string }} context
+ * @returns {Promise<boolean>} whether the stage was recorded
+ */
+export async function recordPurchaseCompleted(designId, { viewerId, at = new Date() }) {
+  const occurredAt = new Date(at).toISOString();
+  const id = dedupEventId('purchase_completed', String(viewerId), null, String(designId), occurredAt);
+  return Boolean(await recordEvent(designId, 'purchase_completed', occurredAt, { id }));
+}
+
+export async function getPopularDesigns(limit = 10) {
+  const records = await getRepository().analytics.list();
+  return records
+    .sort((a, b) => b.views - a.views)
     .slice(0, limit)
-    .map(([designId, stats]) => ({ designId, views: stats.views, conversions: stats.conversions }));
+    .map(({ designId, views, conversions }) => ({ designId, views, conversions }));
 }
 
-export function getConversionRates() {
-  return Array.from(analytics.entries()).map(([designId, stats]) => ({
+export async function getConversionRates() {
+  const records = await getRepository().analytics.list();
+  return records.map(({ designId, views, conversions }) => ({
     designId,
-    views: stats.views,
-    conversions: stats.conversions,
-    rate: stats.views ? stats.conversions / stats.views : 0
+    views,
+    conversions,
+    rate: views ? conversions / views : 0
   }));
 }
 
+/**
+ * Validate time-series query parameters. `to` defaults to today (UTC) and
+ * `from` to the 30 days ending on `to`; both are inclusive.
+ * @param {{ from?: string|null, to?: string|null, interval?: string|null }} params
+ * @param {{ now?: Date }} [options]
+ * @returns {{ errors: Array<{field:string, message:string}>, normalized: { from: string, to: string, interval: string } }}
+ */
+export function validateTimeseriesQuery({ from, to, interval } = {}, { now = new Date() } = {}) {
+  const errors = [];
+  const normalized = { from: null, to: toDay(now), interval: interval || 'day' };
+
+  if (to) {
+    if (parseDay(to)) normalized.to = to;
+    else errors.push({ field: 'to', message: 'to must be a date formatted YYYY-MM-DD' });
+  }
+  if (from) {
+    if (parseDay(from)) normalized.from = from;
+    else errors.push({ field: 'from', message: 'from must be a date formatted YYYY-MM-DD' });
+  } else {
+    normalized.from = addDays(normalized.to, 1 - DEFAULT_TIMESERIES_DAYS);
+  }
+  if (!TIMESERIES_INTERVALS.includes(normalized.interval)) {
+    errors.push({ field: 'interval', message: `interval must be one of ${TIMESERIES_INTERVALS.join(', ')}` });
+  }
+
+  if (!errors.length) {
+    const span = daysBetween(normalized.from, normalized.to) + 1;
+    if (span < 1) {
+      errors.push({ field: 'from', message: 'from must not be after to' });
+    } else if (span > MAX_TIMESERIES_DAYS) {
+      errors.push({ field: 'from', message: `A time series can cover at most ${MAX_TIMESERIES_DAYS} days` });
+    }
+  }
+
+  return { errors, normalized };
+}
+
+function bucketStart(day, interval) {
+  if (interval === 'month') return `${day.slice(0, 7)}-01`;
+  if (interval === 'week') {
+    // ISO weeks start on Monday.
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return addDays(day, -weekday);
+  }
+  return day;
+}
+
+function bucketEnd(day, interval) {
+  if (interval === 'month') {
+    const [year, month] = day.split('-').map(Number);
+    return toDay(Date.UTC(year, month, 0));
+  }
+  if (interval === 'week') return addDays(bucketStart(day, 'week'), 6);
+  return day;
+}
+
+function withRate(totals) {
+  return { ...totals, conversionRate: totals.views ? totals.conversions / totals.views : 0 };
+}
+
+function sumRollups(rollups, from, to) {
+  const totals = { views: 0, conversions: 0 };
+  for (const rollup of rollups) {
+    if (rollup.day >= from && rollup.day <= to) {
+      totals.views += rollup.views;
+      totals.conversions += rollup.conversions;
+    }
+  }
+  return withRate(totals);
+}
+
+function relativeChange(current, previous) {
+  return previous ? (current - previous) / previous : null;
+}
+
+/**
+ * Views and conversions over time for one design, category or designer,
+ * with the same number of days immediately before `from` as a comparison.
+ * Buckets are clipped to the requested range, so the first and last week or
+ * month may be partial. `change.views` and `change.conversions` are relative
+ * to the previous period (null when it had none); `change.conversionRate`
+ * is the difference between the two rates.
+ * @param {'design'|'category'|'designer'} dimension
+ * @param {string} id
+ * @param {{ from?: string, to?: string, interval?: string }} params
+ * @param {{ now?: Date }} [options]
+ * @throws {AnalyticsError} on invalid parameters
+ */
+export async function getTimeseries(dimension, id, params = {}, { now } = {}) {
+  if (!ROLLUP_DIMENSIONS.includes(dimension)) {
+    throw new Error(`Unsupported analytics dimension: ${dimension}`);
+  }
+  const { errors, normalized } = validateTimeseriesQuery(params, { now });
+  if (errors.length) {
+    throw new AnalyticsError('validation_error', 'Validation failed', errors);
+  }
+  const { from, to, interval } = normalized;
+  const span = daysBetween(from, to) + 1;
+  const previous = { from: addDays(from, -span), to: addDays(from, -1) };
+  const rollups = await getRepository().analytics.listRollups(dimension, String(id), { from: previous.from, to });
+
+  const points = [];
+  for (let day = from; day <= to; ) {
+    const last = bucketEnd(day, interval);
+    const end = last < to ? last : to;
+    points.push({ start: day, end, ...sumRollups(rollups, day, end) });
+    day = addDays(end, 1);
+  }
+
+  const totals = sumRollups(rollups, from, to);
+  const previousTotals = sumRollups(rollups, previous.from, previous.to);
+  return {
+    interval,
+    from,
+    to,
+    points,
+    totals,
+    previous: { ...previous, totals: previousTotals },
+    change: {
+      views: relativeChange(totals.views, previousTotals.views),
+      conversions: relativeChange(totals.conversions, previousTotals.conversions),
+      conversionRate: totals.conversionRate - previousTotals.conversionRate
+    }
+  };
+}
+
+/**
+ * The marketplace funnel between the inclusive `from` and `to` dates, across
+ * all designs or narrowed to one design or one category. Each stage reports
+ * its count, the share of the previous stage that reached it (`rate`, null
+ * when the previous stage had none) and the difference between the two
+ * (`dropOff`); both are null for the first stage.
+ * @param {{ from?: string, to?: string, designId?: string|null, category?: string|null }} params
+ * @param {{ now?: Date }} [options]
+ * @throws {AnalyticsError} on invalid parameters
+ */
+export async function getFunnel({ from, to, designId = null, category = null } = {}, { now } = {}) {
+  const { errors, normalized } = validateTimeseriesQuery({ from, to }, { now });
+  if (designId && category) {
+    errors.push({ field: 'category', message: 'Filter by designId or category, not both' });
+  }
+  if (errors.length) {
+    throw new AnalyticsError('validation_error', 'Validation failed', errors);
+  }
+
+  const [dimension, dimensionId] = category ? ['category', String(category)] : ['design', designId ? String(designId) : null];
+  const range = { from: normalized.from, to: normalized.to };
+  const rollups = await getRepository().analytics.listStageRollups(dimension, dimensionId, range);
+  const counts = new Map(FUNNEL_STAGES.map((stage) => [stage, 0]));
+  for (const rollup of rollups) {
+    counts.set(rollup.stage, (counts.get(rollup.stage) ?? 0) + rollup.count);
+  }
+
+  const stages = FUNNEL_STAGES.map((stage, index) => {
+    const count = counts.get(stage);
+    if (index === 0) return { stage, count, rate: null, dropOff: null };
+    const previous = counts.get(FUNNEL_STAGES[index - 1]);
+    return { stage, count, rate: previous ? count / previous : null, dropOff: previous - count };
+  });
+  const impressions = counts.get('listing_impression');
+  return {
+    ...range,
+    designId: designId ? String(designId) : null,
+    category: category ? String(category) : null,
+    stages,
+    conversionRate: impressions ? counts.get('purchase_completed') / impressions : null
+  };
+}
+
 export default {
   recordView,
   recordConversion,
+  recordPurchaseCompleted,
+  ingestEvents,
   getPopularDesigns,
-  getConversionRates
+  getConversionRates,
+  getTimeseries,
+  getFunnel
 };
@@ -0,0 +1,159 @@
+// server/audit-log-store.js
+// Append-only record of admin changes to marketplace data and accounts. Each
+// entry names the admin, what they did to which design, category or user, the
+// values before and after, and the request id that also appears in the
+// request log.
+
+import { getRepository } from './repositories/index.js';
+
+export const AUDIT_ACTIONS = [
+  'design.create',
+  'design.update',
+  'design.archive',
+  'design.price',
+  'category.create',
+  'category.update',
+  'category.delete',
+  'user.role',
+  'user.suspend',
+  'user.reactivate',
+  'user.tokens'
+];
+export const AUDIT_TARGET_TYPES = ['design', 'category', 'user'];
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+export const MAX_AUDIT_PAGE_SIZE = 200;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Raised for audit queries the HTTP layer maps onto error responses.
+ * `code` is always `validation_error`.
+ */
+export class AuditError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'AuditError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The audited fields of a design. Slides are left to version history and
+ * only counted here.
+ * @param {object|null} design
+ * @param {object|null} [ownership]
+ * @returns {object|null}
+ */
+export function auditDesignState(design, ownership = null) {
+  if (!design) return null;
+  return {
+    title: String(design.title || 'Untitled'),
+    status: String(design.status || 'draft'),
+    category: String(design.category || ''),
+    tags: Array.isArray(design.tags) ? [...design.tags] : [],
+    notes: typeof design.notes === 'string' ? design.notes : '',
+    thumbnailUrl: String(design.thumbnailUrl || ''),
+    price: Number(design.price) || 0,
+    premium: Boolean(design.premium),
+    isAdminTemplate: Boolean(design.isAdminTemplate),
+    managedByAdminId: design.managedByAdminId ?? null,
+    ownerId: ownership ? ownership.userId ?? null : null,
+    slideCount: Array.isArray(design.slides) ? design.slides.length : 0
+  };
+}
+
+/**
+ * Append an audit entry for a completed admin mutation.
+ * @param {{ actorId: string, action: string, targetType: 'design'|'category'|'user', targetId: string, before?: object|null, after?: object|null, requestId?: string|null, at?: Date|string }} entry
+ * @returns {Promise<object>} the stored entry
+ */
+export async function recordAuditEntry({ actorId, action, targetType, targetId, before = null, after = null, requestId = null, at = new Date() }) {
+  if (!AUDIT_ACTIONS.includes(action)) {
+    throw new TypeError(`Unknown audit action: ${action}`);
+  }
+  return getRepository().auditLog.append({
+    actorId: String(actorId),
+    action,
+    targetType,
+    targetId: String(targetId),
+    before,
+    after,
+    requestId: requestId ? String(requestId) : null,
+    createdAt: new Date(at).toISOString()
+  });
+}
+
+function parseDay(value) {
+  if (!DAY_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? date : null;
+}
+
+function parsePositiveInteger(value) {
+  return /^\d+$/.test(value) && Number(value) >= 1 ? Number(value) : null;
+}
+
+/**
+ * Validate audit log query parameters. `from` and `to` are inclusive UTC days.
+ * @param {{ actorId?: string|null, action?: string|null, targetType?: string|null, targetId?: string|null, from?: string|null, to?: string|null, page?: string|null, pageSize?: string|null }} params
+ * @returns {{ errors: Array<{field:string, message:string}>, normalized: { filters: object, page: number, pageSize: number } }}
+ */
+export function validateAuditQuery({ actorId, action, targetType, targetId, from, to, page, pageSize } = {}) {
+  const errors = [];
+  const filters = {};
+  const normalized = { filters, page: 1, pageSize: DEFAULT_AUDIT_PAGE_SIZE };
+
+  if (actorId) filters.actorId = String(actorId);
+  if (targetId) filters.targetId = String(targetId);
+  if (action) {
+    if (AUDIT_ACTIONS.includes(action)) filters.action = action;
+    else errors.push({ field: 'action', message: `action must be one of ${AUDIT_ACTIONS.join(', ')}` });
+  }
+  if (targetType) {
+    if (AUDIT_TARGET_TYPES.includes(targetType)) filters.targetType = targetType;
+    else errors.push({ field: 'targetType', message: `targetType must be one of ${AUDIT_TARGET_TYPES.join(', ')}` });
+  }
+
+  const fromDate = from ? parseDay(from) : null;
+  const toDate = to ? parseDay(to) : null;
+  if (from && !fromDate) errors.push({ field: 'from', message: 'from must be a date formatted YYYY-MM-DD' });
+  if (to && !toDate) errors.push({ field: 'to', message: 'to must be a date formatted YYYY-MM-DD' });
+  if (fromDate && toDate && fromDate > toDate) {
+    errors.push({ field: 'from', message: 'from must not be after to' });
+  }
+  if (fromDate) filters.since = fromDate.toISOString();
+  if (toDate) filters.before = new Date(toDate.getTime() + 24 * 60 * 60 * 1000).toISOString();
+
+  if (page) {
+    const value = parsePositiveInteger(page);
+    if (value) normalized.page = value;
+    else errors.push({ field: 'page', message: 'page must be a positive integer' });
+  }
+  if (pageSize) {
+    const value = parsePositiveInteger(pageSize);
+    if (value && value <= MAX_AUDIT_PAGE_SIZE) normalized.pageSize = value;
+    else errors.push({ field: 'pageSize', message: `pageSize must be between 1 and ${MAX_AUDIT_PAGE_SIZE}` });
+  }
+
+  return { errors, normalized };
+}
+
+/**
+ * List audit entries, newest first.
+ * @param {object} params see validateAuditQuery
+ * @returns {Promise<{ data: object[], pagination: { page: number, pageSize: number, total: number } }>}
+ * @throws {AuditError} on invalid parameters
+ */
+export async function listAuditEntries(params = {}) {
+  const { errors, normalized } = validateAuditQuery(params);
+  if (errors.length) {
+    throw new AuditError('validation_error', 'Validation failed', errors);
+  }
+  const { page, pageSize, filters } = normalized;
+  const { entries, total } = await getRepository().auditLog.list(filters, {
+    offset: (page - 1) * pageSize,
+    limit: pageSize
+  });
+  return { data: entries, pagination: { page, pageSize, total } };
+}
@@ -11,6 +11,9 @@ const SECRET = secretFromEnv;
 
 export const DEFAULT_USER_ROLE = 'user';
 
+/** Lifetime of access tokens; refresh tokens are handled by sessions-store.js. */
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
 function constantTimeEqual(a = '', b = '') {
   const bufA = Buffer.from(String(a));
   const bufB = Buffer.from(String(b));
@@ -18,7 +21,7 @@ function constantTimeEqual(a = '', b = '') {
   return timingSafeEqual(bufA, bufB);
 }
 
-function getCookie(cookieHeader = '', name) {
+export function getCookie(cookieHeader = '', name) {
   for (const part of cookieHeader.split(';')) {
     const [k, v] = part.trim().split('=');
     if (k && constantTimeEqual(k, name)) return v;
@@ -82,8 +85,10 @@ function verifyJwt(token) {
 /**
  * Extract and validate the authenticated user from the request.
  * Accepts either a Bearer JWT token or a `session` cookie containing a JWT.
+ * Tokens carrying a `sid` claim return it as `sessionId`; whether that session
+ * is still active is checked against the repository by the caller.
  * @param {import('http').IncomingMessage} req
- * @returns {{ id: string, role: string }}
+ * @returns {{ id: string, role: string, sessionId?: string }}
  */
 export function authenticate(req) {
   const auth = req.headers['authorization'];
@@ -101,6 +106,9 @@ export function authenticate(req) {
   if (!userId) throw new Error('Invalid token payload');
   const rawRole = typeof payload.role === 'string' ? payload.role.trim() : '';
   const role = rawRole || DEFAULT_USER_ROLE;
+  if (payload.sid) {
+    return { id: String(userId), role, sessionId: String(payload.sid) };
+  }
   return { id: String(userId), role };
 }
 
@@ -0,0 +1,219 @@
+// server/categories-store.js
+// Marketplace categories, persisted through the configured repository.
+// Categories have an explicit sort order and may sit under one top-level
+// parent (e.g. wedding > save-the-date). Designs refer to a category by id,
+// so a category still in use can only be deleted by moving its designs to
+// another category.
+
+import { getRepository } from './repositories/index.js';
+
+export const MAX_CATEGORY_NAME_LENGTH = 80;
+
+const CATEGORY_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Raised for category changes the HTTP layer maps onto error responses.
+ * `code` is one of `validation_error`, `not_found` or `category_in_use`.
+ */
+export class CategoryError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'CategoryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function toCategory(record) {
+  if (!record) return null;
+  return {
+    id: String(record.id),
+    name: record.name,
+    parentId: record.parentId ?? null,
+    sortOrder: Number(record.sortOrder) || 0
+  };
+}
+
+function compareCategories(a, b) {
+  return a.sortOrder - b.sortOrder || a.name.localeCompare(b.name) || a.id.localeCompare(b.id);
+}
+
+/**
+ * All categories in display order: each top-level category by `sortOrder`,
+ * followed by its subcategories in their own order.
+ * @returns {Promise<Array<{id:string, name:string, parentId:string|null, sortOrder:number}>>}
+ */
+export async function listCategories() {
+  const all = (await getRepository().categories.list()).map(toCategory).sort(compareCategories);
+  const ids = new Set(all.map((category) => category.id));
+  const ordered = [];
+  for (const category of all) {
+    if (category.parentId && ids.has(category.parentId)) continue;
+    ordered.push(category, ...all.filter((child) => child.parentId === category.id));
+  }
+  return ordered;
+}
+
+export async function getCategory(id) {
+  return toCategory(await getRepository().categories.get(String(id)));
+}
+
+/**
+ * Ids of a category and its subcategories, for filtering designs.
+ * @param {string} id
+ * @returns {Promise<string[]>}
+ */
+export async function getCategoryFamilyIds(id) {
+  const key = String(id).toLowerCase();
+  const children = (await getRepository().categories.list())
+    .filter((category) => String(category.parentId || '').toLowerCase() === key)
+    .map((category) => String(category.id));
+  return [String(id), ...children];
+}
+
+async function validateCategoryFields(fields, { existing = null } = {}) {
+  const errors = [];
+  const normalized = {};
+  const all = (await getRepository().categories.list()).map(toCategory);
+
+  if (!existing) {
+    const id = typeof fields.id === 'string' ? fields.id.trim() : '';
+    if (!CATEGORY_ID_PATTERN.test(id)) {
+      errors.push({ field: 'id', message: 'id must be 1-64 letters, numbers, underscores or hyphens' });
+    } else {
+      normalized.id = id;
+    }
+  }
+
+  if (fields.name !== undefined || !existing) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name || name.length > MAX_CATEGORY_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `name must be 1-${MAX_CATEGORY_NAME_LENGTH} characters` });
+    } else {
+      normalized.name = name;
+    }
+  }
+
+  if (fields.sortOrder !== undefined && fields.sortOrder !== null) {
+    if (!Number.isInteger(fields.sortOrder) || fields.sortOrder < 0) {
+      errors.push({ field: 'sortOrder', message: 'sortOrder must be a non-negative integer' });
+    } else {
+      normalized.sortOrder = fields.sortOrder;
+    }
+  }
+
+  if (fields.parentId !== undefined) {
+    const parentId = typeof fields.parentId === 'string' ? fields.parentId.trim() : fields.parentId;
+    const selfId = existing?.id ?? normalized.id;
+    const parent = parentId ? all.find((category) => category.id === parentId) : null;
+    if (parentId === null || parentId === '') {
+      normalized.parentId = null;
+    } else if (typeof parentId !== 'string' || !parent) {
+      errors.push({ field: 'parentId', message: 'parentId must reference an existing category' });
+    } else if (parent.id === selfId) {
+      errors.push({ field: 'parentId', message: 'A category cannot be its own parent' });
+    } else if (parent.parentId) {
+      errors.push({ field: 'parentId', message: 'Subcategories cannot have subcategories of their own' });
+    } else if (all.some((category) => category.parentId === selfId)) {
+      errors.push({ field: 'parentId', message: 'A category with subcategories cannot become a subcategory' });
+    } else {
+      normalized.parentId = parent.id;
+    }
+  }
+
+  if (errors.length) {
+    throw new CategoryError('validation_error', 'Validation failed', errors);
+  }
+  return { normalized, all };
+}
+
+/**
+ * Create a category, or replace the name, parent and order of an existing one
+ * with the same id. Without `sortOrder`, new categories go after their
+ * siblings.
+ * @param {{ id: string, name: string, parentId?: string|null, sortOrder?: number }} fields
+ * @returns {Promise<{ before: object|null, after: object }>}
+ * @throws {CategoryError} `validation_error`
+ */
+export async function saveCategory(fields = {}) {
+  const { normalized, all } = await validateCategoryFields(fields);
+  const before = all.find((category) => category.id === normalized.id) ?? null;
+  const parentId = normalized.parentId !== undefined ? normalized.parentId : null;
+  let { sortOrder } = normalized;
+  if (sortOrder === undefined) {
+    const siblings = all.filter((category) => category.parentId === parentId && category.id !== normalized.id);
+    sortOrder = before ? before.sortOrder : siblings.reduce((max, category) => Math.max(max, category.sortOrder + 1), 0);
+  }
+  const after = toCategory(
+    await getRepository().categories.save({ id: normalized.id, name: normalized.name, parentId, sortOrder })
+  );
+  return { before, after };
+}
+
+/**
+ * Rename, reorder or move a category. Only the given fields change.
+ * @param {string} id
+ * @param {{ name?: string, parentId?: string|null, sortOrder?: number }} fields
+ * @returns {Promise<{ before: object, after: object }>}
+ * @throws {CategoryError} `not_found` or `validation_error`
+ */
+export async function updateCategory(id, fields = {}) {
+  const before = await getCategory(id);
+  if (!before) {
+    throw new CategoryError('not_found', 'Category not found');
+  }
+  const { normalized } = await validateCategoryFields(fields, { existing: before });
+  if (Object.keys(normalized).length === 0) {
+    throw new CategoryError('validation_error', 'Validation failed', [
+      { field: '*', message: 'Provide name, parentId or sortOrder' }
+    ]);
+  }
+  const after = toCategory(await getRepository().categories.save({ ...before, ...normalized }));
+  return { before, after };
+}
+
+/**
+ * Delete a category. Deletion is refused while designs use the category
+ * unless `reassignTo` names another category to move them to, and while the
+ * category has subcategories.
+ * @param {string} id
+ * @param {{ reassignTo?: string|null }} [options]
+ * @returns {Promise<{ before: object|null, reassigned: number }>} `before` is null when the category did not exist
+ * @throws {CategoryError} `validation_error` or `category_in_use`
+ */
+export async function deleteCategory(id, { reassignTo = null } = {}) {
+  const repository = getRepository();
+  const before = await getCategory(id);
+  if (!before) {
+    return { before: null, reassigned: 0 };
+  }
+
+  if (reassignTo !== null && reassignTo !== undefined && reassignTo !== '') {
+    const target = await getCategory(reassignTo);
+    if (!target || target.id === before.id) {
+      throw new CategoryError('validation_error', 'Validation failed', [
+        { field: 'reassignTo', message: 'reassignTo must reference another existing category' }
+      ]);
+    }
+    reassignTo = target.id;
+  } else {
+    reassignTo = null;
+  }
+
+  const subcategories = (await listCategories()).filter((category) => category.parentId === before.id);
+  if (subcategories.length) {
+    throw new CategoryError('category_in_use', 'Move or delete its subcategories first', [
+      { field: 'id', message: `${subcategories.length} subcategories belong to this category` }
+    ]);
+  }
+
+  const designCount = await repository.categories.countDesigns(before.id);
+  if (designCount > 0 && !reassignTo) {
+    throw new CategoryError('category_in_use', 'Category is still used by designs', [
+      { field: 'reassignTo', message: `${designCount} designs use this category; choose a category to move them to` }
+    ]);
+  }
+
+  const { reassigned } = await repository.categories.remove(before.id, { reassignTo });
+  return { before, reassigned };
+}
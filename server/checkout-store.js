@@ -0,0 +1,118 @@
+// server/checkout-store.js
+// Token pack checkout sessions, persisted through the configured repository.
+// A session starts `pending` and moves once per verified webhook event:
+// `paid` credits the pack's tokens, `failed` changes nothing and `refunded`
+// takes the tokens back.
+
+import { randomUUID } from 'node:crypto';
+import { getRepository } from './repositories/index.js';
+
+// Event type -> the status change it makes and the ledger entry written with it.
+const EVENT_TRANSITIONS = {
+  'payment.succeeded': { from: 'pending', to: 'paid', ledger: { type: 'credit', reason: 'token_pack' } },
+  'payment.failed': { from: 'pending', to: 'failed', ledger: null },
+  'payment.refunded': { from: 'paid', to: 'refunded', ledger: { type: 'debit', reason: 'refund' } }
+};
+
+/**
+ * Public view of a checkout session.
+ * @param {object} session
+ */
+export function toPublicCheckoutSession(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    packId: session.packId,
+    tokens: session.tokens,
+    amountCents: session.amountCents,
+    currency: session.currency,
+    checkoutUrl: session.checkoutUrl,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+/**
+ * Open a checkout for a token pack and ask the provider for its payment page.
+ * When the provider call fails the session is kept as `failed` and the error
+ * is rethrown.
+ * @param {string} userId
+ * @param {{id:string, name:string, tokens:number, amountCents:number, currency:string}} pack
+ * @param {{ name: string, createCheckoutSession: Function }} provider
+ * @param {{ successUrl?: string, cancelUrl?: string }} [urls]
+ * @returns {Promise<object>}
+ */
+export async function createCheckoutSession(userId, pack, provider, { successUrl, cancelUrl } = {}) {
+  const repository = getRepository();
+  const now = new Date().toISOString();
+  const session = await repository.checkoutSessions.create({
+    id: `cs_${randomUUID()}`,
+    userId: String(userId),
+    packId: pack.id,
+    tokens: pack.tokens,
+    amountCents: pack.amountCents,
+    currency: pack.currency,
+    status: 'pending',
+    provider: provider.name,
+    providerSessionId: null,
+    checkoutUrl: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  let hosted;
+  try {
+    hosted = await provider.createCheckoutSession({
+      reference: session.id,
+      amountCents: pack.amountCents,
+      currency: pack.currency,
+      description: `${pack.name} token pack (${pack.tokens} tokens)`,
+      successUrl,
+      cancelUrl
+    });
+  } catch (err) {
+    await repository.checkoutSessions.save({ ...session, status: 'failed', updatedAt: new Date().toISOString() });
+    throw err;
+  }
+
+  return repository.checkoutSessions.save({
+    ...session,
+    providerSessionId: hosted.providerSessionId,
+    checkoutUrl: hosted.checkoutUrl,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getCheckoutSession(id) {
+  return getRepository().checkoutSessions.get(String(id));
+}
+
+/**
+ * Apply a verified provider event to its checkout session. Events for unknown
+ * sessions, and events that do not fit the session's current status (such as
+ * a redelivered `payment.succeeded`), are ignored.
+ * @param {{ id: string, type: string, providerSessionId: string }} event
+ * @returns {Promise<{ status: 'applied'|'ignored', session: object|null, entry?: object|null, balance?: number|null }>}
+ */
+export async function applyPaymentEvent(event) {
+  const repository = getRepository();
+  const session = await repository.checkoutSessions.getByProviderSessionId(event.providerSessionId);
+  const transition = EVENT_TRANSITIONS[event.type];
+  if (!session || !transition) {
+    return { status: 'ignored', session };
+  }
+
+  const result = await repository.checkoutSessions.transition(session.id, {
+    from: transition.from,
+    to: transition.to,
+    ledger: transition.ledger ? { ...transition.ledger, amount: session.tokens } : null
+  });
+  if (!result) {
+    return { status: 'ignored', session };
+  }
+  return { status: 'applied', ...result };
+}
@@ -0,0 +1,97 @@
+// server/csv.js
+// Minimal RFC 4180 reader and writer for guest list imports and exports.
+// Fields may be quoted; quotes inside quoted fields are doubled and quoted
+// fields may span lines. Both CRLF and LF line endings are accepted.
+
+/**
+ * Raised when CSV text cannot be split into rows. `line` is 1-based.
+ */
+export class CsvParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Split CSV text into rows of string fields. Each row keeps the line number
+ * it starts on so callers can report errors against the original file.
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>}
+ * @throws {CsvParseError} on an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const input = String(text ?? '').replace(/^﻿/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvParseError('Unterminated quoted field', rowLine);
+  }
+  if (field !== '' || fields.length) {
+    endRow();
+  }
+  return rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas. Phone numbers
+// such as `+1 555 0100` are left alone.
+function neutralizeFormula(value) {
+  if (/^[=@\t\r]/.test(value) || /^[+-](?![\d\s().-]*$)/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+function formatField(value) {
+  const text = neutralizeFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows of values as CSV with CRLF line endings.
+ * @param {Array<Array<unknown>>} rows
+ * @returns {string}
+ */
+export function formatCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
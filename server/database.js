@@ -4,12 +4,12 @@
 
 /**
  * Map of category id -> category record
- * Each record: { id:string, name:string }
+ * Each record: { id:string, name:string, parentId:string|null, sortOrder:number }
  */
 export const categories = new Map([
-  ['birthday', { id: 'birthday', name: 'Birthday' }],
-  ['wedding', { id: 'wedding', name: 'Wedding' }],
-  ['corporate', { id: 'corporate', name: 'Corporate' }]
+  ['birthday', { id: 'birthday', name: 'Birthday', parentId: null, sortOrder: 0 }],
+  ['wedding', { id: 'wedding', name: 'Wedding', parentId: null, sortOrder: 1 }],
+  ['corporate', { id: 'corporate', name: 'Corporate', parentId: null, sortOrder: 2 }]
 ]);
 
 /**
@@ -155,6 +155,88 @@ export const designOwners = new Map([
   ]
 ]);
 
+/**
+ * Map of design id -> saved versions, oldest first. Versions are never
+ * modified once written.
+ * Each version: {
+ *   designId:string,
+ *   version:number,
+ *   snapshot:{title:string, status:string, thumbnailUrl:string, category:string, tags:string[], notes:string, slides:Array<object>},
+ *   reason:'baseline'|'create'|'update'|'restore',
+ *   authorId:string|null,
+ *   restoredFrom:number|null,
+ *   createdAt:string
+ * }
+ */
+export const designVersions = new Map();
+
+/**
+ * Map of share link id -> public share link for a design
+ * Each record: {
+ *   id:string,
+ *   designId:string,
+ *   createdBy:string,
+ *   createdAt:string,
+ *   expiresAt:string|null,
+ *   revokedAt:string|null
+ * }
+ */
+export const shareLinks = new Map();
+
+/**
+ * Map of customer id -> guest who has responded to an invitation
+ * Each record: { id:string, name:string, email:string, createdAt:string }
+ */
+export const customers = new Map();
+
+/**
+ * Map of RSVP id -> a guest's response to a design's invitation
+ * Each record: {
+ *   id:string,
+ *   designId:string,
+ *   customerId:string,
+ *   guestId:string|null,
+ *   attending:'yes'|'no'|'maybe',
+ *   partySize:number,
+ *   message:string,
+ *   createdAt:string,
+ *   updatedAt:string
+ * }
+ */
+export const rsvps = new Map();
+
+/**
+ * Map of guest id -> a guest on a design's guest list
+ * Each record: {
+ *   id:string,
+ *   designId:string,
+ *   name:string,
+ *   email:string|null,
+ *   phone:string|null,
+ *   household:string|null,
+ *   createdAt:string,
+ *   updatedAt:string
+ * }
+ */
+export const guests = new Map();
+
+/**
+ * Map of delivery id -> an invitation email sent to a guest
+ * Each record: {
+ *   id:string,
+ *   designId:string,
+ *   guestId:string|null,
+ *   email:string,
+ *   status:'queued'|'sent'|'failed',
+ *   error:string|null,
+ *   messageId:string|null,
+ *   createdAt:string,
+ *   updatedAt:string,
+ *   sentAt:string|null
+ * }
+ */
+export const invitationDeliveries = new Map();
+
 /**
  * Map of user id -> token balance
  */
@@ -166,6 +248,46 @@ export const userTokens = new Map();
  */
 export const userPurchases = new Map();
 
+/**
+ * Map of user id -> array of token ledger entries (oldest first)
+ * Each record: {
+ *   id:string,
+ *   userId:string,
+ *   type:'credit'|'debit',
+ *   amount:number,
+ *   balanceAfter:number,
+ *   reason:string,
+ *   designId:string|null,
+ *   createdAt:string
+ * }
+ */
+export const tokenLedger = new Map();
+
+/**
+ * Map of user id -> array of design purchase grants
+ * Each record: { userId:string, designId:string, price:number, purchasedAt:string }
+ */
+export const designPurchases = new Map();
+
+/**
+ * Map of checkout session id -> token pack checkout record
+ * Each record: {
+ *   id:string,
+ *   userId:string,
+ *   packId:string,
+ *   tokens:number,
+ *   amountCents:number,
+ *   currency:string,
+ *   status:'pending'|'paid'|'failed'|'refunded',
+ *   provider:string,
+ *   providerSessionId:string|null,
+ *   checkoutUrl:string|null,
+ *   createdAt:string,
+ *   updatedAt:string
+ * }
+ */
+export const checkoutSessions = new Map();
+
 /**
  * Map of WebM file id -> metadata record
  * Each record: {
@@ -210,3 +332,97 @@ export const webmFiles = new Map([
     }
   ]
 ]);
+
+/**
+ * Map of user id -> persisted navigation UI state object
+ */
+export const navigationStates = new Map();
+
+/**
+ * Map of design id -> analytics counters
+ * Each record: { views:number, conversions:number }
+ */
+export const designAnalytics = new Map();
+
+/**
+ * Map of event id -> timestamped analytics event
+ * Each record: {
+ *   id:string,
+ *   designId:string,
+ *   type:'view'|'conversion'|string, // or a funnel stage
+ *   occurredAt:string,
+ *   day:string,
+ *   categoryId:string|null,
+ *   designerId:string|null
+ * }
+ */
+export const analyticsEvents = new Map();
+
+/**
+ * Map of `${dimension}:${id}:${day}` -> daily analytics rollup
+ * Each record: {
+ *   dimension:'design'|'category'|'designer',
+ *   dimensionId:string,
+ *   day:string, // UTC, YYYY-MM-DD
+ *   views:number,
+ *   conversions:number
+ * }
+ */
+export const analyticsRollups = new Map();
+
+/**
+ * Map of `${dimension}:${id}:${day}:${stage}` -> daily funnel stage rollup
+ * Each record: {
+ *   dimension:'design'|'category'|'designer',
+ *   dimensionId:string,
+ *   day:string, // UTC, YYYY-MM-DD
+ *   stage:string,
+ *   count:number
+ * }
+ */
+export const analyticsStageRollups = new Map();
+
+/**
+ * Map of entry id -> admin audit log entry; entries are never changed or
+ * removed once written.
+ * Each record: {
+ *   id:string,
+ *   actorId:string,
+ *   action:string, // e.g. 'design.update', 'user.suspend'
+ *   targetType:'design'|'category'|'user',
+ *   targetId:string,
+ *   before:object|null,
+ *   after:object|null,
+ *   requestId:string|null,
+ *   createdAt:string
+ * }
+ */
+export const adminAuditLog = new Map();
+
+/**
+ * Map of user id -> account record
+ * Each record: {
+ *   id:string,
+ *   email:string,
+ *   passwordHash:string,
+ *   role:string,
+ *   createdAt:string,
+ *   updatedAt:string,
+ *   suspendedAt:string|null
+ * }
+ */
+export const users = new Map();
+
+/**
+ * Map of session id -> refresh session record
+ * Each record: {
+ *   id:string,
+ *   userId:string,
+ *   refreshTokenHash:string,
+ *   createdAt:string,
+ *   updatedAt:string,
+ *   expiresAt:string,
+ *   revokedAt:string|null
+ * }
+ */
+export const authSessions = new Map();
@@ -0,0 +1,214 @@
+// server/design-event.js
+// Structured event details stored on a design (`design.event`) and their
+// iCalendar (RFC 5545) rendering for guests. Start and end are wall-clock
+// times in the event's IANA time zone, the way a host thinks about them;
+// the calendar file carries them as UTC so no VTIMEZONE block is needed.
+
+export const EVENT_TEXT_LIMITS = {
+  title: 200,
+  venue: 200,
+  address: 500,
+  notes: 2000
+};
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Canonical name of an IANA time zone, or null when the runtime does not
+ * know it.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function resolveTimeZone(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return zoneFormatter(value.trim()).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseLocalDateTime(value) {
+  const match = typeof value === 'string' ? LOCAL_DATE_TIME.exec(value.trim()) : null;
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '00'] = match;
+  const ms = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const check = new Date(ms);
+  if (check.getUTCDate() !== Number(day) || check.getUTCHours() !== Number(hour) || Number(minute) > 59 || Number(second) > 59) {
+    return null;
+  }
+  const text = `${year}-${month}-${day}T${hour}:${minute}${second === '00' ? '' : `:${second}`}`;
+  return { text, ms };
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant.
+function zoneOffset(timeZone, utcMs) {
+  const parts = Object.fromEntries(
+    zoneFormatter(timeZone)
+      .formatToParts(new Date(utcMs))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time in a zone refers to. Times skipped by a DST
+ * change move forward by the gap; repeated times resolve to the first one.
+ * @param {string} localDateTime `YYYY-MM-DDTHH:mm[:ss]`
+ * @param {string} timeZone IANA zone name
+ * @returns {Date|null}
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+  const parsed = parseLocalDateTime(localDateTime);
+  if (!parsed || !resolveTimeZone(timeZone)) return null;
+  const first = parsed.ms - zoneOffset(timeZone, parsed.ms);
+  const second = parsed.ms - zoneOffset(timeZone, first);
+  const exact = [first, second].filter((candidate) => parsed.ms - zoneOffset(timeZone, candidate) === candidate);
+  return new Date(exact.length ? Math.min(...exact) : Math.max(first, second));
+}
+
+function normalizeText(value, field, errors) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    errors.push({ field: `event.${field}`, message: `${field} must be a string` });
+    return '';
+  }
+  const text = value.trim();
+  if (text.length > EVENT_TEXT_LIMITS[field]) {
+    errors.push({ field: `event.${field}`, message: `${field} must be at most ${EVENT_TEXT_LIMITS[field]} characters` });
+  }
+  return text;
+}
+
+/**
+ * Validate the `event` field of a design payload. `null` clears the event.
+ * @param {unknown} value
+ * @returns {{ errors: Array<{field:string, message:string}>, event: object|null }}
+ */
+export function validateDesignEvent(value) {
+  if (value === null) return { errors: [], event: null };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: [{ field: 'event', message: 'event must be an object or null' }], event: null };
+  }
+
+  const errors = [];
+  const timezone = resolveTimeZone(value.timezone);
+  if (!timezone) {
+    errors.push({ field: 'event.timezone', message: 'timezone must be an IANA time zone such as America/Toronto' });
+  }
+
+  const start = parseLocalDateTime(value.start);
+  if (!start) {
+    errors.push({ field: 'event.start', message: 'start must be a date and time formatted YYYY-MM-DDTHH:mm' });
+  }
+
+  let end = null;
+  if (value.end !== undefined && value.end !== null && value.end !== '') {
+    end = parseLocalDateTime(value.end);
+    if (!end) {
+      errors.push({ field: 'event.end', message: 'end must be a date and time formatted YYYY-MM-DDTHH:mm' });
+    } else if (start && timezone && zonedTimeToUtc(end.text, timezone) <= zonedTimeToUtc(start.text, timezone)) {
+      errors.push({ field: 'event.end', message: 'end must be after start' });
+    }
+  }
+
+  const event = {
+    title: normalizeText(value.title, 'title', errors),
+    start: start?.text ?? null,
+    end: end?.text ?? null,
+    timezone,
+    venue: normalizeText(value.venue, 'venue', errors),
+    address: normalizeText(value.address, 'address', errors),
+    notes: normalizeText(value.notes, 'notes', errors)
+  };
+  return { errors, event: errors.length ? null : event };
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Content lines are folded at 75 octets without splitting a UTF-8 sequence.
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Render a design's event as an iCalendar file with a single VEVENT.
+ * @param {object} design a design record with an `event`
+ * @param {{ url?: string, host?: string, now?: Date }} [options]
+ *   `url` is the invitation page linked from the event; `host` scopes the UID
+ * @returns {string}
+ */
+export function buildEventCalendar(design, { url, host = 'localhost', now = new Date() } = {}) {
+  const { event } = design;
+  const summary = event.title || design.title || 'Event';
+  const location = [event.venue, event.address].filter(Boolean).join(', ');
+  const description = [event.notes, url ? `Invitation: ${url}` : ''].filter(Boolean).join('\n\n');
+  const end = event.end ? zonedTimeToUtc(event.end, event.timezone) : null;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//digital-invitation-maker//Event Details//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:design-${design.id}@${host}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(zonedTimeToUtc(event.start, event.timezone))}`,
+    end ? `DTEND:${formatUtc(end)}` : null,
+    design.updatedAt ? `LAST-MODIFIED:${formatUtc(new Date(design.updatedAt))}` : null,
+    `SUMMARY:${escapeText(summary)}`,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    url ? `URL:${url}` : null,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return `${lines.filter(Boolean).map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,224 @@
+// server/design-versions-store.js
+// Version history for designs. Every save appends an immutable snapshot of
+// the design's slides and metadata; earlier versions can be listed, compared
+// and restored (which itself appends a new version).
+
+import { getRepository } from './repositories/index.js';
+
+const SNAPSHOT_FIELDS = ['title', 'status', 'price', 'thumbnailUrl', 'category', 'tags', 'notes', 'event'];
+
+// Fields copied back onto the design on restore. Status and price stay as
+// they are so a restore never publishes, unpublishes or reprices a design. Snapshots taken before a
+// field existed (such as `event`) leave the current value alone.
+const RESTORABLE_FIELDS = ['title', 'thumbnailUrl', 'category', 'tags', 'notes', 'event', 'slides'];
+
+function cloneValue(value) {
+  if (value === undefined) return undefined;
+  return typeof structuredClone === 'function' ? structuredClone(value) : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Capture the versioned fields of a design record.
+ * @param {object} design
+ * @returns {{title:string, status:string, price:number, thumbnailUrl:string, category:string, tags:string[], notes:string, event:object|null, slides:Array<object>}}
+ */
+export function snapshotDesign(design) {
+  return {
+    title: String(design.title || 'Untitled'),
+    status: String(design.status || 'draft'),
+    price: Number(design.price) || 0,
+    thumbnailUrl: String(design.thumbnailUrl || ''),
+    category: String(design.category || ''),
+    tags: Array.isArray(design.tags) ? [...design.tags] : [],
+    notes: typeof design.notes === 'string' ? design.notes : '',
+    event: design.event ? cloneValue(design.event) : null,
+    slides: Array.isArray(design.slides) ? cloneValue(design.slides) : []
+  };
+}
+
+/**
+ * Version without its slides, for history listings.
+ * @param {object} version
+ */
+export function toVersionSummary(version) {
+  return {
+    version: version.version,
+    reason: version.reason,
+    authorId: version.authorId,
+    restoredFrom: version.restoredFrom,
+    createdAt: version.createdAt,
+    title: version.snapshot.title,
+    status: version.snapshot.status,
+    slideCount: Array.isArray(version.snapshot.slides) ? version.snapshot.slides.length : 0
+  };
+}
+
+/**
+ * Append a version for a design that was just saved. Pass `previous` (a
+ * snapshot taken before the save) so designs that predate version history
+ * get their earlier state recorded as a `baseline` version first.
+ * @param {object} design the saved design record
+ * @param {{ authorId?: string|null, reason?: 'create'|'update'|'price'|'archive'|'restore', restoredFrom?: number|null, previous?: object|null }} [options]
+ * @returns {Promise<object>} the new version
+ */
+export async function recordDesignVersion(
+  design,
+  { authorId = null, reason = 'update', restoredFrom = null, previous = null } = {}
+) {
+  const versions = getRepository().designVersions;
+  const designId = String(design.id);
+  if (previous && (await versions.list(designId)).length === 0) {
+    await versions.append(designId, { snapshot: previous, reason: 'baseline', authorId: null });
+  }
+  return versions.append(designId, {
+    snapshot: snapshotDesign(design),
+    reason,
+    authorId: authorId === null ? null : String(authorId),
+    restoredFrom
+  });
+}
+
+/**
+ * List a design's versions, oldest first.
+ * @param {string} designId
+ * @returns {Promise<object[]>}
+ */
+export async function listDesignVersions(designId) {
+  return getRepository().designVersions.list(String(designId));
+}
+
+/**
+ * @param {string} designId
+ * @param {number} version
+ * @returns {Promise<object|null>}
+ */
+export async function getDesignVersion(designId, version) {
+  return getRepository().designVersions.get(String(designId), Number(version));
+}
+
+/**
+ * Copy a version's content back onto the design and record the result as a
+ * new `restore` version.
+ * @param {object} design current design record
+ * @param {object} version the version to restore
+ * @param {string|null} authorId
+ * @returns {Promise<{ design: object, version: object }>}
+ */
+export async function restoreDesignVersion(design, version, authorId) {
+  const previous = snapshotDesign(design);
+  const restored = { ...design };
+  for (const field of RESTORABLE_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(version.snapshot, field)) {
+      restored[field] = cloneValue(version.snapshot[field]);
+    }
+  }
+  restored.updatedAt = new Date().toISOString();
+
+  const saved = await getRepository().designs.save(restored);
+  const created = await recordDesignVersion(saved, {
+    authorId,
+    reason: 'restore',
+    restoredFrom: version.version,
+    previous
+  });
+  return { design: saved, version: created };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Leaf-level changes between two JSON values, with paths such as
+// `layers[0].text`.
+function diffValues(before, after, path, changes) {
+  if (sameValue(before, after)) return changes;
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let index = 0; index < length; index += 1) {
+      const itemPath = `${path}[${index}]`;
+      if (index >= before.length) {
+        changes.push({ path: itemPath, type: 'added', to: after[index] });
+      } else if (index >= after.length) {
+        changes.push({ path: itemPath, type: 'removed', from: before[index] });
+      } else {
+        diffValues(before[index], after[index], itemPath, changes);
+      }
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (!(key in before)) {
+        changes.push({ path: keyPath, type: 'added', to: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: keyPath, type: 'removed', from: before[key] });
+      } else {
+        diffValues(before[key], after[key], keyPath, changes);
+      }
+    }
+    return changes;
+  }
+
+  changes.push({ path, type: 'changed', from: before, to: after });
+  return changes;
+}
+
+function slideKey(slide, index) {
+  return slide && slide.id !== undefined && slide.id !== null ? String(slide.id) : `#${index}`;
+}
+
+/**
+ * Structural diff between two snapshots. Metadata is compared field by
+ * field; slides are matched by id (by position when they have none) and
+ * reported as added, removed, moved or changed with the paths that differ.
+ * @param {object} before snapshot
+ * @param {object} after snapshot
+ * @returns {{
+ *   fields: Array<{ field: string, from: unknown, to: unknown }>,
+ *   slides: {
+ *     added: Array<{ id: string, index: number }>,
+ *     removed: Array<{ id: string, index: number }>,
+ *     moved: Array<{ id: string, from: number, to: number }>,
+ *     changed: Array<{ id: string, index: number, changes: Array<{ path: string, type: string, from?: unknown, to?: unknown }> }>
+ *   }
+ * }}
+ */
+export function diffDesignSnapshots(before, after) {
+  const fields = SNAPSHOT_FIELDS.filter((field) => !sameValue(before[field] ?? null, after[field] ?? null)).map((field) => ({
+    field,
+    from: before[field] ?? null,
+    to: after[field] ?? null
+  }));
+
+  const beforeSlides = new Map((before.slides || []).map((slide, index) => [slideKey(slide, index), { slide, index }]));
+  const afterSlides = new Map((after.slides || []).map((slide, index) => [slideKey(slide, index), { slide, index }]));
+  const slides = { added: [], removed: [], moved: [], changed: [] };
+
+  for (const [id, { index }] of beforeSlides) {
+    if (!afterSlides.has(id)) slides.removed.push({ id, index });
+  }
+  for (const [id, { slide, index }] of afterSlides) {
+    const previous = beforeSlides.get(id);
+    if (!previous) {
+      slides.added.push({ id, index });
+      continue;
+    }
+    if (previous.index !== index) {
+      slides.moved.push({ id, from: previous.index, to: index });
+    }
+    const changes = diffValues(previous.slide, slide, '', []);
+    if (changes.length > 0) {
+      slides.changed.push({ id, index, changes });
+    }
+  }
+
+  return { fields, slides };
+}
@@ -1,10 +1,17 @@
 // server/designs-store.js
-// Simple in-memory storage for user designs.
-// In a real application this would interface with a database.
+// Storage helpers for user designs, delegating persistence to the configured
+// repository (in-memory Maps by default, Postgres when configured).
 
-import { designs, designOwners } from './database.js';
+import { getRepository } from './repositories/index.js';
 import { getConversionRates } from './analytics-store.js';
-import { MARKETPLACE_ROLES } from '../shared/marketplace.js';
+import { getCategoryFamilyIds } from './categories-store.js';
+import {
+  MARKETPLACE_PRICE_RANGES,
+  MARKETPLACE_ROLES,
+  getDesignVisibility,
+  getMarketplacePriceRange,
+  isDesignVisibleForRole
+} from '../shared/marketplace.js';
 
 function toDisplayName(userId) {
   const value = String(userId || '').trim();
@@ -17,25 +24,6 @@ function toDisplayName(userId) {
     .join(' ');
 }
 
-function getVisibility(design) {
-  const defaults = { creator: false, consumer: false, admin: true };
-  const raw = design && typeof design.visibility === 'object' ? design.visibility : null;
-  if (!raw) {
-    return { ...defaults };
-  }
-  return {
-    creator: Boolean(Object.prototype.hasOwnProperty.call(raw, 'creator') ? raw.creator : defaults.creator),
-    consumer: Boolean(Object.prototype.hasOwnProperty.call(raw, 'consumer') ? raw.consumer : defaults.consumer),
-    admin: Boolean(Object.prototype.hasOwnProperty.call(raw, 'admin') ? raw.admin : defaults.admin)
-  };
-}
-
-function isVisibleForRole(design, role) {
-  if (role === 'admin') return true;
-  const visibility = getVisibility(design);
-  return Boolean(visibility[role]);
-}
-
 function resolveBadges(design) {
   if (!design || !Array.isArray(design.badges)) return [];
   const seen = new Set();
@@ -50,8 +38,24 @@ function resolveBadges(design) {
   return badges;
 }
 
-function getDesignerForMarketplace(design) {
-  const ownership = designOwners.get(String(design.id));
+async function getOwnershipLookup() {
+  const records = await getRepository().designOwners.list();
+  return new Map(records.map((record) => [String(record.designId), record]));
+}
+
+function attachOwnership(design, ownership) {
+  if (!design) return null;
+  if (!ownership) {
+    return { ...design };
+  }
+  return {
+    ...design,
+    userId: ownership.userId
+  };
+}
+
+function getDesignerForMarketplace(design, ownershipLookup) {
+  const ownership = ownershipLookup.get(String(design.id));
   if (!ownership) {
     return {
       id: null,
@@ -72,16 +76,17 @@ function toPriceCents(price) {
   return Math.max(0, Math.round(numeric * 100));
 }
 
-function shapeMarketplaceRecord(design, role, conversionLookup) {
+function shapeMarketplaceRecord(design, role, conversionLookup, ownershipLookup) {
   const base = {
     id: String(design.id),
     title: String(design.title || 'Untitled'),
     thumbnailUrl: String(design.thumbnailUrl || ''),
     category: String(design.category || ''),
     badges: resolveBadges(design),
+    tags: Array.isArray(design.tags) ? design.tags.map(String) : [],
     priceCents: toPriceCents(design.price),
     premium: Boolean(design.premium),
-    designer: getDesignerForMarketplace(design)
+    designer: getDesignerForMarketplace(design, ownershipLookup)
   };
 
   if (role === 'creator') {
@@ -92,7 +97,7 @@ function shapeMarketplaceRecord(design, role, conversionLookup) {
   }
 
   if (role === 'admin') {
-    const visibility = getVisibility(design);
+    const visibility = getDesignVisibility(design);
     base.visibility = visibility;
     const rate = conversionLookup?.get(String(design.id));
     base.conversionRate = typeof rate === 'number' && Number.isFinite(rate) ? rate : 0;
@@ -105,16 +110,79 @@ function shapeMarketplaceRecord(design, role, conversionLookup) {
   return base;
 }
 
-function withDesignOwnership(design) {
-  if (!design) return null;
-  const ownership = designOwners.get(String(design.id));
-  if (!ownership) {
-    return { ...design };
+const MARKETPLACE_FACETS = ['category', 'tag', 'badge', 'price', 'premium'];
+
+// Lowercased values a design contributes to each facet.
+function getFacetValues(design, facet) {
+  switch (facet) {
+    case 'category': {
+      const category = String(design.category || '').trim().toLowerCase();
+      return category ? [category] : [];
+    }
+    case 'tag':
+      return Array.from(
+        new Set((Array.isArray(design.tags) ? design.tags : []).map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))
+      );
+    case 'badge':
+      return resolveBadges(design).map((badge) => badge.toLowerCase());
+    case 'price':
+      return [getMarketplacePriceRange(design.price)];
+    case 'premium':
+      return [String(Boolean(design.premium))];
+    default:
+      return [];
   }
-  return {
-    ...design,
-    userId: ownership.userId
-  };
+}
+
+// Selected values per facet; a facet with no selection matches every design.
+function getSelectedFacetValues(selection, facet) {
+  switch (facet) {
+    case 'category':
+      return selection.categoryFamily;
+    case 'tag':
+      return selection.tags;
+    case 'badge':
+      return selection.badges;
+    case 'price':
+      return selection.priceRanges;
+    case 'premium':
+      return selection.premium === undefined ? [] : [String(selection.premium)];
+    default:
+      return [];
+  }
+}
+
+function matchesFacet(design, facet, selection) {
+  const selected = getSelectedFacetValues(selection, facet);
+  return selected.length === 0 || getFacetValues(design, facet).some((value) => selected.includes(value));
+}
+
+// Each facet is counted with every other facet's filter applied but not its
+// own, so the counts show what selecting another value would return.
+function countFacets(records, selection) {
+  const facets = {};
+  for (const facet of MARKETPLACE_FACETS) {
+    const counts = new Map(facet === 'price' ? MARKETPLACE_PRICE_RANGES.map((range) => [range, 0]) : []);
+    for (const design of records) {
+      if (!MARKETPLACE_FACETS.every((other) => other === facet || matchesFacet(design, other, selection))) continue;
+      for (const value of getFacetValues(design, facet)) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    const selected = facet === 'category' ? selection.categoryIds : getSelectedFacetValues(selection, facet);
+    let entries = Array.from(counts, ([value, count]) => ({ value, count, selected: selected.includes(value) }));
+    if (facet !== 'price') {
+      entries = entries.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+    facets[facet] = entries;
+  }
+  return facets;
+}
+
+async function withDesignOwnership(design) {
+  if (!design) return null;
+  const ownership = await getRepository().designOwners.get(String(design.id));
+  return attachOwnership(design, ownership);
 }
 
 /**
@@ -125,13 +193,14 @@ function withDesignOwnership(design) {
  */
 export async function getDesignsByUser(userId, filters = {}) {
   const normalizedUserId = String(userId);
+  const ownershipLookup = await getOwnershipLookup();
   const ownedDesignIds = new Set(
-    Array.from(designOwners.entries())
+    Array.from(ownershipLookup.entries())
       .filter(([, ownership]) => ownership.userId === normalizedUserId)
       .map(([designId]) => String(designId))
   );
 
-  let results = Array.from(designs.values()).filter((design) =>
+  let results = (await getRepository().designs.list()).filter((design) =>
     ownedDesignIds.has(String(design.id))
   );
   const { category, search } = filters;
@@ -154,22 +223,26 @@ export async function getDesignsByUser(userId, filters = {}) {
     results = [...results].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
   }
 
-  return results.map((design) => withDesignOwnership(design));
+  return results.map((design) => attachOwnership(design, ownershipLookup.get(String(design.id))));
 }
 
 /**
- * Retrieve a single design by id for the provided user id.
+ * Retrieve a single design by id for the provided user id, who must have
+ * created or bought it.
  * @param {string} userId
  * @param {string} id
  * @returns {Promise<{id:string,title:string,thumbnailUrl:string,updatedAt:string,category?:string,views?:number}|null>}
  */
 export async function getDesignById(userId, id) {
   const key = String(id);
-  const design = designs.get(key);
+  const design = await getRepository().designs.get(key);
   if (!design) return null;
-  const ownership = designOwners.get(key);
-  if (!ownership || ownership.userId !== String(userId)) return null;
-  return withDesignOwnership(design);
+  const ownership = await getRepository().designOwners.get(key);
+  if (!ownership || ownership.userId !== String(userId)) {
+    const purchases = await getRepository().ledger.listDesignPurchases(String(userId));
+    if (!purchases.some((purchase) => purchase.designId === key)) return null;
+  }
+  return attachOwnership(design, ownership);
 }
 
 /**
@@ -180,16 +253,25 @@ export async function getDesignById(userId, id) {
  */
 export async function getAdminDesigns(filters = {}) {
   const { managedBy } = filters;
-  let results = Array.from(designs.values()).filter((design) => design.isAdminTemplate);
+  let results = (await getRepository().designs.list()).filter((design) => design.isAdminTemplate);
 
   if (managedBy) {
     const managerId = String(managedBy);
     results = results.filter((design) => design.managedByAdminId === managerId);
   }
 
-  return results.map((design) => withDesignOwnership(design));
+  const ownershipLookup = await getOwnershipLookup();
+  return results.map((design) => attachOwnership(design, ownershipLookup.get(String(design.id))));
 }
 
+/**
+ * Marketplace listings visible to `role`, with facet counts next to them.
+ * `tags`, `badges` and `priceRanges` match designs having any of the given
+ * values; facets combine with each other and with the category, search and
+ * owner filters.
+ * @param {{ role: string, category?: string, search?: string, ownerId?: string, mine?: boolean|string, requestingUserId?: string, tags?: string[], badges?: string[], priceRanges?: string[], premium?: boolean }} filters
+ * @returns {Promise<{ role: string, data: object[], facets: Record<string, Array<{ value: string, count: number, selected: boolean }>> }>}
+ */
 export async function getMarketplaceDesigns(filters = {}) {
   const { role, category, search, ownerId, mine, requestingUserId } = filters;
   const normalizedRole = typeof role === 'string' ? role.trim().toLowerCase() : '';
@@ -198,22 +280,31 @@ export async function getMarketplaceDesigns(filters = {}) {
     throw new Error(`Unsupported marketplace role: ${role}`);
   }
 
-  let records = Array.from(designs.values()).filter((design) => isVisibleForRole(design, normalizedRole));
+  const ownershipLookup = await getOwnershipLookup();
+  let records = (await getRepository().designs.list()).filter((design) =>
+    isDesignVisibleForRole(design, normalizedRole)
+  );
 
-  if (category) {
-    const normalizedCategory = String(category).trim().toLowerCase();
-    if (normalizedCategory) {
-      records = records.filter(
-        (design) => String(design.category || '').trim().toLowerCase() === normalizedCategory
-      );
-    }
-  }
+  // A parent category also matches designs filed under its subcategories.
+  const normalizedCategory = category ? String(category).trim() : '';
+  const toFacetList = (values) =>
+    Array.isArray(values) ? values.map((value) => String(value).trim().toLowerCase()).filter(Boolean) : [];
+  const selection = {
+    categoryIds: normalizedCategory ? [normalizedCategory.toLowerCase()] : [],
+    categoryFamily: normalizedCategory
+      ? (await getCategoryFamilyIds(normalizedCategory)).map((id) => id.toLowerCase())
+      : [],
+    tags: toFacetList(filters.tags),
+    badges: toFacetList(filters.badges),
+    priceRanges: toFacetList(filters.priceRanges),
+    premium: typeof filters.premium === 'boolean' ? filters.premium : undefined
+  };
 
   if (search) {
     const query = String(search).trim().toLowerCase();
     if (query) {
       records = records.filter((design) => {
-        const designer = getDesignerForMarketplace(design);
+        const designer = getDesignerForMarketplace(design, ownershipLookup);
         return (
           String(design.title || '').toLowerCase().includes(query) ||
           String(design.category || '').toLowerCase().includes(query) ||
@@ -238,7 +329,7 @@ export async function getMarketplaceDesigns(filters = {}) {
 
   if (ownerFilterId) {
     records = records.filter((design) => {
-      const ownership = designOwners.get(String(design.id));
+      const ownership = ownershipLookup.get(String(design.id));
       if (!ownership) return false;
       return normalizeOwnerValue(ownership.userId) === ownerFilterId;
     });
@@ -247,19 +338,173 @@ export async function getMarketplaceDesigns(filters = {}) {
     records = [];
   }
 
+  const facets = countFacets(records, selection);
+  records = records.filter((design) => MARKETPLACE_FACETS.every((facet) => matchesFacet(design, facet, selection)));
   records.sort((a, b) => String(a.id).localeCompare(String(b.id)));
 
   const conversionLookup =
     normalizedRole === 'admin'
       ? new Map(
-          getConversionRates().map(({ designId, rate }) => [String(designId), Number(rate) || 0])
+          (await getConversionRates()).map(({ designId, rate }) => [String(designId), Number(rate) || 0])
         )
       : null;
 
   return {
     role: normalizedRole,
-    data: records.map((design) => shapeMarketplaceRecord(design, normalizedRole, conversionLookup))
+    data: records.map((design) =>
+      shapeMarketplaceRecord(design, normalizedRole, conversionLookup, ownershipLookup)
+    ),
+    facets
   };
 }
 
+/**
+ * Retrieve the stored design record without ownership details.
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getDesignRecord(id) {
+  return getRepository().designs.get(String(id));
+}
+
+/**
+ * Retrieve every stored design record.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listDesignRecords() {
+  return getRepository().designs.list();
+}
+
+/**
+ * Insert a new design record; the repository assigns the id.
+ * @param {object} fields
+ * @returns {Promise<object>}
+ */
+export async function insertDesignRecord(fields) {
+  return getRepository().designs.create(fields);
+}
+
+/**
+ * Persist a full design record.
+ * @param {object} record
+ * @returns {Promise<object>}
+ */
+export async function saveDesignRecord(record) {
+  return getRepository().designs.save(record);
+}
+
+/**
+ * Retrieve the ownership record for a design.
+ * @param {string} designId
+ * @returns {Promise<{designId:string,userId:string|null,createdAt:string,updatedAt:string}|null>}
+ */
+export async function getDesignOwnership(designId) {
+  return getRepository().designOwners.get(String(designId));
+}
+
+/**
+ * Retrieve every design ownership record.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listDesignOwnerships() {
+  return getRepository().designOwners.list();
+}
+
+/**
+ * Create or update the ownership record for a design.
+ * Passing `undefined` as the owner keeps the current owner.
+ * @param {string} designId
+ * @param {string|null|undefined} ownerId
+ * @param {string} timestamp
+ * @returns {Promise<object>}
+ */
+export async function assignDesignOwner(designId, ownerId, timestamp) {
+  const key = String(designId);
+  const record = await getRepository().designOwners.get(key);
+  const userId = ownerId === undefined ? record?.userId ?? null : ownerId;
+  if (record) {
+    return getRepository().designOwners.save({
+      ...record,
+      userId,
+      updatedAt: timestamp
+    });
+  }
+  return getRepository().designOwners.save({
+    designId: key,
+    userId,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+}
+
+/**
+ * Create a design owned by the provided user id.
+ * @param {string} userId
+ * @param {{title:string, slides?:Array<object>, thumbnailUrl?:string, tags?:string[], category?:string, event?:object|null}} fields
+ * @returns {Promise<object>}
+ */
+export async function createDesign(userId, fields = {}) {
+  const ownerId = String(userId);
+  const timestamp = new Date().toISOString();
+  const design = await insertDesignRecord({
+    title: String(fields.title || 'Untitled'),
+    category: String(fields.category || ''),
+    views: 0,
+    thumbnailUrl: String(fields.thumbnailUrl || ''),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    status: 'draft',
+    slides: Array.isArray(fields.slides) ? fields.slides : [],
+    tags: Array.isArray(fields.tags) ? fields.tags : [],
+    event: fields.event ?? null,
+    notes: '',
+    price: 0,
+    premium: false,
+    isAdminTemplate: false,
+    adminNotes: '',
+    managedByAdminId: null,
+    visibility: {
+      creator: false,
+      consumer: false,
+      admin: true
+    },
+    badges: []
+  });
+
+  const ownership = await assignDesignOwner(design.id, ownerId, timestamp);
+  return attachOwnership(design, ownership);
+}
+
+/**
+ * Apply owner-editable field updates to an existing design.
+ * Only keys present in `updates` are changed.
+ * @param {string} id
+ * @param {{title?:string, slides?:Array<object>, thumbnailUrl?:string, tags?:string[], category?:string, event?:object|null}} updates
+ * @returns {Promise<object|null>}
+ */
+export async function updateDesign(id, updates = {}) {
+  const design = await getDesignRecord(id);
+  if (!design) return null;
+
+  for (const field of ['title', 'slides', 'thumbnailUrl', 'tags', 'category', 'event']) {
+    if (Object.prototype.hasOwnProperty.call(updates, field)) {
+      design[field] = updates[field];
+    }
+  }
+  design.updatedAt = new Date().toISOString();
+
+  return withDesignOwnership(await saveDesignRecord(design));
+}
+
+/**
+ * Remove a design along with its ownership record, version history, share
+ * links, guests, RSVPs, deliveries and linked WebM metadata. The repository
+ * removes them all or none.
+ * @param {string} id
+ * @returns {Promise<boolean>}
+ */
+export async function deleteDesign(id) {
+  return getRepository().designs.remove(String(id));
+}
+
 export { withDesignOwnership };
@@ -0,0 +1,384 @@
+// server/guests-store.js
+// A design's guest list. Hosts add guests one at a time or import a CSV, and
+// each guest gets a personal share token (see share-links-store.js) so their
+// RSVP is tied to the list entry instead of an anonymous submission.
+
+import { randomBytes } from 'node:crypto';
+import { getRepository } from './repositories/index.js';
+import { normalizeEmail } from './users-store.js';
+import { EMAIL_PATTERN, MAX_GUEST_NAME_LENGTH, listRsvps } from './rsvps-store.js';
+import { shareTokenFor } from './share-links-store.js';
+import { CsvParseError, formatCsv, parseCsv } from './csv.js';
+
+export const GUEST_FIELDS = ['name', 'email', 'phone', 'household'];
+export const MAX_GUEST_IMPORT_ROWS = 1000;
+export const MAX_HOUSEHOLD_LENGTH = 120;
+
+const PHONE_PATTERN = /^\+?[\d\s().-]{5,32}$/;
+
+// Header names recognised when an import does not map a field explicitly.
+// Headers are compared case-insensitively with surrounding spaces removed.
+const HEADER_ALIASES = {
+  name: ['name', 'full name', 'guest', 'guest name'],
+  email: ['email', 'e-mail', 'email address'],
+  phone: ['phone', 'phone number', 'mobile', 'telephone'],
+  household: ['household', 'family', 'party', 'group']
+};
+
+const EXPORT_COLUMNS = ['name', 'email', 'phone', 'household', 'rsvp', 'party_size', 'invite_path'];
+
+/**
+ * Raised for guest list failures the HTTP layer maps onto error responses.
+ * `code` is always `validation_error`; import errors carry the CSV `row`.
+ */
+export class GuestError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'GuestError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function has(body, field) {
+  return Object.prototype.hasOwnProperty.call(body, field);
+}
+
+function optionalText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Validate a guest's fields. New guests need a name; everything else is
+ * optional and blank values are stored as null. With `partial`, only the
+ * fields present are checked.
+ * @param {object} body
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ errors: Array<{field:string, message:string}>, normalized: object }}
+ */
+export function validateGuestFields(body, { partial = false } = {}) {
+  const errors = [];
+  const normalized = {};
+  const payload = body && typeof body === 'object' ? body : {};
+
+  if (!partial || has(payload, 'name')) {
+    const name = typeof payload.name === 'string' ? payload.name.trim() : '';
+    if (!name) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (name.length > MAX_GUEST_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be at most ${MAX_GUEST_NAME_LENGTH} characters` });
+    } else {
+      normalized.name = name;
+    }
+  }
+
+  if (!partial || has(payload, 'email')) {
+    const email = optionalText(payload.email);
+    if (email === null) {
+      errors.push({ field: 'email', message: 'Email must be a string' });
+    } else if (email && !EMAIL_PATTERN.test(normalizeEmail(email))) {
+      errors.push({ field: 'email', message: 'Email must be a valid address' });
+    } else {
+      normalized.email = email ? normalizeEmail(email) : null;
+    }
+  }
+
+  if (!partial || has(payload, 'phone')) {
+    const phone = optionalText(payload.phone);
+    if (phone === null) {
+      errors.push({ field: 'phone', message: 'Phone must be a string' });
+    } else if (phone && (!PHONE_PATTERN.test(phone) || phone.replace(/\D/g, '').length < 5)) {
+      errors.push({ field: 'phone', message: 'Phone must be a valid phone number' });
+    } else {
+      normalized.phone = phone || null;
+    }
+  }
+
+  if (!partial || has(payload, 'household')) {
+    const household = optionalText(payload.household);
+    if (household === null) {
+      errors.push({ field: 'household', message: 'Household must be a string' });
+    } else if (household.length > MAX_HOUSEHOLD_LENGTH) {
+      errors.push({ field: 'household', message: `Household must be at most ${MAX_HOUSEHOLD_LENGTH} characters` });
+    } else {
+      normalized.household = household || null;
+    }
+  }
+
+  return { errors, normalized };
+}
+
+/**
+ * The host's view of a guest, with their personal token and RSVP, if any.
+ * @param {object} guest a guest as returned by {@link listGuests}
+ */
+export function toPublicGuest(guest) {
+  return {
+    id: guest.id,
+    designId: guest.designId,
+    name: guest.name,
+    email: guest.email,
+    phone: guest.phone,
+    household: guest.household,
+    token: shareTokenFor(guest),
+    rsvp: guest.rsvp
+      ? { id: guest.rsvp.id, attending: guest.rsvp.attending, partySize: guest.rsvp.partySize }
+      : null,
+    createdAt: guest.createdAt,
+    updatedAt: guest.updatedAt
+  };
+}
+
+/**
+ * What a guest opening their personal link is greeted with, used to pre-fill
+ * the RSVP form.
+ * @param {object} guest
+ */
+export function toInvitedGuest(guest) {
+  return { name: guest.name, email: guest.email ?? '', household: guest.household };
+}
+
+function newGuestRecord(designId, fields, now) {
+  return {
+    id: `gst_${randomBytes(12).toString('base64url')}`,
+    designId: String(designId),
+    name: fields.name,
+    email: fields.email ?? null,
+    phone: fields.phone ?? null,
+    household: fields.household ?? null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+function byName(a, b) {
+  return a.name.localeCompare(b.name) || a.id.localeCompare(b.id);
+}
+
+/**
+ * A design's guests sorted by name, each with the RSVP they sent through
+ * their personal link (or null).
+ * @param {string} designId
+ * @returns {Promise<object[]>}
+ */
+export async function listGuests(designId) {
+  const [guests, rsvps] = await Promise.all([
+    getRepository().guests.listByDesign(String(designId)),
+    listRsvps(designId)
+  ]);
+  const rsvpByGuest = new Map(rsvps.filter((rsvp) => rsvp.guestId).map((rsvp) => [rsvp.guestId, rsvp]));
+  return guests.map((guest) => ({ ...guest, rsvp: rsvpByGuest.get(guest.id) ?? null })).sort(byName);
+}
+
+async function getDesignGuest(designId, guestId) {
+  const guest = await getRepository().guests.get(String(guestId));
+  return guest && guest.designId === String(designId) ? guest : null;
+}
+
+async function assertEmailAvailable(designId, email, exceptId = null) {
+  if (!email) return;
+  const guests = await getRepository().guests.listByDesign(String(designId));
+  if (guests.some((guest) => guest.email === email && guest.id !== exceptId)) {
+    throw new GuestError('validation_error', 'Validation failed', [
+      { field: 'email', message: 'Email is already on the guest list' }
+    ]);
+  }
+}
+
+/**
+ * Add one guest to a design's list.
+ * @param {string} designId
+ * @param {object} body `{ name, email?, phone?, household? }`
+ * @returns {Promise<object>} the stored guest
+ * @throws {GuestError} on invalid input or an email already on the list
+ */
+export async function addGuest(designId, body) {
+  const { errors, normalized } = validateGuestFields(body);
+  if (errors.length) {
+    throw new GuestError('validation_error', 'Validation failed', errors);
+  }
+  await assertEmailAvailable(designId, normalized.email);
+  const [guest] = await getRepository().guests.createMany([
+    newGuestRecord(designId, normalized, new Date().toISOString())
+  ]);
+  return guest;
+}
+
+/**
+ * Edit a guest. Their token does not change.
+ * @param {string} designId
+ * @param {string} guestId
+ * @param {object} body any of `{ name, email, phone, household }`
+ * @returns {Promise<object|null>} null when the guest is not on the design's list
+ * @throws {GuestError} on invalid input or an email already on the list
+ */
+export async function updateGuest(designId, guestId, body) {
+  const { errors, normalized } = validateGuestFields(body, { partial: true });
+  if (!errors.length && Object.keys(normalized).length === 0) {
+    errors.push({ field: '*', message: 'No updatable fields provided' });
+  }
+  if (errors.length) {
+    throw new GuestError('validation_error', 'Validation failed', errors);
+  }
+  const existing = await getDesignGuest(designId, guestId);
+  if (!existing) {
+    return null;
+  }
+  await assertEmailAvailable(designId, normalized.email, existing.id);
+  return getRepository().guests.save({ ...existing, ...normalized, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Remove a guest, which also disables their personal link. An RSVP they
+ * already sent is kept.
+ * @param {string} designId
+ * @param {string} guestId
+ * @returns {Promise<boolean>} false when the guest is not on the design's list
+ */
+export async function deleteGuest(designId, guestId) {
+  if (!(await getDesignGuest(designId, guestId))) {
+    return false;
+  }
+  return getRepository().guests.remove(String(guestId));
+}
+
+function normalizeHeader(value) {
+  return String(value).trim().toLowerCase();
+}
+
+// Column index for each guest field, from the explicit mapping (field ->
+// header) or else the header aliases.
+function resolveColumns(header, mapping, errors) {
+  const headers = header.map(normalizeHeader);
+  const columns = {};
+  for (const field of GUEST_FIELDS) {
+    const mapped = mapping[field];
+    if (mapped !== undefined && mapped !== null && mapped !== '') {
+      const index = headers.indexOf(normalizeHeader(mapped));
+      if (index === -1) {
+        errors.push({ row: 1, field, message: `Column "${mapped}" was not found in the header row` });
+      } else {
+        columns[field] = index;
+      }
+      continue;
+    }
+    const index = headers.findIndex((name) => HEADER_ALIASES[field].includes(name));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+  if (columns.name === undefined && !errors.some((error) => error.field === 'name')) {
+    errors.push({ row: 1, field: 'name', message: 'The header row needs a name column, or map one' });
+  }
+  return columns;
+}
+
+function validateMapping(mapping) {
+  if (mapping === undefined || mapping === null) return [];
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return [{ field: 'mapping', message: 'mapping must be an object of guest field to column header' }];
+  }
+  const errors = [];
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!GUEST_FIELDS.includes(field)) {
+      errors.push({ field: 'mapping', message: `Unknown guest field "${field}"; use ${GUEST_FIELDS.join(', ')}` });
+    } else if (header !== null && typeof header !== 'string') {
+      errors.push({ field: `mapping.${field}`, message: 'Column headers must be strings' });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Import guests from CSV text. The first row is the header; `mapping` names
+ * the header of each guest field where the defaults (`name`, `email`,
+ * `phone`, `household` and common synonyms) do not match. Imports are all
+ * or nothing: if any row is invalid nothing is stored and every problem is
+ * reported with its CSV row number (the header is row 1).
+ * @param {string} designId
+ * @param {{ csv: string, mapping?: Record<string, string> }} body
+ * @returns {Promise<object[]>} the guests created
+ * @throws {GuestError} listing `{ row?, field, message }` details
+ */
+export async function importGuestsCsv(designId, body) {
+  const payload = body && typeof body === 'object' ? body : {};
+  const requestErrors = validateMapping(payload.mapping);
+  if (typeof payload.csv !== 'string' || !payload.csv.trim()) {
+    requestErrors.unshift({ field: 'csv', message: 'csv must be a non-empty string' });
+  }
+  if (requestErrors.length) {
+    throw new GuestError('validation_error', 'Validation failed', requestErrors);
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(payload.csv).filter((row) => row.fields.some((value) => value.trim() !== ''));
+  } catch (err) {
+    if (!(err instanceof CsvParseError)) throw err;
+    throw new GuestError('validation_error', 'Invalid CSV', [{ row: err.line, field: 'csv', message: err.message }]);
+  }
+
+  const [header, ...records] = rows;
+  const errors = [];
+  if (!records.length) {
+    throw new GuestError('validation_error', 'Invalid CSV', [{ field: 'csv', message: 'The CSV has no guest rows' }]);
+  }
+  if (records.length > MAX_GUEST_IMPORT_ROWS) {
+    throw new GuestError('validation_error', 'Invalid CSV', [
+      { field: 'csv', message: `Import at most ${MAX_GUEST_IMPORT_ROWS} guests at a time` }
+    ]);
+  }
+  const columns = resolveColumns(header.fields, payload.mapping ?? {}, errors);
+  if (errors.length) {
+    throw new GuestError('validation_error', 'Invalid CSV', errors);
+  }
+
+  const existing = await getRepository().guests.listByDesign(String(designId));
+  const seenEmails = new Map(existing.filter((guest) => guest.email).map((guest) => [guest.email, null]));
+  const now = new Date().toISOString();
+  const guests = [];
+  for (const { line, fields } of records) {
+    const values = Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [field, fields[index] ?? ''])
+    );
+    const { errors: rowErrors, normalized } = validateGuestFields(values);
+    if (normalized.email && seenEmails.has(normalized.email)) {
+      const firstRow = seenEmails.get(normalized.email);
+      rowErrors.push({
+        field: 'email',
+        message: firstRow ? `Email is repeated from row ${firstRow}` : 'Email is already on the guest list'
+      });
+    } else if (normalized.email) {
+      seenEmails.set(normalized.email, line);
+    }
+    errors.push(...rowErrors.map((error) => ({ row: line, ...error })));
+    guests.push(newGuestRecord(designId, normalized, now));
+  }
+  if (errors.length) {
+    throw new GuestError('validation_error', 'Some rows could not be imported', errors);
+  }
+  return getRepository().guests.createMany(guests);
+}
+
+/**
+ * The design's guest list as CSV, with each guest's RSVP and the path of
+ * their personal invitation (`/share/<token>`).
+ * @param {string} designId
+ * @returns {Promise<string>}
+ */
+export async function exportGuestsCsv(designId) {
+  const guests = await listGuests(designId);
+  return formatCsv([
+    EXPORT_COLUMNS,
+    ...guests.map((guest) => [
+      guest.name,
+      guest.email,
+      guest.phone,
+      guest.household,
+      guest.rsvp?.attending ?? '',
+      guest.rsvp ? guest.rsvp.partySize : '',
+      `/share/${encodeURIComponent(shareTokenFor(guest))}`
+    ])
+  ]);
+}
@@ -0,0 +1,237 @@
+// server/idempotency.js
+// Idempotency-Key support for mutating routes.
+//
+// A client that may retry a POST sends the same `Idempotency-Key` header on
+// every attempt. The first request runs normally and its response is stored
+// for a time window; later requests with the same key (from the same user, to
+// the same path) get that stored response back instead of repeating the
+// write. Keys live in a store exposing `begin`, `complete` and `release`; the
+// in-memory store below is the default and any async store with the same
+// methods can be swapped in, as with the rate limiter.
+
+import { createHash } from 'node:crypto';
+import { logEvent, REQUEST_ID_HEADER } from './request-log.js';
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENCY_REPLAYED_HEADER = 'Idempotent-Replayed';
+export const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// A request that never finishes (client gone, process crash) only blocks its
+// key for this long.
+const IN_FLIGHT_TTL_MS = 60_000;
+const SWEEP_INTERVAL_MS = 60_000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Headers about the connection or the request being answered rather than the
+// response itself. They are not stored, so a replay carries its own.
+const UNSTORED_HEADERS = new Set([
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'content-length',
+  'date',
+  'set-cookie',
+  REQUEST_ID_HEADER.toLowerCase()
+]);
+
+/**
+ * @typedef {object} StoredResponse
+ * @property {number} status
+ * @property {Record<string, string>} headers
+ * @property {string} body
+ */
+
+/**
+ * @typedef {object} IdempotencyRecord
+ * @property {'in_flight'|'completed'} state
+ * @property {string} fingerprint hash of the request body
+ * @property {StoredResponse|null} response
+ */
+
+/**
+ * In-process key store. Expired keys are swept periodically.
+ */
+export function createMemoryIdempotencyStore() {
+  const records = new Map();
+  let lastSweep = 0;
+
+  function sweep(now) {
+    for (const [key, record] of records) {
+      if (now >= record.expiresAt) {
+        records.delete(key);
+      }
+    }
+    lastSweep = now;
+  }
+
+  return {
+    /**
+     * Claim a key. Returns the existing record when the key is already in
+     * use, or null after marking it in flight for this caller.
+     * @returns {Promise<IdempotencyRecord|null>}
+     */
+    async begin(key, fingerprint, now = Date.now()) {
+      if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+        sweep(now);
+      }
+      const existing = records.get(key);
+      if (existing && now < existing.expiresAt) {
+        return { state: existing.state, fingerprint: existing.fingerprint, response: existing.response };
+      }
+      records.set(key, { state: 'in_flight', fingerprint, response: null, expiresAt: now + IN_FLIGHT_TTL_MS });
+      return null;
+    },
+    async complete(key, response, ttlSeconds, now = Date.now()) {
+      const existing = records.get(key);
+      if (!existing) return;
+      records.set(key, { ...existing, state: 'completed', response, expiresAt: now + ttlSeconds * 1000 });
+    },
+    async release(key) {
+      records.delete(key);
+    },
+    async reset() {
+      records.clear();
+    }
+  };
+}
+
+function respondIdempotencyError(res, status, type, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { type, message } }));
+}
+
+function fingerprintBody(body) {
+  return createHash('sha256')
+    .update(JSON.stringify(body ?? null))
+    .digest('base64url');
+}
+
+function headerEntries(headers) {
+  if (Array.isArray(headers)) {
+    const entries = [];
+    for (let index = 0; index + 1 < headers.length; index += 2) entries.push([headers[index], headers[index + 1]]);
+    return entries;
+  }
+  return Object.entries(headers);
+}
+
+// Record the status, headers and body the handler writes so they can be
+// replayed verbatim. Header names are stored lower-cased.
+function captureResponse(res, onFinish) {
+  const originalWriteHead = res.writeHead;
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  const chunks = [];
+  let writtenHeaders = [];
+
+  const collect = (chunk, encoding) => {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') return;
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8'));
+  };
+
+  res.writeHead = function writeHead(status, ...rest) {
+    const headers = rest.find((arg) => arg && typeof arg === 'object');
+    if (headers) writtenHeaders = headerEntries(headers);
+    return originalWriteHead.call(this, status, ...rest);
+  };
+  res.write = function write(chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return originalWrite.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function end(chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    const result = originalEnd.call(this, chunk, encoding, ...rest);
+    const headers = {};
+    for (const [name, value] of [...Object.entries(res.getHeaders()), ...writtenHeaders]) {
+      const lower = name.toLowerCase();
+      if (value === undefined || UNSTORED_HEADERS.has(lower)) continue;
+      headers[lower] = Array.isArray(value) ? value.map(String) : String(value);
+    }
+    onFinish({
+      status: res.statusCode,
+      headers,
+      body: Buffer.concat(chunks).toString('utf8')
+    });
+    return result;
+  };
+}
+
+/**
+ * Create route middleware that honours the Idempotency-Key header. Place it
+ * after authentication and body parsing so keys are scoped per user and
+ * compared against the parsed body. Requests without the header pass through.
+ * @param {{
+ *   store?: ReturnType<typeof createMemoryIdempotencyStore>,
+ *   ttlSeconds?: number
+ * }} [options]
+ */
+export function createIdempotency({ store = createMemoryIdempotencyStore(), ttlSeconds = DEFAULT_IDEMPOTENCY_TTL_SECONDS } = {}) {
+  async function middleware(req, res, ctx) {
+    const rawKey = req.headers['idempotency-key'];
+    if (rawKey === undefined) return true;
+
+    const key = String(rawKey).trim();
+    if (!KEY_PATTERN.test(key)) {
+      respondIdempotencyError(
+        res,
+        422,
+        'validation_error',
+        'Idempotency-Key must be 1-255 visible ASCII characters'
+      );
+      return false;
+    }
+
+    const scopedKey = [ctx.user?.id ?? 'anonymous', req.method, ctx.url.pathname, key].join(' ');
+    const fingerprint = fingerprintBody(ctx.body);
+    const existing = await store.begin(scopedKey, fingerprint);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        respondIdempotencyError(
+          res,
+          422,
+          'validation_error',
+          'Idempotency-Key was already used with a different request body'
+        );
+        return false;
+      }
+      if (existing.state !== 'completed') {
+        respondIdempotencyError(
+          res,
+          409,
+          'conflict_error',
+          'A request with this Idempotency-Key is still in progress'
+        );
+        return false;
+      }
+      // Headers this request already set, such as its own RateLimit-* values,
+      // take precedence over the stored ones.
+      const { status, headers, body } = existing.response;
+      for (const [name, value] of Object.entries(headers)) {
+        if (!res.hasHeader(name)) res.setHeader(name, value);
+      }
+      res.writeHead(status, { [IDEMPOTENCY_REPLAYED_HEADER]: 'true' });
+      res.end(body);
+      return false;
+    }
+
+    // Server errors are not stored so the client's retry runs the handler again.
+    captureResponse(res, (response) => {
+      const settle =
+        response.status >= 500 ? store.release(scopedKey) : store.complete(scopedKey, response, ttlSeconds);
+      Promise.resolve(settle).catch((err) => {
+        logEvent({ level: 'error', msg: 'idempotency store error', error: err?.message || String(err) });
+      });
+    });
+    return true;
+  }
+
+  return { middleware, store };
+}
+
+export default createIdempotency;
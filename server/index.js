@@ -3,15 +3,95 @@
 
 import 'dotenv/config';
 import http from 'node:http';
-import { createHmac, randomUUID } from 'node:crypto';
-import { authenticate, authorizeRoles, DEFAULT_USER_ROLE } from './auth.js';
-import { getDesignsByUser, getDesignById, getMarketplaceDesigns, withDesignOwnership } from './designs-store.js';
-import { userTokens, userPurchases, categories, designs, designOwners } from './database.js';
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { authenticate, authorizeRoles, getCookie, ACCESS_TOKEN_TTL_SECONDS } from './auth.js';
+import {
+  getDesignsByUser,
+  getDesignById,
+  getMarketplaceDesigns,
+  withDesignOwnership,
+  createDesign,
+  updateDesign,
+  deleteDesign,
+  getDesignRecord,
+  listDesignRecords,
+  insertDesignRecord,
+  saveDesignRecord,
+  getDesignOwnership,
+  listDesignOwnerships,
+  assignDesignOwner
+} from './designs-store.js';
+import { listCategories, saveCategory, updateCategory, deleteCategory, CategoryError } from './categories-store.js';
+import { AuditError, auditDesignState, listAuditEntries, recordAuditEntry } from './audit-log-store.js';
+import {
+  snapshotDesign,
+  toVersionSummary,
+  recordDesignVersion,
+  listDesignVersions,
+  getDesignVersion,
+  restoreDesignVersion,
+  diffDesignSnapshots
+} from './design-versions-store.js';
+import {
+  MAX_SHARE_LINK_DAYS,
+  toPublicShareLink,
+  toSharedDesign,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  resolveShareToken
+} from './share-links-store.js';
+import {
+  RsvpError,
+  toPublicRsvp,
+  toGuestRsvp,
+  summarizeRsvps,
+  submitRsvp,
+  listRsvps,
+  updateRsvp,
+  deleteRsvp
+} from './rsvps-store.js';
+import {
+  GuestError,
+  toPublicGuest,
+  toInvitedGuest,
+  listGuests,
+  addGuest,
+  updateGuest,
+  deleteGuest,
+  importGuestsCsv,
+  exportGuestsCsv
+} from './guests-store.js';
+import { createMailerFromConfig } from './mailer.js';
+import { buildEventCalendar, validateDesignEvent } from './design-event.js';
+import {
+  DeliveryError,
+  toPublicDelivery,
+  queueInvitationSends,
+  listDeliveries
+} from './invitation-deliveries-store.js';
+import {
+  initializeTokenAccount,
+  getTokenBalance,
+  creditTokens,
+  debitTokens,
+  getLedgerEntries,
+  getDesignTokenCost,
+  purchaseDesign,
+  getDesignPurchases,
+  recordTokenPurchase
+} from './tokens-store.js';
+import { createRepositoryFromConfig, setRepository } from './repositories/index.js';
 import {
-  recordView,
   recordConversion,
+  recordPurchaseCompleted,
+  ingestEvents,
+  validateEventBatch,
   getPopularDesigns,
-  getConversionRates
+  getConversionRates,
+  getTimeseries,
+  getFunnel,
+  AnalyticsError
 } from './analytics-store.js';
 import {
   addWebmFile,
@@ -21,50 +101,157 @@ import {
   updateWebmFile
 } from './webm-store.js';
 import { getNavigationState, saveNavigationState } from './navigation-state-store.js';
-import { isAdminRole, resolveMarketplaceRole, MARKETPLACE_ROLES } from '../shared/marketplace.js';
+import { createRouter } from './router.js';
+import { createRateLimiter, rateLimitHeaders } from './rate-limit.js';
+import { instrumentRequest, logEvent } from './request-log.js';
+import { createIdempotency } from './idempotency.js';
+import {
+  TOKEN_PACKS,
+  getTokenPack,
+  createPaymentProviderFromConfig,
+  PaymentWebhookError
+} from './payments.js';
+import {
+  createCheckoutSession,
+  getCheckoutSession,
+  applyPaymentEvent,
+  toPublicCheckoutSession
+} from './checkout-store.js';
+import {
+  metrics,
+  designPurchasesTotal,
+  tokenPurchasesTotal,
+  tokensPurchasedTotal,
+  userRegistrationsTotal,
+  webmUploadsTotal
+} from './metrics.js';
+import {
+  registerUser,
+  authenticateCredentials,
+  getUserById,
+  seedAdminUser,
+  listUsers,
+  changeUserRole,
+  setUserSuspended,
+  toPublicUser,
+  toAdminUser,
+  UserAccountError
+} from './users-store.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  findSessionByRefreshToken,
+  SessionError,
+  REFRESH_TOKEN_TTL_SECONDS
+} from './sessions-store.js';
+import { isAdminRole, resolveMarketplaceRole, MARKETPLACE_ROLES, parseMarketplaceFacets } from '../shared/marketplace.js';
 
 const port = process.env.PORT || 3001;
 
-const RATE_LIMIT_WINDOW_MS = 60_000;
-const RATE_LIMIT_MAX = 100;
-const requests = new Map();
-
-function purgeStaleRequests(now) {
-  for (const [key, entry] of requests) {
-    if (now - entry.start >= RATE_LIMIT_WINDOW_MS) {
-      requests.delete(key);
+setRepository(await createRepositoryFromConfig());
+await seedAdminUser();
+
+const AUTH_RATE_LIMITED_PATHS = new Set(
+  ['login', 'register', 'refresh'].flatMap((path) => [`/auth/${path}`, `/api/auth/${path}`])
+);
+
+// Checked in order; the first matching group applies.
+const RATE_LIMIT_GROUPS = [
+  {
+    name: 'auth',
+    match: (pathname) => AUTH_RATE_LIMITED_PATHS.has(pathname),
+    keyBy: 'ip',
+    capacity: 10,
+    refillPerMinute: 5
+  },
+  {
+    name: 'admin',
+    match: (pathname) => pathname.startsWith('/api/admin/'),
+    keyBy: 'user',
+    capacity: 60,
+    refillPerMinute: 60
+  },
+  {
+    // Guests opening share links have no account to key on.
+    name: 'share',
+    match: (pathname) => pathname.startsWith('/api/share/'),
+    keyBy: 'ip',
+    capacity: 60,
+    refillPerMinute: 60
+  },
+  { name: 'default', keyBy: 'user', capacity: 100, refillPerMinute: 100 }
+];
+
+const rateLimiter = createRateLimiter({ groups: RATE_LIMIT_GROUPS });
+
+// Retried POSTs that carry an Idempotency-Key replay the first response.
+const idempotency = createIdempotency();
+const idempotent = idempotency.middleware;
+
+// Null in production until PAYMENT_PROVIDER is configured.
+const paymentProvider = createPaymentProviderFromConfig();
+
+// Null in production until MAIL_TRANSPORT is configured.
+const mailer = createMailerFromConfig();
+
+// Links in emails and calendar files point at the frontend. APP_BASE_URL is
+// required in production; elsewhere it defaults to the Next.js dev server.
+// Request headers are never used, since callers control them.
+function parseAppBaseUrl(config = process.env) {
+  const configured = String(config.APP_BASE_URL || '').trim();
+  if (!configured) {
+    if (config.NODE_ENV === 'production') {
+      throw new Error('APP_BASE_URL environment variable must be set');
     }
+    return new URL('http://localhost:3000');
+  }
+  let url;
+  try {
+    url = new URL(configured);
+  } catch (err) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol) || !url.hostname) {
+    throw new Error(`APP_BASE_URL must be an http(s) URL, got: ${configured}`);
+  }
+  return url;
+}
+
+const appBaseUrl = parseAppBaseUrl();
+
+function resolveRequestUserId(req) {
+  try {
+    return authenticate(req).id;
+  } catch (err) {
+    return null;
   }
 }
 
-function rateLimit(req, res) {
-  const ip = req.socket.remoteAddress;
-  const now = Date.now();
-  let entry = requests.get(ip);
-  if (!entry || now - entry.start >= RATE_LIMIT_WINDOW_MS) {
-    purgeStaleRequests(now);
-    entry = { count: 0, start: now };
-  }
-  entry.count += 1;
-  requests.set(ip, entry);
-  if (entry.count > RATE_LIMIT_MAX) {
-    res.writeHead(429, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Too many requests' }));
+async function rateLimit(req, res, userId) {
+  const decision = await rateLimiter.check({
+    pathname: new URL(req.url, 'http://localhost').pathname,
+    userId,
+    ip: req.socket.remoteAddress
+  });
+  if (!decision) return false;
+
+  for (const [name, value] of Object.entries(rateLimitHeaders(decision))) {
+    res.setHeader(name, value);
+  }
+  if (!decision.allowed) {
+    respondError(res, 429, 'rate_limit_error', 'Too many requests');
     return true;
   }
   return false;
 }
 
 const forbidden = ['admin', 'administrator', 'root', 'superuser'];
-const users = new Map();
-let nextUserId = 1;
-
-function getStoredUser(userId) {
-  return users.get(String(userId));
-}
 
-function isStoredAdminUser(userId) {
-  const record = getStoredUser(userId);
+async function isStoredAdminUser(userId) {
+  const record = await getUserById(userId);
   return Boolean(record && isAdminRole(record.role));
 }
 
@@ -100,6 +287,16 @@ function readBody(req) {
   });
 }
 
+// Webhook signatures cover the exact bytes sent, so the body is kept as text.
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
 const secretFromEnv = process.env.JWT_SECRET;
 if (typeof secretFromEnv !== 'string' || secretFromEnv.length === 0) {
   throw new Error('JWT_SECRET environment variable must be set');
@@ -128,16 +325,25 @@ function getAuthenticatedUser(req, res) {
   }
 }
 
-function userOwnsDesign(user, designId) {
+// Buyers own a design as much as its creator does, except that only the
+// creator may delete it (`includePurchases: false`).
+async function userOwnsDesign(user, designId, { includePurchases = true } = {}) {
   if (isAdminRole(user.role)) {
     return true;
   }
-  const ownership = designOwners.get(String(designId));
-  return Boolean(ownership && ownership.userId === user.id);
+  const ownership = await getDesignOwnership(designId);
+  if (ownership && ownership.userId === user.id) {
+    return true;
+  }
+  if (!includePurchases) {
+    return false;
+  }
+  const purchases = await getDesignPurchases(user.id);
+  return purchases.some((purchase) => purchase.designId === String(designId));
 }
 
-function ensureDesignAccess(res, user, designId) {
-  if (userOwnsDesign(user, designId)) {
+async function ensureDesignAccess(res, user, designId, options) {
+  if (await userOwnsDesign(user, designId, options)) {
     return true;
   }
   respondError(res, 403, 'authorization_error', AUTH_ERROR_MESSAGE);
@@ -261,29 +467,107 @@ function validateAdminDesignPayload(body, { requireAllFields = false, allowOwner
   return { errors, normalized };
 }
 
-function assignDesignOwnerRecord(designId, ownerId, timestamp) {
-  const key = String(designId);
-  const record = designOwners.get(key);
-  const userId = ownerId === undefined ? record?.userId ?? null : ownerId;
-  if (record) {
-    designOwners.set(key, {
-      ...record,
-      userId,
-      updatedAt: timestamp
-    });
-  } else {
-    designOwners.set(key, {
-      designId: key,
-      userId,
-      createdAt: timestamp,
-      updatedAt: timestamp
-    });
+const MAX_DESIGN_SLIDES = 50;
+
+function validateSlides(slides) {
+  if (!Array.isArray(slides)) {
+    return 'slides must be an array';
+  }
+  if (slides.length > MAX_DESIGN_SLIDES) {
+    return `slides cannot contain more than ${MAX_DESIGN_SLIDES} entries`;
+  }
+  for (const slide of slides) {
+    if (typeof slide !== 'object' || slide === null || Array.isArray(slide)) {
+      return 'each slide must be an object';
+    }
+    if (slide.id !== undefined && typeof slide.id !== 'string') {
+      return 'slide id must be a string';
+    }
+    if (slide.elements !== undefined && !Array.isArray(slide.elements)) {
+      return 'slide elements must be an array';
+    }
+  }
+  return '';
+}
+
+function validateOwnerDesignPayload(body, { requireAllFields = false } = {}) {
+  const errors = [];
+  const normalized = {};
+
+  const shouldValidate = (field) => requireAllFields || Object.prototype.hasOwnProperty.call(body, field);
+
+  if (shouldValidate('title')) {
+    const title = normalizeString(body.title);
+    if (!title) {
+      errors.push({ field: 'title', message: 'Title is required' });
+    } else {
+      normalized.title = title;
+    }
+  }
+
+  if (shouldValidate('slides')) {
+    if (body.slides === undefined || body.slides === null) {
+      normalized.slides = [];
+    } else {
+      const slidesError = validateSlides(body.slides);
+      if (slidesError) {
+        errors.push({ field: 'slides', message: slidesError });
+      } else {
+        normalized.slides = cloneSlides(body.slides);
+      }
+    }
+  }
+
+  if (shouldValidate('thumbnailUrl')) {
+    if (body.thumbnailUrl === undefined || body.thumbnailUrl === null) {
+      normalized.thumbnailUrl = '';
+    } else if (typeof body.thumbnailUrl === 'string') {
+      normalized.thumbnailUrl = body.thumbnailUrl.trim();
+    } else {
+      errors.push({ field: 'thumbnailUrl', message: 'thumbnailUrl must be a string' });
+    }
+  }
+
+  if (shouldValidate('tags')) {
+    if (body.tags === undefined || body.tags === null) {
+      normalized.tags = [];
+    } else if (!Array.isArray(body.tags)) {
+      errors.push({ field: 'tags', message: 'tags must be an array' });
+    } else {
+      normalized.tags = cloneTags(body.tags);
+    }
+  }
+
+  if (shouldValidate('category')) {
+    const category = body.category === undefined || body.category === null ? '' : normalizeString(body.category);
+    if (category && !/^[\w-]+$/.test(category)) {
+      errors.push({ field: 'category', message: 'Invalid category' });
+    } else {
+      normalized.category = category;
+    }
   }
+
+  // Optional even on PUT: a full save from an older client keeps the event.
+  if (Object.prototype.hasOwnProperty.call(body, 'event')) {
+    const { errors: eventErrors, event } = validateDesignEvent(body.event);
+    if (eventErrors.length > 0) {
+      errors.push(...eventErrors);
+    } else {
+      normalized.event = event;
+    }
+  }
+
+  for (const field of ['ownerId', 'status', 'price', 'isAdminTemplate', 'managedByAdminId']) {
+    if (Object.prototype.hasOwnProperty.call(body, field)) {
+      errors.push({ field, message: `${field} cannot be modified` });
+    }
+  }
+
+  return { errors, normalized };
 }
 
-function shapeAdminDesign(design) {
+function shapeAdminDesign(design, ownership) {
   if (!design) return null;
-  const ownership = designOwners.get(String(design.id));
   const ownerId = ownership ? ownership.userId ?? null : null;
   const slides = Array.isArray(design.slides) ? cloneSlides(design.slides) : [];
   const tags = Array.isArray(design.tags) ? [...design.tags] : [];
@@ -301,14 +585,73 @@ function shapeAdminDesign(design) {
   };
 }
 
-function getAdminDesignId(req) {
-  const path = req.url.split('?')[0];
-  const segments = path.split('/').filter(Boolean);
-  if (segments.length === 4 && segments[0] === 'api' && segments[1] === 'admin' && segments[2] === 'designs') {
-    const rawId = decodeURIComponent(segments[3]);
-    return rawId.trim();
+// View counts change on every marketplace visit, so they are left out of the
+// tag; `userId` is the ownership attached to API responses.
+const ETAG_EXCLUDED_FIELDS = new Set(['views', 'userId']);
+
+/**
+ * Strong entity tag for a stored design: a hash of everything a write can
+ * change.
+ * @param {object} design
+ * @returns {string}
+ */
+function designETag(design) {
+  const fields = Object.keys(design)
+    .filter((key) => !ETAG_EXCLUDED_FIELDS.has(key) && design[key] != null)
+    .sort()
+    .map((key) => [key, design[key]]);
+  const digest = createHash('sha256').update(JSON.stringify(fields)).digest('base64url');
+  return `"${digest.slice(0, 27)}"`;
+}
+
+function matchesIfMatch(header, etag) {
+  return String(header)
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || tag === etag);
+}
+
+/**
+ * Enforce `If-Match` on a design write. A stale tag gets `412` with the
+ * design as currently stored, its ETag and latest version number, so the
+ * client can reload or deliberately overwrite (`If-Match: *`). Requests
+ * without `If-Match` fall back to the older `If-Unmodified-Since` check.
+ * With `required`, a request carrying neither header gets `428` and the same
+ * body; the owner routes require one, while admin routes still accept
+ * unconditional writes from the bulk tools, which send neither.
+ */
+async function checkDesignPreconditions(req, res, design, { required = false } = {}) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch === undefined) {
+    if (required && !req.headers['if-unmodified-since']) {
+      await respondDesignPrecondition(res, design, 428, {
+        type: 'precondition_required',
+        message: 'Send If-Match with the design ETag to change this design'
+      });
+      return false;
+    }
+    return checkIfUnmodifiedSince(req, res, design);
   }
-  return '';
+  if (matchesIfMatch(ifMatch, designETag(design))) {
+    return true;
+  }
+  await respondDesignPrecondition(res, design, 412, {
+    type: 'precondition_failed',
+    message: 'Design was modified by another request'
+  });
+  return false;
+}
+
+async function respondDesignPrecondition(res, design, statusCode, error) {
+  const etag = designETag(design);
+  const versions = await listDesignVersions(design.id);
+  res.setHeader('ETag', etag);
+  respondJson(res, statusCode, {
+    error,
+    etag,
+    version: versions.at(-1)?.version ?? null,
+    design: await withDesignOwnership(design)
+  });
 }
 
 function checkIfUnmodifiedSince(req, res, design) {
@@ -387,44 +730,6 @@ async function parseJsonBody(req, res) {
   }
 }
 
-function getRequestUrl(req) {
-  const hostHeader = req.headers?.host;
-  const base = hostHeader ? `http://${hostHeader}` : 'http://localhost';
-  return new URL(req.url, base);
-}
-
-function getWebmIdFromRequest(req) {
-  const urlObj = getRequestUrl(req);
-  const rawId = decodeURIComponent(urlObj.pathname.slice('/api/webm/'.length));
-  const trimmed = rawId.trim();
-  return trimmed || '';
-}
-
-function ensureWebmId(req, res) {
-  const webmId = getWebmIdFromRequest(req);
-  if (!webmId) {
-    respondError(res, 404, 'not_found', 'WebM asset not found');
-    return '';
-  }
-  return webmId;
-}
-
-function getDesignIdForWebmListing(req) {
-  const urlObj = getRequestUrl(req);
-  const segments = urlObj.pathname.split('/').filter(Boolean);
-  if (
-    segments.length === 4 &&
-    segments[0] === 'api' &&
-    segments[1] === 'designs' &&
-    segments[3] === 'webm'
-  ) {
-    const decoded = decodeURIComponent(segments[2]);
-    const trimmed = decoded.trim();
-    return trimmed || '';
-  }
-  return '';
-}
-
 function signJwt(payload) {
   const header = { alg: 'HS256', typ: 'JWT' };
   const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
@@ -434,967 +739,1809 @@ function signJwt(payload) {
   return `${data}.${sigB64}`;
 }
 
-const server = http.createServer(async (req, res) => {
-  console.log(`${req.method} ${req.url}`);
-  if (rateLimit(req, res)) return;
-  try {
-    // Simple auth endpoints for local development
-    if (req.method === 'POST' && (req.url === '/auth/login' || req.url === '/api/auth/login')) {
-      const body = await readBody(req);
-      const email = String(body.email || '').trim();
-      const password = String(body.password || '').trim();
-      if (!email || !password) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Email and password required' }));
-        return;
-      }
-      // Create or re-use a demo user based on the email
-      let userRecord = Array.from(users.values()).find(u => u.username === email);
-      if (!userRecord) {
-        const id = String(nextUserId++);
-        userRecord = { id, username: email, role: DEFAULT_USER_ROLE };
-        users.set(id, userRecord);
-        userTokens.set(id, 5);
-        userPurchases.set(id, []);
-
-        // Temporary admin user setup for local development
-        if (email === 'admin@test.com') {
-          userRecord.role = 'admin';
-        }
-      }
-      const storedRole =
-        userRecord && typeof userRecord.role === 'string' ? userRecord.role.trim() : '';
-      const payload = {
-        sub: userRecord.id,
-        email,
-        role: storedRole || DEFAULT_USER_ROLE,
-        exp: Math.floor(Date.now() / 1000) + 60 * 60
-      };
-      const token = signJwt(payload);
-      const headers = { 'Content-Type': 'application/json', 'Set-Cookie': `session=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=3600` };
-      res.writeHead(200, headers);
-      res.end(
-        JSON.stringify({ token, user: { id: userRecord.id, email, role: payload.role } })
-      );
-      return;
-    }
-
-    if (req.method === 'POST' && (req.url === '/auth/logout' || req.url === '/api/auth/logout')) {
-      res.writeHead(204, { 'Set-Cookie': 'session=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax' });
-      res.end();
-      return;
-    }
-
-    if (req.method === 'GET' && (req.url === '/auth/me' || req.url === '/api/auth/me')) {
-      try {
-        const authUser = authenticate(req);
-        const storedProfile = users.get(authUser.id);
-        const storedRole =
-          storedProfile && typeof storedProfile.role === 'string'
-            ? storedProfile.role.trim()
-            : '';
-        const tokenRole = typeof authUser.role === 'string' ? authUser.role.trim() : '';
-        const role = storedRole || tokenRole || DEFAULT_USER_ROLE;
-
-        const username =
-          storedProfile && typeof storedProfile.username === 'string'
-            ? storedProfile.username
-            : 'user';
-
-        const responseUser = {
-          id: String((storedProfile && storedProfile.id) || authUser.id),
-          email: username,
-          role
-        };
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ user: responseUser }));
-      } catch (err) {
-        res.writeHead(401, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Unauthorized' }));
-      }
-      return;
-    }
-    if (req.method === 'POST' && (req.url === '/auth/register' || req.url === '/api/auth/register')) {
-      const body = await readBody(req);
-      const username = typeof body.username === 'string' ? body.username.trim() : '';
-      const role = typeof body.role === 'string' ? body.role.trim() : '';
-      if (!username) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Username required' }));
-        return;
-      }
-      if (isPrivileged(username) || (role && isPrivileged(role))) {
-        res.writeHead(403, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Forbidden username or role' }));
-        return;
-      }
-      const id = String(nextUserId++);
-      users.set(id, { id, username, role: role || DEFAULT_USER_ROLE });
-      userTokens.set(id, 5);
-      userPurchases.set(id, []);
-      res.writeHead(201, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ id }));
-      return;
-    }
+const REFRESH_COOKIE = 'refresh_token';
+const CLEARED_SESSION_COOKIES = [
+  'session=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax',
+  `${REFRESH_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict`
+];
 
-    if (req.method === 'GET' && req.url === '/api/user/tokens') {
-      const authUser = authenticate(req);
-      const tokens = userTokens.get(authUser.id) ?? 0;
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ tokens }));
-      return;
-    }
+function getRefreshTokenFromRequest(req, body = {}) {
+  const fromBody = normalizeString(body.refreshToken);
+  return fromBody || getCookie(req.headers['cookie'], REFRESH_COOKIE);
+}
 
-    if (req.url === '/api/navigation/state') {
-      if (req.method === 'GET') {
-        let authUser;
-        try {
-          authUser = authenticate(req);
-        } catch (err) {
-          respondError(res, 401, 'authorization_error', 'Authentication required');
-          return;
-        }
-        const state = getNavigationState(authUser.id);
-        respondJson(res, 200, { state });
-        return;
-      }
+/**
+ * Send a short-lived access token and a rotating refresh token for a session.
+ * Both are set as HttpOnly cookies and returned in the body for API clients.
+ */
+function respondWithSession(res, statusCode, userRecord, { session, refreshToken }) {
+  const user = toPublicUser(userRecord);
+  const token = signJwt({
+    sub: user.id,
+    sid: session.id,
+    email: user.email,
+    role: user.role,
+    exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS
+  });
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Set-Cookie': [
+      `session=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${ACCESS_TOKEN_TTL_SECONDS}`,
+      `${REFRESH_COOKIE}=${refreshToken}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${REFRESH_TOKEN_TTL_SECONDS}`
+    ]
+  });
+  res.end(
+    JSON.stringify({ id: user.id, token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, user })
+  );
+}
 
-      if (req.method === 'PUT' || req.method === 'PATCH') {
-        let authUser;
-        try {
-          authUser = authenticate(req);
-        } catch (err) {
-          respondError(res, 401, 'authorization_error', 'Authentication required');
-          return;
-        }
+// Access tokens bound to a login session stop working as soon as the session
+// is revoked in the repository, on every server instance.
+async function requireAuth(req, res, ctx) {
+  const user = getAuthenticatedUser(req, res);
+  if (!user) return false;
+  if (user.sessionId && !(await isSessionActive(user.sessionId))) {
+    respondError(res, 401, 'authorization_error', 'Authentication required');
+    return false;
+  }
+  ctx.user = user;
+  return true;
+}
 
-        let body;
-        try {
-          body = await readBody(req);
-        } catch (err) {
-          respondError(res, 422, 'validation_error', 'Invalid JSON body');
-          return;
-        }
+// The role claim in the token is checked against the stored account, so an
+// admin who is demoted loses access before the token expires.
+async function requireAdminUser(req, res, ctx) {
+  if (!(await requireAuth(req, res, ctx))) return false;
+  const adminUser = requireAdmin(req, res);
+  if (!adminUser) return false;
+  if (!(await isStoredAdminUser(adminUser.id))) {
+    respondJson(res, 403, { error: 'Forbidden' });
+    return false;
+  }
+  ctx.user = adminUser;
+  return true;
+}
 
-        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
-          respondError(res, 422, 'validation_error', 'Navigation state payload must be an object');
-          return;
-        }
+/**
+ * Append an audit log entry for an admin mutation made in this request.
+ * @param {{ user: { id: string }, requestId?: string }} ctx
+ * @param {{ action: string, targetType: 'design'|'category'|'user', targetId: string, before?: object|null, after?: object|null }} change
+ */
+function auditAdminChange(ctx, change) {
+  return recordAuditEntry({ ...change, actorId: ctx.user.id, requestId: ctx.requestId });
+}
 
-        let state;
-        try {
-          state = saveNavigationState(authUser.id, body);
-        } catch (err) {
-          respondError(res, 422, 'validation_error', err.message || 'Unable to save navigation state');
-          return;
-        }
+/**
+ * Middleware that parses the request body into `ctx.body`.
+ * With `strict`, requests without a JSON content type are rejected first.
+ */
+function jsonBody({ strict = false } = {}) {
+  return async (req, res, ctx) => {
+    if (strict && !requireJsonBody(req, res)) return false;
+    const body = await parseJsonBody(req, res);
+    if (body === null) return false;
+    ctx.body = body;
+    return true;
+  };
+}
 
-        respondJson(res, 200, { state });
-        return;
-      }
-    }
+function authRoute(path) {
+  return [`/auth/${path}`, `/api/auth/${path}`];
+}
 
-    if (req.method === 'POST' && req.url === '/api/purchase') {
-      const authUser = authenticate(req);
-      const body = await readBody(req);
-      const delta = Number(body.tokens);
-      if (!Number.isInteger(delta) || delta === 0) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid token amount' }));
-        return;
-      }
-      const current = userTokens.get(authUser.id) || 0;
-      const newBalance = current + delta;
-      if (newBalance < 0) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Insufficient tokens' }));
-        return;
-      }
-      userTokens.set(authUser.id, newBalance);
-      if (delta > 0) {
-        const list = userPurchases.get(authUser.id) || [];
-        list.push({ amount: delta, purchasedAt: new Date().toISOString() });
-        userPurchases.set(authUser.id, list);
-      }
-      if (body.designId) {
-        recordConversion(String(body.designId));
-      }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ tokens: newBalance }));
-      return;
-    }
+const router = createRouter({
+  notFound(req, res) {
+    respondError(res, 404, 'not_found', 'Route not found');
+  },
+  methodNotAllowed(req, res, allowed) {
+    res.setHeader('Allow', allowed.join(', '));
+    respondError(res, 405, 'method_not_allowed', `Method ${req.method} not allowed`);
+  }
+});
 
-    if (req.method === 'POST' && req.url === '/api/analytics/view') {
-      const body = await readBody(req);
-      if (body.designId) {
-        recordView(String(body.designId));
-        const d = designs.get(String(body.designId));
-        if (d) d.views = (d.views || 0) + 1;
-      }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true }));
+router.post(authRoute('login'), jsonBody(), async (req, res, { body }) => {
+  const email = normalizeString(body.email);
+  const password = typeof body.password === 'string' ? body.password : '';
+  if (!email || !password) {
+    respondError(res, 400, 'validation_error', 'Email and password required');
+    return;
+  }
+  let userRecord;
+  try {
+    userRecord = await authenticateCredentials(email, password);
+  } catch (err) {
+    if (err instanceof UserAccountError && err.code === 'account_suspended') {
+      respondError(res, 403, 'authorization_error', err.message);
       return;
     }
-
-    if (req.method === 'POST' && req.url === '/api/analytics/convert') {
-      const body = await readBody(req);
-      if (body.designId) recordConversion(String(body.designId));
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ ok: true }));
+    if (err instanceof UserAccountError) {
+      respondError(res, 401, 'authentication_error', err.message);
       return;
     }
+    throw err;
+  }
+  respondWithSession(res, 200, userRecord, await createSession(userRecord.id));
+});
 
-    if (req.method === 'GET' && req.url === '/api/analytics/popular') {
-      const list = getPopularDesigns();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(list));
+router.post(authRoute('refresh'), jsonBody(), async (req, res, { body }) => {
+  const refreshToken = getRefreshTokenFromRequest(req, body);
+  if (!refreshToken) {
+    respondError(res, 401, 'authentication_error', 'Refresh token required');
+    return;
+  }
+  let rotated;
+  try {
+    rotated = await rotateSession(refreshToken);
+  } catch (err) {
+    if (err instanceof SessionError) {
+      res.setHeader('Set-Cookie', CLEARED_SESSION_COOKIES);
+      respondError(res, 401, 'authentication_error', err.message);
       return;
     }
+    throw err;
+  }
+  const userRecord = await getUserById(rotated.session.userId);
+  if (!userRecord || userRecord.suspendedAt) {
+    await revokeSession(rotated.session.id);
+    res.setHeader('Set-Cookie', CLEARED_SESSION_COOKIES);
+    respondError(res, 401, 'authentication_error', 'Invalid refresh token');
+    return;
+  }
+  respondWithSession(res, 200, userRecord, rotated);
+});
 
-    if (req.method === 'GET' && req.url === '/api/analytics/conversions') {
-      const list = getConversionRates();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(list));
-      return;
-    }
+router.post(authRoute('logout'), jsonBody(), async (req, res, { body }) => {
+  let sessionId = null;
+  try {
+    sessionId = authenticate(req).sessionId ?? null;
+  } catch (err) {
+    // Fall back to the refresh token below when the access token has expired.
+  }
+  if (!sessionId) {
+    const session = await findSessionByRefreshToken(getRefreshTokenFromRequest(req, body));
+    sessionId = session ? session.id : null;
+  }
+  if (sessionId) {
+    await revokeSession(sessionId);
+  }
+  res.writeHead(204, { 'Set-Cookie': CLEARED_SESSION_COOKIES });
+  res.end();
+});
 
-    if (req.method === 'GET' && req.url === '/api/admin/categories') {
-      const adminUser = requireAdmin(req, res);
-      if (!adminUser) return;
-      const list = Array.from(categories.values());
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(list));
-      return;
-    }
+router.get(authRoute('me'), async (req, res) => {
+  let authUser;
+  try {
+    authUser = authenticate(req);
+  } catch (err) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return;
+  }
+  const storedProfile = await getUserById(authUser.id);
+  if (!storedProfile || (authUser.sessionId && !(await isSessionActive(authUser.sessionId)))) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ user: toPublicUser(storedProfile) }));
+});
 
-    if (req.method === 'POST' && req.url === '/api/admin/categories') {
-      const adminUser = requireAdmin(req, res);
-      if (!adminUser) return;
-      const body = await readBody(req);
-      const id = String(body.id || '').trim();
-      const name = String(body.name || '').trim();
-      if (!id || !name) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid category' }));
-        return;
-      }
-      categories.set(id, { id, name });
-      res.writeHead(201, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ id, name }));
+router.post(authRoute('register'), jsonBody(), async (req, res, { body }) => {
+  const role = normalizeString(body.role);
+  if (role && isPrivileged(role)) {
+    respondError(res, 403, 'authorization_error', 'Forbidden role');
+    return;
+  }
+  let userRecord;
+  try {
+    userRecord = await registerUser({ email: body.email, password: body.password, role });
+  } catch (err) {
+    if (err instanceof UserAccountError && err.code === 'email_taken') {
+      respondError(res, 409, 'conflict_error', err.message);
       return;
     }
-
-    if (req.method === 'DELETE' && req.url.startsWith('/api/admin/categories/')) {
-      const adminUser = requireAdmin(req, res);
-      if (!adminUser) return;
-      const id = decodeURIComponent(req.url.split('/').pop());
-      categories.delete(id);
-      res.writeHead(204).end();
+    if (err instanceof UserAccountError && err.code === 'validation_error') {
+      respondValidationErrors(res, err.details);
       return;
     }
+    throw err;
+  }
+  await initializeTokenAccount(userRecord.id);
+  userRegistrationsTotal.inc();
+  respondWithSession(res, 201, userRecord, await createSession(userRecord.id));
+});
 
-    if (req.method === 'GET' && req.url.split('?')[0] === '/api/admin/designs') {
-      const adminUser = requireAdmin(req, res);
-      if (!adminUser) return;
-      const urlObj = new URL(req.url, `http://${req.headers.host}`);
-      const managedByParam = normalizeString(urlObj.searchParams.get('managedBy'));
-      const statusFilter = normalizeString(urlObj.searchParams.get('status')).toLowerCase();
-      const ownerFilter = normalizeString(urlObj.searchParams.get('ownerId'));
-      const searchParam = normalizeString(urlObj.searchParams.get('search')).toLowerCase();
-      let list = Array.from(designs.values());
-
-      if (managedByParam) {
-        list = list.filter((design) => normalizeString(design.managedByAdminId) === managedByParam);
-      }
+router.get('/api/user/tokens', requireAuth, async (req, res, { user }) => {
+  const tokens = await getTokenBalance(user.id);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ tokens }));
+});
 
-      if (statusFilter && ADMIN_DESIGN_STATUSES.has(statusFilter)) {
-        list = list.filter((design) => normalizeString(design.status).toLowerCase() === statusFilter);
-      }
+router.get('/api/user/tokens/ledger', requireAuth, async (req, res, { user }) => {
+  const [tokens, entries] = await Promise.all([getTokenBalance(user.id), getLedgerEntries(user.id)]);
+  respondJson(res, 200, { tokens, entries });
+});
 
-      if (ownerFilter) {
-        list = list.filter((design) => {
-          const record = designOwners.get(String(design.id));
-          return normalizeString(record?.userId).toLowerCase() === ownerFilter.toLowerCase();
-        });
-      }
+// Designs the caller may edit: the ones they created and the ones they bought.
+router.get('/api/user/owned-designs', requireAuth, async (req, res, { user }) => {
+  const [ownerships, purchases] = await Promise.all([listDesignOwnerships(), getDesignPurchases(user.id)]);
+  const designs = ownerships
+    .filter((ownership) => ownership.userId === user.id)
+    .map((ownership) => ({ id: ownership.designId, owned: true, source: 'creator' }));
+  const createdIds = new Set(designs.map((design) => design.id));
+  for (const purchase of purchases) {
+    if (createdIds.has(purchase.designId)) continue;
+    designs.push({
+      id: purchase.designId,
+      owned: true,
+      source: 'purchase',
+      price: purchase.price,
+      purchasedAt: purchase.purchasedAt
+    });
+  }
+  respondJson(res, 200, { designs });
+});
 
-      if (searchParam) {
-        list = list.filter((design) => {
-          const title = String(design.title || '').toLowerCase();
-          const tags = Array.isArray(design.tags)
-            ? design.tags.map((tag) => String(tag).toLowerCase()).join(' ')
-            : '';
-          return title.includes(searchParam) || tags.includes(searchParam);
-        });
-      }
+router.get('/api/navigation/state', requireAuth, async (req, res, { user }) => {
+  const state = await getNavigationState(user.id);
+  respondJson(res, 200, { state });
+});
 
-      list = list.sort((a, b) => {
-        const updatedA = Date.parse(a.updatedAt || 0) || 0;
-        const updatedB = Date.parse(b.updatedAt || 0) || 0;
-        return updatedB - updatedA;
-      });
+router.route(['PUT', 'PATCH'], '/api/navigation/state', requireAuth, jsonBody(), async (req, res, { user, body }) => {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    respondError(res, 422, 'validation_error', 'Navigation state payload must be an object');
+    return;
+  }
 
-      const DEFAULT_PAGE = 1;
-      const DEFAULT_PAGE_SIZE = 25;
-      const MAX_PAGE_SIZE = 100;
-
-      const page = Math.max(
-        DEFAULT_PAGE,
-        Number.parseInt(urlObj.searchParams.get('page') || DEFAULT_PAGE, 10) || DEFAULT_PAGE
-      );
-      const requestedPageSize = Number.parseInt(
-        urlObj.searchParams.get('pageSize') || DEFAULT_PAGE_SIZE,
-        10
-      );
-      const pageSize = Math.min(
-        MAX_PAGE_SIZE,
-        Math.max(1, Number.isFinite(requestedPageSize) ? requestedPageSize : DEFAULT_PAGE_SIZE)
-      );
-      const startIndex = (page - 1) * pageSize;
-      const paged = list.slice(startIndex, startIndex + pageSize);
-
-      const response = {
-        data: paged.map((design) => shapeAdminDesign(design)),
-        pagination: {
-          page,
-          pageSize,
-          total: list.length
-        }
-      };
+  let state;
+  try {
+    state = await saveNavigationState(user.id, body);
+  } catch (err) {
+    respondError(res, 422, 'validation_error', err.message || 'Unable to save navigation state');
+    return;
+  }
 
-      respondJson(res, 200, response);
-      return;
-    }
+  respondJson(res, 200, { state });
+});
 
-    if (req.method === 'POST' && req.url === '/api/admin/designs') {
-      const adminUser = requireAdmin(req, res);
-      if (!adminUser) return;
-      if (!requireJsonBody(req, res)) return;
-      const body = await parseJsonBody(req, res);
-      if (body === null) return;
+router.post('/api/purchase', requireAuth, jsonBody(), idempotent, async (req, res, ctx) => {
+  const { user, body } = ctx;
+  const delta = Number(body.tokens);
+  if (!Number.isInteger(delta) || delta === 0) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid token amount' }));
+    return;
+  }
+  // Token packs are bought through /api/payments/checkout; only admins may
+  // grant tokens directly, to themselves or to `userId`.
+  if (delta > 0 && !isAdminRole(user.role)) {
+    respondError(res, 403, 'authorization_error', 'Tokens are purchased through checkout');
+    return;
+  }
+  const targetUserId = delta > 0 && body.userId ? String(body.userId) : user.id;
+  if (targetUserId !== user.id && !(await getUserById(targetUserId))) {
+    respondError(res, 404, 'not_found', 'User not found');
+    return;
+  }
+  const applied =
+    delta > 0 ? await creditTokens(targetUserId, delta, 'admin_grant') : await debitTokens(user.id, -delta, 'spend');
+  if (!applied) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Insufficient tokens' }));
+    return;
+  }
+  if (delta > 0) {
+    await auditAdminChange(ctx, {
+      action: 'user.tokens',
+      targetType: 'user',
+      targetId: targetUserId,
+      before: { tokens: applied.balance - delta },
+      after: { tokens: applied.balance }
+    });
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ tokens: applied.balance }));
+});
 
-      const { errors, normalized } = validateAdminDesignPayload(body, {
-        requireAllFields: true,
-        allowOwnerChange: true
-      });
+router.get('/api/payments/packs', (req, res) => {
+  respondJson(res, 200, { packs: TOKEN_PACKS });
+});
 
-      const managedByAdminIdValue = normalizeString(body?.managedByAdminId);
-      if (managedByAdminIdValue && managedByAdminIdValue !== adminUser.id && !isStoredAdminUser(managedByAdminIdValue)) {
-        errors.push({ field: 'managedByAdminId', message: 'managedByAdminId must reference an admin user' });
-      }
+router.post('/api/payments/checkout', requireAuth, jsonBody(), idempotent, async (req, res, { user, body }) => {
+  if (!paymentProvider) {
+    respondError(res, 503, 'service_unavailable', 'Payments are not configured');
+    return;
+  }
+  const pack = getTokenPack(String(body.packId ?? ''));
+  if (!pack) {
+    respondError(res, 422, 'validation_error', 'Unknown token pack');
+    return;
+  }
+  let session;
+  try {
+    session = await createCheckoutSession(user.id, pack, paymentProvider, {
+      successUrl: normalizeString(body.successUrl) || undefined,
+      cancelUrl: normalizeString(body.cancelUrl) || undefined
+    });
+  } catch (err) {
+    logEvent({ level: 'error', msg: 'checkout session failed', provider: paymentProvider.name, error: err.message });
+    respondError(res, 502, 'payment_provider_error', 'Could not start checkout');
+    return;
+  }
+  respondJson(res, 201, toPublicCheckoutSession(session));
+});
 
-      if (errors.length > 0) {
-        respondValidationErrors(res, errors);
-        return;
-      }
+router.get('/api/payments/checkout/:id', requireAuth, async (req, res, { user, params }) => {
+  const session = await getCheckoutSession(params.id);
+  if (!session || (session.userId !== user.id && !isAdminRole(user.role))) {
+    respondError(res, 404, 'not_found', 'Checkout session not found');
+    return;
+  }
+  respondJson(res, 200, toPublicCheckoutSession(session));
+});
 
-      const id = `dsgn_${randomUUID()}`;
-      const timestamp = new Date().toISOString();
-      const ownerId = normalized.ownerId ?? null;
-      const rawIsAdminTemplate = body?.isAdminTemplate;
-      const isAdminTemplate =
-        rawIsAdminTemplate === undefined
-          ? ownerId === null
-          : typeof rawIsAdminTemplate === 'string'
-            ? rawIsAdminTemplate.toLowerCase() === 'true'
-            : Boolean(rawIsAdminTemplate);
-      const managedByAdminId = isAdminTemplate
-        ? managedByAdminIdValue || adminUser.id
-        : managedByAdminIdValue || null;
-
-      const priceValue = Number.parseFloat(body?.price);
-      const price = Number.isFinite(priceValue) ? priceValue : 0;
-
-      const design = {
-        id,
-        title: normalized.title,
-        status: normalized.status,
-        thumbnailUrl: normalized.thumbnailUrl ?? '',
-        slides: normalized.slides ?? [],
-        tags: normalized.tags ?? [],
-        notes: normalized.notes ?? '',
-        adminNotes: normalized.notes ?? '',
-        createdAt: timestamp,
-        updatedAt: timestamp,
-        views: 0,
-        category: normalizeString(body?.category),
-        price,
-        premium: price > 0,
-        isAdminTemplate,
-        managedByAdminId
-      };
-
-      designs.set(id, design);
-      assignDesignOwnerRecord(id, ownerId, timestamp);
-
-      respondJson(res, 201, shapeAdminDesign(design));
+// Called by the payment provider. Unknown or repeated events are acknowledged
+// with 200 so the provider stops redelivering them.
+router.post('/api/payments/webhook', async (req, res) => {
+  if (!paymentProvider) {
+    respondError(res, 503, 'service_unavailable', 'Payments are not configured');
+    return;
+  }
+  const rawBody = await readRawBody(req);
+  let event;
+  try {
+    event = paymentProvider.parseWebhook(rawBody, req.headers);
+  } catch (err) {
+    if (err instanceof PaymentWebhookError) {
+      const type = err.code === 'invalid_signature' ? 'signature_error' : 'validation_error';
+      respondError(res, 400, type, err.message);
       return;
     }
+    throw err;
+  }
 
-    if (req.method === 'PUT' && req.url.startsWith('/api/admin/designs/')) {
-      const designId = getAdminDesignId(req);
-      if (!designId) {
-        // Defer to other more specific admin design routes (e.g., price updates).
-      } else {
-        const adminUser = requireAdmin(req, res);
-        if (!adminUser) return;
-        const existing = designs.get(designId);
-        if (!existing) {
-          respondError(res, 404, 'not_found', 'Design not found');
-          return;
-        }
+  const result = await applyPaymentEvent(event);
+  if (result.status === 'applied' && result.session.status === 'paid') {
+    await recordTokenPurchase(result.session.userId, result.session.tokens);
+    tokenPurchasesTotal.inc();
+    tokensPurchasedTotal.inc({}, result.session.tokens);
+  }
+  logEvent({
+    level: 'info',
+    msg: 'payment webhook',
+    eventId: event.id,
+    eventType: event.type,
+    checkoutSessionId: result.session?.id ?? null,
+    result: result.status
+  });
+  respondJson(res, 200, { received: true, status: result.status });
+});
 
-        if (!checkIfUnmodifiedSince(req, res, existing)) {
-          return;
-        }
+// Batched client events. Views are deduplicated per viewer and login session
+// (taken from the access token, never from the body) and bot traffic is
+// dropped, so the response reports what was actually counted.
+router.post('/api/analytics/events', requireAuth, jsonBody(), idempotent, async (req, res, { user, body }) => {
+  const { errors, normalized } = validateEventBatch(body);
+  if (errors.length) {
+    respondValidationErrors(res, errors);
+    return;
+  }
+  const summary = await ingestEvents(normalized.events, {
+    viewerId: user.id,
+    sessionId: user.sessionId ?? null,
+    userAgent: req.headers['user-agent'] ?? null
+  });
+  respondJson(res, 200, summary);
+});
 
-        if (!requireJsonBody(req, res)) return;
-        const body = await parseJsonBody(req, res);
-        if (body === null) return;
+// Single-view form of /api/analytics/events, kept for older clients.
+router.post('/api/analytics/view', requireAuth, jsonBody(), async (req, res, { user, body }) => {
+  if (body.designId) {
+    const { errors, normalized } = validateEventBatch({ events: [{ type: 'view', designId: body.designId }] });
+    if (errors.length) {
+      respondValidationErrors(res, errors);
+      return;
+    }
+    await ingestEvents(normalized.events, {
+      viewerId: user.id,
+      sessionId: user.sessionId ?? null,
+      userAgent: req.headers['user-agent'] ?? null
+    });
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: true }));
+});
 
-        const { errors, normalized } = validateAdminDesignPayload(body, {
-          requireAllFields: true,
-          allowOwnerChange: true
-        });
+// Conversions are recorded when a purchase is fulfilled; this route is kept
+// so older clients that still report them do not fail, but records nothing.
+router.post('/api/analytics/convert', requireAuth, jsonBody(), async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ ok: true }));
+});
 
-        const managedByAdminIdValue = normalizeString(body?.managedByAdminId);
-        if (managedByAdminIdValue && managedByAdminIdValue !== adminUser.id && !isStoredAdminUser(managedByAdminIdValue)) {
-          errors.push({ field: 'managedByAdminId', message: 'managedByAdminId must reference an admin user' });
-        }
+router.get('/api/analytics/popular', async (req, res) => {
+  const list = await getPopularDesigns();
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(list));
+});
 
-        if (errors.length > 0) {
-          respondValidationErrors(res, errors);
-          return;
-        }
+router.get('/api/analytics/conversions', async (req, res) => {
+  const list = await getConversionRates();
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(list));
+});
 
-        const ownerId = normalized.ownerId ?? null;
-        const rawIsAdminTemplate = body?.isAdminTemplate;
-        const isAdminTemplate =
-          rawIsAdminTemplate === undefined
-            ? ownerId === null
-            : typeof rawIsAdminTemplate === 'string'
-              ? rawIsAdminTemplate.toLowerCase() === 'true'
-              : Boolean(rawIsAdminTemplate);
-        const managedByAdminId = isAdminTemplate
-          ? managedByAdminIdValue || adminUser.id
-          : managedByAdminIdValue || null;
-
-        const priceValue = Number.parseFloat(body?.price);
-        const price = Number.isFinite(priceValue) ? priceValue : existing.price ?? 0;
-
-        const timestamp = new Date().toISOString();
-
-        applyAdminDesignUpdates(
-          existing,
-          {
-            title: normalized.title,
-            status: normalized.status,
-            thumbnailUrl: normalized.thumbnailUrl ?? '',
-            slides: normalized.slides ?? [],
-            tags: normalized.tags ?? [],
-            notes: normalized.notes ?? ''
-          },
-          timestamp
-        );
-
-        existing.price = price;
-        existing.premium = price > 0;
-        existing.isAdminTemplate = isAdminTemplate;
-        existing.managedByAdminId = managedByAdminId;
-        if (body?.category !== undefined) {
-          existing.category = normalizeString(body.category);
-        }
-        if (!existing.createdAt) {
-          existing.createdAt = timestamp;
-        }
+// Daily rollups for one design, bucketed by `interval` (day, week or month)
+// and compared with the period just before. Owners and admins only.
+router.get('/api/analytics/designs/:id/timeseries', requireAuth, async (req, res, { user, params, query }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  try {
+    const series = await getTimeseries('design', params.id, {
+      from: query.get('from'),
+      to: query.get('to'),
+      interval: query.get('interval')
+    });
+    respondJson(res, 200, { designId: params.id, ...series });
+  } catch (err) {
+    if (err instanceof AnalyticsError && err.code === 'validation_error') {
+      respondValidationErrors(res, err.details);
+      return;
+    }
+    throw err;
+  }
+});
 
-        assignDesignOwnerRecord(designId, ownerId, timestamp);
+// Marketplace funnel from listing impression to first share, for all designs
+// or one design or category, with the drop-off between stages.
+router.get('/api/admin/analytics/funnel', requireAdminUser, async (req, res, { query }) => {
+  try {
+    const funnel = await getFunnel({
+      from: query.get('from'),
+      to: query.get('to'),
+      designId: query.get('designId'),
+      category: query.get('category')
+    });
+    respondJson(res, 200, funnel);
+  } catch (err) {
+    if (err instanceof AnalyticsError && err.code === 'validation_error') {
+      respondValidationErrors(res, err.details);
+      return;
+    }
+    throw err;
+  }
+});
 
-        respondJson(res, 200, shapeAdminDesign(existing));
-        return;
-      }
+// Audit log of admin changes, newest first. Filters: actorId, action,
+// targetType, targetId and a from/to range of UTC days; paged like the admin
+// design list.
+router.get('/api/admin/audit', requireAdminUser, async (req, res, { query }) => {
+  try {
+    const result = await listAuditEntries({
+      actorId: query.get('actorId'),
+      action: query.get('action'),
+      targetType: query.get('targetType'),
+      targetId: query.get('targetId'),
+      from: query.get('from'),
+      to: query.get('to'),
+      page: query.get('page'),
+      pageSize: query.get('pageSize')
+    });
+    respondJson(res, 200, result);
+  } catch (err) {
+    if (err instanceof AuditError && err.code === 'validation_error') {
+      respondValidationErrors(res, err.details);
+      return;
     }
+    throw err;
+  }
+});
 
-    if (req.method === 'PATCH' && req.url.startsWith('/api/admin/designs/')) {
-      const designId = getAdminDesignId(req);
-      if (!designId) {
-        // Ignore non-resource PATCH routes and allow other handlers to evaluate.
-      } else {
-        const adminUser = requireAdmin(req, res);
-        if (!adminUser) return;
-        const existing = designs.get(designId);
-        if (!existing) {
-          respondError(res, 404, 'not_found', 'Design not found');
-          return;
-        }
+function respondUserAccountError(res, err) {
+  if (err instanceof UserAccountError && err.code === 'not_found') {
+    respondError(res, 404, 'not_found', err.message);
+    return true;
+  }
+  if (err instanceof UserAccountError && err.code === 'validation_error') {
+    respondValidationErrors(res, err.details);
+    return true;
+  }
+  return false;
+}
 
-        if (!checkIfUnmodifiedSince(req, res, existing)) {
-          return;
-        }
+router.get('/api/admin/users', requireAdminUser, async (req, res, { query }) => {
+  try {
+    const result = await listUsers({
+      search: query.get('search'),
+      role: query.get('role'),
+      status: query.get('status'),
+      page: query.get('page'),
+      pageSize: query.get('pageSize')
+    });
+    respondJson(res, 200, result);
+  } catch (err) {
+    if (respondUserAccountError(res, err)) return;
+    throw err;
+  }
+});
 
-        if (!requireJsonBody(req, res)) return;
-        const body = await parseJsonBody(req, res);
-        if (body === null) return;
+// Changing a role revokes the user's sessions, so the new role applies from
+// their next login.
+router.patch('/api/admin/users/:id', requireAdminUser, jsonBody({ strict: true }), async (req, res, ctx) => {
+  const { user: adminUser, params, body } = ctx;
+  const unknownFields = Object.keys(body).filter((field) => field !== 'role');
+  if (body.role === undefined || unknownFields.length > 0) {
+    respondValidationErrors(res, [{ field: unknownFields[0] || 'role', message: 'Only role can be changed' }]);
+    return;
+  }
+  let change;
+  try {
+    change = await changeUserRole(params.id, body.role, { actorId: adminUser.id });
+  } catch (err) {
+    if (respondUserAccountError(res, err)) return;
+    throw err;
+  }
+  if (change.before.role !== change.after.role) {
+    await revokeUserSessions(change.after.id);
+    await auditAdminChange(ctx, {
+      action: 'user.role',
+      targetType: 'user',
+      targetId: change.after.id,
+      before: { role: change.before.role },
+      after: { role: change.after.role }
+    });
+  }
+  respondJson(res, 200, toAdminUser(change.after));
+});
 
-        const { errors, normalized } = validateAdminDesignPayload(body, {
-          requireAllFields: false,
-          allowOwnerChange: false
-        });
+// Suspending blocks login and refresh and revokes every session, so the
+// user's access tokens stop working straight away.
+function userSuspensionHandler(suspended) {
+  return async (req, res, ctx) => {
+    const { user: adminUser, params } = ctx;
+    let change;
+    try {
+      change = await setUserSuspended(params.id, suspended, { actorId: adminUser.id });
+    } catch (err) {
+      if (respondUserAccountError(res, err)) return;
+      throw err;
+    }
+    if (suspended) {
+      await revokeUserSessions(change.after.id);
+    }
+    if (change.before !== change.after) {
+      await auditAdminChange(ctx, {
+        action: suspended ? 'user.suspend' : 'user.reactivate',
+        targetType: 'user',
+        targetId: change.after.id,
+        before: { status: toAdminUser(change.before).status },
+        after: { status: toAdminUser(change.after).status }
+      });
+    }
+    respondJson(res, 200, toAdminUser(change.after));
+  };
+}
 
-        if (errors.length > 0) {
-          respondValidationErrors(res, errors);
-          return;
-        }
+router.post('/api/admin/users/:id/suspend', requireAdminUser, userSuspensionHandler(true));
+router.post('/api/admin/users/:id/reactivate', requireAdminUser, userSuspensionHandler(false));
 
-        if (Object.keys(normalized).length === 0) {
-          respondValidationErrors(res, [{ field: '*', message: 'No updatable fields provided' }]);
-          return;
-        }
+function respondCategoryError(res, err) {
+  if (err instanceof CategoryError && err.code === 'not_found') {
+    respondError(res, 404, 'not_found', err.message);
+    return true;
+  }
+  if (err instanceof CategoryError && err.code === 'validation_error') {
+    respondValidationErrors(res, err.details);
+    return true;
+  }
+  if (err instanceof CategoryError && err.code === 'category_in_use') {
+    respondJson(res, 409, { error: { type: 'conflict_error', message: err.message, details: err.details } });
+    return true;
+  }
+  return false;
+}
 
-        const timestamp = new Date().toISOString();
+router.get('/api/categories', async (req, res) => {
+  respondJson(res, 200, await listCategories());
+});
 
-        applyAdminDesignUpdates(existing, normalized, timestamp);
+router.get('/api/admin/categories', requireAdminUser, async (req, res) => {
+  const list = await listCategories();
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(list));
+});
 
-        respondJson(res, 200, shapeAdminDesign(existing));
-        return;
-      }
-    }
+// Creates the category, or replaces an existing one with the same id.
+router.post('/api/admin/categories', requireAdminUser, jsonBody(), async (req, res, ctx) => {
+  const { body } = ctx;
+  let change;
+  try {
+    change = await saveCategory({ id: body.id, name: body.name, parentId: body.parentId, sortOrder: body.sortOrder });
+  } catch (err) {
+    if (respondCategoryError(res, err)) return;
+    throw err;
+  }
+  await auditAdminChange(ctx, {
+    action: change.before ? 'category.update' : 'category.create',
+    targetType: 'category',
+    targetId: change.after.id,
+    before: change.before,
+    after: change.after
+  });
+  respondJson(res, 201, change.after);
+});
 
-    if (req.method === 'DELETE' && req.url.startsWith('/api/admin/designs/')) {
-      const designId = getAdminDesignId(req);
-      if (!designId) {
-        // Allow other handlers to process paths without a direct design id.
-      } else {
-        const adminUser = requireAdmin(req, res);
-        if (!adminUser) return;
-        const existing = designs.get(designId);
-        if (!existing) {
-          respondError(res, 404, 'not_found', 'Design not found');
-          return;
-        }
+router.patch('/api/admin/categories/:id', requireAdminUser, jsonBody({ strict: true }), async (req, res, ctx) => {
+  const { params, body } = ctx;
+  const unknownFields = Object.keys(body).filter((field) => !['name', 'parentId', 'sortOrder'].includes(field));
+  if (unknownFields.length > 0) {
+    respondValidationErrors(res, [{ field: unknownFields[0], message: 'Only name, parentId and sortOrder can be changed' }]);
+    return;
+  }
+  let change;
+  try {
+    change = await updateCategory(params.id, body);
+  } catch (err) {
+    if (respondCategoryError(res, err)) return;
+    throw err;
+  }
+  await auditAdminChange(ctx, {
+    action: 'category.update',
+    targetType: 'category',
+    targetId: change.after.id,
+    before: change.before,
+    after: change.after
+  });
+  respondJson(res, 200, change.after);
+});
 
-        if (!checkIfUnmodifiedSince(req, res, existing)) {
-          return;
-        }
+// Refused with 409 while designs use the category, unless ?reassignTo= names
+// the category to move them to.
+router.delete('/api/admin/categories/:id', requireAdminUser, async (req, res, ctx) => {
+  const reassignTo = normalizeString(ctx.query.get('reassignTo')) || null;
+  let result;
+  try {
+    result = await deleteCategory(ctx.params.id, { reassignTo });
+  } catch (err) {
+    if (respondCategoryError(res, err)) return;
+    throw err;
+  }
+  if (result.before) {
+    await auditAdminChange(ctx, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: result.before.id,
+      before: result.before,
+      after: reassignTo ? { reassignedTo: reassignTo, reassigned: result.reassigned } : null
+    });
+  }
+  res.writeHead(204).end();
+});
 
-        const timestamp = new Date().toISOString();
-        existing.status = 'archived';
-        existing.updatedAt = timestamp;
-        existing.archivedAt = timestamp;
-        existing.archivedByAdminId = adminUser.id;
+router.get('/api/admin/designs', requireAdminUser, async (req, res, { query }) => {
+  const managedByParam = normalizeString(query.get('managedBy'));
+  const statusFilter = normalizeString(query.get('status')).toLowerCase();
+  const ownerFilter = normalizeString(query.get('ownerId'));
+  const searchParam = normalizeString(query.get('search')).toLowerCase();
+  let list = await listDesignRecords();
+  const ownershipLookup = new Map(
+    (await listDesignOwnerships()).map((record) => [String(record.designId), record])
+  );
+
+  if (managedByParam) {
+    list = list.filter((design) => normalizeString(design.managedByAdminId) === managedByParam);
+  }
 
-        res.writeHead(204).end();
-        return;
-      }
-    }
+  if (statusFilter && ADMIN_DESIGN_STATUSES.has(statusFilter)) {
+    list = list.filter((design) => normalizeString(design.status).toLowerCase() === statusFilter);
+  }
 
-    if (req.method === 'PUT' && req.url.startsWith('/api/admin/designs/') && req.url.endsWith('/price')) {
-      const adminUser = requireAdmin(req, res);
-      if (!adminUser) return;
-      const parts = req.url.split('/');
-      const id = parts[parts.length - 2];
-      const body = await readBody(req);
-      const price = Number(body.price);
-      const design = designs.get(id);
-      if (!design || Number.isNaN(price)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid design or price' }));
-        return;
-      }
-      design.price = price;
-      design.premium = price > 0;
-      design.updatedAt = new Date().toISOString();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(withDesignOwnership(design)));
-      return;
+  if (ownerFilter) {
+    list = list.filter((design) => {
+      const record = ownershipLookup.get(String(design.id));
+      return normalizeString(record?.userId).toLowerCase() === ownerFilter.toLowerCase();
+    });
+  }
+
+  if (searchParam) {
+    list = list.filter((design) => {
+      const title = String(design.title || '').toLowerCase();
+      const tags = Array.isArray(design.tags)
+        ? design.tags.map((tag) => String(tag).toLowerCase()).join(' ')
+        : '';
+      return title.includes(searchParam) || tags.includes(searchParam);
+    });
+  }
+
+  list = list.sort((a, b) => {
+    const updatedA = Date.parse(a.updatedAt || 0) || 0;
+    const updatedB = Date.parse(b.updatedAt || 0) || 0;
+    return updatedB - updatedA;
+  });
+
+  const DEFAULT_PAGE = 1;
+  const DEFAULT_PAGE_SIZE = 25;
+  const MAX_PAGE_SIZE = 100;
+
+  const page = Math.max(
+    DEFAULT_PAGE,
+    Number.parseInt(query.get('page') || DEFAULT_PAGE, 10) || DEFAULT_PAGE
+  );
+  const requestedPageSize = Number.parseInt(query.get('pageSize') || DEFAULT_PAGE_SIZE, 10);
+  const pageSize = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, Number.isFinite(requestedPageSize) ? requestedPageSize : DEFAULT_PAGE_SIZE)
+  );
+  const startIndex = (page - 1) * pageSize;
+  const paged = list.slice(startIndex, startIndex + pageSize);
+
+  const response = {
+    data: paged.map((design) => shapeAdminDesign(design, ownershipLookup.get(String(design.id)))),
+    pagination: {
+      page,
+      pageSize,
+      total: list.length
     }
+  };
 
-    if (req.method === 'GET' && req.url.split('?')[0] === '/api/marketplace') {
-      const authUser = authenticate(req);
-      const urlObj = new URL(req.url, `http://${req.headers.host}`);
+  respondJson(res, 200, response);
+});
 
-      let defaultRole = resolveMarketplaceRole(authUser.role) || 'consumer';
-      if (!MARKETPLACE_ROLES.has(defaultRole)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Unsupported role' }));
-        return;
-      }
+router.post('/api/admin/designs', requireAdminUser, jsonBody({ strict: true }), async (req, res, ctx) => {
+  const { user: adminUser, body } = ctx;
+  const { errors, normalized } = validateAdminDesignPayload(body, {
+    requireAllFields: true,
+    allowOwnerChange: true
+  });
 
-      const requestedRoleParam = urlObj.searchParams.get('role');
-      let effectiveRole = defaultRole;
-      if (requestedRoleParam !== null) {
-        const requestedRole = resolveMarketplaceRole(requestedRoleParam);
-        if (!MARKETPLACE_ROLES.has(requestedRole)) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Unsupported role' }));
-          return;
-        }
-        if (!isAdminRole(defaultRole) && requestedRole !== defaultRole) {
-          res.writeHead(403, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Forbidden role override' }));
-          return;
-        }
-        effectiveRole = requestedRole;
-      }
+  const managedByAdminIdValue = normalizeString(body?.managedByAdminId);
+  if (managedByAdminIdValue && managedByAdminIdValue !== adminUser.id && !(await isStoredAdminUser(managedByAdminIdValue))) {
+    errors.push({ field: 'managedByAdminId', message: 'managedByAdminId must reference an admin user' });
+  }
 
-      const categoryParam = urlObj.searchParams.get('category');
-      const searchParam = urlObj.searchParams.get('search');
-      const category = categoryParam ? categoryParam.trim() : '';
-      if (category && !/^[\w-]+$/.test(category)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid category filter' }));
-        return;
-      }
+  if (errors.length > 0) {
+    respondValidationErrors(res, errors);
+    return;
+  }
 
-      const search = searchParam ? searchParam.trim() : '';
-      if (search.length > 100) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Search query too long' }));
-        return;
-      }
+  const timestamp = new Date().toISOString();
+  const ownerId = normalized.ownerId ?? null;
+  const rawIsAdminTemplate = body?.isAdminTemplate;
+  const isAdminTemplate =
+    rawIsAdminTemplate === undefined
+      ? ownerId === null
+      : typeof rawIsAdminTemplate === 'string'
+        ? rawIsAdminTemplate.toLowerCase() === 'true'
+        : Boolean(rawIsAdminTemplate);
+  const managedByAdminId = isAdminTemplate
+    ? managedByAdminIdValue || adminUser.id
+    : managedByAdminIdValue || null;
+
+  const priceValue = Number.parseFloat(body?.price);
+  const price = Number.isFinite(priceValue) ? priceValue : 0;
+
+  const design = await insertDesignRecord({
+    title: normalized.title,
+    status: normalized.status,
+    thumbnailUrl: normalized.thumbnailUrl ?? '',
+    slides: normalized.slides ?? [],
+    tags: normalized.tags ?? [],
+    notes: normalized.notes ?? '',
+    adminNotes: normalized.notes ?? '',
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    views: 0,
+    category: normalizeString(body?.category),
+    price,
+    premium: price > 0,
+    isAdminTemplate,
+    managedByAdminId
+  });
 
-      const ownerIdParam = urlObj.searchParams.get('ownerId');
-      const ownerId = ownerIdParam ? ownerIdParam.trim() : '';
-      const mineParam = urlObj.searchParams.get('mine');
-      const mineRequested = typeof mineParam === 'string' && mineParam.trim()
-        ? ['1', 'true', 'yes', 'y'].includes(mineParam.trim().toLowerCase())
-        : false;
-
-      const payload = await getMarketplaceDesigns({
-        role: effectiveRole,
-        category: category || undefined,
-        search: search || undefined,
-        ownerId: ownerId || undefined,
-        mine: mineRequested,
-        requestingUserId: authUser.id,
-      });
+  const ownership = await assignDesignOwner(design.id, ownerId, timestamp);
+  await recordDesignVersion(design, { authorId: adminUser.id, reason: 'create' });
+  await auditAdminChange(ctx, {
+    action: 'design.create',
+    targetType: 'design',
+    targetId: design.id,
+    after: auditDesignState(design, ownership)
+  });
+
+  res.setHeader('ETag', designETag(design));
+  respondJson(res, 201, shapeAdminDesign(design, ownership));
+});
+
+router.put('/api/admin/designs/:id', requireAdminUser, async (req, res, ctx) => {
+  const { user: adminUser, params } = ctx;
+  const designId = params.id;
+  const existing = await getDesignRecord(designId);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+
+  if (!(await checkDesignPreconditions(req, res, existing))) {
+    return;
+  }
+
+  if (!requireJsonBody(req, res)) return;
+  const body = await parseJsonBody(req, res);
+  if (body === null) return;
+
+  const { errors, normalized } = validateAdminDesignPayload(body, {
+    requireAllFields: true,
+    allowOwnerChange: true
+  });
+
+  const managedByAdminIdValue = normalizeString(body?.managedByAdminId);
+  if (managedByAdminIdValue && managedByAdminIdValue !== adminUser.id && !(await isStoredAdminUser(managedByAdminIdValue))) {
+    errors.push({ field: 'managedByAdminId', message: 'managedByAdminId must reference an admin user' });
+  }
+
+  if (errors.length > 0) {
+    respondValidationErrors(res, errors);
+    return;
+  }
+
+  const ownerId = normalized.ownerId ?? null;
+  const rawIsAdminTemplate = body?.isAdminTemplate;
+  const isAdminTemplate =
+    rawIsAdminTemplate === undefined
+      ? ownerId === null
+      : typeof rawIsAdminTemplate === 'string'
+        ? rawIsAdminTemplate.toLowerCase() === 'true'
+        : Boolean(rawIsAdminTemplate);
+  const managedByAdminId = isAdminTemplate
+    ? managedByAdminIdValue || adminUser.id
+    : managedByAdminIdValue || null;
+
+  const priceValue = Number.parseFloat(body?.price);
+  const price = Number.isFinite(priceValue) ? priceValue : existing.price ?? 0;
+
+  const timestamp = new Date().toISOString();
+  const previous = snapshotDesign(existing);
+  const before = auditDesignState(existing, await getDesignOwnership(designId));
+
+  applyAdminDesignUpdates(
+    existing,
+    {
+      title: normalized.title,
+      status: normalized.status,
+      thumbnailUrl: normalized.thumbnailUrl ?? '',
+      slides: normalized.slides ?? [],
+      tags: normalized.tags ?? [],
+      notes: normalized.notes ?? ''
+    },
+    timestamp
+  );
+
+  existing.price = price;
+  existing.premium = price > 0;
+  existing.isAdminTemplate = isAdminTemplate;
+  existing.managedByAdminId = managedByAdminId;
+  if (body?.category !== undefined) {
+    existing.category = normalizeString(body.category);
+  }
+  if (!existing.createdAt) {
+    existing.createdAt = timestamp;
+  }
+
+  const saved = await saveDesignRecord(existing);
+  const ownership = await assignDesignOwner(designId, ownerId, timestamp);
+  await recordDesignVersion(saved, { authorId: adminUser.id, previous });
+  await auditAdminChange(ctx, {
+    action: 'design.update',
+    targetType: 'design',
+    targetId: designId,
+    before,
+    after: auditDesignState(saved, ownership)
+  });
+
+  res.setHeader('ETag', designETag(saved));
+  respondJson(res, 200, shapeAdminDesign(saved, ownership));
+});
+
+router.patch('/api/admin/designs/:id', requireAdminUser, async (req, res, ctx) => {
+  const { user: adminUser, params } = ctx;
+  const designId = params.id;
+  const existing = await getDesignRecord(designId);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+
+  if (!(await checkDesignPreconditions(req, res, existing))) {
+    return;
+  }
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(payload));
+  if (!requireJsonBody(req, res)) return;
+  const body = await parseJsonBody(req, res);
+  if (body === null) return;
+
+  const { errors, normalized } = validateAdminDesignPayload(body, {
+    requireAllFields: false,
+    allowOwnerChange: false
+  });
+
+  if (errors.length > 0) {
+    respondValidationErrors(res, errors);
+    return;
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    respondValidationErrors(res, [{ field: '*', message: 'No updatable fields provided' }]);
+    return;
+  }
+
+  const timestamp = new Date().toISOString();
+  const previous = snapshotDesign(existing);
+  const ownership = await getDesignOwnership(designId);
+  const before = auditDesignState(existing, ownership);
+
+  applyAdminDesignUpdates(existing, normalized, timestamp);
+  const saved = await saveDesignRecord(existing);
+  await recordDesignVersion(saved, { authorId: adminUser.id, previous });
+  await auditAdminChange(ctx, {
+    action: 'design.update',
+    targetType: 'design',
+    targetId: designId,
+    before,
+    after: auditDesignState(saved, ownership)
+  });
+
+  res.setHeader('ETag', designETag(saved));
+  respondJson(res, 200, shapeAdminDesign(saved, ownership));
+});
+
+router.delete('/api/admin/designs/:id', requireAdminUser, async (req, res, ctx) => {
+  const { user: adminUser, params } = ctx;
+  const existing = await getDesignRecord(params.id);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+
+  if (!(await checkDesignPreconditions(req, res, existing))) {
+    return;
+  }
+
+  const timestamp = new Date().toISOString();
+  const ownership = await getDesignOwnership(params.id);
+  const before = auditDesignState(existing, ownership);
+  const previous = snapshotDesign(existing);
+  existing.status = 'archived';
+  existing.updatedAt = timestamp;
+  existing.archivedAt = timestamp;
+  existing.archivedByAdminId = adminUser.id;
+  const saved = await saveDesignRecord(existing);
+  await recordDesignVersion(saved, { authorId: adminUser.id, reason: 'archive', previous });
+  await auditAdminChange(ctx, {
+    action: 'design.archive',
+    targetType: 'design',
+    targetId: params.id,
+    before,
+    after: auditDesignState(saved, ownership)
+  });
+
+  res.writeHead(204).end();
+});
+
+router.put('/api/admin/designs/:id/price', requireAdminUser, jsonBody(), async (req, res, ctx) => {
+  const { user: adminUser, params, body } = ctx;
+  const price = Number(body.price);
+  const design = await getDesignRecord(params.id);
+  if (!design || Number.isNaN(price)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid design or price' }));
+    return;
+  }
+  if (!(await checkDesignPreconditions(req, res, design))) {
+    return;
+  }
+  const before = { price: Number(design.price) || 0, premium: Boolean(design.premium) };
+  const previous = snapshotDesign(design);
+  design.price = price;
+  design.premium = price > 0;
+  design.updatedAt = new Date().toISOString();
+  const saved = await saveDesignRecord(design);
+  await recordDesignVersion(saved, { authorId: adminUser.id, reason: 'price', previous });
+  await auditAdminChange(ctx, {
+    action: 'design.price',
+    targetType: 'design',
+    targetId: params.id,
+    before,
+    after: { price: saved.price, premium: saved.premium }
+  });
+  res.setHeader('ETag', designETag(saved));
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(await withDesignOwnership(saved)));
+});
+
+router.get('/api/marketplace', requireAuth, async (req, res, { user: authUser, query }) => {
+  let defaultRole = resolveMarketplaceRole(authUser.role) || 'consumer';
+  if (!MARKETPLACE_ROLES.has(defaultRole)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Unsupported role' }));
+    return;
+  }
+
+  const requestedRoleParam = query.get('role');
+  let effectiveRole = defaultRole;
+  if (requestedRoleParam !== null) {
+    const requestedRole = resolveMarketplaceRole(requestedRoleParam);
+    if (!MARKETPLACE_ROLES.has(requestedRole)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Unsupported role' }));
+      return;
+    }
+    if (!isAdminRole(defaultRole) && requestedRole !== defaultRole) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Forbidden role override' }));
       return;
     }
+    effectiveRole = requestedRole;
+  }
 
-    if (req.method === 'POST' && req.url === '/api/webm') {
-      const user = getAuthenticatedUser(req, res);
-      if (!user) return;
-      if (!requireJsonBody(req, res)) return;
-      const body = await parseJsonBody(req, res);
-      if (body === null) return;
-
-      const designId =
-        typeof body.designId === 'string'
-          ? body.designId.trim()
-          : body.designId !== undefined && body.designId !== null
-            ? String(body.designId).trim()
-            : '';
-      if (!designId) {
-        respondError(res, 422, 'validation_error', 'designId is required');
-        return;
-      }
+  const categoryParam = query.get('category');
+  const searchParam = query.get('search');
+  const category = categoryParam ? categoryParam.trim() : '';
+  if (category && !/^[\w-]+$/.test(category)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid category filter' }));
+    return;
+  }
 
-      if (!designs.has(designId)) {
-        respondError(res, 422, 'validation_error', 'designId must reference an existing design');
-        return;
-      }
+  const search = searchParam ? searchParam.trim() : '';
+  if (search.length > 100) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Search query too long' }));
+    return;
+  }
 
-      if (!ensureDesignAccess(res, user, designId)) {
-        return;
-      }
+  const { error: facetError, facets } = parseMarketplaceFacets(query);
+  if (facetError) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: facetError }));
+    return;
+  }
 
-      const storageUri = typeof body.storageUri === 'string' ? body.storageUri.trim() : '';
-      if (!storageUri) {
-        respondError(res, 422, 'validation_error', 'storageUri is required');
-        return;
-      }
+  const ownerIdParam = query.get('ownerId');
+  const ownerId = ownerIdParam ? ownerIdParam.trim() : '';
+  const mineParam = query.get('mine');
+  const mineRequested = typeof mineParam === 'string' && mineParam.trim()
+    ? ['1', 'true', 'yes', 'y'].includes(mineParam.trim().toLowerCase())
+    : false;
+
+  const payload = await getMarketplaceDesigns({
+    role: effectiveRole,
+    category: category || undefined,
+    search: search || undefined,
+    ownerId: ownerId || undefined,
+    mine: mineRequested,
+    requestingUserId: authUser.id,
+    ...facets,
+  });
 
-      let durationSeconds;
-      let sizeBytes;
-      try {
-        durationSeconds = coerceNullableNumber(body.durationSeconds, 'durationSeconds');
-        sizeBytes = coerceNullableNumber(body.sizeBytes, 'sizeBytes');
-      } catch (err) {
-        respondError(res, 422, 'validation_error', err.message || 'Invalid numeric field');
-        return;
-      }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+});
 
-      let uploadedBy;
-      if (Object.prototype.hasOwnProperty.call(body, 'uploadedBy')) {
-        if (body.uploadedBy === null) {
-          uploadedBy = null;
-        } else {
-          uploadedBy = String(body.uploadedBy).trim();
-          if (!uploadedBy) uploadedBy = user.id;
-        }
-      } else {
-        uploadedBy = user.id;
-      }
+router.post('/api/webm', requireAuth, jsonBody({ strict: true }), idempotent, async (req, res, { user, body }) => {
+  const designId =
+    typeof body.designId === 'string'
+      ? body.designId.trim()
+      : body.designId !== undefined && body.designId !== null
+        ? String(body.designId).trim()
+        : '';
+  if (!designId) {
+    respondError(res, 422, 'validation_error', 'designId is required');
+    return;
+  }
 
-      const payload = {
-        designId,
-        storageUri,
-        uploadedBy
-      };
-      if (durationSeconds !== undefined) payload.durationSeconds = durationSeconds;
-      if (sizeBytes !== undefined) payload.sizeBytes = sizeBytes;
+  if (!(await getDesignRecord(designId))) {
+    respondError(res, 422, 'validation_error', 'designId must reference an existing design');
+    return;
+  }
 
-      try {
-        const record = await addWebmFile(payload);
-        respondJson(res, 201, record);
-      } catch (err) {
-        respondError(res, 422, 'validation_error', err.message || 'Unable to create WebM asset');
-      }
-      return;
+  if (!(await ensureDesignAccess(res, user, designId))) {
+    return;
+  }
+
+  const storageUri = typeof body.storageUri === 'string' ? body.storageUri.trim() : '';
+  if (!storageUri) {
+    respondError(res, 422, 'validation_error', 'storageUri is required');
+    return;
+  }
+
+  let durationSeconds;
+  let sizeBytes;
+  try {
+    durationSeconds = coerceNullableNumber(body.durationSeconds, 'durationSeconds');
+    sizeBytes = coerceNullableNumber(body.sizeBytes, 'sizeBytes');
+  } catch (err) {
+    respondError(res, 422, 'validation_error', err.message || 'Invalid numeric field');
+    return;
+  }
+
+  let uploadedBy;
+  if (Object.prototype.hasOwnProperty.call(body, 'uploadedBy')) {
+    if (body.uploadedBy === null) {
+      uploadedBy = null;
+    } else {
+      uploadedBy = String(body.uploadedBy).trim();
+      if (!uploadedBy) uploadedBy = user.id;
     }
+  } else {
+    uploadedBy = user.id;
+  }
+
+  const payload = {
+    designId,
+    storageUri,
+    uploadedBy
+  };
+  if (durationSeconds !== undefined) payload.durationSeconds = durationSeconds;
+  if (sizeBytes !== undefined) payload.sizeBytes = sizeBytes;
 
-    if (req.method === 'GET' && req.url.startsWith('/api/webm/')) {
-      const webmId = ensureWebmId(req, res);
-      if (!webmId) return;
+  try {
+    const record = await addWebmFile(payload);
+    webmUploadsTotal.inc();
+    respondJson(res, 201, record);
+  } catch (err) {
+    respondError(res, 422, 'validation_error', err.message || 'Unable to create WebM asset');
+  }
+});
 
-      const user = getAuthenticatedUser(req, res);
-      if (!user) return;
+router.get('/api/webm/:id', requireAuth, async (req, res, { user, params }) => {
+  const record = await getWebmFileById(params.id);
+  if (!record) {
+    respondError(res, 404, 'not_found', 'WebM asset not found');
+    return;
+  }
+  if (!(await ensureDesignAccess(res, user, record.designId))) {
+    return;
+  }
+  respondJson(res, 200, record);
+});
 
-      const record = await getWebmFileById(webmId);
-      if (!record) {
-        respondError(res, 404, 'not_found', 'WebM asset not found');
+router.patch('/api/webm/:id', requireAuth, jsonBody({ strict: true }), async (req, res, { user, params, body }) => {
+  const webmId = params.id;
+  const existing = await getWebmFileById(webmId);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'WebM asset not found');
+    return;
+  }
+  if (!(await ensureDesignAccess(res, user, existing.designId))) {
+    return;
+  }
+
+  const updates = {};
+
+  if (Object.prototype.hasOwnProperty.call(body, 'storageUri')) {
+    if (body.storageUri === null) {
+      updates.storageUri = null;
+    } else {
+      const value = typeof body.storageUri === 'string' ? body.storageUri.trim() : '';
+      if (!value) {
+        respondError(res, 422, 'validation_error', 'storageUri must be a non-empty string');
         return;
       }
-      if (!ensureDesignAccess(res, user, record.designId)) {
+      updates.storageUri = value;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'durationSeconds')) {
+    try {
+      updates.durationSeconds = coerceNullableNumber(body.durationSeconds, 'durationSeconds');
+    } catch (err) {
+      respondError(res, 422, 'validation_error', err.message || 'Invalid durationSeconds');
+      return;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'sizeBytes')) {
+    try {
+      updates.sizeBytes = coerceNullableNumber(body.sizeBytes, 'sizeBytes');
+    } catch (err) {
+      respondError(res, 422, 'validation_error', err.message || 'Invalid sizeBytes');
+      return;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'uploadedBy')) {
+    if (body.uploadedBy === null) {
+      updates.uploadedBy = null;
+    } else {
+      const value = String(body.uploadedBy).trim();
+      if (!value) {
+        respondError(res, 422, 'validation_error', 'uploadedBy must be a non-empty string');
         return;
       }
-      respondJson(res, 200, record);
+      updates.uploadedBy = value;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'designId')) {
+    const nextDesignId =
+      typeof body.designId === 'string'
+        ? body.designId.trim()
+        : body.designId !== null && body.designId !== undefined
+          ? String(body.designId).trim()
+          : '';
+    if (!nextDesignId) {
+      respondError(res, 422, 'validation_error', 'designId must be a non-empty string');
+      return;
+    }
+    if (!(await getDesignRecord(nextDesignId))) {
+      respondError(res, 422, 'validation_error', 'designId must reference an existing design');
+      return;
+    }
+    if (!(await ensureDesignAccess(res, user, nextDesignId))) {
       return;
     }
+    updates.designId = nextDesignId;
+  }
 
-    if (req.method === 'PATCH' && req.url.startsWith('/api/webm/')) {
-      const webmId = ensureWebmId(req, res);
-      if (!webmId) return;
+  if (Object.keys(updates).length === 0) {
+    respondError(res, 422, 'validation_error', 'No updatable fields provided');
+    return;
+  }
 
-      const user = getAuthenticatedUser(req, res);
-      if (!user) return;
-      if (!requireJsonBody(req, res)) return;
-      const body = await parseJsonBody(req, res);
-      if (body === null) return;
+  try {
+    const record = await updateWebmFile(webmId, updates);
+    if (!record) {
+      respondError(res, 404, 'not_found', 'WebM asset not found');
+      return;
+    }
+    respondJson(res, 200, record);
+  } catch (err) {
+    respondError(res, 422, 'validation_error', err.message || 'Unable to update WebM asset');
+  }
+});
 
-      const existing = await getWebmFileById(webmId);
-      if (!existing) {
-        respondError(res, 404, 'not_found', 'WebM asset not found');
-        return;
-      }
-      if (!ensureDesignAccess(res, user, existing.designId)) {
-        return;
-      }
+router.delete('/api/webm/:id', requireAuth, async (req, res, { user, params }) => {
+  const webmId = params.id;
+  const existing = await getWebmFileById(webmId);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'WebM asset not found');
+    return;
+  }
 
-      const updates = {};
-
-      if (Object.prototype.hasOwnProperty.call(body, 'storageUri')) {
-        if (body.storageUri === null) {
-          updates.storageUri = null;
-        } else {
-          const value = typeof body.storageUri === 'string' ? body.storageUri.trim() : '';
-          if (!value) {
-            respondError(res, 422, 'validation_error', 'storageUri must be a non-empty string');
-            return;
-          }
-          updates.storageUri = value;
-        }
-      }
+  if (!(await ensureDesignAccess(res, user, existing.designId))) {
+    return;
+  }
 
-      if (Object.prototype.hasOwnProperty.call(body, 'durationSeconds')) {
-        try {
-          updates.durationSeconds = coerceNullableNumber(body.durationSeconds, 'durationSeconds');
-        } catch (err) {
-          respondError(res, 422, 'validation_error', err.message || 'Invalid durationSeconds');
-          return;
-        }
-      }
+  const deleted = await deleteWebmFile(webmId);
+  if (!deleted) {
+    respondError(res, 404, 'not_found', 'WebM asset not found');
+    return;
+  }
+  res.writeHead(204).end();
+});
 
-      if (Object.prototype.hasOwnProperty.call(body, 'sizeBytes')) {
-        try {
-          updates.sizeBytes = coerceNullableNumber(body.sizeBytes, 'sizeBytes');
-        } catch (err) {
-          respondError(res, 422, 'validation_error', err.message || 'Invalid sizeBytes');
-          return;
-        }
-      }
+router.get('/api/designs/:id/webm', async (req, res, ctx) => {
+  const designId = ctx.params.id;
+  if (!(await getDesignRecord(designId))) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
 
-      if (Object.prototype.hasOwnProperty.call(body, 'uploadedBy')) {
-        if (body.uploadedBy === null) {
-          updates.uploadedBy = null;
-        } else {
-          const value = String(body.uploadedBy).trim();
-          if (!value) {
-            respondError(res, 422, 'validation_error', 'uploadedBy must be a non-empty string');
-            return;
-          }
-          updates.uploadedBy = value;
-        }
-      }
+  if (!(await requireAuth(req, res, ctx))) return;
+  if (!(await ensureDesignAccess(res, ctx.user, designId))) {
+    return;
+  }
 
-      if (Object.prototype.hasOwnProperty.call(body, 'designId')) {
-        const nextDesignId =
-          typeof body.designId === 'string'
-            ? body.designId.trim()
-            : body.designId !== null && body.designId !== undefined
-              ? String(body.designId).trim()
-              : '';
-        if (!nextDesignId) {
-          respondError(res, 422, 'validation_error', 'designId must be a non-empty string');
-          return;
-        }
-        if (!designs.has(nextDesignId)) {
-          respondError(res, 422, 'validation_error', 'designId must reference an existing design');
-          return;
-        }
-        if (!ensureDesignAccess(res, user, nextDesignId)) {
-          return;
-        }
-        updates.designId = nextDesignId;
-      }
+  const files = await getWebmFilesByDesign(designId);
+  respondJson(res, 200, { designId, data: files });
+});
 
-      if (Object.keys(updates).length === 0) {
-        respondError(res, 422, 'validation_error', 'No updatable fields provided');
-        return;
-      }
+router.post('/api/designs/:id/purchase', requireAuth, idempotent, async (req, res, { user, params }) => {
+  const designId = params.id;
+  const design = await getDesignRecord(designId);
+  if (!design) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+  if (design.status !== 'published' || design.archivedAt) {
+    respondError(res, 409, 'conflict_error', 'Design is not available for purchase');
+    return;
+  }
+  if (await userOwnsDesign(user, designId)) {
+    respondError(res, 409, 'conflict_error', 'Design already owned');
+    return;
+  }
 
-      try {
-        const record = await updateWebmFile(webmId, updates);
-        if (!record) {
-          respondError(res, 404, 'not_found', 'WebM asset not found');
-          return;
-        }
-        respondJson(res, 200, record);
-      } catch (err) {
-        respondError(res, 422, 'validation_error', err.message || 'Unable to update WebM asset');
-      }
-      return;
-    }
+  const result = await purchaseDesign(user.id, design);
+  if (result.status === 'already_owned') {
+    respondError(res, 409, 'conflict_error', 'Design already owned');
+    return;
+  }
+  if (result.status === 'insufficient_tokens') {
+    respondJson(res, 402, {
+      error: { type: 'insufficient_tokens', message: 'Not enough tokens to purchase this design' },
+      price: getDesignTokenCost(design),
+      tokens: result.balance
+    });
+    return;
+  }
+
+  designPurchasesTotal.inc();
+  await recordConversion(designId);
+  await recordPurchaseCompleted(designId, { viewerId: user.id });
+  respondJson(res, 201, {
+    designId,
+    owned: true,
+    price: result.grant.price,
+    purchasedAt: result.grant.purchasedAt,
+    tokens: result.balance,
+    ledgerEntry: result.entry
+  });
+});
+
+// Resolves the design and version named in the path, answering 404/403 itself.
+async function loadDesignVersion(res, user, designId, versionParam) {
+  const design = await getDesignRecord(designId);
+  if (!design) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return null;
+  }
+  if (!(await ensureDesignAccess(res, user, designId))) {
+    return null;
+  }
+  const version = /^\d+$/.test(versionParam) ? await getDesignVersion(designId, Number(versionParam)) : null;
+  if (!version) {
+    respondError(res, 404, 'not_found', 'Version not found');
+    return null;
+  }
+  return { design, version };
+}
 
-    if (req.method === 'DELETE' && req.url.startsWith('/api/webm/')) {
-      const webmId = ensureWebmId(req, res);
-      if (!webmId) return;
+function shapeDesignVersion(version) {
+  return { designId: version.designId, ...toVersionSummary(version), snapshot: version.snapshot };
+}
 
-      const user = getAuthenticatedUser(req, res);
-      if (!user) return;
+router.get('/api/designs/:id/versions', requireAuth, async (req, res, { user, params }) => {
+  const designId = params.id;
+  if (!(await getDesignRecord(designId))) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+  if (!(await ensureDesignAccess(res, user, designId))) {
+    return;
+  }
+  const versions = await listDesignVersions(designId);
+  respondJson(res, 200, { designId, versions: versions.map(toVersionSummary) });
+});
 
-      const existing = await getWebmFileById(webmId);
-      if (!existing) {
-        respondError(res, 404, 'not_found', 'WebM asset not found');
-        return;
-      }
+router.get('/api/designs/:id/versions/:version', requireAuth, async (req, res, { user, params }) => {
+  const loaded = await loadDesignVersion(res, user, params.id, params.version);
+  if (!loaded) return;
+  respondJson(res, 200, shapeDesignVersion(loaded.version));
+});
 
-      if (!ensureDesignAccess(res, user, existing.designId)) {
-        return;
-      }
+// Compares `?from=` (default: the previous version) with the version in the path.
+router.get('/api/designs/:id/versions/:version/diff', requireAuth, async (req, res, { user, params, query }) => {
+  const loaded = await loadDesignVersion(res, user, params.id, params.version);
+  if (!loaded) return;
+  const fromParam = query.get('from') ?? String(loaded.version.version - 1);
+  const from = /^\d+$/.test(fromParam) ? await getDesignVersion(params.id, Number(fromParam)) : null;
+  if (!from) {
+    respondError(res, 404, 'not_found', 'Version to compare against not found');
+    return;
+  }
+  respondJson(res, 200, {
+    designId: loaded.version.designId,
+    from: from.version,
+    to: loaded.version.version,
+    ...diffDesignSnapshots(from.snapshot, loaded.version.snapshot)
+  });
+});
 
-      const deleted = await deleteWebmFile(webmId);
-      if (!deleted) {
-        respondError(res, 404, 'not_found', 'WebM asset not found');
-        return;
-      }
-      res.writeHead(204).end();
+router.post('/api/designs/:id/versions/:version/restore', requireAuth, async (req, res, { user, params }) => {
+  const loaded = await loadDesignVersion(res, user, params.id, params.version);
+  if (!loaded) return;
+  if (!(await checkDesignPreconditions(req, res, loaded.design))) {
+    return;
+  }
+  const { design, version } = await restoreDesignVersion(loaded.design, loaded.version, user.id);
+  res.setHeader('ETag', designETag(design));
+  respondJson(res, 200, { design: await withDesignOwnership(design), version: toVersionSummary(version) });
+});
+
+async function loadManagedDesign(res, user, designId) {
+  if (!(await getDesignRecord(designId))) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return false;
+  }
+  return ensureDesignAccess(res, user, designId);
+}
+
+router.get('/api/designs/:id/share', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const links = await listShareLinks(params.id);
+  respondJson(res, 200, { designId: params.id, links: links.map(toPublicShareLink) });
+});
+
+router.post('/api/designs/:id/share', requireAuth, jsonBody(), async (req, res, { user, params, body }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const expiresInDays = body?.expiresInDays ?? null;
+  if (
+    expiresInDays !== null &&
+    (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_SHARE_LINK_DAYS)
+  ) {
+    respondValidationErrors(res, [
+      { field: 'expiresInDays', message: `expiresInDays must be a whole number from 1 to ${MAX_SHARE_LINK_DAYS}` }
+    ]);
+    return;
+  }
+  const link = await createShareLink(params.id, user.id, { expiresInDays });
+  respondJson(res, 201, toPublicShareLink(link));
+});
+
+router.delete('/api/designs/:id/share/:linkId', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const link = await revokeShareLink(params.id, params.linkId);
+  if (!link) {
+    respondError(res, 404, 'not_found', 'Share link not found');
+    return;
+  }
+  respondJson(res, 200, toPublicShareLink(link));
+});
+
+// Public: anyone holding a valid token may view the design read-only.
+// Revoked, expired and forged tokens are indistinguishable (404).
+router.get('/api/share/:token', async (req, res, { params }) => {
+  const shared = await resolveShareToken(params.token);
+  if (!shared) {
+    respondError(res, 404, 'not_found', 'Share link not found');
+    return;
+  }
+  res.setHeader('Cache-Control', 'no-store');
+  if (shared.guest) {
+    const rsvp = (await listRsvps(shared.design.id)).find((entry) => entry.guestId === shared.guest.id);
+    respondJson(res, 200, {
+      design: toSharedDesign(shared.design),
+      expiresAt: null,
+      guest: toInvitedGuest(shared.guest),
+      rsvp: rsvp ? toGuestRsvp(rsvp) : null
+    });
+    return;
+  }
+  respondJson(res, 200, { design: toSharedDesign(shared.design), expiresAt: shared.link.expiresAt });
+});
+
+// Public: the design's event as an iCalendar file guests can add to their
+// calendar. Same token rules as the viewer; 404 when no event is set.
+router.get('/api/share/:token/event.ics', async (req, res, { params }) => {
+  const shared = await resolveShareToken(params.token);
+  if (!shared) {
+    respondError(res, 404, 'not_found', 'Share link not found');
+    return;
+  }
+  if (!shared.design.event) {
+    respondError(res, 404, 'not_found', 'This invitation has no event details');
+    return;
+  }
+  const calendar = buildEventCalendar(shared.design, {
+    url: new URL(`/share/${encodeURIComponent(params.token)}`, appBaseUrl).toString(),
+    host: appBaseUrl.hostname
+  });
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="event.ics"',
+    'Cache-Control': 'no-store'
+  });
+  res.end(calendar);
+});
+
+function respondRsvpError(res, err) {
+  if (err instanceof RsvpError && err.code === 'duplicate_rsvp') {
+    respondError(res, 409, 'conflict_error', err.message);
+    return true;
+  }
+  if (err instanceof RsvpError && err.code === 'validation_error') {
+    respondValidationErrors(res, err.details);
+    return true;
+  }
+  return false;
+}
+
+// Public: guests answer through the share link they were sent. Retries with
+// the same Idempotency-Key replay the first answer; a second answer from the
+// same email, or through the same personal guest link, is a 409.
+router.post('/api/share/:token/rsvp', jsonBody({ strict: true }), idempotent, async (req, res, { params, body }) => {
+  const shared = await resolveShareToken(params.token);
+  if (!shared) {
+    respondError(res, 404, 'not_found', 'Share link not found');
+    return;
+  }
+  try {
+    const rsvp = await submitRsvp(shared.design.id, body, { guest: shared.guest ?? null });
+    respondJson(res, 201, { rsvp: toGuestRsvp(rsvp) });
+  } catch (err) {
+    if (!respondRsvpError(res, err)) throw err;
+  }
+});
+
+router.get('/api/designs/:id/rsvps', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const rsvps = await listRsvps(params.id);
+  respondJson(res, 200, { designId: params.id, summary: summarizeRsvps(rsvps), rsvps: rsvps.map(toPublicRsvp) });
+});
+
+router.patch('/api/designs/:id/rsvps/:rsvpId', requireAuth, jsonBody({ strict: true }), async (req, res, { user, params, body }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  try {
+    const rsvp = await updateRsvp(params.id, params.rsvpId, body);
+    if (!rsvp) {
+      respondError(res, 404, 'not_found', 'RSVP not found');
       return;
     }
+    respondJson(res, 200, toPublicRsvp(rsvp));
+  } catch (err) {
+    if (!respondRsvpError(res, err)) throw err;
+  }
+});
 
-    if (req.method === 'GET' && req.url.startsWith('/api/designs/')) {
-      const designIdForWebm = getDesignIdForWebmListing(req);
-      if (designIdForWebm) {
-        if (!designs.has(designIdForWebm)) {
-          respondError(res, 404, 'not_found', 'Design not found');
-          return;
-        }
+router.delete('/api/designs/:id/rsvps/:rsvpId', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  if (!(await deleteRsvp(params.id, params.rsvpId))) {
+    respondError(res, 404, 'not_found', 'RSVP not found');
+    return;
+  }
+  res.writeHead(204).end();
+});
 
-        const user = getAuthenticatedUser(req, res);
-        if (!user) return;
-        if (!ensureDesignAccess(res, user, designIdForWebm)) {
-          return;
-        }
+function respondGuestError(res, err) {
+  if (err instanceof GuestError && err.code === 'validation_error') {
+    respondValidationErrors(res, err.details, err.message);
+    return true;
+  }
+  return false;
+}
 
-        const files = await getWebmFilesByDesign(designIdForWebm);
-        respondJson(res, 200, { designId: designIdForWebm, data: files });
-        return;
-      }
+router.get('/api/designs/:id/guests', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const guests = await listGuests(params.id);
+  respondJson(res, 200, { designId: params.id, guests: guests.map(toPublicGuest) });
+});
 
-      const urlObj = getRequestUrl(req);
-      const user = authenticate(req);
-      const param = decodeURIComponent(urlObj.pathname.slice('/api/designs/'.length));
-      if (/^\d+$/.test(param)) {
-        const design = await getDesignById(user.id, param);
-        if (!design) {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Design not found' }));
-          return;
-        }
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(design));
-        return;
-      }
-      if (!/^[\w-]+$/.test(param)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid category' }));
-        return;
-      }
-      const search = urlObj.searchParams.get('search') || undefined;
-      const userDesigns = await getDesignsByUser(user.id, { category: param, search });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(userDesigns));
+router.post('/api/designs/:id/guests', requireAuth, jsonBody({ strict: true }), async (req, res, { user, params, body }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  try {
+    const guest = await addGuest(params.id, body);
+    respondJson(res, 201, toPublicGuest({ ...guest, rsvp: null }));
+  } catch (err) {
+    if (!respondGuestError(res, err)) throw err;
+  }
+});
+
+// All or nothing: a 422 lists every bad row and nothing is imported.
+router.post('/api/designs/:id/guests/import', requireAuth, jsonBody({ strict: true }), async (req, res, { user, params, body }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  try {
+    const guests = await importGuestsCsv(params.id, body);
+    respondJson(res, 201, {
+      designId: params.id,
+      imported: guests.length,
+      guests: guests.map((guest) => toPublicGuest({ ...guest, rsvp: null }))
+    });
+  } catch (err) {
+    if (!respondGuestError(res, err)) throw err;
+  }
+});
+
+router.get('/api/designs/:id/guests/export', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const csv = await exportGuestsCsv(params.id);
+  res.writeHead(200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="guests-${params.id}.csv"`,
+    'Cache-Control': 'no-store'
+  });
+  res.end(csv);
+});
+
+router.patch('/api/designs/:id/guests/:guestId', requireAuth, jsonBody({ strict: true }), async (req, res, { user, params, body }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  try {
+    const guest = await updateGuest(params.id, params.guestId, body);
+    if (!guest) {
+      respondError(res, 404, 'not_found', 'Guest not found');
       return;
     }
+    const listed = (await listGuests(params.id)).find((entry) => entry.id === guest.id);
+    respondJson(res, 200, toPublicGuest(listed ?? { ...guest, rsvp: null }));
+  } catch (err) {
+    if (!respondGuestError(res, err)) throw err;
+  }
+});
+
+router.delete('/api/designs/:id/guests/:guestId', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  if (!(await deleteGuest(params.id, params.guestId))) {
+    respondError(res, 404, 'not_found', 'Guest not found');
+    return;
+  }
+  res.writeHead(204).end();
+});
 
-    if (req.method === 'GET' && req.url.split('?')[0] === '/api/designs') {
-      const user = authenticate(req);
-      const urlObj = new URL(req.url, `http://${req.headers.host}`);
-      const category = urlObj.searchParams.get('category') || undefined;
-      const search = urlObj.searchParams.get('search') || undefined;
-      const userDesigns = await getDesignsByUser(user.id, { category, search });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(userDesigns));
+// Sends are queued: the 202 lists each recipient's delivery as `queued`, and
+// GET /deliveries reports whether it was sent.
+router.post('/api/designs/:id/send', requireAuth, jsonBody({ strict: true }), idempotent, async (req, res, { user, params, body }) => {
+  if (!mailer) {
+    respondError(res, 503, 'service_unavailable', 'Email is not configured');
+    return;
+  }
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const design = await getDesignRecord(params.id);
+  try {
+    const { deliveries, skipped } = await queueInvitationSends(design, body, {
+      mailer,
+      baseUrl: appBaseUrl.origin
+    });
+    respondJson(res, 202, { designId: params.id, deliveries: deliveries.map(toPublicDelivery), skipped });
+  } catch (err) {
+    if (err instanceof DeliveryError && err.code === 'validation_error') {
+      respondValidationErrors(res, err.details);
       return;
     }
+    throw err;
+  }
+});
+
+router.get('/api/designs/:id/deliveries', requireAuth, async (req, res, { user, params }) => {
+  if (!(await loadManagedDesign(res, user, params.id))) return;
+  const deliveries = await listDeliveries(params.id);
+  respondJson(res, 200, { designId: params.id, deliveries: deliveries.map(toPublicDelivery) });
+});
+
+router.get('/api/designs', requireAuth, async (req, res, { user, query }) => {
+  const category = query.get('category') || undefined;
+  const search = query.get('search') || undefined;
+  const userDesigns = await getDesignsByUser(user.id, { category, search });
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(userDesigns));
+});
+
+router.post('/api/designs', requireAuth, jsonBody({ strict: true }), idempotent, async (req, res, { user, body }) => {
+  const { errors, normalized } = validateOwnerDesignPayload(body, { requireAllFields: true });
+  if (errors.length > 0) {
+    respondValidationErrors(res, errors);
+    return;
+  }
 
-    if (req.method === 'GET' && req.url === '/health') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        version: '2.0.0'
-      }));
+  const design = await createDesign(user.id, normalized);
+  await recordDesignVersion(design, { authorId: user.id, reason: 'create' });
+  res.setHeader('ETag', designETag(design));
+  respondJson(res, 201, design);
+});
+
+// GET /api/designs/:param accepts either a design id or a category slug.
+router.get('/api/designs/:param', requireAuth, async (req, res, { user, params, query }) => {
+  const { param } = params;
+  if (/^\d+$/.test(param) || (await getDesignRecord(param))) {
+    const design = await getDesignById(user.id, param);
+    if (!design) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Design not found' }));
       return;
     }
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: designETag(design) });
+    res.end(JSON.stringify(design));
+    return;
+  }
+  if (!/^[\w-]+$/.test(param)) {
+    res.writeHead(400, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Invalid category' }));
+    return;
+  }
+  const search = query.get('search') || undefined;
+  const userDesigns = await getDesignsByUser(user.id, { category: param, search });
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(userDesigns));
+});
+
+router.route(['PUT', 'PATCH'], '/api/designs/:param', requireAuth, async (req, res, { user, params }) => {
+  const designId = params.param;
+  const existing = await getDesignRecord(designId);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+  if (!(await ensureDesignAccess(res, user, designId))) {
+    return;
+  }
+  if (!(await checkDesignPreconditions(req, res, existing, { required: true }))) {
+    return;
+  }
+  if (!requireJsonBody(req, res)) return;
+  const body = await parseJsonBody(req, res);
+  if (body === null) return;
 
-    if (req.method === 'GET' && req.url.startsWith('/api/marketplace')) {
-      const user = authenticate(req);
-      const urlObj = new URL(req.url, `http://${req.headers.host}`);
-      const requestedRole = resolveMarketplaceRole(urlObj.searchParams.get('role'));
-      const defaultRole = resolveMarketplaceRole(user.role) || 'consumer';
+  const { errors, normalized } = validateOwnerDesignPayload(body, {
+    requireAllFields: req.method === 'PUT'
+  });
+  if (errors.length > 0) {
+    respondValidationErrors(res, errors);
+    return;
+  }
+  if (Object.keys(normalized).length === 0) {
+    respondValidationErrors(res, [{ field: '*', message: 'No updatable fields provided' }]);
+    return;
+  }
 
-      if (!MARKETPLACE_ROLES.has(requestedRole)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid role parameter' }));
-        return;
-      }
+  const design = await updateDesign(designId, normalized);
+  await recordDesignVersion(design, { authorId: user.id, previous: snapshotDesign(existing) });
+  res.setHeader('ETag', designETag(design));
+  respondJson(res, 200, design);
+});
 
-      // Only admins can view marketplace as other roles
-      if (requestedRole !== defaultRole && !isAdminRole(user.role)) {
-        res.writeHead(403, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Unauthorized role access' }));
-        return;
-      }
+router.delete('/api/designs/:param', requireAuth, async (req, res, { user, params }) => {
+  const designId = params.param;
+  const existing = await getDesignRecord(designId);
+  if (!existing) {
+    respondError(res, 404, 'not_found', 'Design not found');
+    return;
+  }
+  if (!(await ensureDesignAccess(res, user, designId, { includePurchases: false }))) {
+    return;
+  }
+  if (!(await checkDesignPreconditions(req, res, existing, { required: true }))) {
+    return;
+  }
 
-      const designs = await getMarketplaceDesigns({
-        role: requestedRole,
-        userId: user.id
-      });
+  await deleteDesign(designId);
+  res.writeHead(204).end();
+});
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(designs));
+// Both sides are hashed first so the comparison does not leak the length.
+function metricsTokenMatches(header, expectedToken) {
+  const digest = (value) => createHash('sha256').update(String(value ?? '')).digest();
+  return timingSafeEqual(digest(header), digest(`Bearer ${expectedToken}`));
+}
+
+// Set METRICS_TOKEN to require `Authorization: Bearer <token>` for scrapes.
+router.get('/metrics', (req, res) => {
+  const expectedToken = process.env.METRICS_TOKEN;
+  if (expectedToken && !metricsTokenMatches(req.headers['authorization'], expectedToken)) {
+    respondError(res, 401, 'authorization_error', 'Authentication required');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(metrics.render());
+});
+
+router.get('/health', (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    version: '2.0.0'
+  }));
+});
+
+const server = http.createServer(async (req, res) => {
+  // Anonymous callers are logged and rate limited by IP.
+  const ctx = { userId: resolveRequestUserId(req) };
+  ctx.requestId = instrumentRequest(req, res, ctx);
+  try {
+    if (await rateLimit(req, res, ctx.userId)) return;
+    await router.handle(req, res, ctx);
+  } catch (err) {
+    logEvent({
+      level: 'error',
+      msg: 'unhandled error',
+      requestId: ctx.requestId,
+      method: req.method,
+      path: req.url,
+      error: err?.stack || String(err)
+    });
+    if (res.headersSent) {
+      res.end();
       return;
     }
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found' }));
-  } catch (err) {
-    res.writeHead(401, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    respondError(res, 500, 'server_error', 'Internal server error');
   }
 });
 
@@ -1404,4 +2551,5 @@ if (process.env.NODE_ENV !== 'test') {
   });
 }
 
+export { router, rateLimiter, idempotency, paymentProvider, mailer };
 export default server;
@@ -0,0 +1,184 @@
+// server/invitation-deliveries-store.js
+// Emailed invitations. Sending to a set of guests records one delivery per
+// recipient as `queued`, then a background queue renders and sends each
+// message through the mailer and marks it `sent` or `failed`. Every guest
+// gets their personal link (see guests-store.js), so replies are tied to them.
+
+import { randomUUID } from 'node:crypto';
+import { getRepository } from './repositories/index.js';
+import { shareTokenFor } from './share-links-store.js';
+import { renderInvitationEmail } from './mailer.js';
+import { logEvent } from './request-log.js';
+
+export const DELIVERY_STATUSES = ['queued', 'sent', 'failed'];
+export const MAX_RECIPIENTS_PER_SEND = 200;
+export const MAX_INVITATION_MESSAGE_LENGTH = 1000;
+
+let pendingDeliveries = Promise.resolve();
+
+/**
+ * Raised for send requests the HTTP layer maps onto error responses.
+ * `code` is always `validation_error`.
+ */
+export class DeliveryError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * The host's view of a delivery.
+ * @param {object} delivery
+ */
+export function toPublicDelivery(delivery) {
+  return {
+    id: delivery.id,
+    designId: delivery.designId,
+    guestId: delivery.guestId,
+    email: delivery.email,
+    status: delivery.status,
+    error: delivery.error,
+    createdAt: delivery.createdAt,
+    sentAt: delivery.sentAt
+  };
+}
+
+/**
+ * Validate a send request.
+ * @param {object} body `{ guestIds, message? }`
+ * @returns {{ errors: Array<{field:string, message:string}>, normalized: { guestIds: string[], message: string } }}
+ */
+export function validateSendRequest(body) {
+  const errors = [];
+  const payload = body && typeof body === 'object' ? body : {};
+  const normalized = { guestIds: [], message: '' };
+
+  const { guestIds } = payload;
+  if (!Array.isArray(guestIds) || guestIds.length === 0 || guestIds.some((id) => typeof id !== 'string' || !id)) {
+    errors.push({ field: 'guestIds', message: 'guestIds must be a non-empty array of guest ids' });
+  } else if (new Set(guestIds).size > MAX_RECIPIENTS_PER_SEND) {
+    errors.push({ field: 'guestIds', message: `Send to at most ${MAX_RECIPIENTS_PER_SEND} guests at a time` });
+  } else {
+    normalized.guestIds = Array.from(new Set(guestIds));
+  }
+
+  if (payload.message !== undefined && payload.message !== null) {
+    if (typeof payload.message !== 'string') {
+      errors.push({ field: 'message', message: 'message must be a string' });
+    } else if (payload.message.trim().length > MAX_INVITATION_MESSAGE_LENGTH) {
+      errors.push({ field: 'message', message: `message must be at most ${MAX_INVITATION_MESSAGE_LENGTH} characters` });
+    } else {
+      normalized.message = payload.message.trim();
+    }
+  }
+
+  return { errors, normalized };
+}
+
+async function deliver(mailer, delivery, email) {
+  const repository = getRepository();
+  try {
+    const { messageId } = await mailer.send({ to: delivery.email, ...email });
+    const now = new Date().toISOString();
+    await repository.invitationDeliveries.save({
+      ...delivery,
+      status: 'sent',
+      messageId,
+      sentAt: now,
+      updatedAt: now
+    });
+  } catch (err) {
+    logEvent({ level: 'warn', msg: 'invitation delivery failed', deliveryId: delivery.id, error: err.message });
+    await repository.invitationDeliveries.save({
+      ...delivery,
+      status: 'failed',
+      error: err.message,
+      updatedAt: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Queue invitation emails to some of a design's guests. Guests without an
+ * email address are skipped and reported back.
+ * @param {object} design
+ * @param {object} body `{ guestIds, message? }`
+ * @param {{ mailer: object, baseUrl: string }} options `baseUrl` is the app origin used in links
+ * @returns {Promise<{ deliveries: object[], skipped: Array<{ guestId: string, reason: string }> }>}
+ * @throws {DeliveryError} on invalid input or guests not on the design's list
+ */
+export async function queueInvitationSends(design, body, { mailer, baseUrl }) {
+  const { errors, normalized } = validateSendRequest(body);
+  if (errors.length) {
+    throw new DeliveryError('validation_error', 'Validation failed', errors);
+  }
+
+  const repository = getRepository();
+  const designId = String(design.id);
+  const guests = await Promise.all(normalized.guestIds.map((id) => repository.guests.get(id)));
+  const unknown = normalized.guestIds.filter((id, index) => guests[index]?.designId !== designId);
+  if (unknown.length) {
+    throw new DeliveryError(
+      'validation_error',
+      'Validation failed',
+      unknown.map((id) => ({ field: 'guestIds', message: `Guest ${id} is not on this design's guest list` }))
+    );
+  }
+
+  const skipped = [];
+  const deliveries = [];
+  for (const guest of guests) {
+    if (!guest.email) {
+      skipped.push({ guestId: guest.id, reason: 'no_email' });
+      continue;
+    }
+    const now = new Date().toISOString();
+    const delivery = await repository.invitationDeliveries.create({
+      id: `dlv_${randomUUID()}`,
+      designId,
+      guestId: guest.id,
+      email: guest.email,
+      status: 'queued',
+      error: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null
+    });
+    const email = renderInvitationEmail({
+      design,
+      baseUrl,
+      inviteUrl: new URL(`/share/${encodeURIComponent(shareTokenFor(guest))}`, baseUrl).toString(),
+      guestName: guest.name,
+      message: normalized.message
+    });
+    pendingDeliveries = pendingDeliveries
+      .then(() => deliver(mailer, delivery, email))
+      .catch((err) => {
+        logEvent({ level: 'error', msg: 'invitation delivery not recorded', deliveryId: delivery.id, error: err.message });
+      });
+    deliveries.push(delivery);
+  }
+  return { deliveries, skipped };
+}
+
+/**
+ * Resolves once every queued delivery has been attempted.
+ * @returns {Promise<void>}
+ */
+export function whenDeliveriesSettled() {
+  return pendingDeliveries;
+}
+
+/**
+ * A design's deliveries, newest first.
+ * @param {string} designId
+ * @returns {Promise<object[]>}
+ */
+export async function listDeliveries(designId) {
+  const list = await getRepository().invitationDeliveries.listByDesign(String(designId));
+  return list.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt) || b.id.localeCompare(a.id));
+}
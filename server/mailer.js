@@ -0,0 +1,386 @@
+// server/mailer.js
+// Outgoing email through a pluggable transport.
+//
+// A transport has a `name` and `send(envelope, raw)`, where `envelope` is
+// `{ from, to: string[] }` and `raw` the complete MIME message. Three ship
+// with the server:
+//
+//   smtp   — delivers to an SMTP relay (STARTTLS and AUTH PLAIN supported)
+//   file   — writes each message as an .eml file, for local inspection
+//   memory — keeps messages in `transport.messages`, for tests
+//
+// Messages are multipart/alternative with a plain-text and an HTML part.
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+
+export const DEFAULT_MAIL_FROM = 'Invitations <no-reply@localhost>';
+const SMTP_TIMEOUT_MS = 30_000;
+
+/**
+ * Raised when a transport cannot deliver a message. `code` is the SMTP reply
+ * code when the server rejected it.
+ */
+export class MailDeliveryError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'MailDeliveryError';
+    this.code = code;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Only http(s) images are safe to embed; relative thumbnails resolve against
+// the app's base URL.
+function resolveImageUrl(thumbnailUrl, baseUrl) {
+  if (!thumbnailUrl) return null;
+  try {
+    const url = new URL(thumbnailUrl, baseUrl);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Render the invitation email for one recipient.
+ * @param {{ design: { title: string, thumbnailUrl?: string }, inviteUrl: string, baseUrl?: string, guestName?: string, message?: string }} options
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderInvitationEmail({ design, inviteUrl, baseUrl, guestName = '', message = '' }) {
+  const title = design.title || 'an event';
+  const greeting = guestName ? `Hi ${guestName},` : 'Hi,';
+  const imageUrl = resolveImageUrl(design.thumbnailUrl, baseUrl || inviteUrl);
+
+  const text = [
+    greeting,
+    '',
+    `You're invited to ${title}.`,
+    ...(message ? ['', message] : []),
+    '',
+    `View the invitation and RSVP: ${inviteUrl}`,
+    ''
+  ].join('\n');
+
+  const html = [
+    '<!doctype html>',
+    '<html><body style="font-family: sans-serif; color: #0f172a;">',
+    `<p>${escapeHtml(greeting)}</p>`,
+    `<p>You're invited to <strong>${escapeHtml(title)}</strong>.</p>`,
+    imageUrl
+      ? `<p><a href="${escapeHtml(inviteUrl)}"><img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(title)}" width="480" style="max-width: 100%; border-radius: 8px;"></a></p>`
+      : '',
+    message ? `<p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>` : '',
+    `<p><a href="${escapeHtml(inviteUrl)}">View the invitation and RSVP</a></p>`,
+    '</body></html>'
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  return { subject: `You're invited: ${title}`, text, html };
+}
+
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[ -~]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function encodeBody(value) {
+  return Buffer.from(String(value)).toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+function addressOf(mailbox) {
+  const match = /<([^>]+)>\s*$/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Build a multipart/alternative MIME message.
+ * @param {{ from: string, to: string, subject: string, text: string, html: string, messageId: string, date?: Date }} message
+ * @returns {string}
+ */
+export function buildMimeMessage({ from, to, subject, text, html, messageId, date = new Date() }) {
+  const boundary = `alt_${randomUUID()}`;
+  return [
+    `From: ${encodeHeader(from)}`,
+    `To: ${encodeHeader(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Keeps every message in `messages` instead of sending it.
+ */
+export function createMemoryTransport() {
+  const messages = [];
+  return {
+    name: 'memory',
+    messages,
+    async send(envelope, raw) {
+      messages.push({ ...envelope, raw });
+    }
+  };
+}
+
+/**
+ * Writes each message to `<directory>/<timestamp>-<uuid>.eml`.
+ * @param {{ directory: string }} options
+ */
+export function createFileTransport({ directory }) {
+  if (!directory) {
+    throw new TypeError('createFileTransport requires a directory');
+  }
+  return {
+    name: 'file',
+    directory,
+    async send(envelope, raw) {
+      await mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${randomUUID()}.eml`);
+      await writeFile(file, raw);
+      return { file };
+    }
+  };
+}
+
+// Collects CRLF-terminated reply lines until the final line of a reply
+// (`250 ok`, as opposed to a `250-` continuation).
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (err) => {
+    failure = new MailDeliveryError(`SMTP connection failed: ${err.message}`);
+    settle();
+  };
+  const onClose = () => {
+    failure ??= new MailDeliveryError('SMTP connection closed unexpectedly');
+    settle();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+function connectSocket({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeSocket(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Delivers through an SMTP relay. Plain connections are upgraded with
+ * STARTTLS when the server offers it; `secure` connects over TLS directly
+ * (usually port 465). Credentials are only sent over an encrypted connection
+ * unless `allowInsecureAuth` is set.
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string, allowInsecureAuth?: boolean, heloName?: string, timeoutMs?: number }} options
+ */
+export function createSmtpTransport({
+  host,
+  port = 587,
+  secure = port === 465,
+  user,
+  pass,
+  allowInsecureAuth = false,
+  heloName = os.hostname(),
+  timeoutMs = SMTP_TIMEOUT_MS
+}) {
+  if (!host) {
+    throw new TypeError('createSmtpTransport requires a host');
+  }
+
+  return {
+    name: 'smtp',
+    async send(envelope, raw) {
+      let socket = await connectSocket({ host, port, secure });
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error('timed out')));
+      let reader = createReplyReader(socket);
+
+      const expect = async (codes) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+          throw new MailDeliveryError(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+      };
+      const command = async (line, codes) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+      };
+
+      try {
+        await expect([220]);
+        let hello = await command(`EHLO ${heloName}`, [250]);
+        let encrypted = secure;
+        if (!secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+          await command('STARTTLS', [220]);
+          reader.detach();
+          socket = await upgradeSocket(socket, host);
+          socket.setTimeout(timeoutMs, () => socket.destroy(new Error('timed out')));
+          reader = createReplyReader(socket);
+          hello = await command(`EHLO ${heloName}`, [250]);
+          encrypted = true;
+        }
+        if (user && !encrypted && !allowInsecureAuth) {
+          throw new MailDeliveryError('The SMTP server does not offer STARTTLS; refusing to send credentials in plain text');
+        }
+        if (user) {
+          const credentials = Buffer.from(`\0${user}\0${pass ?? ''}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        await command(`MAIL FROM:<${addressOf(envelope.from)}>`, [250]);
+        for (const recipient of envelope.to) {
+          await command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        // Lines starting with a dot are escaped by doubling it.
+        const body = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        await command(`${body.endsWith('\r\n') ? body : `${body}\r\n`}.`, [250]);
+        // The message is accepted at this point; a failed QUIT does not matter.
+        await command('QUIT', [221]).catch(() => {});
+      } finally {
+        reader.detach();
+        // A reset instead of a clean close after QUIT is not a failure.
+        socket.on('error', () => {});
+        socket.end();
+      }
+    }
+  };
+}
+
+/**
+ * Wrap a transport with message building.
+ * @param {{ transport: { name: string, send(envelope: object, raw: string): Promise<unknown> }, from?: string }} options
+ */
+export function createMailer({ transport, from = DEFAULT_MAIL_FROM }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  return {
+    transport,
+    from,
+    /**
+     * @param {{ to: string, subject: string, text: string, html: string }} message
+     * @returns {Promise<{ messageId: string }>}
+     */
+    async send({ to, subject, text, html }) {
+      const messageId = `<${randomUUID()}@${domain}>`;
+      const raw = buildMimeMessage({ from, to, subject, text, html, messageId });
+      await transport.send({ from, to: [to] }, raw);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Build the mailer selected by MAIL_TRANSPORT (`smtp`, `file` or `memory`).
+ * Outside production it defaults to `memory`; in production an unset
+ * MAIL_TRANSPORT returns null and sending answers 503.
+ * @param {Record<string, string|undefined>} [config]
+ */
+export function createMailerFromConfig(config = process.env) {
+  const isProduction = config.NODE_ENV === 'production';
+  const name = String(config.MAIL_TRANSPORT || (isProduction ? '' : 'memory')).trim().toLowerCase();
+  const from = config.MAIL_FROM || DEFAULT_MAIL_FROM;
+  if (!name) {
+    return null;
+  }
+  if (name === 'memory') {
+    return createMailer({ transport: createMemoryTransport(), from });
+  }
+  if (name === 'file') {
+    const directory = config.MAIL_FILE_DIR || path.join(os.tmpdir(), 'invitation-mail');
+    return createMailer({ transport: createFileTransport({ directory }), from });
+  }
+  if (name === 'smtp') {
+    const port = config.SMTP_PORT ? Number(config.SMTP_PORT) : undefined;
+    return createMailer({
+      transport: createSmtpTransport({
+        host: config.SMTP_HOST,
+        port,
+        secure: config.SMTP_SECURE === undefined ? undefined : config.SMTP_SECURE === 'true',
+        user: config.SMTP_USER || undefined,
+        pass: config.SMTP_PASS || undefined,
+        allowInsecureAuth: config.SMTP_ALLOW_INSECURE_AUTH === 'true'
+      }),
+      from
+    });
+  }
+  throw new Error(`Unsupported MAIL_TRANSPORT: ${name}`);
+}
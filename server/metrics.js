@@ -0,0 +1,175 @@
+// server/metrics.js
+// Small Prometheus-compatible metrics registry (counters and histograms)
+// rendered in the text exposition format by GET /metrics.
+
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels = {}) {
+  return labelNames.map((name) => String(labels[name] ?? ''));
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+/**
+ * Create an isolated registry. The server uses the shared `metrics` instance
+ * below; tests can build their own.
+ */
+export function createMetricsRegistry() {
+  const collectors = new Map();
+
+  function register(collector) {
+    if (collectors.has(collector.name)) {
+      throw new Error(`Metric ${collector.name} is already registered`);
+    }
+    collectors.set(collector.name, collector);
+    return collector;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   */
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name,
+      inc(labels = {}, amount = 1) {
+        const values = seriesKey(labelNames, labels);
+        const key = JSON.stringify(values);
+        const entry = series.get(key) || { values, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      get(labels = {}) {
+        return series.get(JSON.stringify(seriesKey(labelNames, labels)))?.value ?? 0;
+      },
+      reset() {
+        series.clear();
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { values, value } of series.values()) {
+          lines.push(`${name}${formatLabels(labelNames, values)} ${formatNumber(value)}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @param {number[]} [buckets] upper bounds in ascending order
+   */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    return register({
+      name,
+      observe(labels = {}, value) {
+        const values = seriesKey(labelNames, labels);
+        const key = JSON.stringify(values);
+        const entry = series.get(key) || { values, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+      get(labels = {}) {
+        const entry = series.get(JSON.stringify(seriesKey(labelNames, labels)));
+        return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+      },
+      reset() {
+        series.clear();
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const entry of series.values()) {
+          bounds.forEach((bound, index) => {
+            const le = `le="${formatNumber(bound)}"`;
+            lines.push(`${name}_bucket${formatLabels(labelNames, entry.values, le)} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, entry.values, 'le="+Inf"')} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, entry.values)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(labelNames, entry.values)} ${entry.count}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  /** Render every collector in the Prometheus text exposition format. */
+  function render() {
+    const lines = [];
+    for (const collector of collectors.values()) {
+      lines.push(...collector.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  function reset() {
+    for (const collector of collectors.values()) {
+      collector.reset();
+    }
+  }
+
+  return { counter, histogram, render, reset };
+}
+
+export const metrics = createMetricsRegistry();
+
+export const httpRequestsTotal = metrics.counter(
+  'http_requests_total',
+  'HTTP requests handled, by method, route pattern and status code.',
+  ['method', 'route', 'status']
+);
+
+export const httpRequestDurationSeconds = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency in seconds, by method and route pattern.',
+  ['method', 'route']
+);
+
+export const userRegistrationsTotal = metrics.counter(
+  'user_registrations_total',
+  'Accounts created through POST /api/auth/register.'
+);
+
+export const tokenPurchasesTotal = metrics.counter(
+  'token_purchases_total',
+  'Completed token purchases.'
+);
+
+export const tokensPurchasedTotal = metrics.counter(
+  'tokens_purchased_total',
+  'Tokens added to balances through purchases.'
+);
+
+export const designPurchasesTotal = metrics.counter(
+  'design_purchases_total',
+  'Designs bought through POST /api/designs/:id/purchase.'
+);
+
+export const webmUploadsTotal = metrics.counter(
+  'webm_uploads_total',
+  'WebM assets registered through POST /api/webm.'
+);
+
+export default metrics;
@@ -0,0 +1,189 @@
+// server/migration-runner.js
+// Applies the timestamped SQL files in migrations/ and records them in a
+// schema_migrations table. Each file runs inside its own transaction.
+//
+// Naming convention:
+//   <version>_<name>.sql       forward migration
+//   <version>_<name>.down.sql  optional paired rollback
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+?)(\.down)?\.sql$/;
+
+const CREATE_TRACKING_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`;
+
+function checksum(sql) {
+  return createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Read the migration directory and pair forward files with their rollbacks.
+ * @param {string} directory
+ * @returns {Promise<Array<{version:string, name:string, upPath:string, downPath:string|null}>>}
+ */
+export async function loadMigrations(directory = DEFAULT_MIGRATIONS_DIR) {
+  const entries = await readdir(directory);
+  const byVersion = new Map();
+
+  for (const file of entries) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, version, name, down] = match;
+    const record = byVersion.get(version) || { version, name, upPath: null, downPath: null };
+    if (down) {
+      record.downPath = path.join(directory, file);
+    } else {
+      if (record.upPath) {
+        throw new Error(`Duplicate migration version ${version}`);
+      }
+      record.upPath = path.join(directory, file);
+      record.name = name;
+    }
+    byVersion.set(version, record);
+  }
+
+  for (const record of byVersion.values()) {
+    if (!record.upPath) {
+      throw new Error(`Down migration ${record.version} has no matching up migration`);
+    }
+  }
+
+  return Array.from(byVersion.values()).sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Create a runner bound to a connected client exposing `query(text, params)`.
+ * @param {{ client: { query: Function }, directory?: string, logger?: { log: Function } }} options
+ */
+export function createMigrationRunner({ client, directory = DEFAULT_MIGRATIONS_DIR, logger = console }) {
+  if (!client || typeof client.query !== 'function') {
+    throw new TypeError('createMigrationRunner requires a client with a query() method');
+  }
+
+  let trackingTableReady = false;
+
+  async function ensureTrackingTable() {
+    if (trackingTableReady) return;
+    await client.query(CREATE_TRACKING_TABLE);
+    trackingTableReady = true;
+  }
+
+  async function getAppliedMigrations() {
+    await ensureTrackingTable();
+    const { rows } = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return rows;
+  }
+
+  async function runInTransaction(work) {
+    await client.query('BEGIN');
+    try {
+      await work();
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+  }
+
+  /**
+   * Report every known migration with its applied state.
+   * @returns {Promise<Array<{version:string, name:string, applied:boolean, appliedAt:string|null, modified:boolean, reversible:boolean}>>}
+   */
+  async function status() {
+    const migrations = await loadMigrations(directory);
+    const applied = new Map((await getAppliedMigrations()).map((row) => [row.version, row]));
+    const report = [];
+    for (const migration of migrations) {
+      const row = applied.get(migration.version);
+      const sql = await readFile(migration.upPath, 'utf8');
+      report.push({
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(row),
+        appliedAt: row ? new Date(row.applied_at).toISOString() : null,
+        modified: Boolean(row && row.checksum !== checksum(sql)),
+        reversible: Boolean(migration.downPath)
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Apply pending migrations in version order.
+   * @param {{ to?: string }} [options] stop after this version when provided
+   * @returns {Promise<string[]>} versions that were applied
+   */
+  async function up({ to } = {}) {
+    const migrations = await loadMigrations(directory);
+    const applied = new Set((await getAppliedMigrations()).map((row) => row.version));
+    const completed = [];
+
+    for (const migration of migrations) {
+      if (to && migration.version > to) break;
+      if (applied.has(migration.version)) continue;
+
+      const sql = await readFile(migration.upPath, 'utf8');
+      await runInTransaction(async () => {
+        await client.query(sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, checksum(sql)]
+        );
+      });
+      logger.log(`Applied ${migration.version}_${migration.name}`);
+      completed.push(migration.version);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Roll back the most recently applied migrations using their down files.
+   * @param {{ steps?: number }} [options]
+   * @returns {Promise<string[]>} versions that were rolled back
+   */
+  async function down({ steps = 1 } = {}) {
+    const migrations = new Map((await loadMigrations(directory)).map((entry) => [entry.version, entry]));
+    const applied = (await getAppliedMigrations()).map((row) => row.version).reverse();
+    const targets = applied.slice(0, Math.max(0, Number(steps) || 0));
+    const reverted = [];
+
+    for (const version of targets) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} is missing from ${directory}`);
+      }
+      if (!migration.downPath) {
+        throw new Error(`Migration ${version}_${migration.name} has no down migration`);
+      }
+
+      const sql = await readFile(migration.downPath, 'utf8');
+      await runInTransaction(async () => {
+        await client.query(sql);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      });
+      logger.log(`Reverted ${version}_${migration.name}`);
+      reverted.push(version);
+    }
+
+    return reverted;
+  }
+
+  return { status, up, down };
+}
+
+export default createMigrationRunner;
@@ -1,4 +1,4 @@
-const navigationStateByUser = new Map();
+import { getRepository } from './repositories/index.js';
 
 function normalizeUserId(userId) {
   const id = String(userId ?? '').trim();
@@ -18,17 +18,17 @@ function cloneState(state) {
   return Object.assign({}, state);
 }
 
-export function getNavigationState(userId) {
+export async function getNavigationState(userId) {
   const id = normalizeUserId(userId);
-  const existing = navigationStateByUser.get(id);
+  const existing = await getRepository().navigationStates.get(id);
   return existing ? cloneState(existing) : {};
 }
 
-export function saveNavigationState(userId, updates) {
+export async function saveNavigationState(userId, updates) {
   const id = normalizeUserId(userId);
   assertPlainObject(updates, 'Navigation state must be provided as an object');
 
-  const current = navigationStateByUser.get(id) || {};
+  const current = (await getRepository().navigationStates.get(id)) || {};
   const merged = cloneState(current);
 
   for (const [key, value] of Object.entries(updates)) {
@@ -39,6 +39,6 @@ export function saveNavigationState(userId, updates) {
     }
   }
 
-  navigationStateByUser.set(id, merged);
+  await getRepository().navigationStates.save(id, merged);
   return cloneState(merged);
 }
@@ -0,0 +1,181 @@
+// server/payments.js
+// Token pack checkout through a payment provider adapter.
+//
+// The server creates a checkout session for a token pack and asks the
+// provider for a hosted payment page. The provider later reports the outcome
+// to POST /api/payments/webhook; each adapter verifies the request signature
+// and translates the provider's payload into a normalized event:
+//
+//   { id, type: 'payment.succeeded'|'payment.failed'|'payment.refunded', providerSessionId }
+//
+// Tokens are credited only when a verified `payment.succeeded` event arrives.
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+
+export const PAYMENT_SIGNATURE_HEADER = 'Payment-Signature';
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+export const PAYMENT_EVENT_TYPES = new Set(['payment.succeeded', 'payment.failed', 'payment.refunded']);
+
+export const TOKEN_PACKS = Object.freeze([
+  Object.freeze({ id: 'starter', name: 'Starter', tokens: 10, amountCents: 500, currency: 'usd' }),
+  Object.freeze({ id: 'standard', name: 'Standard', tokens: 30, amountCents: 1200, currency: 'usd' }),
+  Object.freeze({ id: 'studio', name: 'Studio', tokens: 100, amountCents: 3500, currency: 'usd' })
+]);
+
+/**
+ * Raised when a webhook cannot be trusted or understood. `code` is
+ * `invalid_signature` or `invalid_payload`.
+ */
+export class PaymentWebhookError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaymentWebhookError';
+    this.code = code;
+  }
+}
+
+/**
+ * @param {string} packId
+ * @returns {typeof TOKEN_PACKS[number]|null}
+ */
+export function getTokenPack(packId) {
+  return TOKEN_PACKS.find((pack) => pack.id === packId) ?? null;
+}
+
+function computeSignature(payload, secret, timestamp) {
+  return createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * Build a `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<payload>">` header.
+ * @param {string} payload raw request body
+ * @param {string} secret
+ * @param {number} [timestamp] unix seconds
+ * @returns {string}
+ */
+export function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+/**
+ * Check a signature header against the raw body. Rejects stale timestamps so
+ * captured requests cannot be replayed later.
+ * @param {string} payload raw request body
+ * @param {string|undefined} header
+ * @param {string} secret
+ * @param {{ now?: number, toleranceSeconds?: number }} [options]
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(
+  payload,
+  header,
+  secret,
+  { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}
+) {
+  if (typeof header !== 'string' || !header) return false;
+  const parts = header.split(',').map((part) => part.trim().split('='));
+  const timestamp = Number(parts.find(([name]) => name === 't')?.[1]);
+  const signatures = parts.filter(([name]) => name === 'v1').map(([, value]) => value || '');
+  if (!Number.isInteger(timestamp) || signatures.length === 0) return false;
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  return signatures.some((signature) => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && timingSafeEqual(candidate, expected);
+  });
+}
+
+/**
+ * Local provider used in development and tests. Checkout URLs point nowhere;
+ * `simulate()` produces the signed webhook request the provider would send.
+ * @param {{ secret: string, checkoutBaseUrl?: string }} options
+ */
+export function createFakePaymentProvider({ secret, checkoutBaseUrl = 'http://localhost/fake-checkout' }) {
+  if (!secret) {
+    throw new TypeError('createFakePaymentProvider requires a webhook secret');
+  }
+
+  return {
+    name: 'fake',
+
+    /**
+     * @param {{ reference: string, amountCents: number, currency: string, description: string, successUrl?: string, cancelUrl?: string }} session
+     * @returns {Promise<{ providerSessionId: string, checkoutUrl: string }>}
+     */
+    async createCheckoutSession({ reference }) {
+      const providerSessionId = `fake_cs_${randomUUID()}`;
+      return {
+        providerSessionId,
+        checkoutUrl: `${checkoutBaseUrl}/${providerSessionId}?reference=${encodeURIComponent(reference)}`
+      };
+    },
+
+    /**
+     * Verify and normalize a webhook request.
+     * @param {string} rawBody
+     * @param {import('http').IncomingHttpHeaders} headers
+     * @param {number} [now]
+     */
+    parseWebhook(rawBody, headers, now = Date.now()) {
+      const header = headers[PAYMENT_SIGNATURE_HEADER.toLowerCase()];
+      if (!verifyWebhookSignature(rawBody, Array.isArray(header) ? header[0] : header, secret, { now })) {
+        throw new PaymentWebhookError('invalid_signature', 'Invalid webhook signature');
+      }
+      let payload;
+      try {
+        payload = JSON.parse(rawBody);
+      } catch (err) {
+        throw new PaymentWebhookError('invalid_payload', 'Webhook body must be JSON');
+      }
+      if (!payload?.id || !PAYMENT_EVENT_TYPES.has(payload.type) || !payload.data?.sessionId) {
+        throw new PaymentWebhookError('invalid_payload', 'Unrecognized webhook event');
+      }
+      return { id: String(payload.id), type: payload.type, providerSessionId: String(payload.data.sessionId) };
+    },
+
+    /**
+     * Build the signed webhook request for an event on a session.
+     * @param {'payment.succeeded'|'payment.failed'|'payment.refunded'} type
+     * @param {string} providerSessionId
+     * @param {{ timestamp?: number }} [options] unix seconds
+     * @returns {{ body: string, headers: Record<string, string> }}
+     */
+    simulate(type, providerSessionId, { timestamp } = {}) {
+      const body = JSON.stringify({ id: `fake_evt_${randomUUID()}`, type, data: { sessionId: providerSessionId } });
+      return {
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          [PAYMENT_SIGNATURE_HEADER]: signWebhookPayload(body, secret, timestamp)
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Build the provider named by PAYMENT_PROVIDER. Outside production it
+ * defaults to the fake provider, which signs with a random per-process
+ * secret unless PAYMENT_WEBHOOK_SECRET is set. In production an unset
+ * PAYMENT_PROVIDER returns null and the payment routes answer 503.
+ * @param {{ PAYMENT_PROVIDER?: string, PAYMENT_WEBHOOK_SECRET?: string, NODE_ENV?: string }} [config]
+ */
+export function createPaymentProviderFromConfig(config = process.env) {
+  const isProduction = config.NODE_ENV === 'production';
+  const name = String(config.PAYMENT_PROVIDER || (isProduction ? '' : 'fake')).trim().toLowerCase();
+  if (!name) {
+    return null;
+  }
+  if (name === 'fake') {
+    if (isProduction) {
+      throw new Error('The fake payment provider cannot be used in production');
+    }
+    return createFakePaymentProvider({
+      secret: config.PAYMENT_WEBHOOK_SECRET || randomBytes(32).toString('hex')
+    });
+  }
+  throw new Error(`Unsupported PAYMENT_PROVIDER: ${name}`);
+}
+
+export default createPaymentProviderFromConfig;
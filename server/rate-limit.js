@@ -0,0 +1,146 @@
+// server/rate-limit.js
+// Token-bucket rate limiting shared by the node server and the worker.
+//
+// Each route group has its own bucket size and refill rate. Buckets are kept
+// in a store exposing `take(key, policy, now)`; the in-memory store below is
+// the default, and any async store with the same method (KV, Redis, a
+// Durable Object) can be swapped in so several processes share one budget.
+
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * @typedef {object} RateLimitPolicy
+ * @property {number} capacity maximum burst size (bucket size)
+ * @property {number} refillPerMinute tokens restored per minute
+ */
+
+/**
+ * @typedef {object} RateLimitDecision
+ * @property {boolean} allowed
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} resetSeconds seconds until the bucket is full again
+ * @property {number} retryAfterSeconds seconds until the next request is allowed (0 when allowed)
+ */
+
+/**
+ * Apply one request to a bucket state. Pure so stores can reuse it.
+ * @param {{ tokens: number, updatedAt: number }|null} state
+ * @param {RateLimitPolicy} policy
+ * @param {number} now epoch milliseconds
+ * @returns {{ state: { tokens: number, updatedAt: number }, decision: RateLimitDecision }}
+ */
+export function consumeToken(state, policy, now) {
+  const capacity = Math.max(1, Number(policy.capacity) || 1);
+  const refillPerSecond = Math.max(Number(policy.refillPerMinute) || 0, 0) / 60;
+  let tokens = capacity;
+  if (state) {
+    const elapsedSeconds = Math.max(0, now - state.updatedAt) / 1000;
+    tokens = Math.min(capacity, state.tokens + elapsedSeconds * refillPerSecond);
+  }
+
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  const secondsUntil = (target) =>
+    refillPerSecond > 0 ? Math.ceil(Math.max(0, target - tokens) / refillPerSecond) : Infinity;
+
+  return {
+    state: { tokens, updatedAt: now },
+    decision: {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(tokens),
+      resetSeconds: secondsUntil(capacity),
+      retryAfterSeconds: allowed ? 0 : secondsUntil(1)
+    }
+  };
+}
+
+/**
+ * In-process bucket store. Buckets that have refilled completely are swept
+ * periodically so idle clients do not accumulate.
+ */
+export function createMemoryRateLimitStore() {
+  const buckets = new Map();
+  let lastSweep = 0;
+
+  function sweep(now) {
+    for (const [key, entry] of buckets) {
+      if (now >= entry.fullAt) {
+        buckets.delete(key);
+      }
+    }
+    lastSweep = now;
+  }
+
+  return {
+    async take(key, policy, now = Date.now()) {
+      if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+        sweep(now);
+      }
+      const { state, decision } = consumeToken(buckets.get(key)?.state ?? null, policy, now);
+      buckets.set(key, { state, fullAt: now + decision.resetSeconds * 1000 });
+      return decision;
+    },
+    async reset() {
+      buckets.clear();
+    }
+  };
+}
+
+/**
+ * Create a limiter for an ordered list of route groups. The first group
+ * whose `match(pathname)` returns true applies; a group without `match` is
+ * the fallback. `keyBy: 'user'` buckets authenticated callers per user id
+ * and everyone else per IP; `keyBy: 'ip'` always uses the IP.
+ * @param {{
+ *   groups: Array<RateLimitPolicy & { name: string, keyBy?: 'user'|'ip', match?: (pathname: string) => boolean }>,
+ *   store?: { take: (key: string, policy: RateLimitPolicy, now?: number) => Promise<RateLimitDecision> }
+ * }} options
+ */
+export function createRateLimiter({ groups, store = createMemoryRateLimitStore() }) {
+  if (!Array.isArray(groups) || groups.length === 0) {
+    throw new TypeError('createRateLimiter requires at least one route group');
+  }
+
+  function resolveGroup(pathname) {
+    return groups.find((group) => !group.match || group.match(pathname)) ?? null;
+  }
+
+  /**
+   * Count a request against its group's bucket.
+   * @param {{ pathname: string, userId?: string|null, ip?: string|null, now?: number }} request
+   * @returns {Promise<(RateLimitDecision & { group: string })|null>} null when no group applies
+   */
+  async function check({ pathname, userId = null, ip = null, now = Date.now() }) {
+    const group = resolveGroup(pathname);
+    if (!group) return null;
+    const identity = group.keyBy !== 'ip' && userId ? `user:${userId}` : `ip:${ip || 'unknown'}`;
+    const decision = await store.take(`${group.name}:${identity}`, group, now);
+    return { ...decision, group: group.name };
+  }
+
+  return { check, resolveGroup, store };
+}
+
+/**
+ * Build the RateLimit-* (and, when limited, Retry-After) response headers.
+ * @param {RateLimitDecision} decision
+ * @returns {Record<string, string>}
+ */
+export function rateLimitHeaders(decision) {
+  const headers = {
+    'RateLimit-Limit': String(decision.limit),
+    'RateLimit-Remaining': String(decision.remaining),
+    'RateLimit-Reset': String(Number.isFinite(decision.resetSeconds) ? decision.resetSeconds : 0)
+  };
+  if (!decision.allowed && Number.isFinite(decision.retryAfterSeconds)) {
+    headers['Retry-After'] = String(decision.retryAfterSeconds);
+  }
+  return headers;
+}
+
+export default createRateLimiter;
@@ -0,0 +1,77 @@
+// server/repositories/index.js
+// Selects the persistence implementation used by the server stores.
+// DATA_STORE=memory (default) keeps everything in the database.js Maps;
+// DATA_STORE=postgres connects to DATABASE_URL with the SQL repository.
+
+import { createMemoryRepository } from './memory-repository.js';
+import { createSqlRepository } from './sql-repository.js';
+
+/**
+ * @typedef {object} Repository
+ * @property {string} driver
+ * @property {{ list(): Promise<object[]>, get(id: string): Promise<object|null>, save(record: { id: string, name: string, parentId: string|null, sortOrder: number }): Promise<object>, countDesigns(id: string): Promise<number>, remove(id: string, options?: { reassignTo?: string|null }): Promise<{ removed: boolean, reassigned: number }> }} categories
+ * @property {{ list(): Promise<object[]>, get(id: string): Promise<object|null>, create(fields: object): Promise<object>, save(record: object): Promise<object>, incrementViews(id: string): Promise<object|null>, remove(id: string): Promise<boolean> }} designs
+ * @property {{ list(): Promise<object[]>, get(designId: string): Promise<object|null>, save(record: object): Promise<object>, remove(designId: string): Promise<boolean> }} designOwners
+ * @property {{ list(designId: string): Promise<object[]>, get(designId: string, version: number): Promise<object|null>, append(designId: string, fields: { snapshot: object, reason: string, authorId?: string|null, restoredFrom?: number|null, createdAt?: string }): Promise<object>, remove(designId: string): Promise<boolean> }} designVersions
+ * @property {{ get(id: string): Promise<object|null>, listByDesign(designId: string): Promise<object[]>, create(record: object): Promise<object>, save(record: object): Promise<object>, removeByDesign(designId: string): Promise<boolean> }} shareLinks
+ * @property {{ get(id: string): Promise<object|null>, upsert(fields: { name: string, email: string }): Promise<object> }} customers
+ * @property {{ get(id: string): Promise<object|null>, listByDesign(designId: string): Promise<object[]>, create(fields: object): Promise<object|null>, save(record: object): Promise<object|null>, remove(id: string): Promise<boolean>, removeByDesign(designId: string): Promise<boolean> }} rsvps
+ * @property {{ get(id: string): Promise<object|null>, listByDesign(designId: string): Promise<object[]>, createMany(records: object[]): Promise<object[]>, save(record: object): Promise<object|null>, remove(id: string): Promise<boolean>, removeByDesign(designId: string): Promise<boolean> }} guests
+ * @property {{ listByDesign(designId: string): Promise<object[]>, create(record: object): Promise<object>, save(record: object): Promise<object|null>, removeByDesign(designId: string): Promise<boolean> }} invitationDeliveries
+ * @property {{ list(): Promise<object[]>, get(id: string): Promise<object|null>, create(fields: object): Promise<object>, save(record: object): Promise<object>, remove(id: string): Promise<boolean> }} webmFiles
+ * @property {{ list(): Promise<object[]>, get(id: string): Promise<object|null>, getByEmail(email: string): Promise<object|null>, create(record: object): Promise<object>, save(record: object): Promise<object> }} users
+ * @property {{ get(id: string): Promise<object|null>, listByUser(userId: string): Promise<object[]>, create(record: object): Promise<object>, save(record: object): Promise<object> }} sessions
+ * @property {{ getBalance(userId: string): Promise<number|null>, setBalance(userId: string, balance: number): Promise<number>, listPurchases(userId: string): Promise<object[]>, addPurchase(userId: string, record: object): Promise<object> }} tokens
+ * @property {{ listEntries(userId: string): Promise<object[]>, applyEntry(userId: string, entry: { type: 'credit'|'debit', amount: number, reason: string, designId?: string|null }): Promise<{ entry: object, balance: number }|null>, purchaseDesign(purchase: { userId: string, designId: string, price: number }): Promise<{ status: 'purchased'|'already_owned'|'insufficient_tokens', balance: number, entry?: object|null, grant?: object }>, listDesignPurchases(userId: string): Promise<object[]> }} ledger
+ * @property {{ get(id: string): Promise<object|null>, getByProviderSessionId(providerSessionId: string): Promise<object|null>, create(record: object): Promise<object>, save(record: object): Promise<object>, transition(id: string, change: { from: string, to: string, ledger?: { type: 'credit'|'debit', amount: number, reason: string }|null }): Promise<{ session: object, entry: object|null, balance: number|null }|null> }} checkoutSessions
+ * @property {{ get(userId: string): Promise<object|null>, save(userId: string, state: object): Promise<object> }} navigationStates
+ * @property {{ list(): Promise<Array<{designId:string, views:number, conversions:number}>>, increment(designId: string, field: 'views'|'conversions'): Promise<object>, recordEvent(event: object): Promise<object|null>, listRollups(dimension: 'design'|'category'|'designer', dimensionId: string, range: { from: string, to: string }): Promise<Array<{day:string, views:number, conversions:number}>>, listStageRollups(dimension: 'design'|'category'|'designer', dimensionId: string|null, range: { from: string, to: string }): Promise<Array<{dimensionId:string, day:string, stage:string, count:number}>> }} analytics
+ * @property {{ append(fields: { actorId: string, action: string, targetType: string, targetId: string, before: object|null, after: object|null, requestId: string|null, createdAt: string }): Promise<object>, list(filters: { actorId?: string, action?: string, targetType?: string, targetId?: string, since?: string, before?: string }, page: { offset: number, limit: number }): Promise<{ entries: object[], total: number }> }} auditLog
+ * @property {() => Promise<void>} close
+ */
+
+const SQL_DRIVERS = new Set(['postgres', 'postgresql', 'pg', 'sql']);
+
+let activeRepository = null;
+
+/**
+ * Build a repository from configuration values (defaults to process.env).
+ * @param {{ DATA_STORE?: string, DATABASE_URL?: string }} [config]
+ * @returns {Promise<Repository>}
+ */
+export async function createRepositoryFromConfig(config = process.env) {
+  const driver = String(config.DATA_STORE || 'memory').trim().toLowerCase();
+  if (driver === 'memory') {
+    return createMemoryRepository();
+  }
+  if (SQL_DRIVERS.has(driver)) {
+    if (!config.DATABASE_URL) {
+      throw new Error('DATABASE_URL must be set when DATA_STORE is postgres');
+    }
+    const { default: pg } = await import('pg');
+    const pool = new pg.Pool({ connectionString: config.DATABASE_URL });
+    return createSqlRepository(pool);
+  }
+  throw new Error(`Unsupported DATA_STORE driver: ${driver}`);
+}
+
+/**
+ * Return the active repository, defaulting to the in-memory implementation.
+ * @returns {Repository}
+ */
+export function getRepository() {
+  if (!activeRepository) {
+    activeRepository = createMemoryRepository();
+  }
+  return activeRepository;
+}
+
+/**
+ * Replace the active repository (used at startup and by tests).
+ * @param {Repository|null} repository
+ */
+export function setRepository(repository) {
+  activeRepository = repository;
+}
+
+export { createMemoryRepository, createSqlRepository };
@@ -0,0 +1,634 @@
+// server/repositories/memory-repository.js
+// Repository implementation backed by the in-memory Maps in database.js.
+// Records are cloned on the way in and out so callers always persist
+// changes explicitly, matching the behaviour of the SQL repository.
+
+import { randomUUID } from 'node:crypto';
+import {
+  categories,
+  designs,
+  designOwners,
+  designVersions,
+  shareLinks,
+  customers,
+  rsvps,
+  guests,
+  invitationDeliveries,
+  userTokens,
+  userPurchases,
+  webmFiles,
+  navigationStates,
+  designAnalytics,
+  analyticsEvents,
+  analyticsRollups,
+  analyticsStageRollups,
+  adminAuditLog,
+  users,
+  authSessions,
+  tokenLedger,
+  designPurchases,
+  checkoutSessions
+} from '../database.js';
+
+// Views and conversions feed the daily rollups; every other event type is a
+// funnel stage with its own per-stage rollup.
+const ROLLUP_COUNTER_FIELDS = new Map([
+  ['view', 'views'],
+  ['conversion', 'conversions']
+]);
+
+function clone(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof structuredClone === 'function') {
+    return structuredClone(value);
+  }
+  return JSON.parse(JSON.stringify(value));
+}
+
+// RSVPs are returned with their guest's name and email, as the SQL join does.
+function withCustomer(rsvp) {
+  if (!rsvp) return null;
+  const customer = customers.get(String(rsvp.customerId));
+  return clone({ ...rsvp, name: customer?.name ?? '', email: customer?.email ?? '' });
+}
+
+function computeNextNumericId(map) {
+  const numericIds = Array.from(map.keys())
+    .map((id) => Number.parseInt(String(id), 10))
+    .filter((id) => Number.isFinite(id));
+  if (!numericIds.length) {
+    return 1;
+  }
+  return Math.max(...numericIds) + 1;
+}
+
+function appendLedgerEntry(userId, fields) {
+  const entry = {
+    id: `led_${randomUUID()}`,
+    userId,
+    type: fields.type,
+    amount: fields.amount,
+    balanceAfter: fields.balanceAfter,
+    reason: fields.reason,
+    designId: fields.designId ?? null,
+    createdAt: new Date().toISOString()
+  };
+  const entries = tokenLedger.get(userId) || [];
+  entries.push(entry);
+  tokenLedger.set(userId, entries);
+  return clone(entry);
+}
+
+// Synchronous so callers can combine it with other writes atomically. With
+// `clamp`, a debit takes whatever balance is left instead of failing.
+function applyBalanceChange(userId, { type, amount, reason, designId = null, clamp = false }) {
+  const current = userTokens.get(userId) ?? 0;
+  const applied = type === 'debit' && clamp ? Math.min(amount, current) : amount;
+  const balanceAfter = type === 'credit' ? current + applied : current - applied;
+  if (balanceAfter < 0) {
+    return null;
+  }
+  if (applied === 0) {
+    return { entry: null, balance: current };
+  }
+  userTokens.set(userId, balanceAfter);
+  const entry = appendLedgerEntry(userId, { type, amount: applied, balanceAfter, reason, designId });
+  return { entry, balance: balanceAfter };
+}
+
+/**
+ * Create a repository that reads and writes the shared in-memory Maps.
+ * @returns {import('./index.js').Repository}
+ */
+export function createMemoryRepository() {
+  let nextWebmFileId = computeNextNumericId(webmFiles);
+  let nextAuditEntryId = computeNextNumericId(adminAuditLog);
+
+  return {
+    driver: 'memory',
+
+    categories: {
+      async list() {
+        return Array.from(categories.values()).map(clone);
+      },
+      async get(id) {
+        return clone(categories.get(String(id)));
+      },
+      async save(record) {
+        categories.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async countDesigns(id) {
+        const key = String(id).toLowerCase();
+        return Array.from(designs.values()).filter((design) => String(design.category || '').toLowerCase() === key)
+          .length;
+      },
+      async remove(id, { reassignTo = null } = {}) {
+        const key = String(id).toLowerCase();
+        let reassigned = 0;
+        if (reassignTo) {
+          const now = new Date().toISOString();
+          for (const design of designs.values()) {
+            if (String(design.category || '').toLowerCase() === key) {
+              design.category = String(reassignTo);
+              design.updatedAt = now;
+              reassigned += 1;
+            }
+          }
+        }
+        return { removed: categories.delete(String(id)), reassigned };
+      }
+    },
+
+    designs: {
+      async list() {
+        return Array.from(designs.values()).map(clone);
+      },
+      async get(id) {
+        return clone(designs.get(String(id)));
+      },
+      async create(fields) {
+        const id = `dsgn_${randomUUID()}`;
+        const record = { ...clone(fields), id };
+        designs.set(id, record);
+        return clone(record);
+      },
+      async save(record) {
+        designs.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async incrementViews(id) {
+        const record = designs.get(String(id));
+        if (!record) return null;
+        record.views = (record.views || 0) + 1;
+        return clone(record);
+      },
+      // Removes everything stored against the design along with it.
+      async remove(id) {
+        const key = String(id);
+        for (const store of [webmFiles, shareLinks, rsvps, invitationDeliveries, guests]) {
+          for (const [recordId, record] of store) {
+            if (String(record.designId) === key) store.delete(recordId);
+          }
+        }
+        designOwners.delete(key);
+        designVersions.delete(key);
+        return designs.delete(key);
+      }
+    },
+
+    designVersions: {
+      async list(designId) {
+        return (designVersions.get(String(designId)) || []).map(clone);
+      },
+      async get(designId, version) {
+        const versions = designVersions.get(String(designId)) || [];
+        return clone(versions.find((entry) => entry.version === Number(version)));
+      },
+      // Numbers are assigned here so concurrent saves never share a version.
+      async append(designId, fields) {
+        const key = String(designId);
+        const versions = designVersions.get(key) || [];
+        const record = {
+          designId: key,
+          version: (versions.at(-1)?.version ?? 0) + 1,
+          snapshot: clone(fields.snapshot),
+          reason: fields.reason,
+          authorId: fields.authorId ?? null,
+          restoredFrom: fields.restoredFrom ?? null,
+          createdAt: fields.createdAt || new Date().toISOString()
+        };
+        versions.push(record);
+        designVersions.set(key, versions);
+        return clone(record);
+      },
+      async remove(designId) {
+        return designVersions.delete(String(designId));
+      }
+    },
+
+    shareLinks: {
+      async get(id) {
+        return clone(shareLinks.get(String(id)));
+      },
+      async listByDesign(designId) {
+        return Array.from(shareLinks.values())
+          .filter((link) => link.designId === String(designId))
+          .map(clone);
+      },
+      async create(record) {
+        shareLinks.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async save(record) {
+        shareLinks.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async removeByDesign(designId) {
+        let removed = false;
+        for (const [id, link] of shareLinks) {
+          if (link.designId === String(designId)) {
+            shareLinks.delete(id);
+            removed = true;
+          }
+        }
+        return removed;
+      }
+    },
+
+    customers: {
+      async get(id) {
+        return clone(customers.get(String(id)));
+      },
+      // Guests are identified by email; a repeat visitor keeps their id and
+      // the latest name they gave.
+      async upsert({ name, email }) {
+        const existing = Array.from(customers.values()).find((customer) => customer.email === email);
+        const record = existing
+          ? { ...existing, name }
+          : { id: String(computeNextNumericId(customers)), name, email, createdAt: new Date().toISOString() };
+        customers.set(record.id, record);
+        return clone(record);
+      }
+    },
+
+    rsvps: {
+      async get(id) {
+        return withCustomer(rsvps.get(String(id)));
+      },
+      async listByDesign(designId) {
+        return Array.from(rsvps.values())
+          .filter((rsvp) => rsvp.designId === String(designId))
+          .map(withCustomer);
+      },
+      // Returns null when the guest has already responded to this design,
+      // whether matched by customer or by guest list entry.
+      async create(fields) {
+        const duplicate = Array.from(rsvps.values()).some(
+          (rsvp) =>
+            rsvp.designId === String(fields.designId) &&
+            (rsvp.customerId === String(fields.customerId) || (fields.guestId && rsvp.guestId === fields.guestId))
+        );
+        if (duplicate) {
+          return null;
+        }
+        const record = {
+          ...fields,
+          id: String(computeNextNumericId(rsvps)),
+          designId: String(fields.designId),
+          customerId: String(fields.customerId),
+          guestId: fields.guestId ?? null
+        };
+        rsvps.set(record.id, record);
+        return withCustomer(record);
+      },
+      async save(record) {
+        const { name, email, ...stored } = record;
+        rsvps.set(String(record.id), clone(stored));
+        return withCustomer(stored);
+      },
+      async remove(id) {
+        return rsvps.delete(String(id));
+      },
+      async removeByDesign(designId) {
+        let removed = false;
+        for (const [id, rsvp] of rsvps) {
+          if (rsvp.designId === String(designId)) {
+            rsvps.delete(id);
+            removed = true;
+          }
+        }
+        return removed;
+      }
+    },
+
+    guests: {
+      async get(id) {
+        return clone(guests.get(String(id)));
+      },
+      async listByDesign(designId) {
+        return Array.from(guests.values())
+          .filter((guest) => guest.designId === String(designId))
+          .map(clone);
+      },
+      async createMany(records) {
+        for (const record of records) {
+          guests.set(String(record.id), clone(record));
+        }
+        return records.map(clone);
+      },
+      async save(record) {
+        if (!guests.has(String(record.id))) return null;
+        guests.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      // RSVPs and deliveries outlive the guest entry, as with the SQL
+      // foreign keys.
+      async remove(id) {
+        for (const record of [...rsvps.values(), ...invitationDeliveries.values()]) {
+          if (record.guestId === String(id)) record.guestId = null;
+        }
+        return guests.delete(String(id));
+      },
+      async removeByDesign(designId) {
+        let removed = false;
+        for (const [id, guest] of guests) {
+          if (guest.designId === String(designId)) {
+            guests.delete(id);
+            removed = true;
+          }
+        }
+        return removed;
+      }
+    },
+
+    invitationDeliveries: {
+      async listByDesign(designId) {
+        return Array.from(invitationDeliveries.values())
+          .filter((delivery) => delivery.designId === String(designId))
+          .map(clone);
+      },
+      async create(record) {
+        invitationDeliveries.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async save(record) {
+        if (!invitationDeliveries.has(String(record.id))) return null;
+        invitationDeliveries.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async removeByDesign(designId) {
+        let removed = false;
+        for (const [id, delivery] of invitationDeliveries) {
+          if (delivery.designId === String(designId)) {
+            invitationDeliveries.delete(id);
+            removed = true;
+          }
+        }
+        return removed;
+      }
+    },
+
+    designOwners: {
+      async list() {
+        return Array.from(designOwners.values()).map(clone);
+      },
+      async get(designId) {
+        return clone(designOwners.get(String(designId)));
+      },
+      async save(record) {
+        designOwners.set(String(record.designId), clone(record));
+        return clone(record);
+      },
+      async remove(designId) {
+        return designOwners.delete(String(designId));
+      }
+    },
+
+    webmFiles: {
+      async list() {
+        return Array.from(webmFiles.values()).map(clone);
+      },
+      async get(id) {
+        return clone(webmFiles.get(String(id)));
+      },
+      async create(fields) {
+        const id = String(nextWebmFileId++);
+        const record = { ...clone(fields), id };
+        webmFiles.set(id, record);
+        return clone(record);
+      },
+      async save(record) {
+        webmFiles.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async remove(id) {
+        return webmFiles.delete(String(id));
+      }
+    },
+
+    users: {
+      async list() {
+        return Array.from(users.values()).map(clone);
+      },
+      async get(id) {
+        return clone(users.get(String(id)));
+      },
+      async getByEmail(email) {
+        const normalized = String(email).trim().toLowerCase();
+        const record = Array.from(users.values()).find(
+          (user) => String(user.email || '').toLowerCase() === normalized
+        );
+        return clone(record);
+      },
+      async create(record) {
+        users.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async save(record) {
+        users.set(String(record.id), clone(record));
+        return clone(record);
+      }
+    },
+
+    sessions: {
+      async get(id) {
+        return clone(authSessions.get(String(id)));
+      },
+      async listByUser(userId) {
+        return Array.from(authSessions.values())
+          .filter((session) => session.userId === String(userId))
+          .map(clone);
+      },
+      async create(record) {
+        authSessions.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async save(record) {
+        authSessions.set(String(record.id), clone(record));
+        return clone(record);
+      }
+    },
+
+    tokens: {
+      async getBalance(userId) {
+        const balance = userTokens.get(String(userId));
+        return balance === undefined ? null : balance;
+      },
+      async setBalance(userId, balance) {
+        userTokens.set(String(userId), balance);
+        return balance;
+      },
+      async listPurchases(userId) {
+        return (userPurchases.get(String(userId)) || []).map(clone);
+      },
+      async addPurchase(userId, record) {
+        const key = String(userId);
+        const list = userPurchases.get(key) || [];
+        list.push(clone(record));
+        userPurchases.set(key, list);
+        return clone(record);
+      }
+    },
+
+    // The balance check and every write below happen without awaiting, so
+    // concurrent requests cannot interleave between them.
+    ledger: {
+      async listEntries(userId) {
+        return (tokenLedger.get(String(userId)) || []).map(clone);
+      },
+      async applyEntry(userId, { type, amount, reason, designId = null }) {
+        return applyBalanceChange(String(userId), { type, amount, reason, designId });
+      },
+      async purchaseDesign({ userId, designId, price }) {
+        const key = String(userId);
+        const designKey = String(designId);
+        const balance = userTokens.get(key) ?? 0;
+        const grants = designPurchases.get(key) || [];
+        if (grants.some((grant) => grant.designId === designKey)) {
+          return { status: 'already_owned', balance };
+        }
+        if (balance < price) {
+          return { status: 'insufficient_tokens', balance };
+        }
+        const balanceAfter = balance - price;
+        let entry = null;
+        if (price > 0) {
+          userTokens.set(key, balanceAfter);
+          entry = appendLedgerEntry(key, {
+            type: 'debit',
+            amount: price,
+            balanceAfter,
+            reason: 'design_purchase',
+            designId: designKey
+          });
+        }
+        const grant = { userId: key, designId: designKey, price, purchasedAt: new Date().toISOString() };
+        grants.push(grant);
+        designPurchases.set(key, grants);
+        return { status: 'purchased', balance: balanceAfter, entry, grant: clone(grant) };
+      },
+      async listDesignPurchases(userId) {
+        return (designPurchases.get(String(userId)) || []).map(clone);
+      }
+    },
+
+    checkoutSessions: {
+      async get(id) {
+        return clone(checkoutSessions.get(String(id)));
+      },
+      async getByProviderSessionId(providerSessionId) {
+        const record = Array.from(checkoutSessions.values()).find(
+          (session) => session.providerSessionId === String(providerSessionId)
+        );
+        return clone(record);
+      },
+      async create(record) {
+        checkoutSessions.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async save(record) {
+        checkoutSessions.set(String(record.id), clone(record));
+        return clone(record);
+      },
+      async transition(id, { from, to, ledger = null }) {
+        const record = checkoutSessions.get(String(id));
+        if (!record || record.status !== from) {
+          return null;
+        }
+        const change = ledger ? applyBalanceChange(record.userId, { ...ledger, clamp: ledger.type === 'debit' }) : null;
+        const updated = { ...record, status: to, updatedAt: new Date().toISOString() };
+        checkoutSessions.set(updated.id, updated);
+        return { session: clone(updated), entry: change?.entry ?? null, balance: change?.balance ?? null };
+      }
+    },
+
+    navigationStates: {
+      async get(userId) {
+        return clone(navigationStates.get(String(userId)));
+      },
+      async save(userId, state) {
+        navigationStates.set(String(userId), clone(state));
+        return clone(state);
+      }
+    },
+
+    analytics: {
+      async list() {
+        return Array.from(designAnalytics.entries()).map(([designId, stats]) => ({
+          designId,
+          views: stats.views,
+          conversions: stats.conversions
+        }));
+      },
+      async increment(designId, field) {
+        const key = String(designId);
+        const record = designAnalytics.get(key) || { views: 0, conversions: 0 };
+        record[field] = (record[field] || 0) + 1;
+        designAnalytics.set(key, record);
+        return { designId: key, ...record };
+      },
+      async recordEvent(event) {
+        if (analyticsEvents.has(event.id)) return null;
+        analyticsEvents.set(event.id, clone(event));
+        const field = ROLLUP_COUNTER_FIELDS.get(event.type);
+        const keys = { design: event.designId, category: event.categoryId, designer: event.designerId };
+        for (const [dimension, dimensionId] of Object.entries(keys)) {
+          if (!dimensionId) continue;
+          if (field) {
+            const key = `${dimension}:${dimensionId}:${event.day}`;
+            const rollup = analyticsRollups.get(key) || { dimension, dimensionId, day: event.day, views: 0, conversions: 0 };
+            rollup[field] += 1;
+            analyticsRollups.set(key, rollup);
+          } else {
+            const key = `${dimension}:${dimensionId}:${event.day}:${event.type}`;
+            const rollup = analyticsStageRollups.get(key) || { dimension, dimensionId, day: event.day, stage: event.type, count: 0 };
+            rollup.count += 1;
+            analyticsStageRollups.set(key, rollup);
+          }
+        }
+        return clone(event);
+      },
+      async listRollups(dimension, dimensionId, { from, to }) {
+        return Array.from(analyticsRollups.values())
+          .filter((rollup) => rollup.dimension === dimension && rollup.dimensionId === String(dimensionId))
+          .filter((rollup) => rollup.day >= from && rollup.day <= to)
+          .sort((a, b) => a.day.localeCompare(b.day))
+          .map(clone);
+      },
+      async listStageRollups(dimension, dimensionId, { from, to }) {
+        return Array.from(analyticsStageRollups.values())
+          .filter((rollup) => rollup.dimension === dimension)
+          .filter((rollup) => dimensionId === null || rollup.dimensionId === String(dimensionId))
+          .filter((rollup) => rollup.day >= from && rollup.day <= to)
+          .sort((a, b) => a.day.localeCompare(b.day))
+          .map(clone);
+      }
+    },
+
+    // Append-only: there is no way to change or remove an entry.
+    auditLog: {
+      async append(fields) {
+        const id = String(nextAuditEntryId++);
+        const record = { ...clone(fields), id };
+        adminAuditLog.set(id, record);
+        return clone(record);
+      },
+      async list(filters, { offset, limit }) {
+        const matches = Array.from(adminAuditLog.values())
+          .filter((entry) => !filters.actorId || entry.actorId === filters.actorId)
+          .filter((entry) => !filters.action || entry.action === filters.action)
+          .filter((entry) => !filters.targetType || entry.targetType === filters.targetType)
+          .filter((entry) => !filters.targetId || entry.targetId === filters.targetId)
+          .filter((entry) => !filters.since || entry.createdAt >= filters.since)
+          .filter((entry) => !filters.before || entry.createdAt < filters.before)
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || Number(b.id) - Number(a.id));
+        return { entries: matches.slice(offset, offset + limit).map(clone), total: matches.length };
+      }
+    },
+
+    async close() {}
+  };
+}
+
+export default createMemoryRepository;
@@ -0,0 +1,1292 @@
+// server/repositories/sql-repository.js
+// Repository implementation for the Postgres schema described in migrations/.
+// Accepts any client exposing `query(text, params)` such as a pg Pool or the
+// pg-mem adapter used by the tests.
+
+const VIEW_COUNTER_COLUMNS = new Map([
+  ['views', 'views'],
+  ['conversions', 'conversions']
+]);
+
+// Views and conversions feed analytics_daily_rollups; every other event type
+// is a funnel stage rolled up in analytics_stage_rollups.
+const ROLLUP_COUNTER_COLUMNS = new Map([
+  ['view', 'views'],
+  ['conversion', 'conversions']
+]);
+
+function toIsoString(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toNullableNumber(value) {
+  if (value === null || value === undefined) return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return fallback;
+    }
+  }
+  return value;
+}
+
+function isSerialId(value) {
+  return /^\d+$/.test(String(value ?? '').trim());
+}
+
+function mapDesignRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    title: row.title,
+    category: row.category_id ?? '',
+    views: Number(row.views) || 0,
+    thumbnailUrl: row.thumbnail_url ?? '',
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+    status: row.status,
+    slides: parseJsonColumn(row.slides, []),
+    tags: Array.isArray(row.tags) ? row.tags : [],
+    notes: row.notes ?? '',
+    price: Number(row.price) || 0,
+    premium: Boolean(row.premium),
+    isAdminTemplate: Boolean(row.is_admin_template),
+    adminNotes: row.admin_notes ?? '',
+    managedByAdminId: row.managed_by_admin_id ?? null,
+    visibility: parseJsonColumn(row.visibility, { creator: false, consumer: false, admin: true }),
+    badges: Array.isArray(row.badges) ? row.badges : [],
+    archivedAt: toIsoString(row.archived_at),
+    archivedByAdminId: row.archived_by_admin_id ?? null,
+    event: parseJsonColumn(row.event, null)
+  };
+}
+
+function designColumnValues(record) {
+  return [
+    record.title,
+    record.category ? String(record.category) : null,
+    Number(record.views) || 0,
+    record.thumbnailUrl || null,
+    record.updatedAt || new Date().toISOString(),
+    record.createdAt || record.updatedAt || new Date().toISOString(),
+    record.status || 'draft',
+    JSON.stringify(Array.isArray(record.slides) ? record.slides : []),
+    Array.isArray(record.tags) ? record.tags : [],
+    record.notes ?? '',
+    Number(record.price) || 0,
+    Boolean(record.premium),
+    Boolean(record.isAdminTemplate),
+    record.adminNotes ?? null,
+    record.managedByAdminId ?? null,
+    JSON.stringify(record.visibility ?? { creator: false, consumer: false, admin: true }),
+    Array.isArray(record.badges) ? record.badges : [],
+    record.archivedAt ?? null,
+    record.archivedByAdminId ?? null,
+    record.event ? JSON.stringify(record.event) : null
+  ];
+}
+
+// Rows stored against a design, deleted with it. Guests go last because
+// RSVPs and deliveries point at them.
+const DESIGN_CHILD_TABLES = [
+  'webm_files',
+  'design_owners',
+  'design_versions',
+  'share_links',
+  'rsvps',
+  'invitation_deliveries',
+  'guests'
+];
+
+const DESIGN_COLUMNS = [
+  'title',
+  'category_id',
+  'views',
+  'thumbnail_url',
+  'updated_at',
+  'created_at',
+  'status',
+  'slides',
+  'tags',
+  'notes',
+  'price',
+  'premium',
+  'is_admin_template',
+  'admin_notes',
+  'managed_by_admin_id',
+  'visibility',
+  'badges',
+  'archived_at',
+  'archived_by_admin_id',
+  'event'
+];
+
+function mapOwnerRow(row) {
+  if (!row) return null;
+  return {
+    designId: String(row.design_id),
+    userId: row.user_id,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at)
+  };
+}
+
+function mapWebmRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    designId: String(row.design_id),
+    storageUri: row.storage_uri,
+    durationSeconds: toNullableNumber(row.duration_seconds),
+    sizeBytes: toNullableNumber(row.size_bytes),
+    uploadedBy: row.uploaded_by ?? null,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at)
+  };
+}
+
+function mapUserRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    passwordHash: row.password_hash,
+    role: row.role,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+    suspendedAt: toIsoString(row.suspended_at)
+  };
+}
+
+function mapSessionRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    refreshTokenHash: row.refresh_token_hash,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+    expiresAt: toIsoString(row.expires_at),
+    revokedAt: toIsoString(row.revoked_at)
+  };
+}
+
+function mapLedgerRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    userId: row.user_id,
+    type: row.entry_type,
+    amount: Number(row.amount),
+    balanceAfter: Number(row.balance_after),
+    reason: row.reason,
+    designId: row.design_id ?? null,
+    createdAt: toIsoString(row.created_at)
+  };
+}
+
+function mapDesignPurchaseRow(row) {
+  if (!row) return null;
+  return {
+    userId: row.user_id,
+    designId: String(row.design_id),
+    price: Number(row.price) || 0,
+    purchasedAt: toIsoString(row.purchased_at)
+  };
+}
+
+function mapDesignVersionRow(row) {
+  if (!row) return null;
+  return {
+    designId: String(row.design_id),
+    version: Number(row.version),
+    snapshot: parseJsonColumn(row.snapshot, {}),
+    reason: row.reason,
+    authorId: row.author_id ?? null,
+    restoredFrom: row.restored_from === null || row.restored_from === undefined ? null : Number(row.restored_from),
+    createdAt: toIsoString(row.created_at)
+  };
+}
+
+function mapShareLinkRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    designId: String(row.design_id),
+    createdBy: row.created_by,
+    createdAt: toIsoString(row.created_at),
+    expiresAt: toIsoString(row.expires_at),
+    revokedAt: toIsoString(row.revoked_at)
+  };
+}
+
+function mapCustomerRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    name: row.name ?? '',
+    email: row.email,
+    createdAt: toIsoString(row.created_at)
+  };
+}
+
+function mapRsvpRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    designId: String(row.design_id),
+    customerId: String(row.customer_id),
+    guestId: row.guest_id ?? null,
+    name: row.customer_name ?? '',
+    email: row.customer_email ?? '',
+    attending: row.attending,
+    partySize: Number(row.party_size) || 0,
+    message: row.message ?? '',
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at)
+  };
+}
+
+function mapGuestRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    designId: String(row.design_id),
+    name: row.name,
+    email: row.email ?? null,
+    phone: row.phone ?? null,
+    household: row.household ?? null,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at)
+  };
+}
+
+function mapInvitationDeliveryRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    designId: String(row.design_id),
+    guestId: row.guest_id ?? null,
+    email: row.email,
+    status: row.status,
+    error: row.error ?? null,
+    messageId: row.message_id ?? null,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at),
+    sentAt: toIsoString(row.sent_at)
+  };
+}
+
+const UNIQUE_VIOLATION = '23505';
+
+const RSVP_SELECT = `SELECT r.*, c.name AS customer_name, c.email AS customer_email
+  FROM rsvps r JOIN customers c ON c.id = r.customer_id`;
+
+function mapCheckoutSessionRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    packId: row.pack_id,
+    tokens: Number(row.tokens),
+    amountCents: Number(row.amount_cents),
+    currency: row.currency,
+    status: row.status,
+    provider: row.provider,
+    providerSessionId: row.provider_session_id ?? null,
+    checkoutUrl: row.checkout_url ?? null,
+    createdAt: toIsoString(row.created_at),
+    updatedAt: toIsoString(row.updated_at)
+  };
+}
+
+function mapAnalyticsRollupRow(row) {
+  return {
+    dimension: row.dimension,
+    dimensionId: row.dimension_id,
+    day: row.day,
+    views: Number(row.views) || 0,
+    conversions: Number(row.conversions) || 0
+  };
+}
+
+function mapAnalyticsStageRollupRow(row) {
+  return {
+    dimension: row.dimension,
+    dimensionId: row.dimension_id,
+    day: row.day,
+    stage: row.stage,
+    count: Number(row.events) || 0
+  };
+}
+
+function mapCategoryRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id ?? null,
+    sortOrder: Number(row.sort_order) || 0
+  };
+}
+
+function mapAuditEntryRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    actorId: row.actor_id,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    before: parseJsonColumn(row.before_value, null),
+    after: parseJsonColumn(row.after_value, null),
+    requestId: row.request_id ?? null,
+    createdAt: toIsoString(row.created_at)
+  };
+}
+
+const AUDIT_FILTER_COLUMNS = [
+  ['actorId', 'actor_id = '],
+  ['action', 'action = '],
+  ['targetType', 'target_type = '],
+  ['targetId', 'target_id = '],
+  ['since', 'created_at >= '],
+  ['before', 'created_at < ']
+];
+
+/**
+ * Create a repository that persists records through SQL queries.
+ * @param {{ query: (text: string, params?: Array<unknown>) => Promise<{ rows: Array<object>, rowCount?: number }>, end?: () => Promise<void> }} client
+ * @returns {import('./index.js').Repository}
+ */
+export function createSqlRepository(client) {
+  if (!client || typeof client.query !== 'function') {
+    throw new TypeError('createSqlRepository requires a client with a query() method');
+  }
+
+  const query = async (text, params = []) => client.query(text, params);
+  const designPlaceholders = DESIGN_COLUMNS.map((_, index) => `$${index + 1}`).join(', ');
+  const designAssignments = DESIGN_COLUMNS.map((column, index) => `${column} = $${index + 2}`).join(', ');
+
+  // Runs `work` inside BEGIN/COMMIT on a single connection (pools hand out a
+  // dedicated client). `work` returns `{ commit, result }`; `commit: false`
+  // rolls back without treating the outcome as an error.
+  async function transaction(work) {
+    const connection = typeof client.connect === 'function' ? await client.connect() : client;
+    const run = async (text, params = []) => connection.query(text, params);
+    try {
+      await run('BEGIN');
+      const { commit, result } = await work(run);
+      await run(commit ? 'COMMIT' : 'ROLLBACK');
+      return result;
+    } catch (err) {
+      await run('ROLLBACK');
+      throw err;
+    } finally {
+      if (connection !== client && typeof connection.release === 'function') {
+        connection.release();
+      }
+    }
+  }
+
+  async function readBalance(run, userId) {
+    const { rows } = await run('SELECT tokens FROM user_tokens WHERE user_id = $1', [userId]);
+    return rows[0] ? Number(rows[0].tokens) : 0;
+  }
+
+  async function insertLedgerEntry(run, userId, { type, amount, balanceAfter, reason, designId = null }) {
+    const { rows } = await run(
+      `INSERT INTO token_ledger (user_id, entry_type, amount, balance_after, reason, design_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW()) RETURNING *`,
+      [userId, type, amount, balanceAfter, reason, designId === null ? null : String(designId)]
+    );
+    return mapLedgerRow(rows[0]);
+  }
+
+  // Conditional updates keep the balance check and the write in one
+  // statement, so concurrent debits cannot overdraw an account.
+  async function debitBalance(run, userId, amount) {
+    const { rows } = await run(
+      `UPDATE user_tokens SET tokens = tokens - $2::integer, updated_at = NOW()
+       WHERE user_id = $1 AND tokens >= $2::integer RETURNING tokens`,
+      [userId, amount]
+    );
+    return rows[0] ? Number(rows[0].tokens) : null;
+  }
+
+  async function creditBalance(run, userId, amount) {
+    const { rows } = await run(
+      `INSERT INTO user_tokens (user_id, tokens, updated_at) VALUES ($1, $2, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET tokens = user_tokens.tokens + EXCLUDED.tokens, updated_at = NOW()
+       RETURNING tokens`,
+      [userId, amount]
+    );
+    return Number(rows[0].tokens);
+  }
+
+  // With `clamp`, a debit takes whatever balance is left instead of failing.
+  async function applyLedgerChange(run, userId, { type, amount, reason, designId = null, clamp = false }) {
+    let applied = amount;
+    if (type === 'debit' && clamp) {
+      const current = await readBalance(run, userId);
+      applied = Math.min(amount, current);
+      if (applied === 0) {
+        return { entry: null, balance: current };
+      }
+    }
+    const balance =
+      type === 'credit' ? await creditBalance(run, userId, applied) : await debitBalance(run, userId, applied);
+    if (balance === null) {
+      return null;
+    }
+    const entry = await insertLedgerEntry(run, userId, { type, amount: applied, balanceAfter: balance, reason, designId });
+    return { entry, balance };
+  }
+
+  return {
+    driver: 'sql',
+
+    categories: {
+      async list() {
+        const { rows } = await query('SELECT * FROM categories ORDER BY sort_order, id');
+        return rows.map(mapCategoryRow);
+      },
+      async get(id) {
+        const { rows } = await query('SELECT * FROM categories WHERE id = $1', [String(id)]);
+        return mapCategoryRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `INSERT INTO categories (id, name, parent_id, sort_order) VALUES ($1, $2, $3, $4)
+           ON CONFLICT (id) DO UPDATE
+           SET name = EXCLUDED.name, parent_id = EXCLUDED.parent_id, sort_order = EXCLUDED.sort_order
+           RETURNING *`,
+          [String(record.id), record.name, record.parentId ?? null, Number(record.sortOrder) || 0]
+        );
+        return mapCategoryRow(rows[0]);
+      },
+      async countDesigns(id) {
+        const { rows } = await query('SELECT COUNT(*) AS total FROM designs WHERE LOWER(category_id) = LOWER($1)', [
+          String(id)
+        ]);
+        return Number(rows[0]?.total) || 0;
+      },
+      // Moving the designs and deleting the category happen together, so no
+      // design is left pointing at a missing category.
+      async remove(id, { reassignTo = null } = {}) {
+        return transaction(async (run) => {
+          let reassigned = 0;
+          if (reassignTo) {
+            const moved = await run(
+              'UPDATE designs SET category_id = $2, updated_at = NOW() WHERE LOWER(category_id) = LOWER($1)',
+              [String(id), String(reassignTo)]
+            );
+            reassigned = moved.rowCount ?? 0;
+          }
+          const result = await run('DELETE FROM categories WHERE id = $1', [String(id)]);
+          return { commit: true, result: { removed: result.rowCount > 0, reassigned } };
+        });
+      }
+    },
+
+    designs: {
+      async list() {
+        const { rows } = await query('SELECT * FROM designs ORDER BY id');
+        return rows.map(mapDesignRow);
+      },
+      async get(id) {
+        if (!isSerialId(id)) return null;
+        const { rows } = await query('SELECT * FROM designs WHERE id = $1', [Number(id)]);
+        return mapDesignRow(rows[0]);
+      },
+      async create(fields) {
+        const { rows } = await query(
+          `INSERT INTO designs (${DESIGN_COLUMNS.join(', ')}) VALUES (${designPlaceholders}) RETURNING *`,
+          designColumnValues(fields)
+        );
+        return mapDesignRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE designs SET ${designAssignments} WHERE id = $1 RETURNING *`,
+          [Number(record.id), ...designColumnValues(record)]
+        );
+        return mapDesignRow(rows[0]);
+      },
+      // A single UPDATE, so concurrent views and edits do not overwrite each other.
+      async incrementViews(id) {
+        if (!isSerialId(id)) return null;
+        const { rows } = await query('UPDATE designs SET views = views + 1 WHERE id = $1 RETURNING *', [Number(id)]);
+        return mapDesignRow(rows[0]);
+      },
+      // The design and its child rows go together, so a failure part-way
+      // through leaves nothing orphaned.
+      async remove(id) {
+        if (!isSerialId(id)) return false;
+        return transaction(async (run) => {
+          for (const table of DESIGN_CHILD_TABLES) {
+            await run(`DELETE FROM ${table} WHERE design_id = $1`, [Number(id)]);
+          }
+          const result = await run('DELETE FROM designs WHERE id = $1', [Number(id)]);
+          return { commit: true, result: result.rowCount > 0 };
+        });
+      }
+    },
+
+    designVersions: {
+      async list(designId) {
+        if (!isSerialId(designId)) return [];
+        const { rows } = await query('SELECT * FROM design_versions WHERE design_id = $1 ORDER BY version', [
+          Number(designId)
+        ]);
+        return rows.map(mapDesignVersionRow);
+      },
+      async get(designId, version) {
+        if (!isSerialId(designId)) return null;
+        const { rows } = await query('SELECT * FROM design_versions WHERE design_id = $1 AND version = $2', [
+          Number(designId),
+          Number(version)
+        ]);
+        return mapDesignVersionRow(rows[0]);
+      },
+      // The primary key rejects a concurrent insert that picked the same number.
+      async append(designId, fields) {
+        const { rows } = await query(
+          `INSERT INTO design_versions (design_id, version, snapshot, reason, author_id, restored_from, created_at)
+           SELECT $1::integer, COALESCE(MAX(version), 0) + 1, $2::jsonb, $3::text, $4::text, $5::integer, $6::timestamptz
+           FROM design_versions WHERE design_id = $1::integer
+           RETURNING *`,
+          [
+            Number(designId),
+            JSON.stringify(fields.snapshot ?? {}),
+            fields.reason,
+            fields.authorId ?? null,
+            fields.restoredFrom ?? null,
+            fields.createdAt || new Date().toISOString()
+          ]
+        );
+        return mapDesignVersionRow(rows[0]);
+      },
+      async remove(designId) {
+        if (!isSerialId(designId)) return false;
+        const result = await query('DELETE FROM design_versions WHERE design_id = $1', [Number(designId)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    customers: {
+      async get(id) {
+        if (!isSerialId(id)) return null;
+        const { rows } = await query('SELECT * FROM customers WHERE id = $1', [Number(id)]);
+        return mapCustomerRow(rows[0]);
+      },
+      async upsert({ name, email }) {
+        const { rows } = await query(
+          `INSERT INTO customers (name, email) VALUES ($1, $2)
+           ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name
+           RETURNING *`,
+          [name, email]
+        );
+        return mapCustomerRow(rows[0]);
+      }
+    },
+
+    rsvps: {
+      async get(id) {
+        if (!isSerialId(id)) return null;
+        const { rows } = await query(`${RSVP_SELECT} WHERE r.id = $1`, [Number(id)]);
+        return mapRsvpRow(rows[0]);
+      },
+      async listByDesign(designId) {
+        if (!isSerialId(designId)) return [];
+        const { rows } = await query(`${RSVP_SELECT} WHERE r.design_id = $1 ORDER BY r.created_at, r.id`, [
+          Number(designId)
+        ]);
+        return rows.map(mapRsvpRow);
+      },
+      // The unique (design_id, customer_id) and (design_id, guest_id) indexes
+      // reject a second response from the same guest, reported as null.
+      async create(fields) {
+        let rows;
+        try {
+          ({ rows } = await query(
+            `INSERT INTO rsvps (design_id, customer_id, guest_id, attending, party_size, message, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            [
+              Number(fields.designId),
+              Number(fields.customerId),
+              fields.guestId ?? null,
+              fields.attending,
+              fields.partySize,
+              fields.message ?? '',
+              fields.createdAt,
+              fields.updatedAt
+            ]
+          ));
+        } catch (err) {
+          if (err?.code === UNIQUE_VIOLATION) return null;
+          throw err;
+        }
+        return this.get(rows[0].id);
+      },
+      async save(record) {
+        const { rowCount } = await query(
+          `UPDATE rsvps SET attending = $2, party_size = $3, message = $4, updated_at = $5
+           WHERE id = $1`,
+          [Number(record.id), record.attending, record.partySize, record.message ?? '', record.updatedAt]
+        );
+        return rowCount ? this.get(record.id) : null;
+      },
+      async remove(id) {
+        if (!isSerialId(id)) return false;
+        const result = await query('DELETE FROM rsvps WHERE id = $1', [Number(id)]);
+        return result.rowCount > 0;
+      },
+      async removeByDesign(designId) {
+        if (!isSerialId(designId)) return false;
+        const result = await query('DELETE FROM rsvps WHERE design_id = $1', [Number(designId)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    guests: {
+      async get(id) {
+        const { rows } = await query('SELECT * FROM guests WHERE id = $1', [String(id)]);
+        return mapGuestRow(rows[0]);
+      },
+      async listByDesign(designId) {
+        if (!isSerialId(designId)) return [];
+        const { rows } = await query('SELECT * FROM guests WHERE design_id = $1 ORDER BY name, id', [
+          Number(designId)
+        ]);
+        return rows.map(mapGuestRow);
+      },
+      // Imports insert every row or none.
+      async createMany(records) {
+        return transaction(async (run) => {
+          const created = [];
+          for (const record of records) {
+            const { rows } = await run(
+              `INSERT INTO guests (id, design_id, name, email, phone, household, created_at, updated_at)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+              [
+                record.id,
+                Number(record.designId),
+                record.name,
+                record.email ?? null,
+                record.phone ?? null,
+                record.household ?? null,
+                record.createdAt,
+                record.updatedAt
+              ]
+            );
+            created.push(mapGuestRow(rows[0]));
+          }
+          return { commit: true, result: created };
+        });
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE guests SET name = $2, email = $3, phone = $4, household = $5, updated_at = $6
+           WHERE id = $1 RETURNING *`,
+          [record.id, record.name, record.email ?? null, record.phone ?? null, record.household ?? null, record.updatedAt]
+        );
+        return mapGuestRow(rows[0]);
+      },
+      async remove(id) {
+        const result = await query('DELETE FROM guests WHERE id = $1', [String(id)]);
+        return result.rowCount > 0;
+      },
+      async removeByDesign(designId) {
+        if (!isSerialId(designId)) return false;
+        const result = await query('DELETE FROM guests WHERE design_id = $1', [Number(designId)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    invitationDeliveries: {
+      async listByDesign(designId) {
+        if (!isSerialId(designId)) return [];
+        const { rows } = await query(
+          'SELECT * FROM invitation_deliveries WHERE design_id = $1 ORDER BY created_at DESC, id',
+          [Number(designId)]
+        );
+        return rows.map(mapInvitationDeliveryRow);
+      },
+      async create(record) {
+        const { rows } = await query(
+          `INSERT INTO invitation_deliveries
+             (id, design_id, guest_id, email, status, error, message_id, created_at, updated_at, sent_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+          [
+            record.id,
+            Number(record.designId),
+            record.guestId ?? null,
+            record.email,
+            record.status,
+            record.error ?? null,
+            record.messageId ?? null,
+            record.createdAt,
+            record.updatedAt,
+            record.sentAt ?? null
+          ]
+        );
+        return mapInvitationDeliveryRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE invitation_deliveries
+           SET status = $2, error = $3, message_id = $4, updated_at = $5, sent_at = $6
+           WHERE id = $1 RETURNING *`,
+          [record.id, record.status, record.error ?? null, record.messageId ?? null, record.updatedAt, record.sentAt ?? null]
+        );
+        return mapInvitationDeliveryRow(rows[0]);
+      },
+      async removeByDesign(designId) {
+        if (!isSerialId(designId)) return false;
+        const result = await query('DELETE FROM invitation_deliveries WHERE design_id = $1', [Number(designId)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    shareLinks: {
+      async get(id) {
+        const { rows } = await query('SELECT * FROM share_links WHERE id = $1', [String(id)]);
+        return mapShareLinkRow(rows[0]);
+      },
+      async listByDesign(designId) {
+        if (!isSerialId(designId)) return [];
+        const { rows } = await query('SELECT * FROM share_links WHERE design_id = $1 ORDER BY created_at, id', [
+          Number(designId)
+        ]);
+        return rows.map(mapShareLinkRow);
+      },
+      async create(record) {
+        const { rows } = await query(
+          `INSERT INTO share_links (id, design_id, created_by, created_at, expires_at, revoked_at)
+           VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+          [
+            record.id,
+            Number(record.designId),
+            record.createdBy,
+            record.createdAt,
+            record.expiresAt ?? null,
+            record.revokedAt ?? null
+          ]
+        );
+        return mapShareLinkRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          'UPDATE share_links SET expires_at = $2, revoked_at = $3 WHERE id = $1 RETURNING *',
+          [record.id, record.expiresAt ?? null, record.revokedAt ?? null]
+        );
+        return mapShareLinkRow(rows[0]);
+      },
+      async removeByDesign(designId) {
+        if (!isSerialId(designId)) return false;
+        const result = await query('DELETE FROM share_links WHERE design_id = $1', [Number(designId)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    designOwners: {
+      async list() {
+        const { rows } = await query('SELECT * FROM design_owners ORDER BY design_id');
+        return rows.map(mapOwnerRow);
+      },
+      async get(designId) {
+        if (!isSerialId(designId)) return null;
+        const { rows } = await query('SELECT * FROM design_owners WHERE design_id = $1', [Number(designId)]);
+        return mapOwnerRow(rows[0]);
+      },
+      async save(record) {
+        if (record.userId === null || record.userId === undefined) {
+          await query('DELETE FROM design_owners WHERE design_id = $1', [Number(record.designId)]);
+          return { ...record };
+        }
+        const { rows } = await query(
+          `INSERT INTO design_owners (design_id, user_id, created_at, updated_at)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (design_id) DO UPDATE SET user_id = EXCLUDED.user_id, updated_at = EXCLUDED.updated_at
+           RETURNING *`,
+          [
+            Number(record.designId),
+            String(record.userId),
+            record.createdAt || new Date().toISOString(),
+            record.updatedAt || new Date().toISOString()
+          ]
+        );
+        return mapOwnerRow(rows[0]);
+      },
+      async remove(designId) {
+        if (!isSerialId(designId)) return false;
+        const result = await query('DELETE FROM design_owners WHERE design_id = $1', [Number(designId)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    webmFiles: {
+      async list() {
+        const { rows } = await query('SELECT * FROM webm_files ORDER BY id');
+        return rows.map(mapWebmRow);
+      },
+      async get(id) {
+        if (!isSerialId(id)) return null;
+        const { rows } = await query('SELECT * FROM webm_files WHERE id = $1', [Number(id)]);
+        return mapWebmRow(rows[0]);
+      },
+      async create(fields) {
+        const { rows } = await query(
+          `INSERT INTO webm_files (design_id, uploaded_by, storage_uri, duration_seconds, size_bytes, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [
+            Number(fields.designId),
+            fields.uploadedBy ?? null,
+            fields.storageUri,
+            fields.durationSeconds ?? null,
+            fields.sizeBytes ?? null,
+            fields.createdAt || new Date().toISOString(),
+            fields.updatedAt || new Date().toISOString()
+          ]
+        );
+        return mapWebmRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE webm_files
+           SET design_id = $2, uploaded_by = $3, storage_uri = $4, duration_seconds = $5, size_bytes = $6, updated_at = $7
+           WHERE id = $1 RETURNING *`,
+          [
+            Number(record.id),
+            Number(record.designId),
+            record.uploadedBy ?? null,
+            record.storageUri,
+            record.durationSeconds ?? null,
+            record.sizeBytes ?? null,
+            record.updatedAt || new Date().toISOString()
+          ]
+        );
+        return mapWebmRow(rows[0]);
+      },
+      async remove(id) {
+        if (!isSerialId(id)) return false;
+        const result = await query('DELETE FROM webm_files WHERE id = $1', [Number(id)]);
+        return result.rowCount > 0;
+      }
+    },
+
+    users: {
+      async list() {
+        const { rows } = await query('SELECT * FROM users ORDER BY created_at, id');
+        return rows.map(mapUserRow);
+      },
+      async get(id) {
+        const { rows } = await query('SELECT * FROM users WHERE id = $1', [String(id)]);
+        return mapUserRow(rows[0]);
+      },
+      async getByEmail(email) {
+        const { rows } = await query('SELECT * FROM users WHERE LOWER(email) = $1', [
+          String(email).trim().toLowerCase()
+        ]);
+        return mapUserRow(rows[0]);
+      },
+      async create(record) {
+        const { rows } = await query(
+          `INSERT INTO users (id, email, password_hash, role, created_at, updated_at, suspended_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [
+            record.id,
+            record.email,
+            record.passwordHash,
+            record.role,
+            record.createdAt,
+            record.updatedAt,
+            record.suspendedAt ?? null
+          ]
+        );
+        return mapUserRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE users SET email = $2, password_hash = $3, role = $4, updated_at = $5, suspended_at = $6
+           WHERE id = $1 RETURNING *`,
+          [record.id, record.email, record.passwordHash, record.role, record.updatedAt, record.suspendedAt ?? null]
+        );
+        return mapUserRow(rows[0]);
+      }
+    },
+
+    sessions: {
+      async get(id) {
+        const { rows } = await query('SELECT * FROM auth_sessions WHERE id = $1', [String(id)]);
+        return mapSessionRow(rows[0]);
+      },
+      async listByUser(userId) {
+        const { rows } = await query('SELECT * FROM auth_sessions WHERE user_id = $1 ORDER BY created_at, id', [
+          String(userId)
+        ]);
+        return rows.map(mapSessionRow);
+      },
+      async create(record) {
+        const { rows } = await query(
+          `INSERT INTO auth_sessions (id, user_id, refresh_token_hash, created_at, updated_at, expires_at, revoked_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [
+            record.id,
+            record.userId,
+            record.refreshTokenHash,
+            record.createdAt,
+            record.updatedAt,
+            record.expiresAt,
+            record.revokedAt ?? null
+          ]
+        );
+        return mapSessionRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE auth_sessions SET refresh_token_hash = $2, updated_at = $3, expires_at = $4, revoked_at = $5
+           WHERE id = $1 RETURNING *`,
+          [record.id, record.refreshTokenHash, record.updatedAt, record.expiresAt, record.revokedAt ?? null]
+        );
+        return mapSessionRow(rows[0]);
+      }
+    },
+
+    tokens: {
+      async getBalance(userId) {
+        const { rows } = await query('SELECT tokens FROM user_tokens WHERE user_id = $1', [String(userId)]);
+        return rows[0] ? Number(rows[0].tokens) : null;
+      },
+      async setBalance(userId, balance) {
+        await query(
+          `INSERT INTO user_tokens (user_id, tokens, updated_at) VALUES ($1, $2, NOW())
+           ON CONFLICT (user_id) DO UPDATE SET tokens = EXCLUDED.tokens, updated_at = NOW()`,
+          [String(userId), balance]
+        );
+        return balance;
+      },
+      async listPurchases(userId) {
+        const { rows } = await query(
+          'SELECT amount, purchased_at FROM user_purchases WHERE user_id = $1 ORDER BY id',
+          [String(userId)]
+        );
+        return rows.map((row) => ({ amount: Number(row.amount), purchasedAt: toIsoString(row.purchased_at) }));
+      },
+      async addPurchase(userId, record) {
+        await query(
+          'INSERT INTO user_purchases (user_id, amount, purchased_at) VALUES ($1, $2, $3)',
+          [String(userId), record.amount, record.purchasedAt || new Date().toISOString()]
+        );
+        return { ...record };
+      }
+    },
+
+    ledger: {
+      async listEntries(userId) {
+        const { rows } = await query('SELECT * FROM token_ledger WHERE user_id = $1 ORDER BY id', [String(userId)]);
+        return rows.map(mapLedgerRow);
+      },
+      async applyEntry(userId, { type, amount, reason, designId = null }) {
+        const key = String(userId);
+        return transaction(async (run) => {
+          const change = await applyLedgerChange(run, key, { type, amount, reason, designId });
+          return { commit: change !== null, result: change };
+        });
+      },
+      async purchaseDesign({ userId, designId, price }) {
+        const key = String(userId);
+        if (!isSerialId(designId)) {
+          throw new Error(`Unknown design: ${designId}`);
+        }
+        return transaction(async (run) => {
+          const existing = await run('SELECT 1 FROM design_purchases WHERE user_id = $1 AND design_id = $2', [
+            key,
+            Number(designId)
+          ]);
+          if (existing.rows[0]) {
+            return { commit: false, result: { status: 'already_owned', balance: await readBalance(run, key) } };
+          }
+          let balance = await readBalance(run, key);
+          if (price > 0) {
+            balance = await debitBalance(run, key, price);
+            if (balance === null) {
+              return {
+                commit: false,
+                result: { status: 'insufficient_tokens', balance: await readBalance(run, key) }
+              };
+            }
+          }
+          // A concurrent purchase of the same design that committed first
+          // trips the (user_id, design_id) key here and the debit rolls back.
+          const granted = await run(
+            `INSERT INTO design_purchases (user_id, design_id, price, purchased_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (user_id, design_id) DO NOTHING
+             RETURNING *`,
+            [key, Number(designId), price]
+          );
+          if (!granted.rows[0]) {
+            return { commit: false, result: { status: 'already_owned', balance: balance + price } };
+          }
+          const entry =
+            price > 0
+              ? await insertLedgerEntry(run, key, {
+                  type: 'debit',
+                  amount: price,
+                  balanceAfter: balance,
+                  reason: 'design_purchase',
+                  designId
+                })
+              : null;
+          return {
+            commit: true,
+            result: { status: 'purchased', balance, entry, grant: mapDesignPurchaseRow(granted.rows[0]) }
+          };
+        });
+      },
+      async listDesignPurchases(userId) {
+        const { rows } = await query(
+          'SELECT * FROM design_purchases WHERE user_id = $1 ORDER BY purchased_at, design_id',
+          [String(userId)]
+        );
+        return rows.map(mapDesignPurchaseRow);
+      }
+    },
+
+    checkoutSessions: {
+      async get(id) {
+        const { rows } = await query('SELECT * FROM checkout_sessions WHERE id = $1', [String(id)]);
+        return mapCheckoutSessionRow(rows[0]);
+      },
+      async getByProviderSessionId(providerSessionId) {
+        const { rows } = await query('SELECT * FROM checkout_sessions WHERE provider_session_id = $1', [
+          String(providerSessionId)
+        ]);
+        return mapCheckoutSessionRow(rows[0]);
+      },
+      async create(record) {
+        const { rows } = await query(
+          `INSERT INTO checkout_sessions
+             (id, user_id, pack_id, tokens, amount_cents, currency, status, provider, provider_session_id, checkout_url, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+          [
+            record.id,
+            record.userId,
+            record.packId,
+            record.tokens,
+            record.amountCents,
+            record.currency,
+            record.status,
+            record.provider,
+            record.providerSessionId ?? null,
+            record.checkoutUrl ?? null,
+            record.createdAt,
+            record.updatedAt
+          ]
+        );
+        return mapCheckoutSessionRow(rows[0]);
+      },
+      async save(record) {
+        const { rows } = await query(
+          `UPDATE checkout_sessions
+           SET status = $2, provider_session_id = $3, checkout_url = $4, updated_at = $5
+           WHERE id = $1 RETURNING *`,
+          [record.id, record.status, record.providerSessionId ?? null, record.checkoutUrl ?? null, record.updatedAt]
+        );
+        return mapCheckoutSessionRow(rows[0]);
+      },
+      async transition(id, { from, to, ledger = null }) {
+        return transaction(async (run) => {
+          // Only one webhook delivery can move the session out of `from`.
+          const { rows } = await run(
+            `UPDATE checkout_sessions SET status = $3, updated_at = NOW()
+             WHERE id = $1 AND status = $2 RETURNING *`,
+            [String(id), from, to]
+          );
+          const session = mapCheckoutSessionRow(rows[0]);
+          if (!session) {
+            return { commit: false, result: null };
+          }
+          // Refunds take back what is left when some tokens were already spent.
+          const change = ledger
+            ? await applyLedgerChange(run, session.userId, { ...ledger, clamp: ledger.type === 'debit' })
+            : null;
+          return {
+            commit: true,
+            result: { session, entry: change?.entry ?? null, balance: change?.balance ?? null }
+          };
+        });
+      }
+    },
+
+    navigationStates: {
+      async get(userId) {
+        const { rows } = await query('SELECT state FROM navigation_states WHERE user_id = $1', [String(userId)]);
+        return rows[0] ? parseJsonColumn(rows[0].state, {}) : null;
+      },
+      async save(userId, state) {
+        await query(
+          `INSERT INTO navigation_states (user_id, state, updated_at) VALUES ($1, $2, NOW())
+           ON CONFLICT (user_id) DO UPDATE SET state = EXCLUDED.state, updated_at = NOW()`,
+          [String(userId), JSON.stringify(state)]
+        );
+        return { ...state };
+      }
+    },
+
+    analytics: {
+      async list() {
+        const { rows } = await query('SELECT design_id, views, conversions FROM design_analytics');
+        return rows.map((row) => ({
+          designId: row.design_id,
+          views: Number(row.views) || 0,
+          conversions: Number(row.conversions) || 0
+        }));
+      },
+      async increment(designId, field) {
+        const column = VIEW_COUNTER_COLUMNS.get(field);
+        if (!column) {
+          throw new Error(`Unsupported analytics counter: ${field}`);
+        }
+        const key = String(designId);
+        await query(
+          `INSERT INTO design_analytics (design_id, ${column}) VALUES ($1, 1)
+           ON CONFLICT (design_id) DO UPDATE SET ${column} = design_analytics.${column} + 1`,
+          [key]
+        );
+        const { rows } = await query(
+          'SELECT design_id, views, conversions FROM design_analytics WHERE design_id = $1',
+          [key]
+        );
+        return {
+          designId: key,
+          views: Number(rows[0]?.views) || 0,
+          conversions: Number(rows[0]?.conversions) || 0
+        };
+      },
+      async recordEvent(event) {
+        const column = ROLLUP_COUNTER_COLUMNS.get(event.type);
+        const keys = [
+          ['design', event.designId],
+          ['category', event.categoryId],
+          ['designer', event.designerId]
+        ].filter(([, dimensionId]) => dimensionId);
+        // Event ids are unique, so a replayed id is reported as null.
+        try {
+          return await transaction(async (run) => {
+            await run(
+              `INSERT INTO analytics_events (id, design_id, event_type, occurred_at, category_id, designer_id)
+               VALUES ($1, $2, $3, $4, $5, $6)`,
+              [event.id, event.designId, event.type, event.occurredAt, event.categoryId, event.designerId]
+            );
+            for (const [dimension, dimensionId] of keys) {
+              if (column) {
+                await run(
+                  `INSERT INTO analytics_daily_rollups (dimension, dimension_id, day, ${column}) VALUES ($1, $2, $3, 1)
+                   ON CONFLICT (dimension, dimension_id, day)
+                   DO UPDATE SET ${column} = analytics_daily_rollups.${column} + 1`,
+                  [dimension, dimensionId, event.day]
+                );
+              } else {
+                await run(
+                  `INSERT INTO analytics_stage_rollups (dimension, dimension_id, day, stage, events) VALUES ($1, $2, $3, $4, 1)
+                   ON CONFLICT (dimension, dimension_id, day, stage)
+                   DO UPDATE SET events = analytics_stage_rollups.events + 1`,
+                  [dimension, dimensionId, event.day, event.type]
+                );
+              }
+            }
+            return { commit: true, result: { ...event } };
+          });
+        } catch (err) {
+          if (err?.code === UNIQUE_VIOLATION) return null;
+          throw err;
+        }
+      },
+      async listRollups(dimension, dimensionId, { from, to }) {
+        const { rows } = await query(
+          `SELECT dimension, dimension_id, day, views, conversions FROM analytics_daily_rollups
+           WHERE dimension = $1 AND dimension_id = $2 AND day >= $3 AND day <= $4
+           ORDER BY day`,
+          [dimension, String(dimensionId), from, to]
+        );
+        return rows.map(mapAnalyticsRollupRow);
+      },
+      async listStageRollups(dimension, dimensionId, { from, to }) {
+        const params = [dimension, from, to];
+        let filter = '';
+        if (dimensionId !== null) {
+          params.push(String(dimensionId));
+          filter = ' AND dimension_id = $4';
+        }
+        const { rows } = await query(
+          `SELECT dimension, dimension_id, day, stage, events FROM analytics_stage_rollups
+           WHERE dimension = $1 AND day >= $2 AND day <= $3${filter}
+           ORDER BY day`,
+          params
+        );
+        return rows.map(mapAnalyticsStageRollupRow);
+      }
+    },
+
+    // Append-only: there is no way to change or remove an entry.
+    auditLog: {
+      async append(fields) {
+        const { rows } = await query(
+          `INSERT INTO admin_audit_log
+             (actor_id, action, target_type, target_id, before_value, after_value, request_id, created_at)
+           VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7, $8) RETURNING *`,
+          [
+            fields.actorId,
+            fields.action,
+            fields.targetType,
+            fields.targetId,
+            fields.before === null || fields.before === undefined ? null : JSON.stringify(fields.before),
+            fields.after === null || fields.after === undefined ? null : JSON.stringify(fields.after),
+            fields.requestId ?? null,
+            fields.createdAt
+          ]
+        );
+        return mapAuditEntryRow(rows[0]);
+      },
+      async list(filters, { offset, limit }) {
+        const params = [];
+        const conditions = [];
+        for (const [key, condition] of AUDIT_FILTER_COLUMNS) {
+          if (filters[key] === undefined) continue;
+          params.push(filters[key]);
+          conditions.push(`${condition}$${params.length}`);
+        }
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const { rows: countRows } = await query(`SELECT COUNT(*) AS total FROM admin_audit_log${where}`, params);
+        const { rows } = await query(
+          `SELECT * FROM admin_audit_log${where}
+           ORDER BY created_at DESC, id DESC
+           LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+          [...params, limit, offset]
+        );
+        return { entries: rows.map(mapAuditEntryRow), total: Number(countRows[0]?.total) || 0 };
+      }
+    },
+
+    async close() {
+      if (typeof client.end === 'function') {
+        await client.end();
+      }
+    }
+  };
+}
+
+export default createSqlRepository;
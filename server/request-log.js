@@ -0,0 +1,91 @@
+// server/request-log.js
+// Request ids, JSON-line access logs and per-route HTTP metrics.
+
+import { randomUUID } from 'node:crypto';
+import { httpRequestDurationSeconds, httpRequestsTotal } from './metrics.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming ids are propagated only when they look like an opaque token, so
+// callers cannot inject arbitrary text into logs or response headers.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const UNMATCHED_ROUTE = 'unmatched';
+
+// Under NODE_ENV=test lines are dropped unless a test installs its own sink,
+// so test runner output stays readable.
+let writeLine = (line) => {
+  if (process.env.NODE_ENV !== 'test') process.stdout.write(`${line}\n`);
+};
+
+/**
+ * Replace the sink used for access log lines (tests capture them here).
+ * @param {(line: string) => void} sink
+ * @returns {(line: string) => void} the previous sink
+ */
+export function setLogSink(sink) {
+  const previous = writeLine;
+  writeLine = sink;
+  return previous;
+}
+
+/**
+ * Write one structured log entry as a JSON line.
+ * @param {Record<string, unknown>} entry
+ */
+export function logEvent(entry) {
+  writeLine(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * Reuse the caller's X-Request-Id when valid, otherwise generate one.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export function resolveRequestId(req) {
+  const incoming = req.headers['x-request-id'];
+  const candidate = Array.isArray(incoming) ? incoming[0] : incoming;
+  if (typeof candidate === 'string' && REQUEST_ID_PATTERN.test(candidate.trim())) {
+    return candidate.trim();
+  }
+  return randomUUID();
+}
+
+/**
+ * Tag a request with an id and record an access log line plus metrics once
+ * the response finishes. Handlers fill in `ctx.route` (via the router) and
+ * `ctx.userId`, which are read when the response completes.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {{ route?: string, userId?: string|null }} ctx
+ * @returns {string} the request id
+ */
+export function instrumentRequest(req, res, ctx) {
+  const requestId = resolveRequestId(req);
+  const startedAt = process.hrtime.bigint();
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  res.once('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = ctx.route || UNMATCHED_ROUTE;
+    const method = req.method;
+    const status = res.statusCode;
+
+    httpRequestsTotal.inc({ method, route, status });
+    httpRequestDurationSeconds.observe({ method, route }, durationSeconds);
+
+    logEvent({
+      level: status >= 500 ? 'error' : 'info',
+      msg: 'request',
+      requestId,
+      method,
+      path: req.url,
+      route,
+      status,
+      durationMs: Math.round(durationSeconds * 1e6) / 1e3,
+      userId: ctx.userId ?? null
+    });
+  });
+
+  return requestId;
+}
@@ -0,0 +1,133 @@
+// server/router.js
+// Minimal declarative router for the node:http server.
+//
+// Routes are matched against the request pathname (query strings are ignored)
+// using patterns such as `/api/designs/:id/webm`. Each route may declare
+// middleware that runs before the handler; middleware returns `false` once it
+// has written a response (e.g. a 401) to stop the chain, mirroring the
+// `if (!guard(req, res)) return;` pattern used by the handlers.
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+function splitPath(pathname) {
+  return pathname.split('/').filter(Boolean);
+}
+
+function compilePattern(pattern) {
+  const segments = splitPath(pattern).map((segment) =>
+    segment.startsWith(':') ? { param: segment.slice(1) } : { literal: segment }
+  );
+  return (pathSegments) => {
+    if (pathSegments.length !== segments.length) return null;
+    const params = {};
+    for (let index = 0; index < segments.length; index += 1) {
+      const segment = segments[index];
+      const value = pathSegments[index];
+      if (segment.literal !== undefined) {
+        if (segment.literal !== value) return null;
+        continue;
+      }
+      let decoded;
+      try {
+        decoded = decodeURIComponent(value).trim();
+      } catch (err) {
+        return null;
+      }
+      if (!decoded) return null;
+      params[segment.param] = decoded;
+    }
+    return params;
+  };
+}
+
+function defaultNotFound(req, res) {
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { type: 'not_found', message: 'Route not found' } }));
+}
+
+function defaultMethodNotAllowed(req, res, allowed) {
+  res.writeHead(405, { 'Content-Type': 'application/json', Allow: allowed.join(', ') });
+  res.end(
+    JSON.stringify({
+      error: { type: 'method_not_allowed', message: `Method ${req.method} not allowed` }
+    })
+  );
+}
+
+/**
+ * Create a router.
+ * @param {{
+ *   notFound?: (req: import('http').IncomingMessage, res: import('http').ServerResponse) => void,
+ *   methodNotAllowed?: (req: import('http').IncomingMessage, res: import('http').ServerResponse, allowed: string[]) => void
+ * }} [options]
+ */
+export function createRouter({ notFound = defaultNotFound, methodNotAllowed = defaultMethodNotAllowed } = {}) {
+  const routes = [];
+
+  /**
+   * Register a route. The last argument is the handler; any functions before
+   * it are middleware. Handlers and middleware receive `(req, res, ctx)` where
+   * `ctx` carries `params`, `url`, `query` and anything middleware attaches.
+   * @param {string|string[]} methods
+   * @param {string|string[]} patterns
+   * @param {...Function} stack
+   */
+  function route(methods, patterns, ...stack) {
+    const handler = stack.pop();
+    if (typeof handler !== 'function') {
+      throw new TypeError('route() requires a handler function');
+    }
+    const methodList = (Array.isArray(methods) ? methods : [methods]).map((method) => method.toUpperCase());
+    for (const pattern of Array.isArray(patterns) ? patterns : [patterns]) {
+      routes.push({ methods: new Set(methodList), pattern, match: compilePattern(pattern), middleware: stack, handler });
+    }
+    return api;
+  }
+
+  /**
+   * Dispatch a request. Responds with 405 (and an Allow header) when the path
+   * exists for other methods, and 404 when no route matches at all.
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @param {object} [context] becomes `ctx`; the caller can read `ctx.route`
+   *   and anything middleware attached after the request completes
+   */
+  async function handle(req, res, context = {}) {
+    const url = new URL(req.url, `http://${req.headers?.host || 'localhost'}`);
+    const pathSegments = splitPath(url.pathname);
+    const method = String(req.method || 'GET').toUpperCase();
+    const allowed = new Set();
+
+    for (const entry of routes) {
+      const params = entry.match(pathSegments);
+      if (!params) continue;
+      if (!entry.methods.has(method)) {
+        entry.methods.forEach((allowedMethod) => allowed.add(allowedMethod));
+        continue;
+      }
+
+      const ctx = Object.assign(context, { params, url, query: url.searchParams, route: entry.pattern });
+      for (const middleware of entry.middleware) {
+        if ((await middleware(req, res, ctx)) === false) {
+          return;
+        }
+      }
+      await entry.handler(req, res, ctx);
+      return;
+    }
+
+    if (allowed.size > 0) {
+      methodNotAllowed(req, res, METHODS.filter((candidate) => allowed.has(candidate)));
+      return;
+    }
+    notFound(req, res);
+  }
+
+  const api = { route, handle, routes };
+  for (const method of METHODS) {
+    api[method.toLowerCase()] = (patterns, ...stack) => route(method, patterns, ...stack);
+  }
+  return api;
+}
+
+export default createRouter;
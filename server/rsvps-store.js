@@ -0,0 +1,254 @@
+// server/rsvps-store.js
+// Guest responses to a design's invitation. Guests are stored as customers,
+// keyed by email, and each customer can answer a given design once; hosts
+// may then edit or delete the response. Answers sent through a guest's
+// personal link also record the guest, who can likewise answer once.
+
+import { getRepository } from './repositories/index.js';
+import { normalizeEmail } from './users-store.js';
+
+export const RSVP_RESPONSES = ['yes', 'no', 'maybe'];
+export const MAX_PARTY_SIZE = 20;
+export const MAX_RSVP_MESSAGE_LENGTH = 1000;
+export const MAX_GUEST_NAME_LENGTH = 120;
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Raised for RSVP failures the HTTP layer maps onto error responses.
+ * `code` is `validation_error` or `duplicate_rsvp`.
+ */
+export class RsvpError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'RsvpError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function has(body, field) {
+  return Object.prototype.hasOwnProperty.call(body, field);
+}
+
+/**
+ * Validate the response fields of an RSVP. Guests submitting a new RSVP must
+ * also give their name and email; hosts editing one may send any subset of
+ * `attending`, `partySize` and `message`.
+ * @param {object} body
+ * @param {{ requireGuest?: boolean }} [options]
+ * @returns {{ errors: Array<{field:string, message:string}>, normalized: object }}
+ */
+export function validateRsvpPayload(body, { requireGuest = false } = {}) {
+  const errors = [];
+  const normalized = {};
+  const payload = body && typeof body === 'object' ? body : {};
+
+  if (requireGuest) {
+    const name = typeof payload.name === 'string' ? payload.name.trim() : '';
+    if (!name) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (name.length > MAX_GUEST_NAME_LENGTH) {
+      errors.push({ field: 'name', message: `Name must be at most ${MAX_GUEST_NAME_LENGTH} characters` });
+    } else {
+      normalized.name = name;
+    }
+
+    const email = normalizeEmail(payload.email);
+    if (!email) {
+      errors.push({ field: 'email', message: 'Email is required' });
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.push({ field: 'email', message: 'Email must be a valid address' });
+    } else {
+      normalized.email = email;
+    }
+  }
+
+  if (requireGuest || has(payload, 'attending')) {
+    if (!RSVP_RESPONSES.includes(payload.attending)) {
+      errors.push({ field: 'attending', message: `attending must be one of ${RSVP_RESPONSES.join(', ')}` });
+    } else {
+      normalized.attending = payload.attending;
+    }
+  }
+
+  if (has(payload, 'partySize')) {
+    const size = payload.partySize;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PARTY_SIZE) {
+      errors.push({ field: 'partySize', message: `partySize must be a whole number from 1 to ${MAX_PARTY_SIZE}` });
+    } else {
+      normalized.partySize = size;
+    }
+  }
+
+  if (has(payload, 'message')) {
+    if (typeof payload.message !== 'string') {
+      errors.push({ field: 'message', message: 'message must be a string' });
+    } else if (payload.message.trim().length > MAX_RSVP_MESSAGE_LENGTH) {
+      errors.push({ field: 'message', message: `message must be at most ${MAX_RSVP_MESSAGE_LENGTH} characters` });
+    } else {
+      normalized.message = payload.message.trim();
+    }
+  }
+
+  return { errors, normalized };
+}
+
+// Guests who decline bring nobody; everyone else brings at least themselves.
+function resolvePartySize(attending, partySize) {
+  if (attending === 'no') return 0;
+  return partySize || 1;
+}
+
+/**
+ * The host's view of an RSVP.
+ * @param {object} rsvp
+ */
+export function toPublicRsvp(rsvp) {
+  return {
+    id: rsvp.id,
+    designId: rsvp.designId,
+    name: rsvp.name,
+    email: rsvp.email,
+    guestId: rsvp.guestId ?? null,
+    attending: rsvp.attending,
+    partySize: rsvp.partySize,
+    message: rsvp.message,
+    createdAt: rsvp.createdAt,
+    updatedAt: rsvp.updatedAt
+  };
+}
+
+/**
+ * What a guest sees after responding: their own answer, without other guests.
+ * @param {object} rsvp
+ */
+export function toGuestRsvp(rsvp) {
+  return {
+    id: rsvp.id,
+    attending: rsvp.attending,
+    partySize: rsvp.partySize,
+    message: rsvp.message,
+    createdAt: rsvp.createdAt
+  };
+}
+
+/**
+ * Headcount for a design's responses. `guests` counts everyone expected,
+ * including the parties of guests who answered `yes`.
+ * @param {object[]} list
+ */
+export function summarizeRsvps(list) {
+  const summary = { total: list.length, attending: 0, declined: 0, maybe: 0, guests: 0 };
+  for (const rsvp of list) {
+    if (rsvp.attending === 'yes') {
+      summary.attending += 1;
+      summary.guests += rsvp.partySize;
+    } else if (rsvp.attending === 'no') {
+      summary.declined += 1;
+    } else {
+      summary.maybe += 1;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Record a guest's response to a design. With a guest from the design's guest
+ * list, their listed name and email are used when the body leaves them out.
+ * @param {string} designId
+ * @param {object} body `{ name, email, attending, partySize?, message? }`
+ * @param {{ guest?: object|null }} [options]
+ * @returns {Promise<object>} the stored RSVP
+ * @throws {RsvpError} on invalid input or when this email or guest already responded
+ */
+export async function submitRsvp(designId, body, { guest = null } = {}) {
+  const payload = body && typeof body === 'object' ? { ...body } : {};
+  if (guest) {
+    if (!has(payload, 'name')) payload.name = guest.name;
+    if (!has(payload, 'email')) payload.email = guest.email ?? '';
+  }
+  const { errors, normalized } = validateRsvpPayload(payload, { requireGuest: true });
+  if (errors.length) {
+    throw new RsvpError('validation_error', 'Validation failed', errors);
+  }
+  const repository = getRepository();
+  const customer = await repository.customers.upsert({ name: normalized.name, email: normalized.email });
+  const now = new Date().toISOString();
+  const rsvp = await repository.rsvps.create({
+    designId: String(designId),
+    customerId: customer.id,
+    guestId: guest ? guest.id : null,
+    attending: normalized.attending,
+    partySize: resolvePartySize(normalized.attending, normalized.partySize),
+    message: normalized.message ?? '',
+    createdAt: now,
+    updatedAt: now
+  });
+  if (!rsvp) {
+    throw new RsvpError(
+      'duplicate_rsvp',
+      guest ? 'This guest has already responded to the invitation' : 'This email has already responded to the invitation'
+    );
+  }
+  return rsvp;
+}
+
+/**
+ * Responses to a design, oldest first.
+ * @param {string} designId
+ * @returns {Promise<object[]>}
+ */
+export async function listRsvps(designId) {
+  const list = await getRepository().rsvps.listByDesign(String(designId));
+  return list.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+async function getDesignRsvp(designId, rsvpId) {
+  const rsvp = await getRepository().rsvps.get(String(rsvpId));
+  return rsvp && rsvp.designId === String(designId) ? rsvp : null;
+}
+
+/**
+ * Apply a host's edit to one of a design's responses.
+ * @param {string} designId
+ * @param {string} rsvpId
+ * @param {object} body any of `{ attending, partySize, message }`
+ * @returns {Promise<object|null>} null when the RSVP does not belong to the design
+ * @throws {RsvpError} on invalid input
+ */
+export async function updateRsvp(designId, rsvpId, body) {
+  const { errors, normalized } = validateRsvpPayload(body);
+  if (!errors.length && Object.keys(normalized).length === 0) {
+    errors.push({ field: '*', message: 'No updatable fields provided' });
+  }
+  if (errors.length) {
+    throw new RsvpError('validation_error', 'Validation failed', errors);
+  }
+  const existing = await getDesignRsvp(designId, rsvpId);
+  if (!existing) {
+    return null;
+  }
+  const attending = normalized.attending ?? existing.attending;
+  const requestedSize = normalized.partySize ?? (existing.attending === 'no' ? 1 : existing.partySize);
+  return getRepository().rsvps.save({
+    ...existing,
+    ...normalized,
+    attending,
+    partySize: resolvePartySize(attending, requestedSize),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Delete one of a design's responses.
+ * @param {string} designId
+ * @param {string} rsvpId
+ * @returns {Promise<boolean>} false when the RSVP does not belong to the design
+ */
+export async function deleteRsvp(designId, rsvpId) {
+  if (!(await getDesignRsvp(designId, rsvpId))) {
+    return false;
+  }
+  return getRepository().rsvps.remove(String(rsvpId));
+}
@@ -0,0 +1,164 @@
+// server/sessions-store.js
+// Server-side refresh sessions. A refresh token has the form
+// `<sessionId>.<secret>`; only a SHA-256 hash of the secret is stored and it
+// is replaced on every refresh, so each refresh token works exactly once.
+
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import { getRepository } from './repositories/index.js';
+
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const SECRET_BYTES = 32;
+
+/**
+ * Raised when a refresh token is malformed, expired, revoked or reused.
+ */
+export class SessionError extends Error {
+  constructor(message = 'Invalid refresh token') {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+function hashSecret(secret) {
+  return createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function secretMatches(secret, storedHash) {
+  const expected = Buffer.from(String(storedHash || ''), 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, ...rest] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || rest.length) {
+    return null;
+  }
+  return { sessionId, secret };
+}
+
+function issueSecret() {
+  return randomBytes(SECRET_BYTES).toString('base64url');
+}
+
+function isActive(session, now = Date.now()) {
+  return Boolean(session && !session.revokedAt && Date.parse(session.expiresAt) > now);
+}
+
+/**
+ * Start a refresh session for a user.
+ * @param {string} userId
+ * @returns {Promise<{ session: object, refreshToken: string }>}
+ */
+export async function createSession(userId) {
+  const secret = issueSecret();
+  const now = new Date();
+  const session = await getRepository().sessions.create({
+    id: `ses_${randomUUID()}`,
+    userId: String(userId),
+    refreshTokenHash: hashSecret(secret),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString(),
+    revokedAt: null
+  });
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Whether a session exists, has not expired and has not been revoked. Access
+ * tokens carry their session id, so this is checked on every authenticated
+ * request.
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(sessionId) {
+  return isActive(await getRepository().sessions.get(String(sessionId)));
+}
+
+/**
+ * Revoke a session so neither its refresh token nor its access tokens work.
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} false when the session does not exist
+ */
+export async function revokeSession(sessionId) {
+  const session = await getRepository().sessions.get(String(sessionId));
+  if (!session) {
+    return false;
+  }
+  if (!session.revokedAt) {
+    const now = new Date().toISOString();
+    await getRepository().sessions.save({ ...session, revokedAt: now, updatedAt: now });
+  }
+  return true;
+}
+
+/**
+ * Revoke every session of a user, e.g. when their account is suspended.
+ * @param {string} userId
+ * @returns {Promise<number>} how many sessions were still active
+ */
+export async function revokeUserSessions(userId) {
+  const sessions = await getRepository().sessions.listByUser(String(userId));
+  const active = sessions.filter((session) => isActive(session));
+  for (const session of active) {
+    await revokeSession(session.id);
+  }
+  return active.length;
+}
+
+/**
+ * Look up the active session a refresh token belongs to without rotating it.
+ * @param {string} refreshToken
+ * @returns {Promise<object|null>}
+ */
+export async function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await getRepository().sessions.get(parsed.sessionId);
+  if (!isActive(session) || !secretMatches(parsed.secret, session.refreshTokenHash)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that was
+ * already rotated revokes the whole session, since it indicates the token
+ * leaked.
+ * @param {string} refreshToken
+ * @returns {Promise<{ session: object, refreshToken: string }>}
+ */
+export async function rotateSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new SessionError();
+  }
+
+  const session = await getRepository().sessions.get(parsed.sessionId);
+  if (!isActive(session)) {
+    throw new SessionError();
+  }
+  if (!secretMatches(parsed.secret, session.refreshTokenHash)) {
+    await revokeSession(session.id);
+    throw new SessionError();
+  }
+
+  const secret = issueSecret();
+  const updated = await getRepository().sessions.save({
+    ...session,
+    refreshTokenHash: hashSecret(secret),
+    updatedAt: new Date().toISOString()
+  });
+  return { session: updated, refreshToken: `${updated.id}.${secret}` };
+}
+
+export default {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  findSessionByRefreshToken
+};
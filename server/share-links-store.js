@@ -0,0 +1,158 @@
+// server/share-links-store.js
+// Public share links for designs. A share token has the form
+// `<linkId>.<signature>`, where the signature is an HMAC of the link id and
+// design id. Tokens are never stored: they are recomputed from the link
+// record, and revoking or expiring the record disables the token. Guests on
+// a design's guest list get personal tokens of the same form, signed over
+// their guest id (`gst_…`) instead of a link id.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { getRepository } from './repositories/index.js';
+import { getDesignRecord } from './designs-store.js';
+
+export const MAX_SHARE_LINK_DAYS = 365;
+
+// Only what the guest viewer needs to play a slide; editor state stays private.
+const SHARED_SLIDE_FIELDS = ['id', 'image', 'layers', 'workSize', 'durationMs'];
+
+function shareSecret() {
+  return process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+}
+
+function signLink(linkId, designId) {
+  return createHmac('sha256', shareSecret()).update(`share:${linkId}:${designId}`).digest('base64url');
+}
+
+function signatureMatches(signature, expected) {
+  const actual = Buffer.from(String(signature));
+  const wanted = Buffer.from(expected);
+  return actual.length === wanted.length && timingSafeEqual(actual, wanted);
+}
+
+function isActive(link, now = Date.now()) {
+  return Boolean(link && !link.revokedAt && (!link.expiresAt || Date.parse(link.expiresAt) > now));
+}
+
+/**
+ * Token for a share link or guest record.
+ * @param {{id:string, designId:string}} link
+ * @returns {string}
+ */
+export function shareTokenFor(link) {
+  return `${link.id}.${signLink(link.id, link.designId)}`;
+}
+
+/**
+ * Public view of a share link, including its token, for the design owner.
+ * @param {object} link
+ */
+export function toPublicShareLink(link) {
+  return {
+    id: link.id,
+    designId: link.designId,
+    token: shareTokenFor(link),
+    createdAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    active: isActive(link)
+  };
+}
+
+/**
+ * Read-only copy of a design for guests: its title, category, thumbnail,
+ * event details and the presentational fields of each slide.
+ * @param {object} design
+ */
+export function toSharedDesign(design) {
+  const slides = Array.isArray(design.slides) ? design.slides : [];
+  return {
+    title: design.title,
+    category: design.category || '',
+    thumbnailUrl: design.thumbnailUrl || '',
+    updatedAt: design.updatedAt,
+    event: design.event ?? null,
+    slides: slides.map((slide) =>
+      Object.fromEntries(SHARED_SLIDE_FIELDS.filter((field) => slide?.[field] !== undefined).map((field) => [field, slide[field]]))
+    )
+  };
+}
+
+/**
+ * Create a share link for a design.
+ * @param {string} designId
+ * @param {string} userId
+ * @param {{ expiresInDays?: number|null }} [options]
+ * @returns {Promise<object>} the stored link
+ */
+export async function createShareLink(designId, userId, { expiresInDays = null } = {}) {
+  const now = new Date();
+  return getRepository().shareLinks.create({
+    id: `shr_${randomBytes(12).toString('base64url')}`,
+    designId: String(designId),
+    createdBy: String(userId),
+    createdAt: now.toISOString(),
+    expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    revokedAt: null
+  });
+}
+
+/**
+ * Share links created for a design, oldest first.
+ * @param {string} designId
+ * @returns {Promise<object[]>}
+ */
+export async function listShareLinks(designId) {
+  const links = await getRepository().shareLinks.listByDesign(String(designId));
+  return links.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Revoke one of a design's share links. Revoking twice keeps the first time.
+ * @param {string} designId
+ * @param {string} linkId
+ * @returns {Promise<object|null>} null when the link does not belong to the design
+ */
+export async function revokeShareLink(designId, linkId) {
+  const repository = getRepository();
+  const link = await repository.shareLinks.get(String(linkId));
+  if (!link || link.designId !== String(designId)) {
+    return null;
+  }
+  if (link.revokedAt) {
+    return link;
+  }
+  return repository.shareLinks.save({ ...link, revokedAt: new Date().toISOString() });
+}
+
+async function resolveGuestToken(guestId, signature) {
+  const guest = await getRepository().guests.get(guestId);
+  if (!guest || !signatureMatches(signature, signLink(guest.id, guest.designId))) {
+    return null;
+  }
+  const design = await getDesignRecord(guest.designId);
+  return design ? { link: null, guest, design } : null;
+}
+
+/**
+ * Resolve a share token to its link and design. Returns null for malformed,
+ * forged, revoked or expired tokens and for deleted designs alike. Personal
+ * guest tokens resolve with `link: null` and the `guest` they were issued to;
+ * they stay valid until the guest is removed from the list.
+ * @param {string} token
+ * @returns {Promise<{ link: object|null, guest?: object, design: object }|null>}
+ */
+export async function resolveShareToken(token) {
+  const [linkId, signature, ...rest] = String(token || '').split('.');
+  if (!linkId || !signature || rest.length) {
+    return null;
+  }
+  if (linkId.startsWith('gst_')) {
+    return resolveGuestToken(linkId, signature);
+  }
+  const link = await getRepository().shareLinks.get(linkId);
+  if (!link || !signatureMatches(signature, signLink(link.id, link.designId)) || !isActive(link)) {
+    return null;
+  }
+  const design = await getDesignRecord(link.designId);
+  return design ? { link, design } : null;
+}
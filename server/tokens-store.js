@@ -0,0 +1,126 @@
+// server/tokens-store.js
+// Token balances, the credit/debit ledger and design purchases, persisted
+// through the configured repository. Balance changes go through the ledger so
+// every movement is recorded next to the balance it produced.
+
+import { getRepository } from './repositories/index.js';
+
+export const STARTING_TOKEN_BALANCE = 5;
+
+/**
+ * Give a newly created user their starting balance.
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export async function initializeTokenAccount(userId) {
+  const { balance } = await creditTokens(userId, STARTING_TOKEN_BALANCE, 'starting_balance');
+  return balance;
+}
+
+/**
+ * Retrieve the token balance for a user, defaulting to zero.
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export async function getTokenBalance(userId) {
+  const balance = await getRepository().tokens.getBalance(String(userId));
+  return balance ?? 0;
+}
+
+/**
+ * Overwrite the token balance for a user.
+ * @param {string} userId
+ * @param {number} balance
+ * @returns {Promise<number>}
+ */
+export async function setTokenBalance(userId, balance) {
+  return getRepository().tokens.setBalance(String(userId), balance);
+}
+
+/**
+ * Append a token pack purchase to the user's history.
+ * @param {string} userId
+ * @param {number} amount
+ * @returns {Promise<{amount:number, purchasedAt:string}>}
+ */
+export async function recordTokenPurchase(userId, amount) {
+  return getRepository().tokens.addPurchase(String(userId), {
+    amount,
+    purchasedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * List the token pack purchases for a user.
+ * @param {string} userId
+ * @returns {Promise<Array<{amount:number, purchasedAt:string}>>}
+ */
+export async function getTokenPurchases(userId) {
+  return getRepository().tokens.listPurchases(String(userId));
+}
+
+/**
+ * Add tokens to a user's balance and record a ledger credit.
+ * @param {string} userId
+ * @param {number} amount positive whole number of tokens
+ * @param {string} reason
+ * @returns {Promise<{entry:object, balance:number}>}
+ */
+export async function creditTokens(userId, amount, reason) {
+  return getRepository().ledger.applyEntry(String(userId), { type: 'credit', amount, reason });
+}
+
+/**
+ * Remove tokens from a user's balance and record a ledger debit.
+ * @param {string} userId
+ * @param {number} amount positive whole number of tokens
+ * @param {string} reason
+ * @returns {Promise<{entry:object, balance:number}|null>} null when the balance is too low
+ */
+export async function debitTokens(userId, amount, reason) {
+  return getRepository().ledger.applyEntry(String(userId), { type: 'debit', amount, reason });
+}
+
+/**
+ * List a user's ledger entries, oldest first.
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export async function getLedgerEntries(userId) {
+  return getRepository().ledger.listEntries(String(userId));
+}
+
+/**
+ * Token cost of a design. Prices are set in USD; each started dollar costs
+ * one token, so free designs cost nothing.
+ * @param {{price?:number}} design
+ * @returns {number}
+ */
+export function getDesignTokenCost(design) {
+  const price = Number(design?.price);
+  return Number.isFinite(price) && price > 0 ? Math.ceil(price) : 0;
+}
+
+/**
+ * Debit the design's token cost and grant the buyer ownership in one atomic
+ * step. Nothing is written unless the result status is `purchased`.
+ * @param {string} userId
+ * @param {{id:string, price?:number}} design
+ * @returns {Promise<{status:'purchased'|'already_owned'|'insufficient_tokens', balance:number, entry?:object|null, grant?:object}>}
+ */
+export async function purchaseDesign(userId, design) {
+  return getRepository().ledger.purchaseDesign({
+    userId: String(userId),
+    designId: String(design.id),
+    price: getDesignTokenCost(design)
+  });
+}
+
+/**
+ * List the designs a user has bought.
+ * @param {string} userId
+ * @returns {Promise<Array<{userId:string, designId:string, price:number, purchasedAt:string}>>}
+ */
+export async function getDesignPurchases(userId) {
+  return getRepository().ledger.listDesignPurchases(String(userId));
+}
@@ -0,0 +1,348 @@
+// server/users-store.js
+// Credential-based user accounts. Passwords are stored as salted scrypt
+// hashes in the form `scrypt:<salt>:<hash>` (both base64 encoded).
+
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { getRepository } from './repositories/index.js';
+import { DEFAULT_USER_ROLE } from './auth.js';
+
+const scryptAsync = promisify(scrypt);
+
+const HASH_SCHEME = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const SELF_SERVICE_ROLES = new Set([DEFAULT_USER_ROLE, 'creator', 'consumer']);
+export const ADMIN_ASSIGNABLE_ROLES = [DEFAULT_USER_ROLE, 'creator', 'admin'];
+export const USER_STATUSES = ['active', 'suspended'];
+export const DEFAULT_USER_PAGE_SIZE = 25;
+export const MAX_USER_PAGE_SIZE = 100;
+
+/**
+ * Raised for account failures the HTTP layer maps onto error responses.
+ * `code` is one of `validation_error`, `email_taken`, `invalid_credentials`,
+ * `account_suspended` or `not_found`.
+ */
+export class UserAccountError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'UserAccountError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function normalizeEmail(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Hash a password with a fresh random salt.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(SALT_BYTES);
+  const derived = await scryptAsync(String(password), salt, KEY_LENGTH);
+  return `${HASH_SCHEME}:${salt.toString('base64')}:${derived.toString('base64')}`;
+}
+
+/**
+ * Compare a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, saltB64, hashB64] = String(storedHash || '').split(':');
+  if (scheme !== HASH_SCHEME || !saltB64 || !hashB64) {
+    return false;
+  }
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scryptAsync(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return expected.length === derived.length && timingSafeEqual(expected, derived);
+}
+
+/**
+ * Strip credential fields before a user leaves the server.
+ * @param {object|null} record
+ * @returns {{id:string, email:string, role:string, createdAt:string}|null}
+ */
+export function toPublicUser(record) {
+  if (!record) return null;
+  return {
+    id: String(record.id),
+    email: record.email,
+    role: record.role || DEFAULT_USER_ROLE,
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * The admin view of an account: the public fields plus its status.
+ * @param {object|null} record
+ * @returns {{id:string, email:string, role:string, createdAt:string, updatedAt:string, status:'active'|'suspended', suspendedAt:string|null}|null}
+ */
+export function toAdminUser(record) {
+  if (!record) return null;
+  return {
+    ...toPublicUser(record),
+    updatedAt: record.updatedAt,
+    status: record.suspendedAt ? 'suspended' : 'active',
+    suspendedAt: record.suspendedAt ?? null
+  };
+}
+
+function validateCredentials(email, password) {
+  const errors = [];
+  if (!email) {
+    errors.push({ field: 'email', message: 'Email is required' });
+  } else if (!EMAIL_PATTERN.test(email)) {
+    errors.push({ field: 'email', message: 'Email must be a valid address' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({
+      field: 'password',
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    });
+  }
+  return errors;
+}
+
+async function insertUser({ email, password, role }) {
+  const now = new Date().toISOString();
+  return getRepository().users.create({
+    id: `usr_${randomUUID()}`,
+    email,
+    passwordHash: await hashPassword(password),
+    role,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+export async function getUserById(id) {
+  if (id === null || id === undefined || id === '') return null;
+  return getRepository().users.get(String(id));
+}
+
+export async function getUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return getRepository().users.getByEmail(normalized);
+}
+
+/**
+ * Create a self-service account. Privileged roles can only be seeded.
+ * @param {{ email: string, password: string, role?: string }} input
+ * @returns {Promise<object>} the stored user record
+ */
+export async function registerUser({ email, password, role } = {}) {
+  const normalizedEmail = normalizeEmail(email);
+  const errors = validateCredentials(normalizedEmail, password);
+  const requestedRole = typeof role === 'string' && role.trim() ? role.trim().toLowerCase() : DEFAULT_USER_ROLE;
+  if (!SELF_SERVICE_ROLES.has(requestedRole)) {
+    errors.push({ field: 'role', message: 'Role is not available for registration' });
+  }
+  if (errors.length) {
+    throw new UserAccountError('validation_error', 'Validation failed', errors);
+  }
+
+  if (await getUserByEmail(normalizedEmail)) {
+    throw new UserAccountError('email_taken', 'User already exists');
+  }
+
+  return insertUser({ email: normalizedEmail, password, role: requestedRole });
+}
+
+let dummyPasswordHash = null;
+
+// Unknown emails are checked against this hash so they cost as much scrypt
+// work as a wrong password, and timing does not reveal registered emails.
+function getDummyPasswordHash() {
+  dummyPasswordHash ??= hashPassword(randomBytes(SALT_BYTES).toString('base64'));
+  return dummyPasswordHash;
+}
+
+/**
+ * Resolve a user from an email/password pair.
+ * The same error, after the same hashing work, is raised for unknown emails
+ * and wrong passwords.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<object>}
+ */
+export async function authenticateCredentials(email, password) {
+  const user = await getUserByEmail(email);
+  const storedHash = user ? user.passwordHash : await getDummyPasswordHash();
+  const valid = (await verifyPassword(password, storedHash)) && Boolean(user);
+  if (!valid) {
+    throw new UserAccountError('invalid_credentials', 'Invalid credentials');
+  }
+  if (user.suspendedAt) {
+    throw new UserAccountError('account_suspended', 'Account suspended');
+  }
+  return user;
+}
+
+/**
+ * Ensure the configured administrator exists. Uses ADMIN_EMAIL and
+ * ADMIN_PASSWORD; does nothing when either is unset.
+ * @param {{ ADMIN_EMAIL?: string, ADMIN_PASSWORD?: string }} [config]
+ * @returns {Promise<object|null>} the admin record, or null when not configured
+ */
+export async function seedAdminUser(config = process.env) {
+  const email = normalizeEmail(config.ADMIN_EMAIL);
+  const password = config.ADMIN_PASSWORD;
+  if (!email || !password) {
+    return null;
+  }
+
+  const existing = await getUserByEmail(email);
+  if (existing) {
+    if (existing.role === 'admin') return existing;
+    return getRepository().users.save({
+      ...existing,
+      role: 'admin',
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  const errors = validateCredentials(email, password);
+  if (errors.length) {
+    throw new Error(`Cannot seed admin user: ${errors.map((error) => error.message).join(', ')}`);
+  }
+  return insertUser({ email, password, role: 'admin' });
+}
+
+function parsePositiveInteger(value) {
+  return /^\d+$/.test(String(value)) && Number(value) >= 1 ? Number(value) : null;
+}
+
+/**
+ * List accounts for admins, oldest first. `search` matches part of the email
+ * or the exact id.
+ * @param {{ search?: string|null, role?: string|null, status?: string|null, page?: string|null, pageSize?: string|null }} [params]
+ * @returns {Promise<{ data: object[], pagination: { page: number, pageSize: number, total: number } }>}
+ * @throws {UserAccountError} `validation_error` on invalid parameters
+ */
+export async function listUsers({ search, role, status, page, pageSize } = {}) {
+  const errors = [];
+  const normalizedRole = typeof role === 'string' ? role.trim().toLowerCase() : '';
+  if (normalizedRole && !ADMIN_ASSIGNABLE_ROLES.includes(normalizedRole) && !SELF_SERVICE_ROLES.has(normalizedRole)) {
+    errors.push({ field: 'role', message: 'role is not a known role' });
+  }
+  if (status && !USER_STATUSES.includes(status)) {
+    errors.push({ field: 'status', message: `status must be one of ${USER_STATUSES.join(', ')}` });
+  }
+  const pageNumber = page ? parsePositiveInteger(page) : 1;
+  if (!pageNumber) {
+    errors.push({ field: 'page', message: 'page must be a positive integer' });
+  }
+  const size = pageSize ? parsePositiveInteger(pageSize) : DEFAULT_USER_PAGE_SIZE;
+  if (!size || size > MAX_USER_PAGE_SIZE) {
+    errors.push({ field: 'pageSize', message: `pageSize must be between 1 and ${MAX_USER_PAGE_SIZE}` });
+  }
+  if (errors.length) {
+    throw new UserAccountError('validation_error', 'Validation failed', errors);
+  }
+
+  const term = typeof search === 'string' ? search.trim().toLowerCase() : '';
+  const matches = (await getRepository().users.list())
+    .map(toAdminUser)
+    .filter((user) => !term || user.email.toLowerCase().includes(term) || user.id.toLowerCase() === term)
+    .filter((user) => !normalizedRole || user.role === normalizedRole)
+    .filter((user) => !status || user.status === status);
+  const start = (pageNumber - 1) * size;
+  return {
+    data: matches.slice(start, start + size),
+    pagination: { page: pageNumber, pageSize: size, total: matches.length }
+  };
+}
+
+async function requireUser(id) {
+  const user = await getUserById(id);
+  if (!user) {
+    throw new UserAccountError('not_found', 'User not found');
+  }
+  return user;
+}
+
+/**
+ * Change an account's role. Admins cannot change their own role, so there is
+ * always someone left who can undo a mistake.
+ * @param {string} id
+ * @param {string} role one of ADMIN_ASSIGNABLE_ROLES
+ * @param {{ actorId: string }} options
+ * @returns {Promise<{ before: object, after: object }>} the record before and after the change
+ * @throws {UserAccountError} `not_found` or `validation_error`
+ */
+export async function changeUserRole(id, role, { actorId }) {
+  const normalizedRole = typeof role === 'string' ? role.trim().toLowerCase() : '';
+  if (!ADMIN_ASSIGNABLE_ROLES.includes(normalizedRole)) {
+    throw new UserAccountError('validation_error', 'Validation failed', [
+      { field: 'role', message: `role must be one of ${ADMIN_ASSIGNABLE_ROLES.join(', ')}` }
+    ]);
+  }
+  const before = await requireUser(id);
+  if (before.id === String(actorId) && before.role !== normalizedRole) {
+    throw new UserAccountError('validation_error', 'Validation failed', [
+      { field: 'role', message: 'You cannot change your own role' }
+    ]);
+  }
+  if (before.role === normalizedRole) {
+    return { before, after: before };
+  }
+  const after = await getRepository().users.save({
+    ...before,
+    role: normalizedRole,
+    updatedAt: new Date().toISOString()
+  });
+  return { before, after };
+}
+
+/**
+ * Suspend or reactivate an account. Suspended accounts cannot log in; the
+ * caller revokes their sessions.
+ * @param {string} id
+ * @param {boolean} suspended
+ * @param {{ actorId: string }} options
+ * @returns {Promise<{ before: object, after: object }>} the record before and after the change
+ * @throws {UserAccountError} `not_found` or `validation_error`
+ */
+export async function setUserSuspended(id, suspended, { actorId }) {
+  const before = await requireUser(id);
+  if (suspended && before.id === String(actorId)) {
+    throw new UserAccountError('validation_error', 'Validation failed', [
+      { field: 'status', message: 'You cannot suspend your own account' }
+    ]);
+  }
+  if (Boolean(before.suspendedAt) === suspended) {
+    return { before, after: before };
+  }
+  const now = new Date().toISOString();
+  const after = await getRepository().users.save({
+    ...before,
+    suspendedAt: suspended ? now : null,
+    updatedAt: now
+  });
+  return { before, after };
+}
+
+export default {
+  registerUser,
+  authenticateCredentials,
+  getUserById,
+  getUserByEmail,
+  seedAdminUser,
+  listUsers,
+  changeUserRole,
+  setUserSuspended,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+  toAdminUser
+};
@@ -1,55 +1,39 @@
 // server/webm-store.js
-// Lightweight in-memory persistence layer for WebM metadata.
+// Lightweight persistence layer for WebM metadata, delegating storage to the
+// configured repository.
 
-import { designs, designOwners, webmFiles } from './database.js';
+import { getRepository } from './repositories/index.js';
 
-function cloneWebmFile(record) {
-  return record ? { ...record } : null;
-}
-
-function computeNextWebmFileId() {
-  const numericIds = Array.from(webmFiles.keys())
-    .map((id) => Number.parseInt(String(id), 10))
-    .filter((id) => Number.isFinite(id));
-  if (!numericIds.length) {
-    return 1;
-  }
-  return Math.max(...numericIds) + 1;
-}
-
-let nextWebmFileId = computeNextWebmFileId();
-
-function assertDesignExists(designId) {
+async function assertDesignExists(designId) {
   const key = String(designId);
-  if (!designs.has(key)) {
+  const design = await getRepository().designs.get(key);
+  if (!design) {
     throw new Error(`Design ${key} does not exist`);
   }
   return key;
 }
 
 export async function getWebmFileById(id) {
-  const record = webmFiles.get(String(id));
-  return cloneWebmFile(record);
+  return getRepository().webmFiles.get(String(id));
 }
 
 export async function getWebmFilesByDesign(designId) {
   const key = String(designId);
-  return Array.from(webmFiles.values())
-    .filter((file) => String(file.designId) === key)
-    .map(cloneWebmFile);
+  const files = await getRepository().webmFiles.list();
+  return files.filter((file) => String(file.designId) === key);
 }
 
 export async function getWebmFilesByUser(userId) {
   const normalizedUserId = String(userId);
+  const ownerships = await getRepository().designOwners.list();
   const ownedDesignIds = new Set(
-    Array.from(designOwners.values())
+    ownerships
       .filter((ownership) => ownership.userId === normalizedUserId)
       .map((ownership) => String(ownership.designId))
   );
 
-  return Array.from(webmFiles.values())
-    .filter((file) => ownedDesignIds.has(String(file.designId)))
-    .map(cloneWebmFile);
+  const files = await getRepository().webmFiles.list();
+  return files.filter((file) => ownedDesignIds.has(String(file.designId)));
 }
 
 export async function addWebmFile({
@@ -59,11 +43,9 @@ export async function addWebmFile({
   sizeBytes = null,
   uploadedBy = null
 }) {
-  const key = assertDesignExists(designId);
+  const key = await assertDesignExists(designId);
   const now = new Date().toISOString();
-  const id = String(nextWebmFileId++);
-  const record = {
-    id,
+  return getRepository().webmFiles.create({
     designId: key,
     storageUri,
     durationSeconds: durationSeconds ?? null,
@@ -71,14 +53,12 @@ export async function addWebmFile({
     uploadedBy: uploadedBy ? String(uploadedBy) : null,
     createdAt: now,
     updatedAt: now
-  };
-  webmFiles.set(id, record);
-  return cloneWebmFile(record);
+  });
 }
 
 export async function updateWebmFile(id, updates = {}) {
   const key = String(id);
-  const existing = webmFiles.get(key);
+  const existing = await getRepository().webmFiles.get(key);
   if (!existing) {
     return null;
   }
@@ -86,7 +66,7 @@ export async function updateWebmFile(id, updates = {}) {
   const nextRecord = { ...existing };
 
   if (Object.prototype.hasOwnProperty.call(updates, 'designId')) {
-    nextRecord.designId = assertDesignExists(updates.designId);
+    nextRecord.designId = await assertDesignExists(updates.designId);
   }
   if (Object.prototype.hasOwnProperty.call(updates, 'storageUri')) {
     nextRecord.storageUri = updates.storageUri;
@@ -102,17 +82,11 @@ export async function updateWebmFile(id, updates = {}) {
   }
 
   nextRecord.updatedAt = new Date().toISOString();
-  webmFiles.set(key, nextRecord);
-  return cloneWebmFile(nextRecord);
+  return getRepository().webmFiles.save(nextRecord);
 }
 
 export async function deleteWebmFile(id) {
-  const key = String(id);
-  if (!webmFiles.has(key)) {
-    return false;
-  }
-  webmFiles.delete(key);
-  return true;
+  return getRepository().webmFiles.remove(String(id));
 }
 
 export default {
@@ -17,3 +17,81 @@ export function resolveMarketplaceRole(role = '') {
 export function isAdminRole(role = '') {
   return normalizeRole(role) === 'admin';
 }
+
+// Which marketplace roles may see a design; admins always can.
+export function getDesignVisibility(design) {
+  const defaults = { creator: false, consumer: false, admin: true };
+  const raw = design && typeof design.visibility === 'object' ? design.visibility : null;
+  if (!raw) {
+    return { ...defaults };
+  }
+  return {
+    creator: Boolean(Object.prototype.hasOwnProperty.call(raw, 'creator') ? raw.creator : defaults.creator),
+    consumer: Boolean(Object.prototype.hasOwnProperty.call(raw, 'consumer') ? raw.consumer : defaults.consumer),
+    admin: Boolean(Object.prototype.hasOwnProperty.call(raw, 'admin') ? raw.admin : defaults.admin)
+  };
+}
+
+export function isDesignVisibleForRole(design, role) {
+  if (role === 'admin') return true;
+  const visibility = getDesignVisibility(design);
+  return Boolean(visibility[role]);
+}
+
+// Price facet buckets, in USD: free, under 10, 10 up to 25, and 25 or more.
+export const MARKETPLACE_PRICE_RANGES = ['free', 'under-10', '10-25', '25-plus'];
+
+export function getMarketplacePriceRange(price) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value <= 0) return 'free';
+  if (value < 10) return 'under-10';
+  if (value < 25) return '10-25';
+  return '25-plus';
+}
+
+const FACET_VALUE_PATTERN = /^[\w -]{1,50}$/;
+const MAX_FACET_VALUES = 20;
+
+function readFacetValues(searchParams, name) {
+  const values = searchParams
+    .getAll(name)
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(values));
+}
+
+/**
+ * Read the facet filters of a marketplace query. `tag`, `badge` and `price`
+ * may repeat or hold comma-separated values; a design matches when it has any
+ * of them. `premium` is `true` or `false`.
+ * @param {URLSearchParams} searchParams
+ * @returns {{ error: string|null, facets: { tags: string[], badges: string[], priceRanges: string[], premium?: boolean } }}
+ */
+export function parseMarketplaceFacets(searchParams) {
+  const tags = readFacetValues(searchParams, 'tag');
+  const badges = readFacetValues(searchParams, 'badge');
+  const priceRanges = readFacetValues(searchParams, 'price');
+  const facets = { tags, badges, priceRanges };
+
+  if (tags.length > MAX_FACET_VALUES || tags.some((tag) => !FACET_VALUE_PATTERN.test(tag))) {
+    return { error: 'Invalid tag filter', facets };
+  }
+  if (badges.length > MAX_FACET_VALUES || badges.some((badge) => !FACET_VALUE_PATTERN.test(badge))) {
+    return { error: 'Invalid badge filter', facets };
+  }
+  if (priceRanges.some((range) => !MARKETPLACE_PRICE_RANGES.includes(range))) {
+    return { error: 'Invalid price filter', facets };
+  }
+
+  const premium = searchParams.get('premium');
+  if (premium !== null && premium.trim()) {
+    const normalized = premium.trim().toLowerCase();
+    if (!['true', 'false'].includes(normalized)) {
+      return { error: 'Invalid premium filter', facets };
+    }
+    facets.premium = normalized === 'true';
+  }
+
+  return { error: null, facets };
+}
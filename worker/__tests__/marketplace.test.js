@@ -2,6 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import { recordView, recordConversion } from '../../server/analytics-store.js';
+import { createMemoryRateLimitStore } from '../../server/rate-limit.js';
 
 const workerModule = await import('../index.js');
 const worker = workerModule.default ?? workerModule;
@@ -31,7 +32,7 @@ async function fetchMarketplace(path, { headers } = {}) {
 }
 
 test('consumer alias resolves to consumer marketplace listings', async () => {
-  const { response, body } = await fetchMarketplace('/api/marketplace', {
+  const { response, body } = await fetchMarketplace('/marketplace', {
     headers: buildHeaders({ 'X-User-Id': 'consumer-user', 'X-User-Role': 'user' })
   });
 
@@ -44,7 +45,7 @@ test('consumer alias resolves to consumer marketplace listings', async () => {
 });
 
 test('creator role exposes creator listings and flags', async () => {
-  const { response, body } = await fetchMarketplace('/api/marketplace', {
+  const { response, body } = await fetchMarketplace('/marketplace', {
     headers: buildHeaders({ 'X-User-Role': 'creator' })
   });
 
@@ -63,7 +64,7 @@ test('admin role returns visibility and conversion insights', async () => {
   recordView('1');
   recordConversion('1');
 
-  const { response, body } = await fetchMarketplace('/api/marketplace', {
+  const { response, body } = await fetchMarketplace('/marketplace', {
     headers: buildHeaders({ 'X-User-Role': 'admin', 'X-User-Id': 'admin-user' })
   });
 
@@ -77,7 +78,7 @@ test('admin role returns visibility and conversion insights', async () => {
 });
 
 test('unsupported roles are rejected', async () => {
-  const { response, body } = await fetchMarketplace('/api/marketplace', {
+  const { response, body } = await fetchMarketplace('/marketplace', {
     headers: buildHeaders({ 'X-User-Role': 'guest' })
   });
 
@@ -86,7 +87,7 @@ test('unsupported roles are rejected', async () => {
 });
 
 test('non-admin callers cannot override their marketplace role', async () => {
-  const { response, body } = await fetchMarketplace('/api/marketplace?role=admin', {
+  const { response, body } = await fetchMarketplace('/marketplace?role=admin', {
     headers: buildHeaders({ 'X-User-Role': 'creator' })
   });
 
@@ -95,7 +96,7 @@ test('non-admin callers cannot override their marketplace role', async () => {
 });
 
 test('ownership filters limit marketplace payloads', async () => {
-  const ownerResponse = await fetchMarketplace('/api/marketplace?ownerId=demo', {
+  const ownerResponse = await fetchMarketplace('/marketplace?ownerId=demo', {
     headers: buildHeaders({ 'X-User-Role': 'admin' })
   });
   assert.equal(ownerResponse.response.status, 200);
@@ -104,7 +105,7 @@ test('ownership filters limit marketplace payloads', async () => {
     ['1', '2']
   );
 
-  const mineResponse = await fetchMarketplace('/api/marketplace?mine=1', {
+  const mineResponse = await fetchMarketplace('/marketplace?mine=1', {
     headers: buildHeaders({ 'X-User-Role': 'admin', 'X-User-Id': 'studio-omega' })
   });
   assert.equal(mineResponse.response.status, 200);
@@ -113,3 +114,38 @@ test('ownership filters limit marketplace payloads', async () => {
     ['3']
   );
 });
+
+test('facet filters are applied and counted by the worker', async () => {
+  const { response, body } = await fetchMarketplace('/marketplace?badge=premium&price=10-25,25-plus&premium=true', {
+    headers: buildHeaders({ 'X-User-Role': 'user' })
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.data.map((entry) => entry.id), ['3']);
+  assert.deepEqual(
+    body.facets.price.map(({ value, count, selected }) => [value, count, selected]),
+    [
+      ['free', 0, false],
+      ['under-10', 0, false],
+      ['10-25', 1, true],
+      ['25-plus', 0, true]
+    ]
+  );
+
+  const invalid = await fetchMarketplace('/marketplace?price=cheap');
+  assert.equal(invalid.response.status, 400);
+  assert.equal(invalid.body.error, 'Invalid price filter');
+});
+
+test('changing X-User-Id does not reset the marketplace rate limit', async () => {
+  const env = { RATE_LIMIT_STORE: createMemoryRateLimitStore() };
+  let last;
+  for (let index = 0; index <= 100; index += 1) {
+    const request = new Request('https://example.com/marketplace', {
+      method: 'GET',
+      headers: buildHeaders({ 'X-User-Id': `spoofed-${index}`, 'CF-Connecting-IP': '203.0.113.7' })
+    });
+    last = await worker.fetch(request, env, {});
+  }
+  assert.equal(last.status, 429);
+  assert.equal(last.headers.get('RateLimit-Remaining'), '0');
+});
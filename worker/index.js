@@ -1,5 +1,32 @@
 import { getMarketplaceDesigns } from '../server/designs-store.js';
-import { resolveMarketplaceRole, isAdminRole, MARKETPLACE_ROLES } from '../shared/marketplace.js';
+import { resolveMarketplaceRole, isAdminRole, MARKETPLACE_ROLES, parseMarketplaceFacets } from '../shared/marketplace.js';
+import { createRateLimiter, createMemoryRateLimitStore, rateLimitHeaders } from '../server/rate-limit.js';
+
+// The X-User-* headers are not verified by the worker, so buckets are keyed
+// on the client IP; a caller could otherwise pick a fresh bucket per request.
+const RATE_LIMIT_GROUPS = [{ name: 'marketplace', keyBy: 'ip', capacity: 100, refillPerMinute: 100 }];
+
+const limiters = new WeakMap();
+const defaultRateLimitStore = createMemoryRateLimitStore();
+
+// A store bound as env.RATE_LIMIT_STORE lets every isolate share one budget;
+// otherwise each isolate keeps its own in-memory buckets.
+function getRateLimiter(env) {
+  const store = env?.RATE_LIMIT_STORE ?? defaultRateLimitStore;
+  let limiter = limiters.get(store);
+  if (!limiter) {
+    limiter = createRateLimiter({ groups: RATE_LIMIT_GROUPS, store });
+    limiters.set(store, limiter);
+  }
+  return limiter;
+}
+
+function withHeaders(response, headers) {
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
 
 function jsonResponse(status, payload) {
   return new Response(JSON.stringify(payload), {
@@ -59,6 +86,11 @@ async function handleMarketplaceRequest(request) {
     return jsonResponse(400, { error: 'Search query too long' });
   }
 
+  const { error: facetError, facets } = parseMarketplaceFacets(url.searchParams);
+  if (facetError) {
+    return jsonResponse(400, { error: facetError });
+  }
+
   const ownerIdParam = url.searchParams.get('ownerId');
   const ownerId = ownerIdParam ? ownerIdParam.trim() : '';
   const mineParam = url.searchParams.get('mine');
@@ -70,17 +102,29 @@ async function handleMarketplaceRequest(request) {
     search: search || undefined,
     ownerId: ownerId || undefined,
     mine: mineRequested,
-    requestingUserId: user.id || undefined
+    requestingUserId: user.id || undefined,
+    ...facets
   });
 
   return jsonResponse(200, payload);
 }
 
 export default {
-  async fetch(request) {
+  async fetch(request, env) {
     const url = new URL(request.url);
     if (request.method === 'GET' && url.pathname === '/marketplace') {
-      return handleMarketplaceRequest(request);
+      const decision = await getRateLimiter(env).check({
+        pathname: url.pathname,
+        ip: request.headers.get('cf-connecting-ip')
+      });
+      const headers = rateLimitHeaders(decision);
+      if (!decision.allowed) {
+        return withHeaders(
+          jsonResponse(429, { error: { type: 'rate_limit_error', message: 'Too many requests' } }),
+          headers
+        );
+      }
+      return withHeaders(await handleMarketplaceRequest(request), headers);
     }
     return new Response('Not Found', { status: 404 });
   }